@@ -0,0 +1,246 @@
+/**
+ * Aging Report Layout Service
+ * Lays out the aging reports QuickBooks returns as rows for a sheet: the
+ * summary with one row per customer or vendor and a column per bucket, and
+ * the detail regrouped from bucket to customer or vendor with subtotals.
+ */
+
+// Column keys QuickBooks uses in the detail reports
+const QBO_AGING_DETAIL_COLUMNS = {
+  date: ['tx_date'],
+  type: ['txn_type'],
+  num: ['doc_num'],
+  party: ['cust_name', 'vend_name'],
+  dueDate: ['due_date'],
+  amount: ['subt_amount', 'amount'],
+  openBalance: ['subt_open_bal', 'open_bal']
+};
+
+/**
+ * Formats a summary aging report: one row per customer or vendor with a
+ * column per bucket, and a total row.
+ *
+ * @param {Object} reportData - The report from QuickBooks
+ * @param {Object} reportInfo - The entry from QBO_AGING_REPORTS
+ * @return {Object} {headers, rows, bucketLabels, firstAmountColumn, totals, partyCount, totalRows}
+ */
+function formatAgingSummaryReport(reportData, reportInfo) {
+  const columns = (reportData.Columns && reportData.Columns.Column) || [];
+  const headers = columns.map((column, index) => index === 0 ? reportInfo.party : column.ColTitle || '');
+  // Every column between the name and Total is a bucket
+  const bucketLabels = headers.slice(1, headers.length - 1);
+
+  const rows = [];
+  const totalRows = [];
+  let totalRow = null;
+
+  flattenAgingRows(reportData).forEach(entry => {
+    const values = entry.colData.map((col, index) => index === 0 ? col.value || '' : parseAgingAmount(col.value));
+    if (entry.summary) {
+      totalRow = values;
+    } else {
+      rows.push(values);
+    }
+  });
+
+  // Build the total row if QuickBooks didn't send one
+  if (!totalRow) {
+    totalRow = headers.map((header, index) => index === 0 ? 'TOTAL' :
+      rows.reduce((sum, row) => sum + (Number(row[index]) || 0), 0));
+  }
+  totalRow[0] = 'TOTAL';
+  rows.push(totalRow);
+  totalRows.push(rows.length);
+
+  return {
+    headers: headers,
+    rows: rows.length > 1 ? rows : [],
+    bucketLabels: bucketLabels,
+    firstAmountColumn: 2,
+    totals: {
+      current: Number(totalRow[1]) || 0,
+      buckets: bucketLabels.map((label, index) => Number(totalRow[index + 1]) || 0),
+      total: Number(totalRow[totalRow.length - 1]) || 0
+    },
+    partyCount: rows.length - 1,
+    totalRows: totalRows
+  };
+}
+
+/**
+ * Formats a detail aging report: one row per open transaction with its
+ * balance in its bucket column, grouped by customer or vendor with a
+ * subtotal row after each, and a grand total.
+ *
+ * @param {Object} reportData - The report from QuickBooks
+ * @param {Object} reportInfo - The entry from QBO_AGING_REPORTS
+ * @param {string} reportDate - The report date (YYYY-MM-DD)
+ * @return {Object} {headers, rows, bucketLabels, firstAmountColumn, totals, partyCount, totalRows}
+ */
+function formatAgingDetailReport(reportData, reportInfo, reportDate) {
+  const columns = (reportData.Columns && reportData.Columns.Column) || [];
+  const columnIndex = {};
+  Object.keys(QBO_AGING_DETAIL_COLUMNS).forEach(field => {
+    columnIndex[field] = findAgingColumn(columns, QBO_AGING_DETAIL_COLUMNS[field]);
+  });
+
+  const bucketLabels = [];
+  const transactions = [];
+
+  flattenAgingRows(reportData).forEach(entry => {
+    if (entry.summary || !entry.section) {
+      return;
+    }
+
+    const bucket = normalizeAgingBucketLabel(entry.section);
+    if (!bucketLabels.includes(bucket)) {
+      bucketLabels.push(bucket);
+    }
+
+    const value = field => columnIndex[field] >= 0 && entry.colData[columnIndex[field]] ?
+      entry.colData[columnIndex[field]].value || '' : '';
+    const dueDate = value('dueDate');
+
+    transactions.push({
+      party: value('party') || '(No ' + reportInfo.party.toLowerCase() + ')',
+      date: value('date'),
+      type: value('type'),
+      num: value('num'),
+      dueDate: dueDate,
+      daysPastDue: dueDate ? Math.max(0, Math.round((new Date(reportDate) - new Date(dueDate)) / 86400000)) : '',
+      amount: parseAgingAmount(value('amount')),
+      openBalance: parseAgingAmount(value('openBalance')),
+      bucket: bucket
+    });
+  });
+
+  const headers = [reportInfo.party, 'Date', 'Transaction Type', 'Num', 'Due Date', 'Days Past Due', 'Amount']
+    .concat(bucketLabels, ['Open Balance']);
+
+  const byParty = {};
+  transactions.forEach(txn => {
+    (byParty[txn.party] = byParty[txn.party] || []).push(txn);
+  });
+
+  const rows = [];
+  const totalRows = [];
+  const grandBuckets = bucketLabels.map(() => 0);
+  let grandTotal = 0;
+
+  Object.keys(byParty).sort((a, b) => a.localeCompare(b)).forEach(party => {
+    const partyBuckets = bucketLabels.map(() => 0);
+    let partyTotal = 0;
+
+    byParty[party]
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+      .forEach(txn => {
+        const bucketValues = bucketLabels.map(label => label === txn.bucket ? txn.openBalance : '');
+        rows.push([party, txn.date, txn.type, txn.num, txn.dueDate, txn.daysPastDue, txn.amount]
+          .concat(bucketValues, [txn.openBalance]));
+
+        partyBuckets[bucketLabels.indexOf(txn.bucket)] += txn.openBalance;
+        partyTotal += txn.openBalance;
+      });
+
+    rows.push([`Total for ${party}`, '', '', '', '', '', ''].concat(partyBuckets.map(roundAgingAmount), [roundAgingAmount(partyTotal)]));
+    totalRows.push(rows.length);
+
+    partyBuckets.forEach((amount, index) => { grandBuckets[index] += amount; });
+    grandTotal += partyTotal;
+  });
+
+  if (rows.length > 0) {
+    rows.push(['TOTAL', '', '', '', '', '', ''].concat(grandBuckets.map(roundAgingAmount), [roundAgingAmount(grandTotal)]));
+    totalRows.push(rows.length);
+  }
+
+  const currentIndex = bucketLabels.indexOf('Current');
+  return {
+    headers: headers,
+    rows: rows,
+    bucketLabels: bucketLabels,
+    firstAmountColumn: 7,
+    totals: {
+      current: currentIndex >= 0 ? roundAgingAmount(grandBuckets[currentIndex]) : 0,
+      buckets: grandBuckets.map(roundAgingAmount),
+      total: roundAgingAmount(grandTotal)
+    },
+    partyCount: Object.keys(byParty).length,
+    totalRows: totalRows
+  };
+}
+
+/**
+ * Walks a report's rows, returning each data and summary row with the
+ * header of the section it is in.
+ *
+ * @param {Object} reportData - The report from QuickBooks
+ * @return {Array} Entries as {colData, section, summary}
+ */
+function flattenAgingRows(reportData) {
+  const entries = [];
+
+  const walk = (rows, section) => {
+    (rows || []).forEach(row => {
+      if (row.Rows && row.Rows.Row) {
+        const header = row.Header && row.Header.ColData && row.Header.ColData[0] ?
+          row.Header.ColData[0].value : section;
+        walk(row.Rows.Row, header);
+        // Section totals are rebuilt per customer/vendor, so only the report total is kept
+        if (row.Summary && row.group === 'GrandTotal') {
+          entries.push({ colData: row.Summary.ColData || [], section: section, summary: true });
+        }
+      } else if (row.ColData) {
+        entries.push({ colData: row.ColData, section: section, summary: false });
+      } else if (row.Summary && !section) {
+        entries.push({ colData: row.Summary.ColData || [], section: section, summary: true });
+      }
+    });
+  };
+
+  walk(reportData && reportData.Rows ? reportData.Rows.Row : [], '');
+  return entries;
+}
+
+/**
+ * Finds a detail report column by its ColKey metadata.
+ *
+ * @param {Array} columns - The report columns
+ * @param {Array} keys - Accepted ColKey values
+ * @return {number} The column index, or -1
+ */
+function findAgingColumn(columns, keys) {
+  return columns.findIndex(column => (column.MetaData || []).some(meta =>
+    meta.Name === 'ColKey' && keys.includes(meta.Value)));
+}
+
+/**
+ * Shortens QuickBooks bucket section names, e.g. "1 - 30 days past due" -> "1 - 30".
+ *
+ * @param {string} label - The section header
+ * @return {string} The bucket label
+ */
+function normalizeAgingBucketLabel(label) {
+  return String(label).replace(/\s*days past due$/i, '').trim() || 'Current';
+}
+
+/**
+ * Parses a report amount, which QuickBooks sends as a string.
+ *
+ * @param {string} value - The value
+ * @return {number} The amount, 0 when blank
+ */
+function parseAgingAmount(value) {
+  const amount = parseFloat(String(value || '').replace(/,/g, ''));
+  return isNaN(amount) ? 0 : amount;
+}
+
+/**
+ * Rounds a summed amount to cents.
+ *
+ * @param {number} value - The amount
+ * @return {number} The rounded amount
+ */
+function roundAgingAmount(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,176 @@
+/**
+ * Aging Report Service
+ * Accounts Receivable and Accounts Payable aging reports. Aging reports are
+ * as of a single report date instead of a date range, and are written with one
+ * column per aging bucket. The rows are laid out by AgingReportLayoutService.
+ */
+
+// Aging report types and how they are presented
+const QBO_AGING_REPORTS = {
+  AgedReceivables: { title: 'A/R Aging Summary', party: 'Customer', detail: false },
+  AgedReceivableDetail: { title: 'A/R Aging Detail', party: 'Customer', detail: true },
+  AgedPayables: { title: 'A/P Aging Summary', party: 'Vendor', detail: false },
+  AgedPayableDetail: { title: 'A/P Aging Detail', party: 'Vendor', detail: true }
+};
+
+/**
+ * Checks whether a report type is an aging report.
+ *
+ * @param {string} reportType - The report type
+ * @return {boolean} True for the A/R and A/P aging reports
+ */
+function isAgingReport(reportType) {
+  return QBO_AGING_REPORTS.hasOwnProperty(reportType);
+}
+
+/**
+ * Builds the report parameters for an aging intent. The report date is the
+ * explicit reportDate filter, else the end of the requested range, else
+ * today; it is never later than today.
+ *
+ * @param {Object} intent - The aging report intent
+ * @return {Object} The report parameters
+ */
+function buildAgingReportParams(intent) {
+  const today = getTodayDate();
+  const filters = intent.filters || {};
+  const parameters = intent.parameters || {};
+
+  let reportDate = filters.reportDate || filters.endDate || today;
+  if (reportDate > today) {
+    reportDate = today;
+  }
+
+  const params = {
+    report_date: reportDate,
+    aging_method: parameters.agingMethod === 'Current' ? 'Current' : 'Report_Date'
+  };
+
+  if (parameters.agingPeriod) {
+    params.aging_period = parseInt(parameters.agingPeriod, 10);
+  }
+  if (parameters.numPeriods) {
+    params.num_periods = parseInt(parameters.numPeriods, 10);
+  }
+
+  return params;
+}
+
+/**
+ * Fetches an aging report and writes it to a sheet.
+ *
+ * @param {Object} intent - The aging report intent
+ * @return {Object} The response object
+ */
+function fetchAgingReport(intent) {
+  try {
+    const params = buildAgingReportParams(intent);
+    logAction('Fetching Report', intent.entity, JSON.stringify(params));
+
+    const reportData = getReport(intent.entity, params);
+    logRawApiResponseToActionLog(reportData);
+
+    return processAgingReport(reportData, intent, params);
+  } catch (error) {
+    if (error instanceof QboError) {
+      throw error;
+    }
+    console.error('Error in fetchAgingReport: ' + error.toString());
+    return {
+      type: 'error',
+      message: `Failed to fetch ${intent.entity} report: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Formats an aging report, writes it to a sheet and summarizes it.
+ *
+ * @param {Object} reportData - The report from QuickBooks
+ * @param {Object} intent - The aging report intent
+ * @param {Object} params - The report parameters that were sent
+ * @return {Object} The response object
+ */
+function processAgingReport(reportData, intent, params) {
+  const reportInfo = QBO_AGING_REPORTS[intent.entity];
+  const aging = reportInfo.detail ?
+    formatAgingDetailReport(reportData, reportInfo, params.report_date) :
+    formatAgingSummaryReport(reportData, reportInfo);
+
+  const sheetName = intent.destination || `${intent.entity}_${params.report_date}`;
+
+  if (aging.rows.length === 0) {
+    return {
+      type: 'warning',
+      message: `${reportInfo.title} as of ${params.report_date}: nothing is outstanding.`,
+      data: {
+        rowCount: 0,
+        sheetName: sheetName
+      }
+    };
+  }
+
+  const formattedData = [aging.headers].concat(aging.rows);
+  const writeResult = writeIntentData(sheetName, formattedData);
+  if (!writeResult.success) {
+    throw new Error(writeResult.message);
+  }
+
+  if (!isCollectingCompanyRows()) {
+    formatAgingSheet(writeResult.sheetName, formattedData, aging);
+  }
+
+  const totals = aging.totals;
+  const pastDue = totals.total - totals.current;
+  const oldest = aging.bucketLabels.length > 0 ? totals.buckets[aging.bucketLabels.length - 1] : 0;
+  const oldestLabel = aging.bucketLabels[aging.bucketLabels.length - 1] || '';
+  const money = value => '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  let message = `${reportInfo.title} as of ${params.report_date} written to sheet "${writeResult.sheetName}": ` +
+                `${money(totals.total)} open across ${aging.partyCount} ${reportInfo.party.toLowerCase()}` +
+                `${aging.partyCount === 1 ? '' : 's'}, ${money(pastDue)} past due.`;
+  if (oldest > 0 && oldestLabel && oldestLabel !== 'Current') {
+    message += ` ${money(oldest)} is in the ${oldestLabel} bucket.`;
+  }
+
+  return {
+    type: 'success',
+    message: message,
+    data: {
+      rowCount: aging.rows.length,
+      columnCount: aging.headers.length,
+      sheetName: writeResult.sheetName,
+      reportDate: params.report_date,
+      total: totals.total,
+      pastDue: pastDue
+    }
+  };
+}
+
+/**
+ * Applies number formats and bolds the header and total rows.
+ *
+ * @param {string} sheetName - The sheet the report was written to
+ * @param {Array} formattedData - The rows that were written, header first
+ * @param {Object} aging - The formatted report
+ */
+function formatAgingSheet(sheetName, formattedData, aging) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+    if (!sheet) {
+      return;
+    }
+
+    const width = formattedData[0].length;
+    sheet.getRange(1, 1, 1, width).setFontWeight('bold');
+    sheet.getRange(2, aging.firstAmountColumn, formattedData.length - 1, width - aging.firstAmountColumn + 1)
+      .setNumberFormat('#,##0.00');
+    aging.totalRows.forEach(row => {
+      sheet.getRange(row + 1, 1, 1, width).setFontWeight('bold');
+    });
+    sheet.setFrozenRows(1);
+  } catch (error) {
+    // Formatting is cosmetic, so the written data stands either way
+    console.error('Failed to format aging sheet: ' + error.toString());
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Bill Import Preview Service
+ * Keeps the bill preview between chat turns and writes the messages for it.
+ * The preview is saved per user with a fingerprint of what it showed, so a
+ * "confirm" only posts when the rows and vendor choices are unchanged.
+ */
+
+const QBO_BILL_IMPORT_CONFIG = {
+  PREVIEW_PROPERTY: 'QBO_BILL_IMPORT_PREVIEW',
+  PREVIEW_MAX_AGE_MS: 3600000    // A preview older than an hour has to be run again
+};
+
+/**
+ * Summarizes a plan so a confirmation can tell whether anything changed
+ * since the preview.
+ *
+ * @param {string} sheetName - The imported sheet
+ * @param {Object} plan - The result of planBillImport
+ * @return {string} The fingerprint
+ */
+function getBillImportFingerprint(sheetName, plan) {
+  const content = JSON.stringify({
+    sheetName: sheetName,
+    documents: plan.documents.map(document => [document.rows[0].rowNumber, document.entity, document.record,
+                                               document.newVendor || '', document.problems.length]),
+    newVendors: plan.newVendors.map(vendor => vendor.name)
+  });
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, content, Utilities.Charset.UTF_8);
+  return Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Gets the last bill preview for this spreadsheet and company.
+ *
+ * @return {Object} The saved preview, or null if there is none or it has expired
+ */
+function getBillImportPreview() {
+  const stored = PropertiesService.getUserProperties().getProperty(QBO_BILL_IMPORT_CONFIG.PREVIEW_PROPERTY);
+  if (!stored) {
+    return null;
+  }
+
+  const preview = JSON.parse(stored);
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (!spreadsheet || preview.spreadsheetId !== spreadsheet.getId() || preview.realmId !== getCompanyId() ||
+      Date.now() - preview.savedAt > QBO_BILL_IMPORT_CONFIG.PREVIEW_MAX_AGE_MS) {
+    return null;
+  }
+  return preview;
+}
+
+/**
+ * Saves the preview a confirmation will be checked against.
+ *
+ * @param {Object} preview - {spreadsheetId, realmId, sheetName, firstRow, endRow, decisions, fingerprint, savedAt}
+ */
+function saveBillImportPreview(preview) {
+  PropertiesService.getUserProperties().setProperty(QBO_BILL_IMPORT_CONFIG.PREVIEW_PROPERTY, JSON.stringify(preview));
+}
+
+/**
+ * Forgets the saved preview.
+ */
+function clearBillImportPreview() {
+  PropertiesService.getUserProperties().deleteProperty(QBO_BILL_IMPORT_CONFIG.PREVIEW_PROPERTY);
+}
+
+/**
+ * Describes one planned record for the preview.
+ *
+ * @param {Object} document - A document from planBillImport
+ * @return {string} e.g. 'Bill #88 from Acme Corp, 2024-03-05, due 2024-04-04: Office Supplies $120.00 "toner"'
+ */
+function describeBillImportRecord(document) {
+  const record = document.record;
+  const line = record.Line[0];
+  const vendorRef = document.entity === 'Bill' ? record.VendorRef : record.EntityRef;
+
+  let vendor = vendorRef.name;
+  if (document.newVendor) {
+    vendor += ' (new vendor)';
+  } else if (document.vendorMatch === 'close' || document.vendorMatch === 'confirmed') {
+    vendor += ` (for "${String(document.rows[0].values.vendor).trim()}")`;
+  }
+
+  let text = document.entity === 'Bill' ?
+    `Bill${record.DocNumber ? ' #' + record.DocNumber : ''} from ${vendor}, ${record.TxnDate}, ` +
+      (record.DueDate ? `due ${record.DueDate}` : 'due per vendor terms') :
+    `Expense${record.DocNumber ? ' #' + record.DocNumber : ''} to ${vendor} paid from ${record.AccountRef.name}, ${record.TxnDate}`;
+  text += `: ${line.AccountBasedExpenseLineDetail.AccountRef.name} ${formatImportCurrency(line.Amount)}`;
+  if (line.Description) {
+    text += ` "${line.Description}"`;
+  }
+  if (record.PrivateNote) {
+    text += `, memo "${record.PrivateNote}"`;
+  }
+  return text;
+}
+
+/**
+ * Builds the dry-run response: what would be created, the vendors that need
+ * an answer and the rows that would be skipped.
+ *
+ * @param {string} sheetName - The imported sheet
+ * @param {Object} plan - The result of planBillImport
+ * @param {number} skipped - Rows already created on an earlier run
+ * @param {number} remaining - Rows beyond this batch
+ * @param {string} note - Text to put first, or ''
+ * @return {Object} The response object
+ */
+function formatBillImportPreview(sheetName, plan, skipped, remaining, note) {
+  const ready = plan.documents.filter(document => document.problems.length === 0);
+
+  const parts = [note + `Preview of ${plan.documents.length} row(s) from "${sheetName}". Nothing has been written to QuickBooks yet.`];
+
+  if (ready.length > 0) {
+    const total = roundImportAmount(ready.reduce((sum, document) => sum + document.record.Line[0].Amount, 0));
+    parts.push(`Ready to create (${formatImportCurrency(total)}):\n` +
+               ready.map(document => `- Row ${document.rows[0].rowNumber}: ${describeBillImportRecord(document)}`).join('\n'));
+  }
+
+  if (plan.questions.length > 0) {
+    parts.push('Vendors to confirm:\n' + plan.questions.map(question => {
+      const rows = question.rows.length === 1 ? `row ${question.rows[0]}` : `rows ${question.rows.join(', ')}`;
+      const closest = question.suggestions.length > 0 ?
+        `Closest: ${question.suggestions.map(name => `"${name}"`).join(', ')}. Reply 'use "${question.suggestions[0]}" for "${question.name}"' or ` :
+        'No similar vendor. Reply ';
+      return `- "${question.name}" (${rows}) is not a vendor in QuickBooks. ${closest}'create vendor "${question.name}"'.`;
+    }).join('\n') + '\nOr reply "create the missing vendors" to create them all.');
+  }
+
+  const problems = [];
+  plan.documents.forEach(document => document.problems
+    .filter(problem => !problem.vendorQuestion)
+    .forEach(problem => problems.push(`Row ${problem.rowNumber}: ${problem.message}`)));
+  if (problems.length > 0) {
+    parts.push('These rows will be skipped until they are fixed:\n' + formatImportProblems(problems));
+  }
+
+  if (skipped > 0) {
+    parts.push(`${skipped} row(s) were left out because they were created on an earlier run.`);
+  }
+  if (remaining > 0) {
+    parts.push(`${remaining} more row(s) will be previewed after these are created.`);
+  }
+
+  const bills = ready.filter(document => document.entity === 'Bill').length;
+  const expenses = ready.length - bills;
+  const vendors = plan.newVendors.filter(vendor => vendor.documents.some(document => document.problems.length === 0)).length;
+  if (ready.length > 0) {
+    parts.push(`Reply "confirm" to create ${bills} bill${bills === 1 ? '' : 's'} and ${expenses} expense${expenses === 1 ? '' : 's'}` +
+               (vendors > 0 ? ` and ${vendors} new vendor${vendors === 1 ? '' : 's'}` : '') + '.');
+  }
+
+  return {
+    type: ready.length > 0 ? 'info' : 'warning',
+    message: parts.join('\n\n'),
+    data: {
+      sheetName: sheetName,
+      dryRun: true,
+      preview: plan.documents.map(document => ({
+        row: document.rows[0].rowNumber,
+        entity: document.entity,
+        record: document.record,
+        newVendor: document.newVendor || null,
+        problems: document.problems.map(problem => problem.message)
+      })),
+      vendorQuestions: plan.questions
+    }
+  };
+}
+
+/**
+ * Builds the chat summary after the records were posted.
+ *
+ * @param {string} sheetName - The imported sheet
+ * @param {Object} outcome - The result of postImportDocuments
+ * @param {Object} plan - The result of planBillImport
+ * @param {number} skipped - Rows already created on an earlier run
+ * @param {number} remaining - Rows beyond this batch
+ * @return {string} The message
+ */
+function formatBillImportMessage(sheetName, outcome, plan, skipped, remaining) {
+  const parts = [];
+  const created = outcome.created;
+
+  if (created.length > 0) {
+    const total = created.reduce((sum, record) => sum + (Number(record.TotalAmt) || 0), 0);
+    parts.push(`Created ${created.length} bill(s) and expense(s) from "${sheetName}" totalling ` +
+               `${formatImportCurrency(roundImportAmount(total))}. The Ids are in the "${QBO_IMPORT_CONFIG.ID_HEADER}" column.`);
+  } else {
+    parts.push(`Nothing was created from "${sheetName}".`);
+  }
+
+  const vendors = plan.newVendors.filter(vendor => vendor.record).map(vendor => `"${vendor.record.DisplayName}"`);
+  if (vendors.length > 0) {
+    parts.push(`New vendor${vendors.length === 1 ? '' : 's'}: ${vendors.join(', ')}.`);
+  }
+  if (outcome.problems.length > 0) {
+    parts.push(`These rows were not created (see the "${QBO_IMPORT_CONFIG.STATUS_HEADER}" column):\n` +
+               formatImportProblems(outcome.problems));
+  }
+  if (skipped > 0) {
+    parts.push(`${skipped} row(s) were skipped because they were created on an earlier run.`);
+  }
+  if (remaining > 0) {
+    parts.push(`${remaining} more row(s) are waiting. Ask again to preview the next ${QBO_IMPORT_CONFIG.MAX_DOCUMENTS}.`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Reads a reply to a bill preview: "confirm", 'use "Acme Corp" for "Acme"',
+ * 'create vendor "Acme"' or "create the missing vendors".
+ *
+ * @param {string} query - The user's query
+ * @return {Object} Intent parameters, or null if the query isn't a reply
+ */
+function parseBillImportReply(query) {
+  const text = String(query).trim().replace(/[“”]/g, '"');
+  const lower = text.toLowerCase().replace(/[.!]+$/, '');
+  const parameters = {};
+
+  if (/^(confirm(ed)?|yes|yep|ok(ay)?|go ahead|do it|(post|create|enter) (them|it|these))( please)?$/.test(lower)) {
+    parameters.confirm = true;
+  }
+
+  const matchPattern = /\buse "([^"]+)" for "([^"]+)"/gi;
+  let match;
+  while ((match = matchPattern.exec(text)) !== null) {
+    parameters.vendorMatches = parameters.vendorMatches || {};
+    parameters.vendorMatches[match[2]] = match[1];
+  }
+
+  if (/\bcreate (all )?(the )?(missing|new|unmatched|other) vendors\b/.test(lower)) {
+    parameters.createVendors = true;
+  } else {
+    const createMatch = text.match(/\bcreate (?:new )?vendors? ((?:"[^"]+"(?:,? (?:and )?)?)+)/i);
+    if (createMatch) {
+      parameters.createVendors = createMatch[1].match(/"[^"]+"/g).map(name => name.slice(1, -1));
+    }
+  }
+
+  return Object.keys(parameters).length > 0 ? parameters : null;
+}
@@ -0,0 +1,319 @@
+/**
+ * Bill Import Service
+ * Turns the rows of a bill-intake sheet into QuickBooks Bills (paid later)
+ * or Purchases (expenses already paid from a bank or credit card account),
+ * one record per row.
+ *
+ * Nothing is written on the first request: it previews exactly what would be
+ * created and asks about vendors that don't match. Vendor names that only
+ * differ in case, punctuation or a suffix like "Inc" match on their own;
+ * anything looser is offered as a suggestion to confirm ('use "Acme Corp"
+ * for "Acme"'), and a vendor can be created instead ('create vendor "Acme"').
+ * "Confirm" then posts the previewed records, as long as the rows and the
+ * vendor choices haven't changed since.
+ *
+ * Vendor matching is in BillVendorService and the saved preview and its
+ * messages in BillImportPreviewService.
+ */
+
+// Fields of a bill row and the headers each one accepts (first one is shown in messages)
+const QBO_BILL_IMPORT_COLUMNS = {
+  type: ['Type', 'Transaction Type'],
+  vendor: ['Vendor', 'Vendor Name', 'Payee', 'Supplier'],
+  billNumber: ['Bill No', 'Bill Number', 'Ref No', 'Reference', 'Vendor Invoice', 'DocNumber'],
+  date: ['Date', 'Bill Date', 'TxnDate'],
+  dueDate: ['Due Date', 'DueDate'],
+  account: ['Account', 'Expense Account', 'Category'],
+  amount: ['Amount', 'Total'],
+  description: ['Description'],
+  memo: ['Memo', 'Notes'],
+  paymentAccount: ['Payment Account', 'Paid From', 'Bank Account', 'Card']
+};
+
+/**
+ * Previews or posts bills and expenses from the selected rows (or
+ * parameters.sheetName / parameters.range).
+ *
+ * Parameters:
+ * - confirm: post the records from the last preview
+ * - vendorMatches: {"name in sheet": "QuickBooks vendor"} for vendors that didn't match
+ * - createVendors: true to create every unmatched vendor, or a list of names to create
+ *
+ * @param {Object} intent - The import intent
+ * @return {Object} The response object
+ */
+function importBillsFromSheet(intent) {
+  try {
+    const parameters = intent.parameters || {};
+    const preview = getBillImportPreview();
+    const confirming = parameters.confirm === true || parameters.confirm === 'true';
+
+    if (confirming && !preview) {
+      return {
+        type: 'error',
+        message: 'There is no bill preview to confirm, or it is more than an hour old. ' +
+                 'Select the bill rows and ask to "enter bills from the selected rows" to preview them first.'
+      };
+    }
+
+    // Confirmations and vendor choices carry on with the previewed rows
+    const continuing = preview && !parameters.sheetName && !parameters.range &&
+      (confirming || parameters.vendorMatches || parameters.createVendors);
+    const source = continuing ?
+      { sheetName: preview.sheetName, range: `${preview.firstRow}:${preview.endRow}` } :
+      { sheetName: parameters.sheetName, range: parameters.range };
+    const decisions = mergeBillVendorDecisions(continuing ? preview.decisions : null, parameters);
+
+    const importData = readImportRows({ parameters: source }, QBO_BILL_IMPORT_COLUMNS, ['vendor', 'account', 'amount']);
+    const sheetName = importData.sheet.getName();
+    const statusHeaders = [QBO_IMPORT_CONFIG.ID_HEADER, QBO_IMPORT_CONFIG.DOC_NUMBER_HEADER, QBO_IMPORT_CONFIG.STATUS_HEADER];
+    ensureImportStatusColumns(importData, statusHeaders, false);
+
+    const pendingRows = importData.rows.filter(row => !row.existingId);
+    const skipped = importData.rows.length - pendingRows.length;
+    if (pendingRows.length === 0) {
+      clearBillImportPreview();
+      return {
+        type: 'info',
+        message: importData.rows.length === 0 ?
+          `There are no bill rows to import in "${sheetName}".` :
+          `All ${importData.rows.length} row(s) in "${sheetName}" were already created ` +
+          `(they have a "${QBO_IMPORT_CONFIG.ID_HEADER}"). Clear that column for a row to create it again.`
+      };
+    }
+
+    const batchRows = pendingRows.slice(0, QBO_IMPORT_CONFIG.MAX_DOCUMENTS);
+    const lists = {
+      vendors: getImportRecords('Vendor', ['Id', 'DisplayName', 'CompanyName']),
+      accounts: getImportRecords('Account', ['Id', 'Name', 'FullyQualifiedName', 'AcctNum', 'AccountType'])
+    };
+    const plan = planBillImport(batchRows, lists, decisions);
+    const fingerprint = getBillImportFingerprint(sheetName, plan);
+
+    if (!confirming || fingerprint !== preview.fingerprint || plan.questions.length > 0) {
+      saveBillImportPreview({
+        spreadsheetId: SpreadsheetApp.getActiveSpreadsheet().getId(),
+        realmId: getCompanyId(),
+        sheetName: sheetName,
+        firstRow: importData.firstRow,
+        endRow: importData.endRow,
+        decisions: decisions,
+        fingerprint: fingerprint,
+        savedAt: Date.now()
+      });
+
+      let note = '';
+      if (confirming && fingerprint !== preview.fingerprint) {
+        note = 'The rows or vendors changed since the last preview, so nothing was created. Here is the new preview.\n\n';
+      } else if (confirming) {
+        note = 'Some vendors still need an answer, so nothing was created.\n\n';
+      }
+      logAction('Bill Import Preview', sheetName,
+                `${plan.documents.filter(doc => doc.problems.length === 0).length} ready, ${plan.questions.length} vendor questions`);
+      return formatBillImportPreview(sheetName, plan, skipped, pendingRows.length - batchRows.length, note);
+    }
+
+    // Confirmed and unchanged: create the new vendors, then the records
+    const statusColumns = ensureImportStatusColumns(importData, statusHeaders);
+    createBillImportVendors(plan);
+    const outcome = postImportDocuments(importData, statusColumns, 'Bill', plan.documents);
+    clearBillImportPreview();
+
+    logAction('Bill Import', sheetName,
+              `${outcome.created.length} created, ${outcome.failed} failed, ${plan.newVendors.length} vendors created`);
+    if (outcome.stopError) {
+      throw outcome.stopError;
+    }
+
+    return {
+      type: outcome.created.length > 0 ? 'success' : 'error',
+      message: formatBillImportMessage(sheetName, outcome, plan, skipped, pendingRows.length - batchRows.length),
+      data: {
+        sheetName: sheetName,
+        created: outcome.created.map(record => ({ id: record.Id, docNumber: record.DocNumber, total: record.TotalAmt })),
+        vendorsCreated: plan.newVendors.filter(vendor => vendor.record).map(vendor => vendor.record.DisplayName),
+        failed: outcome.failed,
+        skipped: skipped,
+        problems: outcome.problems
+      }
+    };
+  } catch (error) {
+    console.error('Error in importBillsFromSheet: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
+    return {
+      type: 'error',
+      message: 'Failed to enter bills from the sheet: ' + error.message
+    };
+  }
+}
+
+/**
+ * Builds the record for every row and works out each vendor: matched,
+ * confirmed by the user, to be created, or still a question.
+ *
+ * @param {Array} rows - The rows to import
+ * @param {Object} lists - {vendors, accounts} from getImportRecords
+ * @param {Object} decisions - {matches: {normalized name: vendor name}, create: true|[normalized names]}
+ * @return {Object} {documents, questions: [{name, rows, suggestions}], newVendors: [{name, documents}]}
+ */
+function planBillImport(rows, lists, decisions) {
+  const today = getTodayDate();
+  const questions = {};
+  const newVendors = {};
+  const existing = findExistingBillNumbers(rows);
+
+  const documents = rows.map(row => {
+    const values = row.values;
+    const document = { rows: [row], problems: [], label: 'this row' };
+    const problem = message => document.problems.push({ rowNumber: row.rowNumber, message: message });
+
+    // Vendor
+    const vendorName = isBlankImportValue(values.vendor) ? '' : String(values.vendor).trim().replace(/\s+/g, ' ');
+    const vendorRef = {};
+    if (!vendorName) {
+      problem('No vendor.');
+    } else {
+      const resolved = resolveBillVendor(lists.vendors, vendorName, decisions);
+      if (resolved.vendor) {
+        document.vendor = resolved.vendor;
+        document.vendorMatch = resolved.how;
+        vendorRef.value = resolved.vendor.Id;
+        vendorRef.name = resolved.vendor.DisplayName;
+      } else if (resolved.create) {
+        const key = normalizeImportName(vendorName);
+        newVendors[key] = newVendors[key] || { name: vendorName, documents: [] };
+        newVendors[key].documents.push(document);
+        document.newVendor = vendorName;
+        vendorRef.name = vendorName;
+      } else {
+        const key = normalizeImportName(vendorName);
+        questions[key] = questions[key] || { name: vendorName, rows: [], suggestions: resolved.suggestions };
+        questions[key].rows.push(row.rowNumber);
+        document.problems.push({ rowNumber: row.rowNumber, message: `Vendor "${vendorName}" needs to be confirmed or created.`, vendorQuestion: true });
+      }
+    }
+
+    // Type: a payment account makes it an expense unless the Type column says otherwise
+    const typeText = normalizeImportName(values.type);
+    let entity = isBlankImportValue(values.paymentAccount) ? 'Bill' : 'Purchase';
+    if (/bill/.test(typeText)) {
+      entity = 'Bill';
+    } else if (/expense|purchase|check|cheque|card|cash/.test(typeText)) {
+      entity = 'Purchase';
+    } else if (typeText) {
+      problem(`Type "${values.type}" is not Bill or Expense.`);
+    }
+    document.entity = entity;
+
+    // Amount and account
+    const amount = parseImportNumber(values.amount);
+    if (amount === null || amount <= 0) {
+      problem(isBlankImportValue(values.amount) ? 'No amount.' : `Amount "${values.amount}" is not an amount greater than 0.`);
+    }
+    const account = matchImportRecord(lists.accounts, values.account, ['FullyQualifiedName', 'Name', 'AcctNum']);
+    if (!account) {
+      problem(isBlankImportValue(values.account) ? 'No account.' : `"${String(values.account).trim()}" is not an account in QuickBooks.`);
+    }
+
+    const line = {
+      DetailType: 'AccountBasedExpenseLineDetail',
+      Amount: amount === null ? 0 : roundImportAmount(amount),
+      AccountBasedExpenseLineDetail: {
+        AccountRef: account ? { value: account.Id, name: account.FullyQualifiedName || account.Name } : {}
+      }
+    };
+    if (!isBlankImportValue(values.description)) {
+      line.Description = String(values.description).trim();
+    }
+
+    const record = { TxnDate: today, Line: [line] };
+    const date = isBlankImportValue(values.date) ? today : parseImportDate(values.date);
+    if (date) {
+      record.TxnDate = date;
+    } else {
+      problem(`"${values.date}" is not a date.`);
+    }
+    if (!isBlankImportValue(values.billNumber)) {
+      record.DocNumber = String(values.billNumber).trim();
+    }
+    if (!isBlankImportValue(values.memo)) {
+      record.PrivateNote = String(values.memo).trim();
+    }
+
+    if (entity === 'Bill') {
+      record.VendorRef = vendorRef;
+      if (!isBlankImportValue(values.dueDate)) {
+        const dueDate = parseImportDate(values.dueDate);
+        if (dueDate) {
+          record.DueDate = dueDate;
+        } else {
+          problem(`"${values.dueDate}" is not a date.`);
+        }
+      }
+      if (!isBlankImportValue(values.paymentAccount)) {
+        problem('Bills are paid later, so leave Payment Account blank or set Type to Expense.');
+      }
+      if (record.DocNumber && vendorRef.value && existing[vendorRef.value + '|' + record.DocNumber]) {
+        problem(`Bill ${record.DocNumber} from ${vendorRef.name} already exists in QuickBooks (Id ${existing[vendorRef.value + '|' + record.DocNumber]}).`);
+      }
+    } else {
+      record.EntityRef = Object.assign({ type: 'Vendor' }, vendorRef);
+      const paymentAccount = matchImportRecord(lists.accounts, values.paymentAccount, ['FullyQualifiedName', 'Name', 'AcctNum']);
+      if (!paymentAccount) {
+        problem(isBlankImportValue(values.paymentAccount) ?
+          'Expenses need a Payment Account (the bank or credit card it was paid from).' :
+          `"${String(values.paymentAccount).trim()}" is not an account in QuickBooks.`);
+      } else if (paymentAccount.AccountType !== 'Bank' && paymentAccount.AccountType !== 'Credit Card') {
+        problem(`"${paymentAccount.FullyQualifiedName || paymentAccount.Name}" is not a bank or credit card account, ` +
+                'so an expense can\'t be paid from it.');
+      } else {
+        record.AccountRef = { value: paymentAccount.Id, name: paymentAccount.FullyQualifiedName || paymentAccount.Name };
+        record.PaymentType = paymentAccount.AccountType === 'Credit Card' ? 'CreditCard' : 'Cash';
+      }
+      if (!isBlankImportValue(values.dueDate)) {
+        problem('Expenses are already paid, so leave Due Date blank or set Type to Bill.');
+      }
+    }
+
+    document.record = record;
+    return document;
+  });
+
+  return {
+    documents: documents,
+    questions: Object.keys(questions).map(key => questions[key]),
+    newVendors: Object.keys(newVendors).map(key => newVendors[key])
+  };
+}
+
+/**
+ * Finds bills already in QuickBooks with the numbers about to be entered.
+ * Bill numbers are only unique per vendor.
+ *
+ * @param {Array} rows - The rows to import
+ * @return {Object} Existing bill Id per 'vendorId|number'
+ */
+function findExistingBillNumbers(rows) {
+  const numbers = rows.filter(row => !isBlankImportValue(row.values.billNumber))
+    .map(row => String(row.values.billNumber).trim())
+    .filter((number, index, all) => all.indexOf(number) === index);
+  const existing = {};
+
+  for (let i = 0; i < numbers.length; i += 100) {
+    const query = buildQboQuery({
+      entity: 'Bill',
+      select: ['Id', 'DocNumber', 'VendorRef'],
+      where: [{ field: 'DocNumber', op: 'IN', value: numbers.slice(i, i + 100) }]
+    });
+    const queryData = queryAllQuickBooks(query);
+    ((queryData && queryData.QueryResponse && queryData.QueryResponse.Bill) || []).forEach(bill => {
+      if (bill.VendorRef) {
+        existing[bill.VendorRef.value + '|' + bill.DocNumber] = bill.Id;
+      }
+    });
+  }
+
+  return existing;
+}
@@ -0,0 +1,174 @@
+/**
+ * Bill Vendor Service
+ * Works out which QuickBooks vendor each bill row means. Names that only
+ * differ in case, punctuation or a suffix like "Inc" match on their own;
+ * looser matches are offered as suggestions for the user to confirm, and
+ * vendors the user asks for are created before the bills are posted.
+ */
+
+const QBO_VENDOR_MATCH_CONFIG = {
+  MIN_SIMILARITY: 0.5,           // Vendors less similar than this aren't suggested
+  MAX_SUGGESTIONS: 3
+};
+
+// Words that don't tell vendors apart ("Acme, Inc." is "ACME")
+const QBO_VENDOR_NAME_NOISE = /\b(the|inc|incorporated|llc|llp|ltd|limited|co|corp|corporation|company|plc|gmbh)\b/g;
+
+/**
+ * Finds the vendor a name refers to.
+ *
+ * @param {Array} vendors - Vendor records
+ * @param {string} name - The vendor name in the sheet
+ * @param {Object} decisions - The user's vendor choices
+ * @return {Object} {vendor, how: 'exact'|'close'|'confirmed'}, {create: true}, or {suggestions: [names]}
+ */
+function resolveBillVendor(vendors, name, decisions) {
+  const key = normalizeImportName(name);
+
+  const exact = matchImportRecord(vendors, name, ['DisplayName', 'CompanyName']);
+  if (exact) {
+    return { vendor: exact, how: 'exact' };
+  }
+
+  if (decisions.matches[key]) {
+    const confirmed = matchImportRecord(vendors, decisions.matches[key], ['DisplayName', 'CompanyName']);
+    if (confirmed) {
+      return { vendor: confirmed, how: 'confirmed' };
+    }
+  }
+
+  // Same name apart from case, punctuation and suffixes such as "Inc"
+  const simplified = simplifyVendorName(name);
+  const close = vendors.filter(vendor => simplified && simplifyVendorName(vendor.DisplayName) === simplified);
+  if (close.length === 1) {
+    return { vendor: close[0], how: 'close' };
+  }
+
+  if (decisions.create === true || (Array.isArray(decisions.create) && decisions.create.includes(key))) {
+    return { create: true };
+  }
+
+  const suggestions = vendors
+    .map(vendor => ({ name: vendor.DisplayName, score: getVendorNameSimilarity(simplified, simplifyVendorName(vendor.DisplayName)) }))
+    .filter(candidate => candidate.score >= QBO_VENDOR_MATCH_CONFIG.MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, QBO_VENDOR_MATCH_CONFIG.MAX_SUGGESTIONS)
+    .map(candidate => candidate.name);
+
+  return { suggestions: suggestions };
+}
+
+/**
+ * Reduces a vendor name to what tells vendors apart: lower case, no
+ * punctuation, no legal suffixes.
+ *
+ * @param {string} name - The vendor name
+ * @return {string} e.g. 'acme' for 'Acme, Inc.'
+ */
+function simplifyVendorName(name) {
+  return String(name || '').toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(QBO_VENDOR_NAME_NOISE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Scores how alike two simplified names are, from 0 to 1, by the letter
+ * pairs they share (Dice coefficient). A name that contains the other as
+ * whole words scores at least 0.8.
+ *
+ * @param {string} a - A simplified name
+ * @param {string} b - Another simplified name
+ * @return {number} The similarity
+ */
+function getVendorNameSimilarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const pairs = text => {
+    const result = [];
+    const compact = text.replace(/ /g, '');
+    for (let i = 0; i < compact.length - 1; i++) {
+      result.push(compact.substring(i, i + 2));
+    }
+    return result;
+  };
+  const pairsA = pairs(a);
+  const pairsB = pairs(b);
+  const remaining = pairsB.slice();
+  let shared = 0;
+  pairsA.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index >= 0) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  const score = pairsA.length + pairsB.length > 0 ? 2 * shared / (pairsA.length + pairsB.length) : 0;
+
+  const contains = (` ${a} `).includes(` ${b} `) || (` ${b} `).includes(` ${a} `);
+  return contains ? Math.max(score, 0.8) : score;
+}
+
+/**
+ * Combines the vendor choices saved with the preview and the ones in this
+ * request. Names are kept normalized so they match however they're typed.
+ *
+ * @param {Object} saved - Choices from the preview, or null
+ * @param {Object} parameters - The intent parameters
+ * @return {Object} {matches: {name: vendor name}, create: true|[names]}
+ */
+function mergeBillVendorDecisions(saved, parameters) {
+  const decisions = {
+    matches: Object.assign({}, saved ? saved.matches : {}),
+    create: saved ? saved.create : []
+  };
+
+  const matches = parameters.vendorMatches || {};
+  Object.keys(matches).forEach(name => {
+    decisions.matches[normalizeImportName(name)] = String(matches[name]).trim();
+  });
+
+  const create = parameters.createVendors;
+  if (create === true || create === 'true' || create === 'all') {
+    decisions.create = true;
+  } else if (create && decisions.create !== true) {
+    const names = (Array.isArray(create) ? create : String(create).split(',')).map(normalizeImportName).filter(Boolean);
+    decisions.create = decisions.create.concat(names.filter(name => !decisions.create.includes(name)));
+  }
+
+  return decisions;
+}
+
+/**
+ * Creates the vendors the user asked for and points their records at them.
+ * A vendor that can't be created fails the records that use it.
+ *
+ * @param {Object} plan - The result of planBillImport
+ */
+function createBillImportVendors(plan) {
+  plan.newVendors.forEach(newVendor => {
+    try {
+      newVendor.record = callQuickBooksApi('vendor', 'POST', { DisplayName: newVendor.name }).Vendor || {};
+      newVendor.documents.forEach(document => {
+        const ref = document.entity === 'Bill' ? document.record.VendorRef : document.record.EntityRef;
+        ref.value = newVendor.record.Id;
+        ref.name = newVendor.record.DisplayName;
+      });
+    } catch (error) {
+      if (!isImportRecordError(error)) {
+        throw error;
+      }
+      newVendor.documents.forEach(document => document.problems.push({
+        rowNumber: document.rows[0].rowNumber,
+        message: `Vendor "${newVendor.name}" could not be created: ${error.message}`
+      }));
+    }
+  });
+}
@@ -0,0 +1,304 @@
+/**
+ * Budget Service
+ * Budgets and Budget vs Actuals. A budget comes either from QuickBooks (the
+ * Budget entity) or from a sheet tab laid out with accounts down column A and
+ * months across row 1 - the same layout fetchBudget writes. QuickBooks' API
+ * has no Budget vs Actuals report, so actuals come from a P&L for the same
+ * period and are matched to budget lines by account.
+ *
+ * Sheet budgets are read by BudgetSheetService and the variance table is
+ * built by BudgetVarianceService.
+ */
+
+/**
+ * Writes a QuickBooks budget to a sheet, accounts down and months across.
+ *
+ * @param {Object} intent - The intent; parameters.budgetName picks the budget
+ * @return {Object} The response object
+ */
+function fetchBudget(intent) {
+  try {
+    const accounts = getBudgetAccounts();
+    const budget = loadQboBudget(findQboBudget(intent.parameters.budgetName, intent.filters.startDate), accounts);
+
+    const headers = ['Account'].concat(budget.months.map(formatBudgetMonthLabel), ['Total']);
+    const rows = budget.lines.map(line => {
+      const amounts = budget.months.map(month => line.amounts[month] || 0);
+      return [line.name].concat(amounts, [roundBudgetAmount(amounts.reduce((sum, amount) => sum + amount, 0))]);
+    });
+
+    const sheetName = intent.destination || `Budget_${budget.name}`;
+    const writeResult = writeIntentData(sheetName, [headers].concat(rows));
+    if (!writeResult.success) {
+      throw new Error(writeResult.message);
+    }
+
+    return {
+      type: 'success',
+      message: `Budget "${budget.name}" (${formatBudgetMonthLabel(budget.months[0])} to ` +
+               `${formatBudgetMonthLabel(budget.months[budget.months.length - 1])}) written to sheet ` +
+               `"${writeResult.sheetName}": ${rows.length} accounts. Edit it and ask me to compare the sheet to actuals.`,
+      data: {
+        rowCount: rows.length,
+        columnCount: headers.length,
+        sheetName: writeResult.sheetName
+      }
+    };
+  } catch (error) {
+    if (error instanceof QboError) {
+      throw error;
+    }
+    console.error('Error in fetchBudget: ' + error.toString());
+    return {
+      type: 'error',
+      message: 'Failed to fetch the budget: ' + error.message
+    };
+  }
+}
+
+/**
+ * Compares a budget to P&L actuals and writes the variance table. The budget
+ * comes from parameters.budgetSheet when set, otherwise from QuickBooks
+ * (parameters.budgetName, or the budget covering the start date). With
+ * parameters.validateOnly a budget sheet is only checked.
+ *
+ * @param {Object} intent - The BudgetVsActuals intent
+ * @return {Object} The response object
+ */
+function fetchBudgetVsActuals(intent) {
+  try {
+    const accounts = getBudgetAccounts();
+
+    let budget;
+    if (intent.parameters.budgetSheet) {
+      budget = readSheetBudget(intent.parameters.budgetSheet, accounts);
+      if (budget.problems.length > 0) {
+        return formatBudgetProblems(budget);
+      }
+      if (intent.parameters.validateOnly) {
+        return {
+          type: 'success',
+          message: `Budget sheet "${budget.name}" is valid: ${budget.lines.length} accounts from ` +
+                   `${formatBudgetMonthLabel(budget.months[0])} to ` +
+                   `${formatBudgetMonthLabel(budget.months[budget.months.length - 1])}.`,
+          data: {
+            accountCount: budget.lines.length,
+            months: budget.months
+          }
+        };
+      }
+    } else {
+      budget = loadQboBudget(findQboBudget(intent.parameters.budgetName, intent.filters.startDate), accounts);
+    }
+
+    const range = getBudgetRange(intent, budget);
+    const params = { start_date: range.startDate, end_date: range.endDate, summarize_column_by: 'Total' };
+    const accountingMethod = getIntentAccountingMethod(intent);
+    if (accountingMethod === 'Cash' || accountingMethod === 'Accrual') {
+      params.accounting_method = accountingMethod;
+    }
+    logAction('Fetching Report', 'BudgetVsActuals', JSON.stringify(params));
+
+    const reportData = getReport('ProfitAndLoss', params);
+    const actuals = getReportAccountTotals(reportData);
+    const variance = buildBudgetVarianceTable(accounts, sumBudgetAmounts(budget, range), actuals);
+
+    const sheetName = intent.destination || `BudgetVsActuals_${range.startDate}`;
+    const formattedData = [variance.headers].concat(variance.rows);
+    const writeResult = writeIntentData(sheetName, formattedData);
+    if (!writeResult.success) {
+      throw new Error(writeResult.message);
+    }
+
+    if (!isCollectingCompanyRows()) {
+      formatBudgetVarianceSheet(writeResult.sheetName, formattedData, variance);
+    }
+
+    const net = variance.netIncome;
+    return {
+      type: 'success',
+      message: `Budget vs Actuals for ${range.startDate} to ${range.endDate} (budget: ${budget.name}) written to sheet ` +
+               `"${writeResult.sheetName}". Net income is ${formatBudgetCurrency(net.actual)} against a budget of ` +
+               `${formatBudgetCurrency(net.budget)} (${net.variance >= 0 ? '+' : ''}${formatBudgetCurrency(net.variance)}); ` +
+               `${variance.unfavorableCount} ${variance.unfavorableCount === 1 ? 'account is' : 'accounts are'} unfavorable to budget.`,
+      data: {
+        rowCount: variance.rows.length,
+        columnCount: variance.headers.length,
+        sheetName: writeResult.sheetName,
+        netIncome: net
+      }
+    };
+  } catch (error) {
+    if (error instanceof QboError) {
+      throw error;
+    }
+    console.error('Error in fetchBudgetVsActuals: ' + error.toString());
+    return {
+      type: 'error',
+      message: 'Failed to compare the budget to actuals: ' + error.message
+    };
+  }
+}
+
+/**
+ * Gets the company's accounts for matching budget lines.
+ *
+ * @return {Array} Account records with Id, Name, FullyQualifiedName, AccountType and Active
+ */
+function getBudgetAccounts() {
+  const query = buildQboQuery({
+    entity: 'Account',
+    select: ['Id', 'Name', 'FullyQualifiedName', 'AccountType', 'Active'],
+    orderBy: 'FullyQualifiedName'
+  });
+  const queryData = queryAllQuickBooks(query);
+  return (queryData && queryData.QueryResponse && queryData.QueryResponse.Account) || [];
+}
+
+/**
+ * Finds a QuickBooks P&L budget by name, or the one covering a date, or the
+ * most recent one.
+ *
+ * @param {string} name - The budget name, or empty
+ * @param {string} date - YYYY-MM-DD the budget should cover, or empty for today
+ * @return {Object} The Budget record
+ * @throws {NotFound} If there is no such budget
+ */
+function findQboBudget(name, date) {
+  const queryData = queryAllQuickBooks(buildQboQuery({ entity: 'Budget' }));
+  const budgets = ((queryData && queryData.QueryResponse && queryData.QueryResponse.Budget) || [])
+    .filter(budget => !budget.BudgetType || budget.BudgetType === 'ProfitAndLoss');
+
+  if (budgets.length === 0) {
+    throw new NotFound('This company has no P&L budgets in QuickBooks.', {
+      remedy: 'Create one under Settings > Budgeting in QuickBooks, or lay a budget out in a sheet tab ' +
+              '(accounts down column A, months across row 1) and ask me to compare that sheet to actuals.'
+    });
+  }
+
+  if (name) {
+    const budget = budgets.find(b => (b.Name || '').toLowerCase() === String(name).toLowerCase());
+    if (!budget) {
+      throw new NotFound(`No budget named "${name}".`, {
+        remedy: `Use one of: ${budgets.map(b => b.Name).join(', ')}.`
+      });
+    }
+    return budget;
+  }
+
+  const asOf = date || getTodayDate();
+  const covering = budgets.filter(b => b.Active !== false && b.StartDate <= asOf && b.EndDate >= asOf);
+  const candidates = covering.length > 0 ? covering : budgets;
+  return candidates.slice().sort((a, b) => (b.StartDate || '').localeCompare(a.StartDate || ''))[0];
+}
+
+/**
+ * Turns a QuickBooks budget into budget lines. Amounts split by customer,
+ * class or location are added up per account.
+ *
+ * @param {Object} budget - The Budget record
+ * @param {Array} accounts - Accounts from getBudgetAccounts
+ * @return {Object} {name, months, lines: [{accountId, name, amounts: {'YYYY-MM': amount}}], problems}
+ */
+function loadQboBudget(budget, accounts) {
+  const lines = {};
+  const months = {};
+
+  (budget.BudgetDetail || []).forEach(detail => {
+    if (!detail.AccountRef || !detail.BudgetDate) {
+      return;
+    }
+    const month = detail.BudgetDate.substring(0, 7);
+    const accountId = detail.AccountRef.value;
+    const account = accounts.find(a => a.Id === accountId);
+
+    months[month] = true;
+    lines[accountId] = lines[accountId] || {
+      accountId: accountId,
+      name: account ? account.FullyQualifiedName || account.Name : detail.AccountRef.name,
+      amounts: {}
+    };
+    lines[accountId].amounts[month] = roundBudgetAmount((lines[accountId].amounts[month] || 0) + (Number(detail.Amount) || 0));
+  });
+
+  return {
+    name: budget.Name,
+    months: Object.keys(months).sort(),
+    lines: Object.keys(lines).map(id => lines[id]).sort((a, b) => a.name.localeCompare(b.name)),
+    problems: []
+  };
+}
+
+/**
+ * Picks the comparison period: the intent's dates when the user gave them,
+ * otherwise the whole budget.
+ *
+ * @param {Object} intent - The intent
+ * @param {Object} budget - The budget
+ * @return {Object} {startDate, endDate}
+ */
+function getBudgetRange(intent, budget) {
+  if (intent.filters.startDate && intent.filters.endDate && !intent.parameters.usedDefaultDates) {
+    return { startDate: intent.filters.startDate, endDate: intent.filters.endDate };
+  }
+
+  const first = budget.months[0];
+  const last = budget.months[budget.months.length - 1].split('-');
+  const lastDay = new Date(Number(last[0]), Number(last[1]), 0).getDate();
+  return { startDate: `${first}-01`, endDate: `${last[0]}-${last[1]}-${lastDay}` };
+}
+
+/**
+ * Adds up each account's budget for the months in a range. Months count in
+ * full when any part of them is in the range.
+ *
+ * @param {Object} budget - The budget
+ * @param {Object} range - {startDate, endDate}
+ * @return {Object} Budget per account ID
+ */
+function sumBudgetAmounts(budget, range) {
+  const firstMonth = range.startDate.substring(0, 7);
+  const lastMonth = range.endDate.substring(0, 7);
+  const totals = {};
+
+  budget.lines.forEach(line => {
+    totals[line.accountId] = roundBudgetAmount(Object.keys(line.amounts)
+      .filter(month => month >= firstMonth && month <= lastMonth)
+      .reduce((sum, month) => sum + line.amounts[month], 0));
+  });
+
+  return totals;
+}
+
+/**
+ * Formats YYYY-MM as "Jan 2024".
+ *
+ * @param {string} month - The month
+ * @return {string} The label
+ */
+function formatBudgetMonthLabel(month) {
+  const parts = month.split('-');
+  const name = QBO_BUDGET_MONTH_NAMES[Number(parts[1]) - 1];
+  return name.charAt(0).toUpperCase() + name.substring(1, 3) + ' ' + parts[0];
+}
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount
+ * @return {number} The rounded amount
+ */
+function roundBudgetAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats an amount for messages, e.g. -$1,234.50.
+ *
+ * @param {number} amount - The amount
+ * @return {string} The formatted amount
+ */
+function formatBudgetCurrency(amount) {
+  const sign = amount < 0 ? '-' : '';
+  return sign + '$' + Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
@@ -0,0 +1,211 @@
+/**
+ * Budget Sheet Service
+ * Reads and validates a budget laid out in a sheet tab: accounts down
+ * column A, months across row 1. Every problem is reported with the cell it
+ * is in so the sheet can be fixed in one go.
+ */
+
+const QBO_BUDGET_MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+                                'august', 'september', 'october', 'november', 'december'];
+
+// Validation problems listed in the sidebar; the rest are counted
+const QBO_BUDGET_MAX_PROBLEMS = 10;
+
+/**
+ * Reads and validates a budget laid out in a sheet: accounts down column A,
+ * months across row 1 (dates or text like "Jan 2024" or "2024-01"). Blank
+ * rows, a Total column and rows labelled "Total..." are skipped.
+ *
+ * @param {string} sheetName - The sheet
+ * @param {Array} accounts - Accounts from getBudgetAccounts
+ * @return {Object} {name, months, lines: [{accountId, name, amounts}], problems: [string]}
+ */
+function readSheetBudget(sheetName, accounts) {
+  const budget = { name: sheetName, months: [], lines: [], problems: [] };
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) {
+    budget.problems.push(`There is no sheet named "${sheetName}".`);
+    return budget;
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const header = values[0] || [];
+
+  // Month columns
+  const monthColumns = [];
+  for (let col = 1; col < header.length; col++) {
+    const label = header[col];
+    if (label === '' || /^total$/i.test(String(label).trim())) {
+      continue;
+    }
+    const month = parseBudgetMonth(label);
+    if (!month) {
+      budget.problems.push(`${getBudgetCellRef(0, col)}: "${label}" is not a month.`);
+    } else if (monthColumns.some(column => column.month === month)) {
+      budget.problems.push(`${getBudgetCellRef(0, col)}: ${formatBudgetMonthLabel(month)} appears twice.`);
+    } else {
+      monthColumns.push({ col: col, month: month });
+    }
+  }
+  if (monthColumns.length === 0) {
+    budget.problems.push('Row 1 has no months. Put one month per column across row 1, e.g. Jan 2024, Feb 2024, ...');
+    return budget;
+  }
+
+  // Account rows
+  const seen = {};
+  for (let row = 1; row < values.length; row++) {
+    const label = String(values[row][0]).trim();
+    if (!label || /^total\b/i.test(label)) {
+      continue;
+    }
+
+    const account = matchBudgetAccount(accounts, label);
+    if (!account) {
+      budget.problems.push(`${getBudgetCellRef(row, 0)}: "${label}" is not an account in QuickBooks.`);
+      continue;
+    }
+    if (!getBudgetSection(account)) {
+      budget.problems.push(`${getBudgetCellRef(row, 0)}: "${label}" is a ${account.AccountType} account. ` +
+                           'Budgets can only use income and expense accounts.');
+      continue;
+    }
+    if (seen[account.Id]) {
+      budget.problems.push(`${getBudgetCellRef(row, 0)}: "${label}" is already on row ${seen[account.Id]}.`);
+      continue;
+    }
+    seen[account.Id] = row + 1;
+
+    const line = { accountId: account.Id, name: account.FullyQualifiedName || account.Name, amounts: {} };
+    monthColumns.forEach(column => {
+      const amount = parseBudgetAmount(values[row][column.col]);
+      if (amount === null) {
+        budget.problems.push(`${getBudgetCellRef(row, column.col)}: "${values[row][column.col]}" is not an amount.`);
+      } else {
+        line.amounts[column.month] = amount;
+      }
+    });
+    budget.lines.push(line);
+  }
+
+  if (budget.lines.length === 0 && budget.problems.length === 0) {
+    budget.problems.push('No accounts found. List one income or expense account per row in column A.');
+  }
+
+  budget.months = monthColumns.map(column => column.month).sort();
+  return budget;
+}
+
+/**
+ * Finds the account a budget line names: full name ("Utilities:Electric")
+ * first, then a unique short name, without regard to case.
+ *
+ * @param {Array} accounts - Accounts from getBudgetAccounts
+ * @param {string} label - The name in the sheet
+ * @return {Object} The account, or null
+ */
+function matchBudgetAccount(accounts, label) {
+  const wanted = label.toLowerCase();
+  const byFullName = accounts.find(a => (a.FullyQualifiedName || '').toLowerCase() === wanted);
+  if (byFullName) {
+    return byFullName;
+  }
+  const byName = accounts.filter(a => (a.Name || '').toLowerCase() === wanted);
+  return byName.length === 1 ? byName[0] : null;
+}
+
+/**
+ * Turns validation problems into an error response.
+ *
+ * @param {Object} budget - The budget with its problems
+ * @return {Object} The response object
+ */
+function formatBudgetProblems(budget) {
+  const shown = budget.problems.slice(0, QBO_BUDGET_MAX_PROBLEMS);
+  const more = budget.problems.length - shown.length;
+
+  return {
+    type: 'error',
+    message: `Budget sheet "${budget.name}" has ${budget.problems.length} problem(s):\n- ` + shown.join('\n- ') +
+             (more > 0 ? `\n...and ${more} more.` : '') +
+             '\n\nFix these and ask again. Accounts go down column A, months across row 1.',
+    data: {
+      problems: budget.problems
+    }
+  };
+}
+
+/**
+ * Reads a month header: a date, "2024-01", "1/2024", "Jan 2024", "January-24".
+ *
+ * @param {*} value - The cell value
+ * @return {string} The month as YYYY-MM, or '' if it isn't one
+ */
+function parseBudgetMonth(value) {
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return isNaN(value.getTime()) ? '' : Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM');
+  }
+
+  const text = String(value || '').trim().toLowerCase();
+  const toMonth = (year, month) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    return month >= 1 && month <= 12 ? `${fullYear}-${String(month).padStart(2, '0')}` : '';
+  };
+
+  let match = text.match(/^(\d{4})[-\/](\d{1,2})(?:[-\/]\d{1,2})?$/);
+  if (match) {
+    return toMonth(Number(match[1]), Number(match[2]));
+  }
+
+  match = text.match(/^(\d{1,2})\/(?:\d{1,2}\/)?(\d{4})$/);
+  if (match) {
+    return toMonth(Number(match[2]), Number(match[1]));
+  }
+
+  match = text.match(/^([a-z]{3,9})\.?[\s\-']*(\d{2}|\d{4})$/);
+  if (match) {
+    const monthIndex = QBO_BUDGET_MONTH_NAMES.findIndex(name => name.startsWith(match[1]));
+    return monthIndex >= 0 ? toMonth(Number(match[2]), monthIndex + 1) : '';
+  }
+
+  return '';
+}
+
+/**
+ * Reads a budget amount: a number, or text like "$1,200" or "(300)". Blank is 0.
+ *
+ * @param {*} value - The cell value
+ * @return {number} The amount, or null if it isn't one
+ */
+function parseBudgetAmount(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  let text = String(value === null || value === undefined ? '' : value).trim();
+  if (!text) {
+    return 0;
+  }
+
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[()$,\s]/g, '');
+  if (!/^-?\d*\.?\d+$/.test(text)) {
+    return null;
+  }
+  return negative ? -Number(text) : Number(text);
+}
+
+/**
+ * Gets the A1 reference of a cell from zero-based indexes.
+ *
+ * @param {number} row - The row index
+ * @param {number} col - The column index
+ * @return {string} e.g. 'C5'
+ */
+function getBudgetCellRef(row, col) {
+  let letters = '';
+  for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters + (row + 1);
+}
@@ -0,0 +1,166 @@
+/**
+ * Budget Variance Service
+ * Builds the Budget vs Actuals table from budget totals and P&L actuals:
+ * one row per account grouped by P&L section, with section totals and net
+ * income, and formats it in the sheet.
+ */
+
+// P&L sections in report order. sign turns section totals into net income.
+const QBO_BUDGET_SECTIONS = [
+  { title: 'Income', accountTypes: ['Income'], sign: 1 },
+  { title: 'Cost of Goods Sold', accountTypes: ['Cost of Goods Sold'], sign: -1 },
+  { title: 'Expenses', accountTypes: ['Expense'], sign: -1 },
+  { title: 'Other Income', accountTypes: ['Other Income'], sign: 1 },
+  { title: 'Other Expenses', accountTypes: ['Other Expense'], sign: -1 }
+];
+
+/**
+ * Gets the P&L section an account belongs to.
+ *
+ * @param {Object} account - The account
+ * @return {Object} The entry from QBO_BUDGET_SECTIONS, or null for balance sheet accounts
+ */
+function getBudgetSection(account) {
+  return QBO_BUDGET_SECTIONS.find(section => section.accountTypes.includes(account.AccountType)) || null;
+}
+
+/**
+ * Reads each account's amount from a P&L, using the last (total) column.
+ *
+ * @param {Object} reportData - The P&L report
+ * @return {Object} Amount per account ID
+ */
+function getReportAccountTotals(reportData) {
+  const totals = {};
+
+  const walk = rows => {
+    (rows || []).forEach(row => {
+      if (row.Rows && row.Rows.Row) {
+        walk(row.Rows.Row);
+      } else if (row.ColData && row.ColData[0] && row.ColData[0].id) {
+        const last = row.ColData[row.ColData.length - 1];
+        totals[row.ColData[0].id] = roundBudgetAmount((totals[row.ColData[0].id] || 0) +
+                                                      (parseFloat(String(last.value).replace(/,/g, '')) || 0));
+      }
+    });
+  };
+  walk(reportData && reportData.Rows ? reportData.Rows.Row : []);
+
+  return totals;
+}
+
+/**
+ * Builds the side-by-side table: one row per account with a budget or
+ * actuals, grouped into P&L sections with section totals and net income.
+ *
+ * @param {Array} accounts - Accounts from getBudgetAccounts
+ * @param {Object} budgetTotals - Budget per account ID
+ * @param {Object} actualTotals - Actuals per account ID
+ * @return {Object} {headers, rows, sectionRows, totalRows, netIncome, unfavorableCount}
+ */
+function buildBudgetVarianceTable(accounts, budgetTotals, actualTotals) {
+  const headers = ['Account', 'Budget', 'Actual', 'Variance', 'Variance %'];
+  const rows = [];
+  const sectionRows = [];
+  const totalRows = [];
+  const net = { budget: 0, actual: 0 };
+  let unfavorableCount = 0;
+
+  QBO_BUDGET_SECTIONS.forEach(section => {
+    const sectionAccounts = accounts.filter(account =>
+      section.accountTypes.includes(account.AccountType) &&
+      (budgetTotals[account.Id] || actualTotals[account.Id]));
+    if (sectionAccounts.length === 0) {
+      return;
+    }
+
+    rows.push([section.title, '', '', '', '']);
+    sectionRows.push(rows.length);
+
+    const sectionTotal = { budget: 0, actual: 0 };
+    sectionAccounts.forEach(account => {
+      const budget = budgetTotals[account.Id] || 0;
+      const actual = actualTotals[account.Id] || 0;
+      rows.push(buildBudgetVarianceRow(account.FullyQualifiedName || account.Name, budget, actual));
+
+      // More income or less spending than budgeted is favorable
+      if (section.sign * (actual - budget) < 0) {
+        unfavorableCount++;
+      }
+      sectionTotal.budget += budget;
+      sectionTotal.actual += actual;
+    });
+
+    rows.push(buildBudgetVarianceRow(`Total ${section.title}`, sectionTotal.budget, sectionTotal.actual));
+    totalRows.push(rows.length);
+
+    net.budget += section.sign * sectionTotal.budget;
+    net.actual += section.sign * sectionTotal.actual;
+  });
+
+  if (rows.length === 0) {
+    rows.push(['No budget or actuals for this period', '', '', '', '']);
+  } else {
+    rows.push(buildBudgetVarianceRow('Net Income', net.budget, net.actual));
+    totalRows.push(rows.length);
+  }
+
+  return {
+    headers: headers,
+    rows: rows,
+    sectionRows: sectionRows,
+    totalRows: totalRows,
+    netIncome: {
+      budget: roundBudgetAmount(net.budget),
+      actual: roundBudgetAmount(net.actual),
+      variance: roundBudgetAmount(net.actual - net.budget)
+    },
+    unfavorableCount: unfavorableCount
+  };
+}
+
+/**
+ * Builds one variance row. Variance % is blank when nothing was budgeted.
+ *
+ * @param {string} label - The account or total label
+ * @param {number} budget - The budget
+ * @param {number} actual - The actual amount
+ * @return {Array} [label, budget, actual, variance, variance %]
+ */
+function buildBudgetVarianceRow(label, budget, actual) {
+  const variance = roundBudgetAmount(actual - budget);
+  const percent = budget ? Math.round(variance / Math.abs(budget) * 10000) / 10000 : '';
+  return [label, roundBudgetAmount(budget), roundBudgetAmount(actual), variance, percent];
+}
+
+/**
+ * Applies number formats and bolds the header, section and total rows.
+ *
+ * @param {string} sheetName - The sheet the table was written to
+ * @param {Array} formattedData - The rows that were written, header first
+ * @param {Object} variance - The table from buildBudgetVarianceTable
+ */
+function formatBudgetVarianceSheet(sheetName, formattedData, variance) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+    if (!sheet) {
+      return;
+    }
+
+    const width = formattedData[0].length;
+    const height = formattedData.length;
+
+    sheet.getRange(1, 1, 1, width).setFontWeight('bold');
+    if (height > 1) {
+      sheet.getRange(2, 2, height - 1, 3).setNumberFormat('#,##0.00');
+      sheet.getRange(2, 5, height - 1, 1).setNumberFormat('0.0%');
+    }
+    variance.sectionRows.concat(variance.totalRows).forEach(row => {
+      sheet.getRange(row + 1, 1, 1, width).setFontWeight('bold');
+    });
+    sheet.setFrozenRows(1);
+  } catch (error) {
+    // Formatting is cosmetic, so the written data stands either way
+    console.error('Failed to format budget sheet: ' + error.toString());
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Calendar Service
+ * Calendar arithmetic on YYYY-MM-DD date strings for DateRangeService and
+ * FiscalYearService: month ranges, month lengths, adding days and months,
+ * and the day of the week. Everything is computed in UTC, so the server's
+ * own time zone never moves a date by a day.
+ */
+
+const QBO_DATE_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Gets the first and last day of a month.
+ *
+ * @param {number} month - The 0-based month
+ * @param {number} year - The year
+ * @return {Object} {startDate, endDate}
+ */
+function getMonthRange(month, year) {
+  return {
+    startDate: formatIsoDate(year, month, 1),
+    endDate: formatIsoDate(year, month, getMonthLength(year, month))
+  };
+}
+
+/**
+ * Puts a range's dates in order.
+ *
+ * @param {string} startDate - One date as YYYY-MM-DD
+ * @param {string} endDate - The other date
+ * @return {Object} {startDate, endDate} with the earlier date first
+ */
+function orderDateRange(startDate, endDate) {
+  return startDate <= endDate ?
+    { startDate: startDate, endDate: endDate } :
+    { startDate: endDate, endDate: startDate };
+}
+
+/**
+ * Reads a month name or abbreviation.
+ *
+ * @param {string} name - e.g. 'march', 'mar', 'sept.'
+ * @return {number} The 0-based month
+ */
+function parseMonthName(name) {
+  const prefix = String(name).toLowerCase().substring(0, 3);
+  return QBO_DATE_MONTH_NAMES.findIndex(month => month.toLowerCase() === prefix);
+}
+
+/**
+ * Builds a date, rejecting days that don't exist (e.g. Feb 30).
+ *
+ * @param {number} year - The year
+ * @param {number} month - The 0-based month
+ * @param {number} day - The day of the month
+ * @return {string} The date as YYYY-MM-DD, or null if it doesn't exist
+ */
+function buildCheckedDate(year, month, day) {
+  if (month < 0 || month > 11 || day < 1 || day > getMonthLength(year, month)) {
+    return null;
+  }
+  return formatIsoDate(year, month, day);
+}
+
+/**
+ * Splits a YYYY-MM-DD date into numbers, with a 0-based month.
+ *
+ * @param {string} date - The date
+ * @return {Object} {year, month, day}
+ */
+function parseIsoDate(date) {
+  const parts = String(date).split('-').map(part => parseInt(part, 10));
+  return { year: parts[0], month: parts[1] - 1, day: parts[2] };
+}
+
+/**
+ * Formats a date as YYYY-MM-DD. Months and days past either end roll over,
+ * so day 0 is the last day of the month before.
+ *
+ * @param {number} year - The year
+ * @param {number} month - The 0-based month
+ * @param {number} day - The day of the month
+ * @return {string} The date
+ */
+function formatIsoDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Adds days to a date.
+ *
+ * @param {string} date - The date as YYYY-MM-DD
+ * @param {number} days - The days to add, negative for earlier
+ * @return {string} The new date as YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const parts = parseIsoDate(date);
+  return formatIsoDate(parts.year, parts.month, parts.day + days);
+}
+
+/**
+ * Moves a date by whole months. A day past the end of the new month becomes
+ * its last day, and a month end stays a month end.
+ *
+ * @param {string} date - The date as YYYY-MM-DD
+ * @param {number} months - The months to move, negative for earlier
+ * @return {string} The moved date as YYYY-MM-DD
+ */
+function shiftMonths(date, months) {
+  const parts = parseIsoDate(date);
+  const target = parseIsoDate(formatIsoDate(parts.year, parts.month + months, 1));
+  const length = getMonthLength(target.year, target.month);
+  const monthEnd = parts.day === getMonthLength(parts.year, parts.month);
+  return formatIsoDate(target.year, target.month, monthEnd ? length : Math.min(parts.day, length));
+}
+
+/**
+ * Gets the day of the week.
+ *
+ * @param {string} date - The date as YYYY-MM-DD
+ * @return {number} 0 for Sunday to 6 for Saturday
+ */
+function getDayOfWeek(date) {
+  const parts = parseIsoDate(date);
+  return new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay();
+}
+
+/**
+ * Gets the number of days in a month.
+ *
+ * @param {number} year - The year
+ * @param {number} month - The 0-based month
+ * @return {number} The number of days
+ */
+function getMonthLength(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
@@ -15,6 +15,15 @@ function onOpen() {
   showSidebar();
 }
 
+/**
+ * Marks edited rows on tabs that can push their edits back to QuickBooks.
+ *
+ * @param {Object} e - The edit event
+ */
+function onEdit(e) {
+  markEditSyncEdit(e);
+}
+
 /**
  * Runs when the add-on is installed.
  */
@@ -50,13 +59,17 @@ function include(filename) {
  * @return {Object} The OAuth token status and value if available
  */
 function getOAuthToken() {
-  const service = getOAuthService();
+  const service = getCompanyOAuthService();
   const hasAccess = service.hasAccess();
+  const environmentConfig = getQboEnvironmentConfig();
   
   return {
     hasAccess: hasAccess,
-    authorizationUrl: hasAccess ? null : service.getAuthorizationUrl(),
-    token: hasAccess ? service.getAccessToken() : null
+    // Always offer the Connect flow so further companies can be added
+    authorizationUrl: getOAuthService().getAuthorizationUrl(),
+    token: hasAccess ? service.getAccessToken() : null,
+    environment: environmentConfig.environment,
+    environmentLabel: environmentConfig.label
   };
 }
 
@@ -74,9 +87,23 @@ function authCallback(request) {
   const authorized = service.handleCallback(request);
   
   if (authorized) {
+    // Intuit sends the company's realm ID with the callback - register the
+    // company under it so several companies can stay connected at once
+    const realmId = request.parameter && request.parameter.realmId;
+    let companyLine = '';
+    
+    if (realmId) {
+      const company = registerConnectedCompany(realmId);
+      // Both come from outside (the callback URL and QuickBooks), so escape them
+      companyLine = '<p>Company: ' + escapeHtml(company.companyName || realmId) + '</p>';
+    } else {
+      logAction('OAuth Realm', 'No realmId in callback', 'Falling back to the Company ID in settings');
+    }
+    
     return HtmlService.createHtmlOutput(
       '<h3>Success!</h3>' +
       '<p>You have successfully connected to QuickBooks.</p>' +
+      companyLine +
       '<p>You can close this tab and return to QBO Agent.</p>' +
       '<script>setTimeout(function() { window.close(); }, 3000);</script>'
     );
@@ -90,7 +117,8 @@ function authCallback(request) {
 }
 
 /**
- * Logs the user out of QuickBooks.
+ * Logs the user out of the active QuickBooks company.
+ * Other connected companies stay connected.
  * 
  * @return {Object} Success status
  */
@@ -100,11 +128,15 @@ function logoutQuickBooks() {
     service.reset();
     
     // Also clear any stored tokens that might have outdated permissions
-    PropertiesService.getUserProperties().deleteProperty('oauth2.quickbooks');
+    PropertiesService.getUserProperties().deleteProperty('oauth2.' + getQboEnvironmentConfig().serviceName);
+    
+    const companyName = getAuthorizedCompanyName();
+    removeConnectedCompany(getAuthorizedRealmId());
     
     return { 
       success: true,
-      message: "Successfully disconnected from QuickBooks. Please reconnect to grant the necessary permissions."
+      message: "Successfully disconnected " + (companyName || "from QuickBooks") + 
+               ". Please reconnect to grant the necessary permissions."
     };
   } catch (error) {
     return { 
@@ -160,31 +192,50 @@ function resetAllAuth() {
     const userProps = PropertiesService.getUserProperties();
     const scriptProps = PropertiesService.getScriptProperties();
     
-    // Clear all OAuth-related properties - be more thorough
-    userProps.deleteProperty('oauth2.quickbooks');
-    userProps.deleteProperty('oauth2.quickbooks.refresh');
-    userProps.deleteProperty('oauth2.quickbooks.id_token');
-    userProps.deleteProperty('oauth2.quickbooks.last_code');
-    userProps.deleteProperty('oauth2.quickbooks.access_token');
-    userProps.deleteProperty('oauth2.quickbooks.expires_in');
-    userProps.deleteProperty('oauth2.quickbooks.issued_at');
+    // Clear all OAuth-related properties for every environment - be more thorough
+    Object.keys(QBO_CONFIG.ENVIRONMENTS).forEach(environment => {
+      const serviceName = QBO_CONFIG.ENVIRONMENTS[environment].serviceName;
+      
+      // Forget the connected companies; each one also has its own token store
+      const companies = clearCompanyRegistry(environment);
+      const prefixes = ['oauth2.' + serviceName].concat(
+        companies.map(company => 'oauth2.' + serviceName + '_' + company.realmId)
+      );
+      
+      prefixes.forEach(prefix => {
+        userProps.deleteProperty(prefix);
+        userProps.deleteProperty(prefix + '.refresh');
+        userProps.deleteProperty(prefix + '.id_token');
+        userProps.deleteProperty(prefix + '.last_code');
+        userProps.deleteProperty(prefix + '.access_token');
+        userProps.deleteProperty(prefix + '.expires_in');
+        userProps.deleteProperty(prefix + '.issued_at');
+      });
+    });
     
     // Get the service and reset it
     const service = getOAuthService();
     service.reset();
     
-    // Only keep the client credentials
+    // Only keep the client credentials, environment, report basis and webhook token
     const clientId = scriptProps.getProperty('QBO_CLIENT_ID');
     const clientSecret = scriptProps.getProperty('QBO_CLIENT_SECRET');
     const companyId = scriptProps.getProperty('QBO_COMPANY_ID');
+    const environment = scriptProps.getProperty('QBO_ENVIRONMENT');
+    const accountingMethod = scriptProps.getProperty('QBO_ACCOUNTING_METHOD');
+    // The webhook worker trigger keeps running, so it still needs the token
+    const verifierToken = scriptProps.getProperty('QBO_WEBHOOK_VERIFIER_TOKEN');
     
     // Clear all stored properties
     scriptProps.deleteAllProperties();
     
-    // Restore only the client credentials
+    // Restore only the client credentials, environment, report basis and webhook token
     if (clientId) scriptProps.setProperty('QBO_CLIENT_ID', clientId);
     if (clientSecret) scriptProps.setProperty('QBO_CLIENT_SECRET', clientSecret);
     if (companyId) scriptProps.setProperty('QBO_COMPANY_ID', companyId);
+    if (environment) scriptProps.setProperty('QBO_ENVIRONMENT', environment);
+    if (accountingMethod) scriptProps.setProperty('QBO_ACCOUNTING_METHOD', accountingMethod);
+    if (verifierToken) scriptProps.setProperty('QBO_WEBHOOK_VERIFIER_TOKEN', verifierToken);
     
     // Log the reset
     logAction('Auth Reset', 'Complete OAuth reset', 'All tokens cleared');
@@ -219,8 +270,15 @@ function runQBDiagnostic() {
     
     // Add connection details
     message += "Connection Status:\n";
+    message += "Environment: " + (results.details.environment ? results.details.environment.label : "Unknown") + "\n";
     message += "OAuth: " + (results.details.oauth.hasAccess ? "✅ Connected" : "❌ Not Connected") + "\n";
-    message += "Company ID: " + (results.details.companyId ? "✅ Set" : "❌ Missing") + "\n";
+    message += "Company ID: " + (results.details.companyId ? 
+               "✅ Set (" + (results.details.companyIdSource === 'override' ? "manual override" : "from Connect") + ")" : 
+               "❌ Missing") + "\n";
+    if (results.details.realmMismatch) {
+      message += "Realm Match: ❌ Company ID " + results.details.companyId + 
+                 " does not match authorized realm " + results.details.authorizedRealmId + "\n";
+    }
     message += "Company Info: " + 
                (results.details.companyInfo && results.details.companyInfo.success ? "✅ Success" : "❌ Failed") + "\n";
     message += "Customer Query: " + 
@@ -0,0 +1,274 @@
+/**
+ * Company Service
+ * Keeps the registry of connected QuickBooks companies. Each company has its own
+ * OAuth token store and realm ID, and one of them is the active company the
+ * sidebar works against. Running one intent for several companies is in
+ * MultiCompanyService.
+ */
+
+/**
+ * Builds the user property key for a per-environment company setting.
+ *
+ * @param {string} name - The setting name, e.g. 'QBO_REALM_ID'
+ * @param {string} environment - The environment (defaults to the active one)
+ * @return {string} The property key for that environment
+ */
+function getEnvironmentPropertyKey(name, environment = getQboEnvironment()) {
+  return name + '_' + environment.toUpperCase();
+}
+
+/**
+ * Gets the companies this user has connected in an environment.
+ *
+ * @param {string} environment - The environment (defaults to the active one)
+ * @return {Array} The connected companies as {realmId, name, connectedAt}
+ */
+function getConnectedCompanies(environment = getQboEnvironment()) {
+  const stored = PropertiesService.getUserProperties().getProperty(getEnvironmentPropertyKey('QBO_COMPANIES', environment));
+
+  try {
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    logAction('Company Registry', 'Unreadable registry', error.toString());
+    return [];
+  }
+}
+
+/**
+ * Saves the registry of connected companies for the active environment.
+ *
+ * @param {Array} companies - The connected companies
+ */
+function saveConnectedCompanies(companies) {
+  PropertiesService.getUserProperties().setProperty(getEnvironmentPropertyKey('QBO_COMPANIES'), JSON.stringify(companies));
+}
+
+/**
+ * Finds a connected company by realm ID.
+ *
+ * @param {string} realmId - The realm ID
+ * @return {Object} The company, or null if it is not connected
+ */
+function getConnectedCompany(realmId) {
+  return getConnectedCompanies().find(company => company.realmId === realmId) || null;
+}
+
+/**
+ * Checks whether a realm has been connected and has its own token store.
+ *
+ * @param {string} realmId - The realm ID
+ * @return {boolean} True if the company is connected
+ */
+function isConnectedCompany(realmId) {
+  return !!getConnectedCompany(realmId);
+}
+
+/**
+ * Gets the realm ID of the active company.
+ *
+ * @return {string} The active realm ID, or '' if not connected yet
+ */
+function getAuthorizedRealmId() {
+  return PropertiesService.getUserProperties().getProperty(getEnvironmentPropertyKey('QBO_REALM_ID')) || '';
+}
+
+/**
+ * Gets the name of the active company.
+ *
+ * @return {string} The company name, or '' if unknown
+ */
+function getAuthorizedCompanyName() {
+  const company = getConnectedCompany(getAuthorizedRealmId());
+  if (company && company.name) {
+    return company.name;
+  }
+
+  // Connections made before the registry existed only stored the name
+  return PropertiesService.getUserProperties().getProperty(getEnvironmentPropertyKey('QBO_COMPANY_NAME')) || '';
+}
+
+/**
+ * Adds the company from an OAuth callback to the registry and makes it active.
+ * The tokens the Connect flow just stored are moved into the company's own
+ * store so connecting another company doesn't replace them.
+ *
+ * @param {string} realmId - The realmId query parameter Intuit returned
+ * @return {Object} The registered realm ID and company name
+ */
+function registerConnectedCompany(realmId) {
+  const userProperties = PropertiesService.getUserProperties();
+  const connectService = getOAuthService();
+  const connectTokenKey = 'oauth2.' + getQboEnvironmentConfig().serviceName;
+  const token = userProperties.getProperty(connectTokenKey);
+
+  if (token) {
+    userProperties.setProperty(connectTokenKey + '_' + realmId, token);
+    connectService.reset();
+  }
+
+  const companies = getConnectedCompanies().filter(company => company.realmId !== realmId);
+  const company = {
+    realmId: realmId,
+    name: '',
+    connectedAt: new Date().toISOString()
+  };
+  companies.push(company);
+  saveConnectedCompanies(companies);
+  setActiveCompany(realmId);
+
+  try {
+    const companyInfo = withQboRealm(realmId, () => getCompanyInfo(realmId));
+    company.name = companyInfo.CompanyName || '';
+    saveConnectedCompanies(companies);
+  } catch (error) {
+    // The connection itself succeeded, so a failed lookup is only logged
+    logAction('CompanyInfo Lookup', 'Failed for realm ' + realmId, error.toString());
+  }
+
+  logAction('OAuth Realm', 'Connected realm ' + realmId, company.name || 'Company name unavailable');
+  return {
+    realmId: realmId,
+    companyName: company.name
+  };
+}
+
+/**
+ * Makes a connected company the active one.
+ *
+ * @param {string} realmId - The realm ID
+ */
+function setActiveCompany(realmId) {
+  const userProperties = PropertiesService.getUserProperties();
+  userProperties.setProperty(getEnvironmentPropertyKey('QBO_REALM_ID'), realmId);
+  userProperties.deleteProperty(getEnvironmentPropertyKey('QBO_COMPANY_NAME'));
+}
+
+/**
+ * Disconnects a company: clears its tokens and drops it from the registry.
+ * If it was the active company, the next connected company becomes active.
+ *
+ * @param {string} realmId - The realm ID
+ */
+function removeConnectedCompany(realmId) {
+  if (!realmId) {
+    return;
+  }
+
+  getOAuthService(realmId).reset();
+
+  const companies = getConnectedCompanies().filter(company => company.realmId !== realmId);
+  saveConnectedCompanies(companies);
+
+  if (getAuthorizedRealmId() === realmId) {
+    if (companies.length > 0) {
+      setActiveCompany(companies[0].realmId);
+    } else {
+      const userProperties = PropertiesService.getUserProperties();
+      userProperties.deleteProperty(getEnvironmentPropertyKey('QBO_REALM_ID'));
+      userProperties.deleteProperty(getEnvironmentPropertyKey('QBO_COMPANY_NAME'));
+    }
+  }
+}
+
+/**
+ * Forgets every company connected in an environment: the registry, the
+ * active realm and the legacy company name. Token stores are left to the
+ * caller, which gets the companies that were registered.
+ *
+ * @param {string} environment - The environment to clear
+ * @return {Array} The companies that were connected, as {realmId, name, connectedAt}
+ */
+function clearCompanyRegistry(environment) {
+  const userProperties = PropertiesService.getUserProperties();
+  const companies = getConnectedCompanies(environment);
+
+  userProperties.deleteProperty(getEnvironmentPropertyKey('QBO_COMPANIES', environment));
+  userProperties.deleteProperty(getEnvironmentPropertyKey('QBO_REALM_ID', environment));
+  userProperties.deleteProperty(getEnvironmentPropertyKey('QBO_COMPANY_NAME', environment));
+  return companies;
+}
+
+/**
+ * Finds the connected companies whose names are mentioned in a query.
+ *
+ * @param {string} text - The user's query
+ * @return {Array} The names of the matching companies
+ */
+function findCompaniesInText(text) {
+  const lowerText = (text || '').toLowerCase();
+
+  return getConnectedCompanies()
+    .filter(company => company.name && lowerText.includes(company.name.toLowerCase()))
+    .map(company => company.name);
+}
+
+/**
+ * Resolves the company field of an intent to connected companies.
+ * Accepts a name, a realm ID, a list of either, or 'all'.
+ *
+ * @param {string|Array} company - The company or companies requested
+ * @return {Array} The matching companies as {realmId, name}
+ */
+function resolveCompanies(company) {
+  const companies = getConnectedCompanies();
+
+  if (company === 'all') {
+    return companies;
+  }
+
+  const requested = Array.isArray(company) ? company : [company];
+  return requested.map(value => {
+    const search = String(value).toLowerCase();
+    const match = companies.find(c => c.realmId === value || (c.name && c.name.toLowerCase() === search)) ||
+                  companies.find(c => c.name && c.name.toLowerCase().includes(search));
+
+    if (!match) {
+      throw new Error(`"${value}" is not a connected company. Connect it from the sidebar settings first.`);
+    }
+    return match;
+  });
+}
+
+/**
+ * Gets what the sidebar company switcher needs to render.
+ *
+ * @return {Object} The connected companies and the active realm ID
+ */
+function getCompanySwitcherState() {
+  return {
+    companies: getConnectedCompanies().map(company => ({
+      realmId: company.realmId,
+      name: company.name || company.realmId
+    })),
+    activeRealmId: getAuthorizedRealmId(),
+    overrideId: PropertiesService.getScriptProperties().getProperty('QBO_COMPANY_ID') || ''
+  };
+}
+
+/**
+ * Switches the active company from the sidebar.
+ *
+ * @param {string} realmId - The realm ID to switch to
+ * @return {Object} Success status
+ */
+function switchCompany(realmId) {
+  try {
+    const company = getConnectedCompany(realmId);
+    if (!company) {
+      throw new Error('Company ' + realmId + ' is not connected.');
+    }
+
+    setActiveCompany(realmId);
+    logAction('Company Switch', realmId, company.name || 'Company name unavailable');
+
+    return {
+      success: true,
+      message: 'Now working with ' + (company.name || realmId) + '.'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * Contact Import Service
+ * Keeps customers and vendors up to date from a sheet. Each row is matched
+ * to a record by Id, then by display name; matched records get a sparse
+ * update of just the cells that differ, and rows that match nothing are
+ * created. A row that carries the SyncToken it was pulled with is refused
+ * if the record has changed in QuickBooks since, so nobody's edits are
+ * overwritten.
+ */
+
+// Fields of a customer or vendor row and the headers each one accepts (first one is shown in messages).
+// The QuickBooks field names come first so a synced or fetched tab can be used as is.
+const QBO_CONTACT_IMPORT_COLUMNS = {
+  id: ['QBO Id', 'Id'],
+  syncToken: ['QBO SyncToken', 'SyncToken'],
+  displayName: ['DisplayName', 'Display Name', 'Name', 'Customer', 'Vendor'],
+  companyName: ['CompanyName', 'Company Name', 'Company'],
+  givenName: ['GivenName', 'First Name'],
+  familyName: ['FamilyName', 'Last Name'],
+  email: ['PrimaryEmailAddr', 'Email', 'Email Address'],
+  phone: ['PrimaryPhone', 'Phone'],
+  street: ['Street', 'Address', 'Address Line 1'],
+  city: ['City'],
+  state: ['State', 'Province', 'Region'],
+  postalCode: ['Postal Code', 'Zip', 'ZIP Code'],
+  country: ['Country'],
+  notes: ['Notes'],
+  accountNumber: ['AcctNum', 'Account No', 'Account Number'],
+  active: ['Active']
+};
+
+// Where each editable field lives on the QuickBooks record, and which entities have it (see readImportChanges)
+const QBO_CONTACT_IMPORT_FIELDS = {
+  displayName: { path: ['DisplayName'] },
+  companyName: { path: ['CompanyName'] },
+  givenName: { path: ['GivenName'] },
+  familyName: { path: ['FamilyName'] },
+  email: { path: ['PrimaryEmailAddr', 'Address'] },
+  phone: { path: ['PrimaryPhone', 'FreeFormNumber'] },
+  street: { path: ['BillAddr', 'Line1'] },
+  city: { path: ['BillAddr', 'City'] },
+  state: { path: ['BillAddr', 'CountrySubDivisionCode'] },
+  postalCode: { path: ['BillAddr', 'PostalCode'] },
+  country: { path: ['BillAddr', 'Country'] },
+  notes: { path: ['Notes'], entities: ['Customer'] },
+  accountNumber: { path: ['AcctNum'], entities: ['Vendor'] },
+  active: { path: ['Active'], type: 'boolean' }
+};
+
+const QBO_CONTACT_IMPORT_CONFIG = {
+  SYNC_TOKEN_HEADER: 'QBO SyncToken',
+  STALE_FAULT_CODE: '5010'     // QuickBooks refused the write because the SyncToken is old
+};
+
+/**
+ * Creates or updates customers or vendors (intent.entity) from the selected
+ * rows (or parameters.sheetName / parameters.range) and writes each row's
+ * result back to the sheet.
+ *
+ * Blank cells leave the QuickBooks value alone; there is no way to clear a
+ * field from the sheet.
+ *
+ * @param {Object} intent - The upsert intent
+ * @return {Object} The response object
+ */
+function upsertContactsFromSheet(intent) {
+  try {
+    const entity = intent.entity === 'Vendor' ? 'Vendor' : 'Customer';
+    const noun = entity.toLowerCase();
+    const importData = readImportRows(intent, QBO_CONTACT_IMPORT_COLUMNS, []);
+    const sheetName = importData.sheet.getName();
+    const fieldColumns = importData.fieldColumns;
+
+    if (fieldColumns.id === undefined && fieldColumns.displayName === undefined) {
+      throw new ValidationError(`Sheet "${sheetName}" has no "Id" or "DisplayName" column to match ${noun}s by.`, {
+        remedy: `Name the columns in row 1, e.g. DisplayName, Email, Phone, Street, City, State, Postal Code. ` +
+                `Sync or fetch the ${noun}s into a tab first to get their Ids and SyncTokens.`
+      });
+    }
+
+    // Write Ids and SyncTokens back to the columns the sheet already has
+    const idHeader = fieldColumns.id !== undefined ? importData.headers[fieldColumns.id] : QBO_IMPORT_CONFIG.ID_HEADER;
+    const syncTokenHeader = fieldColumns.syncToken !== undefined ?
+      importData.headers[fieldColumns.syncToken] : QBO_CONTACT_IMPORT_CONFIG.SYNC_TOKEN_HEADER;
+    const statusColumns = ensureImportStatusColumns(importData, [idHeader, syncTokenHeader, QBO_IMPORT_CONFIG.STATUS_HEADER]);
+
+    if (importData.rows.length === 0) {
+      return {
+        type: 'info',
+        message: `There are no ${noun} rows in "${sheetName}".`
+      };
+    }
+
+    // Inactive records count too: their names are taken and they can be reactivated.
+    // The SyncToken check and the unchanged comparison need current records, not cached ones.
+    const queryData = withFreshQboData(() => queryAllQuickBooks(buildQboQuery({
+      entity: entity,
+      where: [{ field: 'Active', op: 'IN', value: [true, false] }]
+    })));
+    const records = (queryData && queryData.QueryResponse && queryData.QueryResponse[entity]) || [];
+
+    const labels = {};
+    Object.keys(fieldColumns).forEach(field => {
+      labels[field] = importData.headers[fieldColumns[field]];
+    });
+    const plans = planContactUpsert(importData.rows, records, entity, labels);
+    const outcome = applyContactUpsert(plans, entity, { id: idHeader, syncToken: syncTokenHeader });
+    writeImportResults(importData.sheet, statusColumns, outcome.results);
+
+    const counts = outcome.counts;
+    logAction(`${entity} Upsert`, sheetName,
+              `${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ` +
+              `${counts.conflicts} conflicts, ${counts.failed} failed`);
+    if (outcome.stopError) {
+      throw outcome.stopError;
+    }
+
+    return {
+      type: counts.failed + counts.conflicts === 0 ? 'success' : (counts.created + counts.updated > 0 ? 'warning' : 'error'),
+      message: formatContactUpsertMessage(sheetName, entity, outcome),
+      data: {
+        sheetName: sheetName,
+        entity: entity,
+        created: counts.created,
+        updated: counts.updated,
+        unchanged: counts.unchanged,
+        conflicts: outcome.conflicts,
+        failed: counts.failed,
+        remaining: counts.remaining,
+        problems: outcome.problems
+      }
+    };
+  } catch (error) {
+    console.error('Error in upsertContactsFromSheet: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
+    return {
+      type: 'error',
+      message: `Failed to update ${intent.entity === 'Vendor' ? 'vendors' : 'customers'} from the sheet: ` + error.message
+    };
+  }
+}
+
+/**
+ * Works out what each row does: create, update (with the changed fields),
+ * nothing, or nothing because of a problem.
+ *
+ * @param {Array} rows - Rows from readImportRows
+ * @param {Array} records - Every customer or vendor, active or not
+ * @param {string} entity - 'Customer' or 'Vendor'
+ * @param {Object} labels - The sheet's header per field, for messages
+ * @return {Array} [{row, action: 'create'|'update'|'unchanged'|'conflict'|'problem', current, changes, changed, message}]
+ */
+function planContactUpsert(rows, records, entity, labels) {
+  const noun = entity.toLowerCase();
+  const byId = {};
+  records.forEach(record => {
+    byId[String(record.Id)] = record;
+  });
+  const claimed = {};
+
+  return rows.map(row => {
+    const values = row.values;
+    const id = isBlankImportValue(values.id) ? '' : String(values.id).trim();
+    const name = isBlankImportValue(values.displayName) ? '' : String(values.displayName).trim();
+    const problem = message => ({ row: row, action: 'problem', message: message });
+
+    let current = null;
+    if (id) {
+      current = byId[id];
+      if (!current) {
+        return problem(`There is no ${noun} with Id ${id} in QuickBooks. Clear the Id to create it as a new ${noun}.`);
+      }
+    } else if (name) {
+      const matches = records.filter(record => normalizeImportName(record.DisplayName) === normalizeImportName(name));
+      if (matches.length > 1) {
+        return problem(`More than one ${noun} is named "${name}". Put the Id in the row to pick one.`);
+      }
+      current = matches[0] || null;
+    } else if (!['givenName', 'familyName', 'companyName'].some(field => !isBlankImportValue(values[field]))) {
+      return problem('No Id or display name.');
+    }
+
+    // Two rows for the same record would overwrite each other
+    const key = current ? 'id:' + current.Id : 'name:' + normalizeImportName(name || [values.givenName, values.familyName].join(' '));
+    if (claimed[key]) {
+      return problem(`Same ${noun} as row ${claimed[key]}.`);
+    }
+    claimed[key] = row.rowNumber;
+
+    // A row matched by its display name can't also rename the record
+    const edits = id || !current ? values : Object.assign({}, values, { displayName: '' });
+    const read = readImportChanges(edits, current, QBO_CONTACT_IMPORT_FIELDS, entity, labels);
+    if (read.problems.length > 0) {
+      return problem(read.problems.join(' '));
+    }
+
+    if (!current) {
+      return { row: row, action: 'create', changes: read.changes, changed: read.changed };
+    }
+    if (read.changed.length === 0) {
+      return { row: row, action: 'unchanged', current: current };
+    }
+
+    const sheetToken = isBlankImportValue(values.syncToken) ? '' : String(values.syncToken).trim();
+    if (sheetToken && sheetToken !== String(current.SyncToken)) {
+      return {
+        row: row,
+        action: 'conflict',
+        current: current,
+        changed: read.changed,
+        message: `${current.DisplayName} was changed in QuickBooks after this row was pulled ` +
+                 `(SyncToken ${sheetToken}, now ${current.SyncToken}). Nothing was updated; pull the ${noun} again and redo the edits.`
+      };
+    }
+
+    return { row: row, action: 'update', current: current, changes: read.changes, changed: read.changed };
+  });
+}
+
+/**
+ * Sends the creates and updates, one record at a time. A failure that would
+ * hit every record stops the run; the rows done so far keep their results.
+ *
+ * @param {Array} plans - The result of planContactUpsert
+ * @param {string} entity - 'Customer' or 'Vendor'
+ * @param {Object} headers - The {id, syncToken} status headers
+ * @return {Object} {results, counts, conflicts: ['Row 5: ...'], problems: ['Row 5: ...'], stopError}
+ */
+function applyContactUpsert(plans, entity, headers) {
+  const results = [];
+  const problems = [];
+  const conflicts = [];
+  const counts = { created: 0, updated: 0, unchanged: 0, conflicts: 0, failed: 0, remaining: 0 };
+  const today = getTodayDate();
+  let writes = 0;
+  let stopError = null;
+
+  const result = (plan, record, status) => {
+    const values = { [QBO_IMPORT_CONFIG.STATUS_HEADER]: status };
+    if (record) {
+      values[headers.id] = record.Id;
+      values[headers.syncToken] = record.SyncToken;
+    }
+    results.push({ rowNumber: plan.row.rowNumber, values: values });
+  };
+  const conflict = (plan, message) => {
+    counts.conflicts++;
+    conflicts.push(`Row ${plan.row.rowNumber}: ${message}`);
+    result(plan, null, 'Conflict: ' + message);
+  };
+
+  for (let i = 0; i < plans.length; i++) {
+    const plan = plans[i];
+
+    if (plan.action === 'problem') {
+      counts.failed++;
+      problems.push(`Row ${plan.row.rowNumber}: ${plan.message}`);
+      result(plan, null, formatImportError(plan.message));
+      continue;
+    }
+    if (plan.action === 'conflict') {
+      conflict(plan, plan.message);
+      continue;
+    }
+    if (plan.action === 'unchanged') {
+      // The row matches QuickBooks, so it is current as of this SyncToken
+      counts.unchanged++;
+      result(plan, plan.current, 'No changes ' + today);
+      continue;
+    }
+
+    if (writes >= QBO_IMPORT_CONFIG.MAX_DOCUMENTS) {
+      counts.remaining++;
+      continue;
+    }
+    writes++;
+
+    const body = plan.action === 'create' ?
+      plan.changes :
+      Object.assign({ Id: plan.current.Id, SyncToken: plan.current.SyncToken, sparse: true }, plan.changes);
+
+    try {
+      const record = callQuickBooksApi(entity.toLowerCase(), 'POST', body)[entity] || {};
+      if (plan.action === 'create') {
+        counts.created++;
+        result(plan, record, 'Created ' + today);
+      } else {
+        counts.updated++;
+        result(plan, record, `Updated ${today}: ${plan.changed.join(', ')}`);
+      }
+    } catch (error) {
+      if (error instanceof QboError && error.code === QBO_CONTACT_IMPORT_CONFIG.STALE_FAULT_CODE) {
+        conflict(plan, `${plan.current.DisplayName} was changed in QuickBooks while updating. ` +
+                       `Nothing was updated; pull the ${entity.toLowerCase()} again and redo the edits.`);
+        continue;
+      }
+      if (!isImportRecordError(error)) {
+        stopError = error;
+        break;
+      }
+      counts.failed++;
+      problems.push(`Row ${plan.row.rowNumber}: ${error.message}`);
+      result(plan, null, formatImportError(error.message));
+    }
+  }
+
+  return {
+    results: results,
+    counts: counts,
+    conflicts: conflicts,
+    problems: problems,
+    stopError: stopError
+  };
+}
+
+/**
+ * Builds the chat summary of an upsert.
+ *
+ * @param {string} sheetName - The sheet
+ * @param {string} entity - 'Customer' or 'Vendor'
+ * @param {Object} outcome - The result of applyContactUpsert
+ * @return {string} The message
+ */
+function formatContactUpsertMessage(sheetName, entity, outcome) {
+  const counts = outcome.counts;
+  const noun = entity.toLowerCase() + 's';
+  const parts = [
+    `${entity}s from "${sheetName}": ${counts.created} created, ${counts.updated} updated, ` +
+    `${counts.unchanged} already up to date` +
+    (counts.conflicts > 0 ? `, ${counts.conflicts} conflict${counts.conflicts === 1 ? '' : 's'}` : '') +
+    (counts.failed > 0 ? `, ${counts.failed} failed` : '') +
+    `. Each row's result is in the "${QBO_IMPORT_CONFIG.STATUS_HEADER}" column.`
+  ];
+
+  if (outcome.conflicts.length > 0) {
+    parts.push(`These ${noun} changed in QuickBooks since the sheet was pulled, so they were left alone:\n` +
+               formatImportProblems(outcome.conflicts));
+  }
+  if (outcome.problems.length > 0) {
+    parts.push('These rows have problems:\n' + formatImportProblems(outcome.problems));
+  }
+  if (counts.remaining > 0) {
+    parts.push(`${counts.remaining} more row(s) need changes. Ask again to send the next ${QBO_IMPORT_CONFIG.MAX_DOCUMENTS}.`);
+  }
+
+  return parts.join('\n\n');
+}
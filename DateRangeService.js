@@ -0,0 +1,402 @@
+/**
+ * Date Range Service
+ * Turns the date expressions people use in chat into explicit YYYY-MM-DD
+ * ranges: months ("March 2024", "last month"), fiscal years and quarters (via
+ * FiscalYearService), "trailing 12 months", "last 90 days", "since March",
+ * "between Jan 5 and Feb 10", weeks and "as of" dates. The keyword parser,
+ * OpenAI intents, fetchReport and getReport all resolve dates here, so the
+ * same words give the same dates everywhere.
+ *
+ * "Today" is the date in the script time zone. Dates are passed around as
+ * YYYY-MM-DD strings; the calendar arithmetic on them is in CalendarService.
+ */
+
+// Month names and abbreviations, e.g. 'sept', 'march', 'mar.'
+const QBO_DATE_MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|' +
+                               'sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// Counts written as words, for "last six months" or "trailing twelve months"
+const QBO_DATE_NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+/**
+ * Gets today's date in the script time zone.
+ *
+ * @return {string} Today as YYYY-MM-DD
+ */
+function getTodayDate() {
+  return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Resolves the date range in a query. Explicit ranges win over relative ones,
+ * and relative ones over a bare month or year.
+ *
+ * @param {string} text - The query
+ * @param {string} today - Today as YYYY-MM-DD (optional, defaults to the script time zone's today)
+ * @return {Object} {startDate, endDate, asOfDate (only for "as of")}, or null if the query names no dates
+ */
+function parseDateRange(text, today = getTodayDate()) {
+  const query = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const todayParts = parseIsoDate(today);
+
+  // "2024-01-01 to 2024-03-31", "from Jan 5 to Feb 10", "between March and May"
+  const isoRange = query.match(/\b(\d{4}-\d{2}-\d{2})\s*(?:to|through|until|-|–)\s*(\d{4}-\d{2}-\d{2})\b/);
+  if (isoRange) {
+    return orderDateRange(isoRange[1], isoRange[2]);
+  }
+  const explicitRange = query.match(/\bbetween (.+?) and (.+)$/) ||
+                        query.match(/\bfrom (.+?) (?:to|through|thru|until|till) (.+)$/);
+  if (explicitRange) {
+    // A start without a year takes the end's ("from March to May 2024"), or the year before it ("Dec 5 to Jan 10")
+    const endDate = matchDatePrefix(explicitRange[2], today, 'end');
+    const yearless = !/\d{4}|\/\d{2}$/.test(explicitRange[1]) && !/\b(today|yesterday|now)\b/.test(explicitRange[1]);
+    let startDate = endDate ? parseDateExpression(explicitRange[1], yearless ? endDate : today, 'start') : null;
+    if (startDate && endDate) {
+      if (yearless && startDate > endDate) {
+        startDate = shiftMonths(startDate, -12);
+      }
+      return orderDateRange(startDate, endDate);
+    }
+  }
+
+  // "since March" runs to today; a date later this year means last year's
+  const sinceMatch = query.match(/\bsince (.+)$/);
+  if (sinceMatch) {
+    let startDate = matchDatePrefix(sinceMatch[1], today, 'start');
+    if (startDate) {
+      if (startDate > today) {
+        startDate = shiftMonths(startDate, -12);
+      }
+      return { startDate: startDate, endDate: today };
+    }
+  }
+
+  // "as of March 31" ends on that date and starts with its fiscal year
+  const asOfMatch = query.match(/\bas of (.+)$/);
+  if (asOfMatch) {
+    const asOfDate = matchDatePrefix(asOfMatch[1], today, 'end');
+    if (asOfDate) {
+      const startMonth = getFiscalYearStartMonth();
+      return {
+        startDate: getFiscalYearRange(getFiscalYearOf(asOfDate, startMonth), startMonth).startDate,
+        endDate: asOfDate,
+        asOfDate: asOfDate
+      };
+    }
+  }
+
+  // "last 90 days", "past 2 weeks", "trailing 12 months", "TTM", "last three years"
+  const countPattern = '(\\d+|' + Object.keys(QBO_DATE_NUMBER_WORDS).join('|') + ')';
+  const relativeMatch = query.match(new RegExp(`\\b(?:last|past|previous|prior|trailing|rolling) ${countPattern} (day|week|month|year)s?\\b`));
+  const trailingYear = /\b(ttm|ltm)\b|\btrailing (year|twelve months)\b/.test(query);
+  if (relativeMatch || trailingYear) {
+    const count = trailingYear ? 12 : (QBO_DATE_NUMBER_WORDS[relativeMatch[1]] || parseInt(relativeMatch[1], 10));
+    const unit = trailingYear ? 'month' : relativeMatch[2];
+    return getRelativeDateRange(count, unit, today);
+  }
+
+  // Weeks run Sunday to Saturday, like QuickBooks' own week ranges
+  const weekOfMatch = query.match(/\bweek of (.+)$/);
+  if (weekOfMatch) {
+    const date = matchDatePrefix(weekOfMatch[1], today, 'start');
+    if (date) {
+      const sunday = addDays(date, -getDayOfWeek(date));
+      return { startDate: sunday, endDate: addDays(sunday, 6) };
+    }
+  }
+  if (/\b(this|current) week\b|\bweek to date\b|\bwtd\b/.test(query)) {
+    return { startDate: addDays(today, -getDayOfWeek(today)), endDate: today };
+  }
+  if (/\b(last|previous|prior) week\b/.test(query)) {
+    const lastSunday = addDays(today, -getDayOfWeek(today) - 7);
+    return { startDate: lastSunday, endDate: addDays(lastSunday, 6) };
+  }
+
+  if (/\btoday\b/.test(query)) {
+    return { startDate: today, endDate: today };
+  }
+  if (/\byesterday\b/.test(query)) {
+    const yesterday = addDays(today, -1);
+    return { startDate: yesterday, endDate: yesterday };
+  }
+
+  // "Q3", "FY24", "YTD", "last quarter", "this fiscal year"
+  const fiscalRange = resolveFiscalDateRange(query, today);
+  if (fiscalRange) {
+    return fiscalRange;
+  }
+
+  // "March 2024", "Mar 5 2024", "3/5/2024"
+  const monthYearMatch = query.match(new RegExp(`\\b${QBO_DATE_MONTH_PATTERN},? (20\\d\\d)\\b`));
+  if (monthYearMatch) {
+    return getMonthRange(parseMonthName(monthYearMatch[1]), parseInt(monthYearMatch[2], 10));
+  }
+
+  if (/\b(last|previous|prior) month\b/.test(query)) {
+    const lastMonth = parseIsoDate(formatIsoDate(todayParts.year, todayParts.month - 1, 1));
+    return getMonthRange(lastMonth.month, lastMonth.year);
+  }
+  if (/\b(this|current) month\b|\bmonth to date\b|\bmtd\b/.test(query)) {
+    return { startDate: formatIsoDate(todayParts.year, todayParts.month, 1), endDate: today };
+  }
+  if (/\b(last|previous|prior) (calendar )?year\b/.test(query)) {
+    return { startDate: `${todayParts.year - 1}-01-01`, endDate: `${todayParts.year - 1}-12-31` };
+  }
+  if (/\b(this|current) (calendar )?year\b/.test(query)) {
+    return { startDate: `${todayParts.year}-01-01`, endDate: today };
+  }
+
+  const isoDate = query.match(/\b(\d{4}-\d{2}-\d{2})\b/) || query.match(/\b(\d{1,2}\/\d{1,2}\/\d{2,4})\b/);
+  if (isoDate) {
+    const date = parseDateExpression(isoDate[1], today, 'start');
+    if (date) {
+      return { startDate: date, endDate: date };
+    }
+  }
+
+  // "for March" is the latest March that has started
+  const monthMatch = query.match(new RegExp(`\\b(?:in|for|during|of) ${QBO_DATE_MONTH_PATTERN}(?=$|[ ,.?!])`));
+  if (monthMatch) {
+    const month = parseMonthName(monthMatch[1]);
+    return getMonthRange(month, month > todayParts.month ? todayParts.year - 1 : todayParts.year);
+  }
+
+  const yearMatch = query.match(/\b(20\d\d)\b/);
+  if (yearMatch) {
+    return { startDate: `${yearMatch[1]}-01-01`, endDate: `${yearMatch[1]}-12-31` };
+  }
+
+  return null;
+}
+
+/**
+ * Parses a single date expression: '2024-03-05', '3/5/2024', 'March 5',
+ * 'Mar 5, 2024', '5 March 2024', 'March 2024', 'March', '2024', 'today'.
+ * Month and year expressions give their first day as a start and their last
+ * day as an end; a missing year is the current year.
+ *
+ * @param {string} text - The expression
+ * @param {string} today - Today as YYYY-MM-DD
+ * @param {string} edge - 'start' or 'end'
+ * @return {string} The date as YYYY-MM-DD, or null if the text isn't a date
+ */
+function parseDateExpression(text, today, edge) {
+  const value = String(text || '').toLowerCase().trim().replace(/^the /, '').replace(/[,.;:?!]+$/, '');
+  const currentYear = parseIsoDate(today).year;
+  let match;
+
+  if (value === 'today' || value === 'now') {
+    return today;
+  }
+  if (value === 'yesterday') {
+    return addDays(today, -1);
+  }
+
+  if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return buildCheckedDate(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  }
+
+  if ((match = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/))) {
+    const year = match[3] ? (match[3].length === 2 ? 2000 + parseInt(match[3], 10) : parseInt(match[3], 10)) : currentYear;
+    return buildCheckedDate(year, parseInt(match[1], 10) - 1, parseInt(match[2], 10));
+  }
+
+  if ((match = value.match(new RegExp(`^${QBO_DATE_MONTH_PATTERN} (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?$`)))) {
+    return buildCheckedDate(match[3] ? parseInt(match[3], 10) : currentYear, parseMonthName(match[1]), parseInt(match[2], 10));
+  }
+
+  if ((match = value.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${QBO_DATE_MONTH_PATTERN},?(?: (\\d{4}))?$`)))) {
+    return buildCheckedDate(match[3] ? parseInt(match[3], 10) : currentYear, parseMonthName(match[2]), parseInt(match[1], 10));
+  }
+
+  if ((match = value.match(new RegExp(`^${QBO_DATE_MONTH_PATTERN}(?:,? (\\d{4}))?$`)))) {
+    const range = getMonthRange(parseMonthName(match[1]), match[2] ? parseInt(match[2], 10) : currentYear);
+    return edge === 'end' ? range.endDate : range.startDate;
+  }
+
+  if ((match = value.match(/^(20\d\d)$/))) {
+    return edge === 'end' ? `${match[1]}-12-31` : `${match[1]}-01-01`;
+  }
+
+  return null;
+}
+
+/**
+ * Parses the longest run of leading words that is a date, so "Feb 10 for
+ * class Retail" reads as Feb 10.
+ *
+ * @param {string} text - Text that starts with a date
+ * @param {string} today - Today as YYYY-MM-DD
+ * @param {string} edge - 'start' or 'end'
+ * @return {string} The date as YYYY-MM-DD, or null if the text doesn't start with one
+ */
+function matchDatePrefix(text, today, edge) {
+  const words = String(text || '').trim().split(' ');
+  for (let count = Math.min(words.length, 5); count > 0; count--) {
+    const date = parseDateExpression(words.slice(0, count).join(' '), today, edge);
+    if (date) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the range for "last N days/weeks/months/years". Days and weeks end
+ * today; months and years are whole ones ending with the last complete one,
+ * so "trailing 12 months" in October runs from last October 1 to September 30.
+ *
+ * @param {number} count - How many units
+ * @param {string} unit - 'day', 'week', 'month' or 'year'
+ * @param {string} today - Today as YYYY-MM-DD
+ * @return {Object} {startDate, endDate}
+ */
+function getRelativeDateRange(count, unit, today) {
+  const todayParts = parseIsoDate(today);
+
+  if (unit === 'day' || unit === 'week') {
+    const days = unit === 'week' ? count * 7 : count;
+    return { startDate: addDays(today, -(days - 1)), endDate: today };
+  }
+
+  if (unit === 'year') {
+    return { startDate: `${todayParts.year - count}-01-01`, endDate: `${todayParts.year - 1}-12-31` };
+  }
+
+  return {
+    startDate: formatIsoDate(todayParts.year, todayParts.month - count, 1),
+    endDate: formatIsoDate(todayParts.year, todayParts.month, 0)
+  };
+}
+
+/**
+ * Gets the range used when a query names no dates: the fiscal year to date.
+ *
+ * @param {string} today - Today as YYYY-MM-DD (optional)
+ * @return {Object} {startDate, endDate}
+ */
+function getDefaultDateRange(today = getTodayDate()) {
+  const startMonth = getFiscalYearStartMonth();
+  return {
+    startDate: getFiscalYearRange(getFiscalYearOf(today, startMonth), startMonth).startDate,
+    endDate: today
+  };
+}
+
+/**
+ * Gets an intent's date range: its filters if set (normalized to YYYY-MM-DD),
+ * otherwise the dates in its text, otherwise the default range.
+ *
+ * @param {Object} intent - The intent
+ * @return {Object} {startDate, endDate}
+ */
+function getIntentDateRange(intent) {
+  const filters = intent.filters || {};
+  const today = getTodayDate();
+  const startDate = normalizeDateValue(filters.startDate, 'start', today);
+  const endDate = normalizeDateValue(filters.endDate, 'end', today);
+
+  if (startDate && endDate) {
+    return orderDateRange(startDate, endDate);
+  }
+
+  const range = parseDateRange(intent.text || '', today) || getDefaultDateRange(today);
+  return {
+    startDate: startDate || range.startDate,
+    endDate: endDate || range.endDate
+  };
+}
+
+/**
+ * Normalizes a date an intent carries, e.g. from OpenAI, to YYYY-MM-DD.
+ *
+ * @param {*} value - A YYYY-MM-DD string, a date expression or a Date
+ * @param {string} edge - 'start' or 'end', for months and years
+ * @param {string} today - Today as YYYY-MM-DD (optional)
+ * @return {string} The date, or null if the value can't be read
+ */
+function normalizeDateValue(value, edge, today = getTodayDate()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+
+  const text = String(value).trim();
+  const isoMatch = text.match(/^(\d{4}-\d{2}-\d{2})(?:T.*)?$/);
+  if (isoMatch) {
+    return parseDateExpression(isoMatch[1], today, edge);
+  }
+  return parseDateExpression(text, today, edge);
+}
+
+/**
+ * Labels a range for messages and column headers: '2024', 'Mar 2024',
+ * 'Jan–Mar 2024' or 'Nov 2023–Jan 2024' for whole months, otherwise the two
+ * dates, e.g. 'Mar 5, 2024 to Apr 2, 2024'.
+ *
+ * @param {string} startDate - The start as YYYY-MM-DD
+ * @param {string} endDate - The end as YYYY-MM-DD
+ * @return {string} The label
+ */
+function formatDateRangeLabel(startDate, endDate) {
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate);
+  const wholeMonths = start.day === 1 && end.day === getMonthLength(end.year, end.month);
+
+  if (!wholeMonths) {
+    return startDate === endDate ? formatDisplayDate(startDate) :
+      `${formatDisplayDate(startDate)} to ${formatDisplayDate(endDate)}`;
+  }
+  if (start.month === 0 && end.month === 11 && start.year === end.year) {
+    return String(start.year);
+  }
+  if (start.year === end.year && start.month === end.month) {
+    return `${QBO_DATE_MONTH_NAMES[start.month]} ${start.year}`;
+  }
+  if (start.year === end.year) {
+    return `${QBO_DATE_MONTH_NAMES[start.month]}–${QBO_DATE_MONTH_NAMES[end.month]} ${end.year}`;
+  }
+  return `${QBO_DATE_MONTH_NAMES[start.month]} ${start.year}–${QBO_DATE_MONTH_NAMES[end.month]} ${end.year}`;
+}
+
+/**
+ * Formats a date for messages, e.g. 'Mar 5, 2024'.
+ *
+ * @param {string} date - The date as YYYY-MM-DD
+ * @return {string} The formatted date
+ */
+function formatDisplayDate(date) {
+  const parts = parseIsoDate(date);
+  return `${QBO_DATE_MONTH_NAMES[parts.month]} ${parts.day}, ${parts.year}`;
+}
+
+/**
+ * Describes the date expressions the chat understands for the OpenAI system
+ * prompts, with the dates worked out for today.
+ *
+ * @param {string} today - Today as YYYY-MM-DD (optional)
+ * @return {string} Prompt lines, one per definition
+ */
+function describeDateRangesForPrompt(today = getTodayDate()) {
+  const lastMonth = parseDateRange('last month', today);
+  const lastYear = parseDateRange('last year', today);
+  const last90 = getRelativeDateRange(90, 'day', today);
+  const trailing = getRelativeDateRange(12, 'month', today);
+  const thisWeek = parseDateRange('this week', today);
+  const lastWeek = parseDateRange('last week', today);
+  const defaultRange = getDefaultDateRange(today);
+
+  return [
+    `- "last month" means the entire previous calendar month: ${lastMonth.startDate} to ${lastMonth.endDate}; "this month" means ${formatIsoDate(parseIsoDate(today).year, parseIsoDate(today).month, 1)} to ${today}.`,
+    `- "last year" means the previous calendar year: ${lastYear.startDate} to ${lastYear.endDate}. A bare year such as "2024" is that calendar year.`,
+    `- "last 90 days" (or any number of days or weeks) ends today: ${last90.startDate} to ${today}. "Trailing 12 months" (or "last N months") is whole months ending with the last complete one: ${trailing.startDate} to ${trailing.endDate}.`,
+    `- Weeks run Sunday to Saturday: "this week" means ${thisWeek.startDate} to ${today}, "last week" means ${lastWeek.startDate} to ${lastWeek.endDate}.`,
+    `- "since March" runs from the start of the latest March to today; "between Jan 5 and Feb 10" means exactly those dates; "as of <date>" ends on that date (for aging reports put it in filters.reportDate).`,
+    describeFiscalDatesForPrompt(today),
+    `- When no dates are given for a report, use the fiscal year to date: ${defaultRange.startDate} to ${defaultRange.endDate}.`
+  ].join('\n');
+}
@@ -0,0 +1,246 @@
+/**
+ * Dimension Service
+ * Class, Department and Location filters. Intents name them (filters.class,
+ * filters.department, filters.location); we look the names up in QuickBooks
+ * and pass the IDs to reports as the class/department parameters. QuickBooks
+ * calls Locations "Departments" in the API, so both names resolve against
+ * the Department list.
+ *
+ * The query language can't filter transactions by class or department, so
+ * queries fetch ClassRef, DepartmentRef and Line and filter the results.
+ */
+
+// Dimensions: the entity holding their names, the report parameter and the
+// reference field on transactions
+const QBO_DIMENSIONS = {
+  class: { entity: 'Class', label: 'class', plural: 'classes', reportParam: 'class', ref: 'ClassRef' },
+  department: { entity: 'Department', label: 'location', plural: 'locations', reportParam: 'department', ref: 'DepartmentRef' }
+};
+
+// Words the parser must not read as a class or location name ("in each class")
+const QBO_DIMENSION_STOPWORDS = ['all', 'any', 'each', 'every', 'my', 'our', 'that', 'this'];
+
+// Intent filter names and the dimension they select
+const QBO_DIMENSION_FILTERS = {
+  class: 'class',
+  department: 'department',
+  location: 'department'
+};
+
+/**
+ * Gets the dimension names an intent filters on.
+ *
+ * @param {Object} intent - The intent
+ * @return {Object} Names per dimension, e.g. {department: ['Brooklyn']}; empty when unfiltered
+ */
+function getDimensionFilters(intent) {
+  const result = {};
+  const filters = (intent && intent.filters) || {};
+
+  Object.keys(QBO_DIMENSION_FILTERS).forEach(filterName => {
+    const value = filters[filterName];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+    if (names.length > 0) {
+      const dimension = QBO_DIMENSION_FILTERS[filterName];
+      result[dimension] = (result[dimension] || []).concat(names);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Checks whether an intent filters on a class, department or location.
+ *
+ * @param {Object} intent - The intent
+ * @return {boolean} True if it does
+ */
+function hasDimensionFilters(intent) {
+  return Object.keys(getDimensionFilters(intent)).length > 0;
+}
+
+/**
+ * Looks up dimension names in QuickBooks. Names match Name or
+ * FullyQualifiedName ("Region:Brooklyn") without regard to case; numeric
+ * values that match an Id are taken as IDs.
+ *
+ * @param {string} dimension - 'class' or 'department'
+ * @param {Array} names - The names to find
+ * @return {Array} The records as {id, name}
+ */
+function resolveDimensionIds(dimension, names) {
+  const info = QBO_DIMENSIONS[dimension];
+  const query = buildQboQuery({
+    entity: info.entity,
+    select: ['Id', 'Name', 'FullyQualifiedName', 'Active']
+  });
+  const queryData = queryAllQuickBooks(query);
+  const records = (queryData && queryData.QueryResponse && queryData.QueryResponse[info.entity]) || [];
+
+  const missing = [];
+  const resolved = names.map(name => {
+    const wanted = name.toLowerCase();
+    const record = records.find(r => r.Id === name) ||
+                   records.find(r => (r.FullyQualifiedName || '').toLowerCase() === wanted) ||
+                   records.find(r => (r.Name || '').toLowerCase() === wanted);
+    if (!record) {
+      missing.push(name);
+      return null;
+    }
+    return { id: record.Id, name: record.FullyQualifiedName || record.Name };
+  });
+
+  if (missing.length > 0) {
+    const known = records.filter(r => r.Active !== false).map(r => r.FullyQualifiedName || r.Name);
+    throw new ValidationError(`No ${info.label} named "${missing.join('", "')}" in this company.`, {
+      remedy: known.length > 0 ?
+        `Use one of: ${known.join(', ')}.` :
+        `This company has no ${info.plural} set up. Turn on ${info.label} tracking in QuickBooks settings first.`
+    });
+  }
+
+  logAction('Dimension Lookup', info.entity, resolved.map(r => `${r.name} = ${r.id}`).join(', '));
+  return resolved;
+}
+
+/**
+ * Resolves every dimension an intent filters on.
+ *
+ * @param {Object} intent - The intent
+ * @return {Object} Records per dimension, e.g. {class: [{id, name}]}
+ */
+function resolveDimensionFilters(intent) {
+  const filters = getDimensionFilters(intent);
+  const resolved = {};
+
+  Object.keys(filters).forEach(dimension => {
+    resolved[dimension] = resolveDimensionIds(dimension, filters[dimension]);
+  });
+
+  return resolved;
+}
+
+/**
+ * Gets the report parameters for an intent's class and location filters.
+ *
+ * @param {Object} intent - The report intent
+ * @return {Object} e.g. {class: '3', department: '1,2'}; empty when unfiltered
+ */
+function getDimensionReportParams(intent) {
+  const resolved = resolveDimensionFilters(intent);
+  const params = {};
+
+  Object.keys(resolved).forEach(dimension => {
+    params[QBO_DIMENSIONS[dimension].reportParam] = resolved[dimension].map(r => r.id).join(',');
+  });
+
+  return params;
+}
+
+/**
+ * Gets the fields a query must select to be filtered by dimension.
+ *
+ * @param {string} entity - The entity being queried
+ * @return {Array} The fields the entity has out of ClassRef, DepartmentRef and Line
+ */
+function getDimensionSelectFields(entity) {
+  return ['ClassRef', 'DepartmentRef', 'Line'].filter(field => isQueryableField(entity, field));
+}
+
+/**
+ * Makes sure an entity carries the dimensions being filtered on. Classes can
+ * be on the transaction or its lines, locations only on the transaction.
+ *
+ * @param {string} entity - The entity being queried
+ * @param {Object} resolved - Records per dimension from resolveDimensionFilters
+ * @throws {ValidationError} If the entity has no such field, e.g. Customer
+ */
+function checkDimensionFilterable(entity, resolved) {
+  Object.keys(resolved).forEach(dimension => {
+    const info = QBO_DIMENSIONS[dimension];
+    const onLines = dimension === 'class' && isQueryableField(entity, 'Line');
+    if (!isQueryableField(entity, info.ref) && !onLines) {
+      throw new ValidationError(`${entity} records can't be filtered by ${info.label}.`, {
+        remedy: `Ask for a report instead, e.g. "P&L for the ${resolved[dimension][0].name} ${info.label}".`
+      });
+    }
+  });
+}
+
+/**
+ * Keeps the records that match every dimension filter. A record matches a
+ * class when the transaction or any of its lines has it, and a location when
+ * the transaction has it.
+ *
+ * @param {Array} records - The records
+ * @param {Object} resolved - Records per dimension from resolveDimensionFilters
+ * @return {Array} The matching records
+ */
+function filterByDimensions(records, resolved) {
+  return records.filter(record => Object.keys(resolved).every(dimension => {
+    const ids = resolved[dimension].map(r => r.id);
+    const ref = QBO_DIMENSIONS[dimension].ref;
+
+    if (record[ref] && ids.includes(record[ref].value)) {
+      return true;
+    }
+    if (dimension !== 'class') {
+      return false;
+    }
+
+    // Lines keep their class in the detail object, e.g. SalesItemLineDetail.ClassRef
+    return (record.Line || []).some(line => {
+      const detail = line.DetailType ? line[line.DetailType] : null;
+      return detail && detail.ClassRef && ids.includes(detail.ClassRef.value);
+    });
+  }));
+}
+
+/**
+ * Describes an intent's dimension filters for messages, e.g. ' for class Retail'.
+ *
+ * @param {Object} intent - The intent
+ * @return {string} The description, or '' when unfiltered
+ */
+function describeDimensionFilters(intent) {
+  const filters = getDimensionFilters(intent);
+  return Object.keys(filters)
+    .map(dimension => ` for ${QBO_DIMENSIONS[dimension].label} ${filters[dimension].join(', ')}`)
+    .join('');
+}
+
+/**
+ * Reads class and location names from a lower-case query:
+ * 'for the brooklyn location', 'in class "retail"', 'location: brooklyn'.
+ *
+ * @param {string} text - The lower-case query
+ * @return {Object} Intent filters, e.g. {location: 'brooklyn'}; empty when none
+ */
+function parseDimensionFilters(text) {
+  const filters = {};
+  const patterns = [
+    /\b(class|location|department)\s*[:=]?\s*["']([^"']+)["']/g,
+    /\b(class|location|department)\s*[:=]\s*([a-z0-9&.'-]+)/g,
+    /\b(?:for|in|at)\s+(?:the\s+)?([a-z0-9&.'-]+(?:\s+[a-z0-9&.'-]+)?)\s+(class|location|department)\b/g
+  ];
+
+  patterns.forEach((pattern, index) => {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      // The last pattern has the name before the keyword
+      const keyword = index === 2 ? match[2] : match[1];
+      const name = (index === 2 ? match[1] : match[2]).trim();
+      if (!filters[keyword] && name && !QBO_DIMENSION_STOPWORDS.includes(name)) {
+        filters[keyword] = name;
+      }
+    }
+  });
+
+  return filters;
+}
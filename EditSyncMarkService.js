@@ -0,0 +1,63 @@
+/**
+ * Edit Sync Mark Service
+ * Runs from the onEdit trigger on tabs linked for edit sync: records which
+ * columns of each row were edited, in the hidden "QBO Edited" column, and
+ * shades the edited cells so the user can see what a push will send.
+ */
+
+/**
+ * Notes the edited columns of each row on a linked tab and shades the
+ * edited cells. Called from the onEdit trigger, so it keeps quiet on
+ * failure rather than interrupting the edit.
+ *
+ * @param {Object} e - The edit event
+ */
+function markEditSyncEdit(e) {
+  try {
+    if (!e || !e.range) {
+      return;
+    }
+    const sheet = e.range.getSheet();
+    if (!getEditSyncState(sheet.getName())) {
+      return;
+    }
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+    const editedColumn = headers.indexOf(QBO_EDIT_SYNC_CONFIG.EDITED_HEADER);
+    const firstRow = Math.max(e.range.getRow(), 2);
+    const lastRow = e.range.getLastRow();
+    if (editedColumn < 0 || lastRow < firstRow) {
+      return;
+    }
+
+    const edited = headers.slice(e.range.getColumn() - 1, e.range.getLastColumn())
+      .filter(header => header && !isEditSyncColumn(header));
+    if (edited.length === 0) {
+      return;
+    }
+
+    const markRange = sheet.getRange(firstRow, editedColumn + 1, lastRow - firstRow + 1, 1);
+    markRange.setValues(markRange.getValues().map(row => {
+      const marked = String(row[0]).split(', ').filter(Boolean);
+      edited.forEach(header => {
+        if (!marked.includes(header)) marked.push(header);
+      });
+      return [marked.join(', ')];
+    }));
+    sheet.getRange(firstRow, e.range.getColumn(), lastRow - firstRow + 1, e.range.getNumColumns())
+      .setBackground(QBO_EDIT_SYNC_CONFIG.EDITED_COLOR);
+  } catch (error) {
+    console.error('Error in markEditSyncEdit: ' + error.toString());
+  }
+}
+
+/**
+ * Checks whether a header is one of the columns edit sync keeps for itself.
+ *
+ * @param {string} header - The header
+ * @return {boolean} True for the hidden columns and the status column
+ */
+function isEditSyncColumn(header) {
+  return [QBO_EDIT_SYNC_CONFIG.ID_HEADER, QBO_EDIT_SYNC_CONFIG.SYNC_TOKEN_HEADER,
+          QBO_EDIT_SYNC_CONFIG.EDITED_HEADER, QBO_EDIT_SYNC_CONFIG.STATUS_HEADER].includes(header);
+}
@@ -0,0 +1,305 @@
+/**
+ * Edit Sync Preview Service
+ * Works out what a push would send - each edited row's changes, conflicts
+ * and problems - and keeps that preview between chat turns with a
+ * fingerprint, so "confirm" only pushes what the user saw.
+ */
+
+/**
+ * Works out what each edited row would send: the differences between its
+ * edited cells and the record as it is in QuickBooks now.
+ *
+ * @param {Sheet} sheet - The linked tab
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @return {Object} {columns: {header: index}, dataColumns, rows: [{rowNumber, action: 'update'|'unchanged'|'conflict'|'problem',
+ *                   id, label, current, changes, diffs: [{header, before, after}], message, notes}]}
+ */
+function planEditSyncPush(sheet, entity) {
+  const values = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), sheet.getLastColumn()).getValues();
+  const headers = values[0].map(header => String(header).trim());
+  const columns = {};
+  [QBO_EDIT_SYNC_CONFIG.ID_HEADER, QBO_EDIT_SYNC_CONFIG.SYNC_TOKEN_HEADER, QBO_EDIT_SYNC_CONFIG.EDITED_HEADER].forEach(header => {
+    if (headers.indexOf(header) < 0) {
+      throw new ValidationError(`Sheet "${sheet.getName()}" no longer has its hidden "${header}" column.`, {
+        remedy: 'Fetch the tab again, then redo the edits.'
+      });
+    }
+    columns[header] = headers.indexOf(header);
+  });
+
+  const editSync = getEditSyncFields(entity);
+  const fieldColumns = findImportColumns(headers, editSync.columns);
+  const fieldByHeader = {};
+  Object.keys(fieldColumns).forEach(field => {
+    fieldByHeader[headers[fieldColumns[field]]] = field;
+  });
+
+  const edited = [];
+  values.slice(1).forEach((row, index) => {
+    const marked = String(row[columns[QBO_EDIT_SYNC_CONFIG.EDITED_HEADER]]).split(', ').filter(Boolean);
+    if (marked.length > 0) {
+      edited.push({
+        rowNumber: index + 2,
+        row: row,
+        marked: marked,
+        id: String(row[columns[QBO_EDIT_SYNC_CONFIG.ID_HEADER]]).trim(),
+        syncToken: String(row[columns[QBO_EDIT_SYNC_CONFIG.SYNC_TOKEN_HEADER]]).trim()
+      });
+    }
+  });
+
+  const records = getEditSyncRecords(entity, edited.map(row => row.id).filter(Boolean));
+  const noun = entity.toLowerCase();
+
+  const rows = edited.map(row => {
+    const plan = { rowNumber: row.rowNumber, id: row.id, notes: [] };
+    const problem = message => Object.assign(plan, { action: 'problem', message: message });
+
+    if (!row.id) {
+      return problem(`This row wasn't pulled from QuickBooks, so there is no ${noun} to update. Add new ${noun}s in QuickBooks.`);
+    }
+    const current = records[row.id];
+    if (!current) {
+      return problem(`${entity} ${row.id} is no longer in QuickBooks (it may have been deleted or made inactive).`);
+    }
+    plan.current = current;
+    plan.label = entity === 'Invoice' ? `Invoice ${current.DocNumber || current.Id}` : current.DisplayName;
+
+    // Only the edited cells are sent, so a stale value in an untouched cell can't overwrite QuickBooks
+    const editedValues = {};
+    const labels = {};
+    const readOnly = [];
+    const blanked = [];
+    row.marked.forEach(header => {
+      const field = fieldByHeader[header];
+      if (!field) {
+        readOnly.push(header);
+      } else if (isBlankImportValue(row.row[fieldColumns[field]])) {
+        blanked.push(header);
+      } else {
+        editedValues[field] = row.row[fieldColumns[field]];
+        labels[field] = header;
+      }
+    });
+    if (readOnly.length > 0) {
+      plan.notes.push(`${readOnly.join(', ')} can't be changed from the sheet.`);
+    }
+    if (blanked.length > 0) {
+      plan.notes.push(`Clearing ${blanked.join(', ')} isn't pushed; clear it in QuickBooks.`);
+    }
+
+    const read = readImportChanges(editedValues, current, editSync.fields, entity, labels);
+    if (read.problems.length > 0) {
+      return problem(read.problems.join(' '));
+    }
+    if (read.changed.length === 0) {
+      return Object.assign(plan, { action: 'unchanged' });
+    }
+
+    plan.changes = read.changes;
+    plan.diffs = Object.keys(labels).filter(field => read.changed.includes(labels[field])).map(field => {
+      const path = editSync.fields[field].path;
+      const before = path.length > 1 ? (current[path[0]] || {})[path[1]] : current[path[0]];
+      const after = path.length > 1 ? read.changes[path[0]][path[1]] : read.changes[path[0]];
+      return { header: labels[field], before: before === undefined || before === null ? '' : before, after: after };
+    });
+
+    if (row.syncToken !== String(current.SyncToken)) {
+      return Object.assign(plan, {
+        action: 'conflict',
+        message: `${plan.label} was changed in QuickBooks after this tab was pulled (SyncToken ${row.syncToken || 'none'}, ` +
+                 `now ${current.SyncToken}). Nothing was pushed; fetch the tab again and redo the edits.`
+      });
+    }
+    return Object.assign(plan, { action: 'update' });
+  });
+
+  return {
+    columns: columns,
+    dataColumns: Math.min.apply(null, Object.keys(columns).map(header => columns[header])),
+    rows: rows
+  };
+}
+
+/**
+ * Loads the current records for the edited rows.
+ *
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @param {Array} ids - The record Ids
+ * @return {Object} Record per Id
+ */
+function getEditSyncRecords(entity, ids) {
+  const records = {};
+  const unique = ids.filter((id, index) => ids.indexOf(id) === index);
+
+  for (let i = 0; i < unique.length; i += 100) {
+    const where = [{ field: 'Id', op: 'IN', value: unique.slice(i, i + 100) }];
+    if (entity === 'Customer') {
+      where.push({ field: 'Active', op: 'IN', value: [true, false] });
+    }
+    // The SyncToken check is only as good as the data it compares with
+    const queryData = withFreshQboData(() => queryAllQuickBooks(buildQboQuery({ entity: entity, where: where })));
+    ((queryData && queryData.QueryResponse && queryData.QueryResponse[entity]) || []).forEach(record => {
+      records[String(record.Id)] = record;
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Summarizes a plan so a confirmation can tell whether the tab or
+ * QuickBooks changed since the preview.
+ *
+ * @param {string} sheetName - The tab
+ * @param {Object} plan - The result of planEditSyncPush
+ * @return {string} The fingerprint
+ */
+function getEditSyncFingerprint(sheetName, plan) {
+  const content = JSON.stringify({
+    sheetName: sheetName,
+    rows: plan.rows.map(row => [row.rowNumber, row.id, row.action, row.current ? row.current.SyncToken : '', row.changes || null])
+  });
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, content, Utilities.Charset.UTF_8);
+  return Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Gets the last push preview for this spreadsheet and company.
+ *
+ * @return {Object} The saved preview, or null if there is none or it has expired
+ */
+function getEditSyncPreview() {
+  const stored = PropertiesService.getUserProperties().getProperty(QBO_EDIT_SYNC_CONFIG.PREVIEW_PROPERTY);
+  if (!stored) {
+    return null;
+  }
+
+  const preview = JSON.parse(stored);
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (!spreadsheet || preview.spreadsheetId !== spreadsheet.getId() || preview.realmId !== getCompanyId() ||
+      Date.now() - preview.savedAt > QBO_EDIT_SYNC_CONFIG.PREVIEW_MAX_AGE_MS) {
+    return null;
+  }
+  return preview;
+}
+
+/**
+ * Saves the preview a confirmation will be checked against.
+ *
+ * @param {Object} preview - {spreadsheetId, realmId, sheetName, fingerprint, savedAt}
+ */
+function saveEditSyncPreview(preview) {
+  PropertiesService.getUserProperties().setProperty(QBO_EDIT_SYNC_CONFIG.PREVIEW_PROPERTY, JSON.stringify(preview));
+}
+
+/**
+ * Forgets the saved preview.
+ */
+function clearEditSyncPreview() {
+  PropertiesService.getUserProperties().deleteProperty(QBO_EDIT_SYNC_CONFIG.PREVIEW_PROPERTY);
+}
+
+/**
+ * Formats a value for a diff line.
+ *
+ * @param {*} value - The value
+ * @return {string} The value in quotes, or (blank)
+ */
+function formatEditSyncValue(value) {
+  return value === '' ? '(blank)' : `"${value}"`;
+}
+
+/**
+ * Builds the dry-run response: the differences each edited row would send,
+ * the conflicts and the rows that can't be pushed.
+ *
+ * @param {string} sheetName - The tab
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @param {Object} plan - The result of planEditSyncPush
+ * @param {string} note - Text to put first, or ''
+ * @return {Object} The response object
+ */
+function formatEditSyncPreview(sheetName, entity, plan, note) {
+  const updates = plan.rows.filter(row => row.action === 'update');
+  const conflicts = plan.rows.filter(row => row.action === 'conflict');
+  const problems = plan.rows.filter(row => row.action === 'problem');
+  const unchanged = plan.rows.filter(row => row.action === 'unchanged');
+  const describe = row => `- Row ${row.rowNumber}, ${row.label}: ` +
+    row.diffs.map(diff => `${diff.header} ${formatEditSyncValue(diff.before)} → ${formatEditSyncValue(diff.after)}`).join('; ') +
+    (row.notes.length > 0 ? ` (${row.notes.join(' ')})` : '');
+
+  const parts = [note + `Preview of ${plan.rows.length} edited row(s) on "${sheetName}". Nothing has been sent to QuickBooks yet.`];
+
+  if (updates.length > 0) {
+    const shown = updates.slice(0, QBO_IMPORT_CONFIG.MAX_DOCUMENTS);
+    parts.push('Changes to push:\n' + shown.map(describe).join('\n') +
+               (updates.length > shown.length ? `\n...and ${updates.length - shown.length} more after these are pushed.` : ''));
+  }
+  if (conflicts.length > 0) {
+    parts.push('Conflicts, changed in QuickBooks since the pull, so they will be left alone:\n' +
+               formatImportProblems(conflicts.map(row => `Row ${row.rowNumber}: ${row.message}`)));
+  }
+  if (problems.length > 0) {
+    parts.push("These rows can't be pushed:\n" + formatImportProblems(problems.map(row => `Row ${row.rowNumber}: ${row.message}`)));
+  }
+  if (unchanged.length > 0) {
+    parts.push(`${unchanged.length} edited row(s) already match QuickBooks.`);
+  }
+
+  if (updates.length > 0) {
+    const count = Math.min(updates.length, QBO_IMPORT_CONFIG.MAX_DOCUMENTS);
+    parts.push(`Reply "confirm" to update ${count} ${entity.toLowerCase()}${count === 1 ? '' : 's'} in QuickBooks.`);
+  }
+
+  return {
+    type: updates.length > 0 ? 'info' : 'warning',
+    message: parts.join('\n\n'),
+    data: {
+      sheetName: sheetName,
+      entity: entity,
+      dryRun: true,
+      preview: plan.rows.map(row => ({
+        row: row.rowNumber,
+        id: row.id,
+        action: row.action,
+        diffs: row.diffs || [],
+        message: row.message || null
+      }))
+    }
+  };
+}
+
+/**
+ * Builds the chat summary after a push.
+ *
+ * @param {string} sheetName - The tab
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @param {Object} outcome - The result of applyEditSyncPush
+ * @return {string} The message
+ */
+function formatEditSyncMessage(sheetName, entity, outcome) {
+  const counts = outcome.counts;
+  const parts = [
+    `Pushed "${sheetName}" to QuickBooks: ${counts.updated} ${entity.toLowerCase()}${counts.updated === 1 ? '' : 's'} updated` +
+    (counts.unchanged > 0 ? `, ${counts.unchanged} already matched` : '') +
+    (counts.conflicts > 0 ? `, ${counts.conflicts} conflict${counts.conflicts === 1 ? '' : 's'}` : '') +
+    (counts.failed > 0 ? `, ${counts.failed} failed` : '') +
+    `. Each row's result is in the "${QBO_EDIT_SYNC_CONFIG.STATUS_HEADER}" column.`
+  ];
+
+  if (outcome.conflicts.length > 0) {
+    parts.push('These rows changed in QuickBooks since the pull and were left alone:\n' + formatImportProblems(outcome.conflicts));
+  }
+  if (outcome.problems.length > 0) {
+    parts.push('These rows were not pushed:\n' + formatImportProblems(outcome.problems));
+  }
+  if (counts.remaining > 0) {
+    parts.push(`${counts.remaining} more edited row(s) are waiting. Ask to push changes again for the next ${QBO_IMPORT_CONFIG.MAX_DOCUMENTS}.`);
+  }
+  if (counts.updated > 0) {
+    parts.push('Other columns, such as totals, show the values from the pull until the tab is fetched again.');
+  }
+
+  return parts.join('\n\n');
+}
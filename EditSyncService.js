@@ -0,0 +1,317 @@
+/**
+ * Edit Sync Service
+ * Sends edits made on a fetched Invoice or Customer tab back to QuickBooks.
+ *
+ * fetchEntityData links the tab: hidden columns keep each row's Id and the
+ * SyncToken it was pulled with, and onEdit notes the edited columns of each
+ * row (and shades the cells). "Push changes" previews the differences
+ * between the edited cells and QuickBooks; "confirm" sends them as sparse
+ * updates of the editable fields. A row whose record changed in QuickBooks
+ * after the pull is a conflict and is left alone.
+ *
+ * The onEdit marking is in EditSyncMarkService and the push plan and its
+ * preview in EditSyncPreviewService.
+ */
+
+const QBO_EDIT_SYNC_CONFIG = {
+  ID_HEADER: 'QBO Id',
+  SYNC_TOKEN_HEADER: 'QBO SyncToken',
+  EDITED_HEADER: 'QBO Edited',       // Headers of the edited columns, e.g. 'Invoice Due Date, Invoice Number'
+  STATUS_HEADER: 'Push Status',
+  EDITED_COLOR: '#fff2cc',
+  PREVIEW_PROPERTY: 'QBO_EDIT_SYNC_PREVIEW',
+  PREVIEW_MAX_AGE_MS: 3600000,       // A preview older than an hour has to be run again
+  STALE_FAULT_CODE: '5010'           // QuickBooks refused the write because the SyncToken is old
+};
+
+// Entities whose fetched tabs can push edits back
+const QBO_EDIT_SYNC_ENTITIES = ['Invoice', 'Customer'];
+
+// Editable invoice columns (the labels formatInvoiceData writes come first) and where they go
+const QBO_EDIT_SYNC_INVOICE_COLUMNS = {
+  date: ['Invoice Date', 'TxnDate'],
+  dueDate: ['Invoice Due Date', 'DueDate'],
+  docNumber: ['Invoice Number', 'DocNumber'],
+  privateNote: ['PrivateNote'],
+  customerMemo: ['CustomerMemo'],
+  billEmail: ['BillEmail']
+};
+const QBO_EDIT_SYNC_INVOICE_FIELDS = {
+  date: { path: ['TxnDate'], type: 'date' },
+  dueDate: { path: ['DueDate'], type: 'date' },
+  docNumber: { path: ['DocNumber'] },
+  privateNote: { path: ['PrivateNote'] },
+  customerMemo: { path: ['CustomerMemo', 'value'] },
+  billEmail: { path: ['BillEmail', 'Address'] }
+};
+
+/**
+ * Gets the editable columns of an entity's tab.
+ *
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @return {Object} {columns, fields} in the shapes findImportColumns and readImportChanges take
+ */
+function getEditSyncFields(entity) {
+  if (entity === 'Invoice') {
+    return { columns: QBO_EDIT_SYNC_INVOICE_COLUMNS, fields: QBO_EDIT_SYNC_INVOICE_FIELDS };
+  }
+
+  // Customers edit the same fields the customer upsert does; the Id and SyncToken are hidden columns here
+  const columns = Object.assign({}, QBO_CONTACT_IMPORT_COLUMNS);
+  delete columns.id;
+  delete columns.syncToken;
+  return { columns: columns, fields: QBO_CONTACT_IMPORT_FIELDS };
+}
+
+/**
+ * Gets the edit sync state of a tab.
+ *
+ * @param {string} sheetName - The tab
+ * @return {Object} {entity, realmId, pulledAt}, or null if the tab isn't linked
+ */
+function getEditSyncState(sheetName) {
+  const stored = PropertiesService.getDocumentProperties().getProperty('QBO_EDIT_SYNC_' + sheetName);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Saves the edit sync state of a tab.
+ *
+ * @param {string} sheetName - The tab
+ * @param {Object} state - {entity, realmId, pulledAt}
+ */
+function saveEditSyncState(sheetName, state) {
+  PropertiesService.getDocumentProperties().setProperty('QBO_EDIT_SYNC_' + sheetName, JSON.stringify(state));
+}
+
+/**
+ * Links a freshly written tab to QuickBooks: adds the hidden Id, SyncToken
+ * and edited columns at the right and saves the state. The records must be
+ * in the same order as the rows below the header.
+ *
+ * @param {string} sheetName - The tab fetchEntityData wrote
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @param {Array} records - The written records
+ */
+function enableEditSync(sheetName, entity, records) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || !QBO_EDIT_SYNC_ENTITIES.includes(entity)) {
+    return;
+  }
+
+  // Columns hidden by an earlier pull may now hold data
+  const dataColumns = sheet.getLastColumn();
+  sheet.showColumns(1, dataColumns);
+
+  const headers = [QBO_EDIT_SYNC_CONFIG.ID_HEADER, QBO_EDIT_SYNC_CONFIG.SYNC_TOKEN_HEADER, QBO_EDIT_SYNC_CONFIG.EDITED_HEADER];
+  sheet.getRange(1, dataColumns + 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  if (records.length > 0) {
+    sheet.getRange(2, dataColumns + 1, records.length, headers.length)
+      .setValues(records.map(record => [record.Id, record.SyncToken, '']));
+    // Shading from edits before this pull no longer applies
+    sheet.getRange(2, 1, records.length, dataColumns).setBackground(null);
+  }
+  sheet.hideColumns(dataColumns + 1, headers.length);
+
+  saveEditSyncState(sheetName, {
+    entity: entity,
+    realmId: getCompanyId(),
+    pulledAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Previews or pushes the edited rows of a linked tab (parameters.sheetName,
+ * or the active sheet). Set parameters.confirm to push the last preview.
+ *
+ * @param {Object} intent - The push intent
+ * @return {Object} The response object
+ */
+function pushEditSyncChanges(intent) {
+  try {
+    const parameters = intent.parameters || {};
+    const preview = getEditSyncPreview();
+    const confirming = parameters.confirm === true || parameters.confirm === 'true';
+
+    if (confirming && !preview) {
+      return {
+        type: 'error',
+        message: 'There is no push preview to confirm, or it is more than an hour old. Ask to "push changes" to preview them first.'
+      };
+    }
+
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = confirming ? preview.sheetName : (parameters.sheetName || spreadsheet.getActiveSheet().getName());
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    const state = getEditSyncState(sheetName);
+    if (!sheet || !state) {
+      throw new ValidationError(`Sheet "${sheetName}" isn't linked to QuickBooks records.`, {
+        remedy: 'Fetch invoices or customers into a tab (e.g. "get customers into sheet Customers"), edit the cells there, then ask to push the changes.'
+      });
+    }
+    if (state.realmId !== getCompanyId()) {
+      throw new ValidationError(`Sheet "${sheetName}" was pulled from another QuickBooks company.`, {
+        remedy: 'Switch back to that company, or fetch the tab again from this one.'
+      });
+    }
+
+    const plan = planEditSyncPush(sheet, state.entity);
+    if (plan.rows.length === 0) {
+      clearEditSyncPreview();
+      return {
+        type: 'info',
+        message: `No rows on "${sheetName}" have been edited since they were pulled. Edited cells are shaded yellow.`
+      };
+    }
+
+    const fingerprint = getEditSyncFingerprint(sheetName, plan);
+    if (!confirming || fingerprint !== preview.fingerprint) {
+      saveEditSyncPreview({
+        spreadsheetId: spreadsheet.getId(),
+        realmId: state.realmId,
+        sheetName: sheetName,
+        fingerprint: fingerprint,
+        savedAt: Date.now()
+      });
+      const note = confirming ? 'The tab or QuickBooks changed since the last preview, so nothing was pushed. Here is the new preview.\n\n' : '';
+      logAction('Push Changes Preview', sheetName,
+                `${plan.rows.filter(row => row.action === 'update').length} to update, ` +
+                `${plan.rows.filter(row => row.action === 'conflict').length} conflicts`);
+      return formatEditSyncPreview(sheetName, state.entity, plan, note);
+    }
+
+    const outcome = applyEditSyncPush(sheet, state.entity, plan);
+    clearEditSyncPreview();
+
+    const counts = outcome.counts;
+    logAction('Push Changes', sheetName,
+              `${counts.updated} updated, ${counts.conflicts} conflicts, ${counts.failed} failed`);
+    if (outcome.stopError) {
+      throw outcome.stopError;
+    }
+
+    return {
+      type: counts.failed + counts.conflicts === 0 ? 'success' : (counts.updated > 0 ? 'warning' : 'error'),
+      message: formatEditSyncMessage(sheetName, state.entity, outcome),
+      data: {
+        sheetName: sheetName,
+        entity: state.entity,
+        updated: counts.updated,
+        unchanged: counts.unchanged,
+        conflicts: outcome.conflicts,
+        failed: counts.failed,
+        remaining: counts.remaining,
+        problems: outcome.problems
+      }
+    };
+  } catch (error) {
+    console.error('Error in pushEditSyncChanges: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
+    return {
+      type: 'error',
+      message: 'Failed to push the changes: ' + error.message
+    };
+  }
+}
+
+/**
+ * Sends the updates of a confirmed preview and writes each row's result.
+ * Pushed rows get the new SyncToken and lose their edit marks; rows that
+ * weren't pushed keep them so they can be pushed again.
+ *
+ * @param {Sheet} sheet - The linked tab
+ * @param {string} entity - 'Invoice' or 'Customer'
+ * @param {Object} plan - The result of planEditSyncPush
+ * @return {Object} {counts, conflicts: ['Row 5: ...'], problems: ['Row 5: ...'], stopError}
+ */
+function applyEditSyncPush(sheet, entity, plan) {
+  const today = getTodayDate();
+  const results = [];
+  const cleared = [];
+  const problems = [];
+  const conflicts = [];
+  const counts = { updated: 0, unchanged: 0, conflicts: 0, failed: 0, remaining: 0 };
+  let writes = 0;
+  let stopError = null;
+
+  const status = (row, text, extra = {}) => {
+    results.push({ rowNumber: row.rowNumber, values: Object.assign({ [QBO_EDIT_SYNC_CONFIG.STATUS_HEADER]: text }, extra) });
+  };
+  const done = (row, record, text) => {
+    cleared.push(row.rowNumber);
+    status(row, text + (row.notes.length > 0 ? ' ' + row.notes.join(' ') : ''), {
+      [QBO_EDIT_SYNC_CONFIG.SYNC_TOKEN_HEADER]: record.SyncToken,
+      [QBO_EDIT_SYNC_CONFIG.EDITED_HEADER]: ''
+    });
+  };
+  const conflict = (row, message) => {
+    counts.conflicts++;
+    conflicts.push(`Row ${row.rowNumber}: ${message}`);
+    status(row, 'Conflict: ' + message);
+  };
+
+  for (let i = 0; i < plan.rows.length; i++) {
+    const row = plan.rows[i];
+
+    if (row.action === 'problem') {
+      counts.failed++;
+      problems.push(`Row ${row.rowNumber}: ${row.message}`);
+      status(row, formatImportError(row.message));
+      continue;
+    }
+    if (row.action === 'conflict') {
+      conflict(row, row.message);
+      continue;
+    }
+    if (row.action === 'unchanged') {
+      counts.unchanged++;
+      done(row, row.current, 'No changes ' + today + '.');
+      continue;
+    }
+
+    if (writes >= QBO_IMPORT_CONFIG.MAX_DOCUMENTS) {
+      counts.remaining++;
+      continue;
+    }
+    writes++;
+
+    try {
+      const body = Object.assign({ Id: row.current.Id, SyncToken: row.current.SyncToken, sparse: true }, row.changes);
+      const record = callQuickBooksApi(entity.toLowerCase(), 'POST', body)[entity] || {};
+      counts.updated++;
+      done(row, record, `Pushed ${today}: ${row.diffs.map(diff => diff.header).join(', ')}.`);
+    } catch (error) {
+      if (error instanceof QboError && error.code === QBO_EDIT_SYNC_CONFIG.STALE_FAULT_CODE) {
+        conflict(row, `${row.label} was changed in QuickBooks while pushing. Nothing was pushed; fetch the tab again and redo the edits.`);
+        continue;
+      }
+      if (!isImportRecordError(error)) {
+        stopError = error;
+        break;
+      }
+      counts.failed++;
+      problems.push(`Row ${row.rowNumber}: ${error.message}`);
+      status(row, formatImportError(error.message));
+    }
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+  const statusColumns = Object.assign({}, plan.columns);
+  let statusColumn = headers.indexOf(QBO_EDIT_SYNC_CONFIG.STATUS_HEADER);
+  if (statusColumn < 0) {
+    statusColumn = headers.length;
+    sheet.getRange(1, statusColumn + 1).setValue(QBO_EDIT_SYNC_CONFIG.STATUS_HEADER).setFontWeight('bold');
+  }
+  statusColumns[QBO_EDIT_SYNC_CONFIG.STATUS_HEADER] = statusColumn;
+  writeImportResults(sheet, statusColumns, results);
+  cleared.forEach(rowNumber => sheet.getRange(rowNumber, 1, 1, plan.dataColumns).setBackground(null));
+
+  return {
+    counts: counts,
+    conflicts: conflicts,
+    problems: problems,
+    stopError: stopError
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * Error Service
+ * One error type per kind of QuickBooks failure, built from the HTTP status and
+ * the Fault payload. Each error carries the fault codes and a remedy telling
+ * the user what to do, and executeIntent turns them into sidebar messages.
+ */
+
+// Fault codes that identify the kind of failure regardless of HTTP status
+const QBO_FAULT_CODE_TYPES = {
+  '100': 'PermissionError',        // General authorization failure
+  '120': 'PermissionError',        // Authorization failure
+  '3001': 'ThrottleError',         // Throttle exceeded
+  '3100': 'AuthError',             // Application authorization failed
+  '3200': 'AuthError',             // Application authentication failed
+  '5020': 'PermissionError',       // Permission denied
+  '610': 'NotFound',               // Object not found
+  '10000': 'ServiceUnavailable'    // Internal application error
+};
+
+// Fault types (Fault.type) and the error they map to
+const QBO_FAULT_TYPES = {
+  AUTHENTICATION: 'AuthError',
+  AuthenticationFault: 'AuthError',
+  AuthorizationFault: 'PermissionError',
+  ValidationFault: 'ValidationError',
+  SystemFault: 'ServiceUnavailable',
+  SERVICE: 'ServiceUnavailable'
+};
+
+// Remedies for fault codes that need more specific advice than their error type
+const QBO_FAULT_REMEDIES = {
+  '610': 'The record may have been deleted or made inactive in QuickBooks. Refresh your data and check the ID.',
+  '2500': 'A referenced customer, vendor, account or item does not exist. Check the names and IDs you used.',
+  '4000': 'The query could not be parsed. Rephrase the request or check the column names.',
+  '5010': 'Someone changed this record in QuickBooks after it was read. Refresh the data and try again.',
+  '6140': 'That document number is already used. Pick a different number.',
+  '6240': 'That name is already used by another customer, vendor or employee. Pick a different name.'
+};
+
+/**
+ * Base class for QuickBooks failures.
+ */
+class QboError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options - {statusCode, faultType, faults, remedy, title}
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'QboError';
+    this.title = options.title || 'QuickBooks error';
+    this.statusCode = options.statusCode || null;
+    this.faultType = options.faultType || '';
+    this.faults = options.faults || [];
+    this.remedy = options.remedy ||
+      'Try again. If it keeps happening, ask me to "diagnose the connection" to check your QuickBooks setup.';
+  }
+
+  /**
+   * The first fault code, e.g. '6240', or '' if QuickBooks sent none.
+   */
+  get code() {
+    return this.faults.length > 0 ? this.faults[0].code : '';
+  }
+}
+
+/**
+ * The connection has no valid token, or QuickBooks rejected it.
+ */
+class AuthError extends QboError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({
+      title: 'QuickBooks connection problem',
+      remedy: 'Reconnect to QuickBooks from the sidebar settings.'
+    }, options));
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * The connected QuickBooks user isn't allowed to see or change this data.
+ */
+class PermissionError extends QboError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({
+      title: 'QuickBooks permission problem',
+      remedy: 'Ask a QuickBooks admin to give your user access to this data, or disconnect and reconnect with an admin account.'
+    }, options));
+    this.name = 'PermissionError';
+  }
+}
+
+/**
+ * QuickBooks rejected the request's content: bad query, field, reference or value.
+ */
+class ValidationError extends QboError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({
+      title: 'QuickBooks rejected the request',
+      remedy: 'Check the names, dates and amounts in your request and try again.'
+    }, options));
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * QuickBooks is limiting requests for this company.
+ */
+class ThrottleError extends QboError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({
+      title: 'QuickBooks is limiting requests',
+      remedy: 'Too many requests went to this company in a short time. Wait a minute and try again.'
+    }, options));
+    this.name = 'ThrottleError';
+  }
+}
+
+/**
+ * QuickBooks (or the network to it) is down or returned a server error.
+ */
+class ServiceUnavailable extends QboError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({
+      title: 'QuickBooks is unavailable',
+      remedy: 'This is usually temporary. Try again in a few minutes, and check status.developer.intuit.com if it persists.'
+    }, options));
+    this.name = 'ServiceUnavailable';
+  }
+}
+
+/**
+ * The record, report or endpoint doesn't exist in this company.
+ */
+class NotFound extends QboError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({
+      title: 'Not found in QuickBooks',
+      remedy: 'Check the name or ID, and that you are working with the right company.'
+    }, options));
+    this.name = 'NotFound';
+  }
+}
+
+/**
+ * Reads the Fault from a QuickBooks error body. Handles both the usual
+ * {Fault: {Error: [{Message, Detail, code}]}} shape and the lower-case
+ * {fault: {error: [{message, detail, code}]}} shape authentication errors use.
+ *
+ * @param {Object|string} body - The parsed body or the raw response text
+ * @return {Object} The fault as {type, errors: [{code, message, detail, element}]}, or null
+ */
+function parseQboFault(body) {
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const fault = data && (data.Fault || data.fault);
+  if (!fault) {
+    return null;
+  }
+
+  const errors = fault.Error || fault.error || [];
+  return {
+    type: fault.type || '',
+    errors: errors.map(error => ({
+      code: String(error.code || ''),
+      message: error.Message || error.message || '',
+      detail: error.Detail || error.detail || '',
+      element: error.element || ''
+    }))
+  };
+}
+
+/**
+ * Builds the error for a failed QuickBooks response.
+ *
+ * @param {number} statusCode - The HTTP status
+ * @param {string} contentText - The response body
+ * @param {string} context - What was being requested, e.g. 'GET reports/ProfitAndLoss'
+ * @return {QboError} The typed error
+ */
+function createQboError(statusCode, contentText, context) {
+  const fault = parseQboFault(contentText);
+  const faults = fault ? fault.errors : [];
+
+  const message = faults.length > 0 ?
+    faults.map(error => error.detail && error.detail !== error.message ?
+      `${error.message}: ${error.detail}` : error.message).join('; ') :
+    `QuickBooks returned status ${statusCode}` + (context ? ` for ${context}` : '');
+
+  const options = {
+    statusCode: statusCode,
+    faultType: fault ? fault.type : '',
+    faults: faults
+  };
+
+  const code = options.faults.length > 0 ? options.faults[0].code : '';
+  if (QBO_FAULT_REMEDIES[code]) {
+    options.remedy = QBO_FAULT_REMEDIES[code];
+  }
+
+  switch (getQboErrorType(statusCode, fault)) {
+    case 'AuthError': return new AuthError(message, options);
+    case 'PermissionError': return new PermissionError(message, options);
+    case 'ThrottleError': return new ThrottleError(message, options);
+    case 'ServiceUnavailable': return new ServiceUnavailable(message, options);
+    case 'NotFound': return new NotFound(message, options);
+    case 'ValidationError': return new ValidationError(message, options);
+    default: return new QboError(message, options);
+  }
+}
+
+/**
+ * Picks the error type: a known fault code wins, then the fault type, then the
+ * HTTP status.
+ *
+ * @param {number} statusCode - The HTTP status
+ * @param {Object} fault - The parsed fault, or null
+ * @return {string} The error class name
+ */
+function getQboErrorType(statusCode, fault) {
+  if (fault) {
+    const codeType = fault.errors.map(error => QBO_FAULT_CODE_TYPES[error.code]).find(Boolean);
+    if (codeType) {
+      return codeType;
+    }
+    if (QBO_FAULT_TYPES[fault.type]) {
+      return QBO_FAULT_TYPES[fault.type];
+    }
+  }
+
+  if (statusCode === 401) return 'AuthError';
+  if (statusCode === 403) return 'PermissionError';
+  if (statusCode === 404) return 'NotFound';
+  if (statusCode === 429) return 'ThrottleError';
+  if (statusCode >= 500) return 'ServiceUnavailable';
+  if (statusCode >= 400) return 'ValidationError';
+  return 'QboError';
+}
+
+/**
+ * Turns a QuickBooks error into a sidebar response.
+ *
+ * @param {QboError} error - The error
+ * @return {Object} The response object
+ */
+function formatQboErrorResponse(error) {
+  const code = error.code ? ` (code ${error.code})` : '';
+
+  return {
+    type: 'error',
+    message: `${error.title}: ${error.message}${code}\n\n${error.remedy}`,
+    data: {
+      errorType: error.name,
+      statusCode: error.statusCode,
+      faultType: error.faultType,
+      faults: error.faults
+    }
+  };
+}
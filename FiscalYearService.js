@@ -0,0 +1,229 @@
+/**
+ * Fiscal Year Service
+ * Resolves fiscal periods ("this fiscal year", "FY24", "Q3", "YTD", "last
+ * quarter") against the fiscal year start in the company's CompanyInfo. A
+ * company whose fiscal year starts in January gets calendar periods.
+ *
+ * Fiscal years are named for the calendar year they end in: with a July
+ * start, FY24 runs from 2023-07-01 to 2024-06-30.
+ */
+
+// How long a company's fiscal year start is cached (CacheService maximum)
+const QBO_FISCAL_CACHE_SECONDS = 21600;
+
+const QBO_FISCAL_MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+                                'August', 'September', 'October', 'November', 'December'];
+
+// Words that can start a fiscal period; anything else skips the CompanyInfo lookup
+const QBO_FISCAL_KEYWORDS = /\b(fiscal|fytd|ytd|year to date|quarter|q[1-4])\b|\bfy\s*'?\d\d/;
+
+/**
+ * Gets the month the active company's fiscal year starts in. The value is
+ * read from CompanyInfo and cached per company; if CompanyInfo can't be read
+ * the calendar year is used and nothing is cached.
+ *
+ * @return {number} The 0-based month, 0 for January
+ */
+function getFiscalYearStartMonth() {
+  const realmId = getCompanyId();
+  if (!realmId) {
+    return 0;
+  }
+
+  const cache = CacheService.getUserCache();
+  const cacheKey = 'QBO_FISCAL_START_' + realmId;
+  const cached = cache.get(cacheKey);
+  if (cached !== null && cached !== undefined && cached !== '') {
+    return Number(cached);
+  }
+
+  let month;
+  try {
+    month = parseFiscalMonth(getCompanyInfo(realmId).FiscalYearStartMonth);
+  } catch (error) {
+    logAction('Fiscal Year', 'CompanyInfo lookup failed, using a calendar year', error.toString());
+    return 0;
+  }
+
+  cache.put(cacheKey, String(month), QBO_FISCAL_CACHE_SECONDS);
+  logAction('Fiscal Year', 'Start month', QBO_FISCAL_MONTH_NAMES[month]);
+  return month;
+}
+
+/**
+ * Reads a FiscalYearStartMonth value, which QuickBooks sends as a month name.
+ *
+ * @param {string|number} value - The month name (e.g. 'July') or number (1-12)
+ * @return {number} The 0-based month, 0 when the value can't be read
+ */
+function parseFiscalMonth(value) {
+  const number = parseInt(value, 10);
+  if (number >= 1 && number <= 12) {
+    return number - 1;
+  }
+
+  const name = String(value || '').toLowerCase().substring(0, 3);
+  const index = QBO_FISCAL_MONTH_NAMES.findIndex(month => month.toLowerCase().substring(0, 3) === name);
+  return index >= 0 ? index : 0;
+}
+
+/**
+ * Gets the fiscal year a date falls in.
+ *
+ * @param {string} date - The date as YYYY-MM-DD
+ * @param {number} startMonth - The 0-based fiscal start month
+ * @return {number} The fiscal year, named for the calendar year it ends in
+ */
+function getFiscalYearOf(date, startMonth) {
+  const parts = parseIsoDate(date);
+  return startMonth > 0 && parts.month >= startMonth ? parts.year + 1 : parts.year;
+}
+
+/**
+ * Gets the dates of a fiscal year.
+ *
+ * @param {number} fiscalYear - The fiscal year, e.g. 2024 for FY24
+ * @param {number} startMonth - The 0-based fiscal start month
+ * @return {Object} {startDate, endDate} as YYYY-MM-DD
+ */
+function getFiscalYearRange(fiscalYear, startMonth) {
+  const startYear = startMonth > 0 ? fiscalYear - 1 : fiscalYear;
+  return {
+    startDate: formatIsoDate(startYear, startMonth, 1),
+    endDate: formatIsoDate(startYear, startMonth + 12, 0)
+  };
+}
+
+/**
+ * Gets the dates of a fiscal quarter.
+ *
+ * @param {number} fiscalYear - The fiscal year
+ * @param {number} quarter - The quarter, 1 to 4
+ * @param {number} startMonth - The 0-based fiscal start month
+ * @return {Object} {startDate, endDate} as YYYY-MM-DD
+ */
+function getFiscalQuarterRange(fiscalYear, quarter, startMonth) {
+  const startYear = startMonth > 0 ? fiscalYear - 1 : fiscalYear;
+  const firstMonth = startMonth + (quarter - 1) * 3;
+  return {
+    startDate: formatIsoDate(startYear, firstMonth, 1),
+    endDate: formatIsoDate(startYear, firstMonth + 3, 0)
+  };
+}
+
+/**
+ * Gets the fiscal quarter a date falls in.
+ *
+ * @param {string} date - The date as YYYY-MM-DD
+ * @param {number} startMonth - The 0-based fiscal start month
+ * @return {Object} {fiscalYear, quarter}
+ */
+function getFiscalQuarterOf(date, startMonth) {
+  const monthsIn = (parseIsoDate(date).month - startMonth + 12) % 12;
+  return { fiscalYear: getFiscalYearOf(date, startMonth), quarter: Math.floor(monthsIn / 3) + 1 };
+}
+
+/**
+ * Resolves a fiscal period in a lower-case query:
+ * - "this fiscal year" (to today), "last fiscal year"
+ * - "FY24", "FY 2024", "fiscal 2024", "fiscal year 2024"
+ * - "Q3" (this fiscal year), "Q3 2024", "Q3 FY24"
+ * - "this quarter" (to today), "last quarter"
+ * - "YTD", "year to date", "fiscal year to date"
+ *
+ * @param {string} text - The lower-case query
+ * @param {string} today - Today as YYYY-MM-DD
+ * @param {number} startMonth - The 0-based fiscal start month (optional, looked up when needed)
+ * @return {Object} {startDate, endDate} as YYYY-MM-DD, or null if the query names no fiscal period
+ */
+function resolveFiscalDateRange(text, today, startMonth) {
+  if (!QBO_FISCAL_KEYWORDS.test(text)) {
+    return null;
+  }
+  if (startMonth === undefined) {
+    startMonth = getFiscalYearStartMonth();
+  }
+
+  const currentYear = getFiscalYearOf(today, startMonth);
+
+  if (/\b(fiscal )?year to date\b|\b(fy)?ytd\b/.test(text)) {
+    return { startDate: getFiscalYearRange(currentYear, startMonth).startDate, endDate: today };
+  }
+
+  if (/\b(this|current) fiscal year\b/.test(text)) {
+    return { startDate: getFiscalYearRange(currentYear, startMonth).startDate, endDate: today };
+  }
+
+  if (/\b(last|previous|prior) fiscal year\b/.test(text)) {
+    return getFiscalYearRange(currentYear - 1, startMonth);
+  }
+
+  const quarterMatch = text.match(/\bq([1-4])\b(?:\s*(?:of\s+)?(?:fy\s*'?|fiscal\s+(?:year\s+)?)?(20\d\d|'?\d\d)\b)?/);
+  if (quarterMatch) {
+    const fiscalYear = quarterMatch[2] ? parseFiscalYear(quarterMatch[2]) : currentYear;
+    return getFiscalQuarterRange(fiscalYear, parseInt(quarterMatch[1], 10), startMonth);
+  }
+
+  const yearMatch = text.match(/\b(?:fy\s*'?|fiscal\s+(?:year\s+)?)(20\d\d|\d\d)\b/);
+  if (yearMatch) {
+    return getFiscalYearRange(parseFiscalYear(yearMatch[1]), startMonth);
+  }
+
+  const current = getFiscalQuarterOf(today, startMonth);
+
+  if (/\b(this|current) quarter\b/.test(text)) {
+    return {
+      startDate: getFiscalQuarterRange(current.fiscalYear, current.quarter, startMonth).startDate,
+      endDate: today
+    };
+  }
+
+  if (/\b(last|previous|prior) quarter\b/.test(text)) {
+    return current.quarter === 1 ?
+      getFiscalQuarterRange(current.fiscalYear - 1, 4, startMonth) :
+      getFiscalQuarterRange(current.fiscalYear, current.quarter - 1, startMonth);
+  }
+
+  return null;
+}
+
+/**
+ * Describes the company's fiscal periods for the OpenAI system prompts, with
+ * the dates worked out for today.
+ *
+ * @param {string} today - Today as YYYY-MM-DD
+ * @return {string} Prompt lines, one per definition
+ */
+function describeFiscalDatesForPrompt(today) {
+  const startMonth = getFiscalYearStartMonth();
+  const currentYear = getFiscalYearOf(today, startMonth);
+  const thisYear = getFiscalYearRange(currentYear, startMonth);
+  const lastYear = getFiscalYearRange(currentYear - 1, startMonth);
+  const current = getFiscalQuarterOf(today, startMonth);
+  const lastQuarter = current.quarter === 1 ?
+    getFiscalQuarterRange(current.fiscalYear - 1, 4, startMonth) :
+    getFiscalQuarterRange(current.fiscalYear, current.quarter - 1, startMonth);
+  const quarters = [1, 2, 3, 4].map(quarter => {
+    const range = getFiscalQuarterRange(currentYear, quarter, startMonth);
+    return `Q${quarter} is ${range.startDate} to ${range.endDate}`;
+  });
+
+  return [
+    `- The company's fiscal year starts in ${QBO_FISCAL_MONTH_NAMES[startMonth]}. Fiscal years are named for the calendar year they end in: the current fiscal year is FY${currentYear} (FY${String(currentYear).substring(2)}), ${thisYear.startDate} to ${thisYear.endDate}.`,
+    `- "this fiscal year" means ${thisYear.startDate} to ${today}; "last fiscal year" means ${lastYear.startDate} to ${lastYear.endDate}; "FY${String(currentYear - 1).substring(2)}" or "fiscal ${currentYear - 1}" means the same.`,
+    `- "year to date" or "ytd" means from the start of the fiscal year to today: ${thisYear.startDate} to ${today}.`,
+    `- Quarters are fiscal quarters. In FY${currentYear} ${quarters.join(', ')}. "Q3" alone means Q3 of the current fiscal year; "Q3 2024" or "Q3 FY24" means Q3 of FY2024.`,
+    `- "this quarter" means ${getFiscalQuarterRange(current.fiscalYear, current.quarter, startMonth).startDate} to ${today}; "last quarter" means the previous complete fiscal quarter: ${lastQuarter.startDate} to ${lastQuarter.endDate}.`
+  ].join('\n');
+}
+
+/**
+ * Reads a fiscal year number: '2024', '24' or "'24".
+ *
+ * @param {string} value - The year as written
+ * @return {number} The four-digit fiscal year
+ */
+function parseFiscalYear(value) {
+  const year = parseInt(String(value).replace("'", ''), 10);
+  return year < 100 ? 2000 + year : year;
+}
@@ -0,0 +1,292 @@
+/**
+ * Invoice Import Service
+ * Creates invoices from rows in a sheet, one product/service line per row.
+ * Rows with the same invoice number become one invoice; a row without a
+ * number is an invoice of its own and QuickBooks numbers it. The new Id,
+ * DocNumber and a status are written back next to each row.
+ */
+
+// Fields of an invoice row and the headers each one accepts (first one is shown in messages)
+const QBO_INVOICE_IMPORT_COLUMNS = {
+  invoiceNumber: ['Invoice No', 'Invoice Number', 'Invoice #', 'Invoice', 'DocNumber', 'Doc Number'],
+  customer: ['Customer', 'Customer Name', 'Client'],
+  date: ['Date', 'Invoice Date', 'TxnDate'],
+  dueDate: ['Due Date', 'DueDate'],
+  item: ['Item', 'Product/Service', 'Product', 'Service'],
+  description: ['Description'],
+  qty: ['Qty', 'Quantity'],
+  rate: ['Rate', 'Price', 'Unit Price'],
+  amount: ['Amount'],
+  memo: ['Memo', 'Message', 'Customer Memo']
+};
+
+/**
+ * Creates invoices from the selected rows (or parameters.sheetName /
+ * parameters.range) and writes the results back to the sheet.
+ *
+ * @param {Object} intent - The import intent
+ * @return {Object} The response object
+ */
+function importInvoicesFromSheet(intent) {
+  try {
+    const importData = readImportRows(intent, QBO_INVOICE_IMPORT_COLUMNS, ['customer', 'item']);
+    const sheetName = importData.sheet.getName();
+    const statusColumns = ensureImportStatusColumns(importData, [
+      QBO_IMPORT_CONFIG.ID_HEADER, QBO_IMPORT_CONFIG.DOC_NUMBER_HEADER, QBO_IMPORT_CONFIG.STATUS_HEADER
+    ]);
+
+    const groups = groupInvoiceImportRows(importData.rows);
+    const pending = groups.filter(group => !group.rows.some(row => row.existingId));
+    const skipped = groups.length - pending.length;
+
+    if (pending.length === 0) {
+      return {
+        type: 'info',
+        message: groups.length === 0 ?
+          `There are no invoice rows to import in "${sheetName}".` :
+          `All ${groups.length} invoice(s) in the selected rows of "${sheetName}" were already created ` +
+          `(they have a "${QBO_IMPORT_CONFIG.ID_HEADER}"). Clear that column for a row to create it again.`
+      };
+    }
+
+    const batch = pending.slice(0, QBO_IMPORT_CONFIG.MAX_DOCUMENTS);
+    const lists = {
+      customers: getImportRecords('Customer', ['Id', 'DisplayName', 'FullyQualifiedName', 'CompanyName']),
+      items: getImportRecords('Item', ['Id', 'Name', 'FullyQualifiedName', 'Sku'])
+    };
+    const existing = findExistingDocNumbers('Invoice', batch.map(group => group.invoiceNumber).filter(Boolean));
+
+    const documents = batch.map(group => {
+      const built = buildImportInvoice(group, lists, existing);
+      return {
+        label: group.invoiceNumber ? `invoice ${group.invoiceNumber}` : 'this invoice',
+        rows: group.rows,
+        record: built.invoice,
+        problems: built.problems
+      };
+    });
+    const outcome = postImportDocuments(importData, statusColumns, 'Invoice', documents);
+    const created = outcome.created;
+
+    logAction('Invoice Import', sheetName,
+              `${created.length} created, ${outcome.failed} failed, ${skipped} already created`);
+    if (outcome.stopError) {
+      throw outcome.stopError;
+    }
+
+    return {
+      type: created.length > 0 ? 'success' : 'error',
+      message: formatInvoiceImportMessage(sheetName, created, outcome.problems, skipped, pending.length - batch.length),
+      data: {
+        sheetName: sheetName,
+        created: created.map(invoice => ({ id: invoice.Id, docNumber: invoice.DocNumber, total: invoice.TotalAmt })),
+        failed: outcome.failed,
+        skipped: skipped,
+        remaining: pending.length - batch.length,
+        problems: outcome.problems
+      }
+    };
+  } catch (error) {
+    console.error('Error in importInvoicesFromSheet: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
+    return {
+      type: 'error',
+      message: 'Failed to create invoices from the sheet: ' + error.message
+    };
+  }
+}
+
+/**
+ * Groups rows into invoices by invoice number, keeping sheet order. Rows
+ * without a number are an invoice each.
+ *
+ * @param {Array} rows - Rows from readImportRows
+ * @return {Array} [{invoiceNumber, rows}]
+ */
+function groupInvoiceImportRows(rows) {
+  const groups = [];
+  const byNumber = {};
+
+  rows.forEach(row => {
+    const invoiceNumber = isBlankImportValue(row.values.invoiceNumber) ? '' : String(row.values.invoiceNumber).trim();
+    if (invoiceNumber && byNumber[invoiceNumber]) {
+      byNumber[invoiceNumber].rows.push(row);
+      return;
+    }
+    const group = { invoiceNumber: invoiceNumber, rows: [row] };
+    groups.push(group);
+    if (invoiceNumber) {
+      byNumber[invoiceNumber] = group;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Builds the Invoice object for a group of rows and checks every row.
+ * Customer, date, due date and memo come from the first row that has them;
+ * other rows must leave them blank or repeat them.
+ *
+ * @param {Object} group - {invoiceNumber, rows}
+ * @param {Object} lists - {customers, items} from getImportRecords
+ * @param {Object} existing - Existing invoice Id per number
+ * @return {Object} {invoice, problems: [{rowNumber, message}]}
+ */
+function buildImportInvoice(group, lists, existing) {
+  const problems = [];
+  const firstRow = group.rows[0].rowNumber;
+
+  if (group.invoiceNumber && existing[group.invoiceNumber]) {
+    problems.push({
+      rowNumber: firstRow,
+      message: `Invoice ${group.invoiceNumber} already exists in QuickBooks (Id ${existing[group.invoiceNumber]}).`
+    });
+  }
+
+  const header = collectImportHeaderValues(group.rows, ['customer', 'date', 'dueDate', 'memo'],
+                                           QBO_INVOICE_IMPORT_COLUMNS, 'invoice', problems);
+
+  const invoice = { Line: [] };
+  if (group.invoiceNumber) {
+    invoice.DocNumber = group.invoiceNumber;
+  }
+
+  if (!header.customer) {
+    problems.push({ rowNumber: firstRow, message: 'No customer.' });
+  } else {
+    const customer = matchImportRecord(lists.customers, header.customer.value, ['DisplayName', 'FullyQualifiedName', 'CompanyName']);
+    if (customer) {
+      invoice.CustomerRef = { value: customer.Id, name: customer.DisplayName };
+    } else {
+      problems.push({ rowNumber: header.customer.rowNumber, message: `"${header.customer.text}" is not a customer in QuickBooks.` });
+    }
+  }
+
+  [['date', 'TxnDate'], ['dueDate', 'DueDate']].forEach(pair => {
+    const entry = header[pair[0]];
+    if (!entry) {
+      return;
+    }
+    const date = parseImportDate(entry.value);
+    if (date) {
+      invoice[pair[1]] = date;
+    } else {
+      problems.push({ rowNumber: entry.rowNumber, message: `"${entry.text}" is not a date.` });
+    }
+  });
+
+  if (header.memo) {
+    invoice.CustomerMemo = { value: header.memo.text };
+  }
+
+  group.rows.forEach(row => {
+    const line = buildImportInvoiceLine(row, lists.items);
+    if (line.problem) {
+      problems.push({ rowNumber: row.rowNumber, message: line.problem });
+    } else {
+      invoice.Line.push(line.line);
+    }
+  });
+
+  return { invoice: invoice, problems: problems };
+}
+
+/**
+ * Builds the sales line for one row. Qty defaults to 1; give a rate, an
+ * amount, or both (then they must agree with the qty).
+ *
+ * @param {Object} row - The row from readImportRows
+ * @param {Array} items - Items from getImportRecords
+ * @return {Object} {line} or {problem}
+ */
+function buildImportInvoiceLine(row, items) {
+  const values = row.values;
+
+  const item = matchImportRecord(items, values.item, ['FullyQualifiedName', 'Name', 'Sku']);
+  if (!item) {
+    return {
+      problem: isBlankImportValue(values.item) ? 'No item.' : `"${String(values.item).trim()}" is not a product or service in QuickBooks.`
+    };
+  }
+
+  const qty = isBlankImportValue(values.qty) ? 1 : parseImportNumber(values.qty);
+  if (qty === null || qty === 0) {
+    return { problem: `Qty "${values.qty}" is not a number other than 0.` };
+  }
+
+  let rate = parseImportNumber(values.rate);
+  let amount = parseImportNumber(values.amount);
+  if (!isBlankImportValue(values.rate) && rate === null) {
+    return { problem: `Rate "${values.rate}" is not a number.` };
+  }
+  if (!isBlankImportValue(values.amount) && amount === null) {
+    return { problem: `Amount "${values.amount}" is not a number.` };
+  }
+  if (rate === null && amount === null) {
+    return { problem: 'No rate or amount.' };
+  }
+
+  if (rate === null) {
+    rate = amount / qty;
+  } else if (amount === null) {
+    amount = roundImportAmount(qty * rate);
+  } else if (Math.abs(roundImportAmount(qty * rate) - amount) >= 0.01) {
+    return { problem: `Amount ${formatImportCurrency(amount)} is not qty ${qty} x rate ${formatImportCurrency(rate)}.` };
+  }
+
+  const line = {
+    DetailType: 'SalesItemLineDetail',
+    Amount: roundImportAmount(amount),
+    SalesItemLineDetail: {
+      ItemRef: { value: item.Id, name: item.FullyQualifiedName || item.Name },
+      Qty: qty,
+      UnitPrice: rate
+    }
+  };
+  if (!isBlankImportValue(values.description)) {
+    line.Description = String(values.description).trim();
+  }
+
+  return { line: line };
+}
+
+/**
+ * Builds the chat summary of an invoice import.
+ *
+ * @param {string} sheetName - The imported sheet
+ * @param {Array} created - The created Invoice records
+ * @param {Array} problems - Problems as 'Row 5: ...'
+ * @param {number} skipped - Invoices skipped because they were already created
+ * @param {number} remaining - Invoices left for the next run
+ * @return {string} The message
+ */
+function formatInvoiceImportMessage(sheetName, created, problems, skipped, remaining) {
+  const parts = [];
+
+  if (created.length > 0) {
+    const total = created.reduce((sum, invoice) => sum + (Number(invoice.TotalAmt) || 0), 0);
+    parts.push(`Created ${created.length} invoice${created.length === 1 ? '' : 's'} from "${sheetName}" ` +
+               `totalling ${formatImportCurrency(roundImportAmount(total))}: ` +
+               created.map(invoice => `#${invoice.DocNumber || invoice.Id}` +
+                 (invoice.CustomerRef && invoice.CustomerRef.name ? ` (${invoice.CustomerRef.name})` : '')).join(', ') +
+               `. The Ids and numbers are in the "${QBO_IMPORT_CONFIG.ID_HEADER}" and "${QBO_IMPORT_CONFIG.DOC_NUMBER_HEADER}" columns.`);
+  } else {
+    parts.push(`No invoices were created from "${sheetName}".`);
+  }
+
+  if (problems.length > 0) {
+    parts.push(`These rows have problems (see the "${QBO_IMPORT_CONFIG.STATUS_HEADER}" column):\n` +
+               formatImportProblems(problems) + '\nFix them and ask again; invoices already created are skipped.');
+  }
+  if (skipped > 0) {
+    parts.push(`${skipped} invoice(s) were skipped because they were created on an earlier run.`);
+  }
+  if (remaining > 0) {
+    parts.push(`${remaining} more invoice(s) are waiting. Ask again to create the next ${QBO_IMPORT_CONFIG.MAX_DOCUMENTS}.`);
+  }
+
+  return parts.join('\n\n');
+}
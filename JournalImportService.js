@@ -0,0 +1,321 @@
+/**
+ * Journal Import Service
+ * Posts journal entries laid out in a sheet, one debit or credit line per
+ * row. Rows with the same journal number make one entry, and a row without a
+ * number continues the entry above it. An entry whose debits and credits
+ * don't balance is refused as a whole. The new Id, journal number and a
+ * status are written back next to each line.
+ */
+
+// Fields of a journal line and the headers each one accepts (first one is shown in messages)
+const QBO_JOURNAL_IMPORT_COLUMNS = {
+  entryNumber: ['Journal No', 'Journal Number', 'Entry No', 'Entry Number', 'JE No', 'JE #', 'DocNumber'],
+  date: ['Date', 'Journal Date', 'TxnDate'],
+  account: ['Account', 'Account Name', 'GL Account'],
+  debit: ['Debit', 'Debits', 'Dr'],
+  credit: ['Credit', 'Credits', 'Cr'],
+  memo: ['Memo', 'Description', 'Line Memo'],
+  class: ['Class'],
+  location: ['Location', 'Department']
+};
+
+/**
+ * Posts journal entries from the selected rows (or parameters.sheetName /
+ * parameters.range) and writes the results back to the sheet.
+ *
+ * @param {Object} intent - The import intent
+ * @return {Object} The response object
+ */
+function importJournalEntriesFromSheet(intent) {
+  try {
+    const importData = readImportRows(intent, QBO_JOURNAL_IMPORT_COLUMNS, ['account', 'debit', 'credit']);
+    const sheetName = importData.sheet.getName();
+    const statusColumns = ensureImportStatusColumns(importData, [
+      QBO_IMPORT_CONFIG.ID_HEADER, QBO_IMPORT_CONFIG.DOC_NUMBER_HEADER, QBO_IMPORT_CONFIG.STATUS_HEADER
+    ]);
+
+    const entries = groupJournalImportRows(importData.rows);
+    const pending = entries.filter(entry => !entry.rows.some(row => row.existingId));
+    const skipped = entries.length - pending.length;
+
+    if (pending.length === 0) {
+      return {
+        type: 'info',
+        message: entries.length === 0 ?
+          `There are no journal lines to import in "${sheetName}".` :
+          `All ${entries.length} journal entr${entries.length === 1 ? 'y' : 'ies'} in the selected rows of "${sheetName}" ` +
+          `were already posted (they have a "${QBO_IMPORT_CONFIG.ID_HEADER}"). Clear that column for an entry to post it again.`
+      };
+    }
+
+    const batch = pending.slice(0, QBO_IMPORT_CONFIG.MAX_DOCUMENTS);
+    const lists = getJournalImportLists(batch);
+    const existing = findExistingDocNumbers('JournalEntry', batch.map(entry => entry.entryNumber).filter(Boolean));
+
+    const documents = batch.map(entry => {
+      const built = buildImportJournalEntry(entry, lists, existing);
+      return {
+        label: entry.entryNumber ? `journal entry ${entry.entryNumber}` : 'this journal entry',
+        rows: entry.rows,
+        record: built.journalEntry,
+        problems: built.problems
+      };
+    });
+    const outcome = postImportDocuments(importData, statusColumns, 'JournalEntry', documents);
+    const created = outcome.created;
+
+    logAction('Journal Import', sheetName,
+              `${created.length} posted, ${outcome.failed} refused or failed, ${skipped} already posted`);
+    if (outcome.stopError) {
+      throw outcome.stopError;
+    }
+
+    return {
+      type: created.length > 0 ? 'success' : 'error',
+      message: formatJournalImportMessage(sheetName, created, outcome.problems, skipped, pending.length - batch.length),
+      data: {
+        sheetName: sheetName,
+        created: created.map(entry => ({ id: entry.Id, docNumber: entry.DocNumber, total: entry.TotalAmt })),
+        failed: outcome.failed,
+        skipped: skipped,
+        remaining: pending.length - batch.length,
+        problems: outcome.problems
+      }
+    };
+  } catch (error) {
+    console.error('Error in importJournalEntriesFromSheet: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
+    return {
+      type: 'error',
+      message: 'Failed to post journal entries from the sheet: ' + error.message
+    };
+  }
+}
+
+/**
+ * Groups rows into entries by journal number, keeping sheet order. A row
+ * without a number belongs to the entry above it.
+ *
+ * @param {Array} rows - Rows from readImportRows
+ * @return {Array} [{entryNumber, rows}]
+ */
+function groupJournalImportRows(rows) {
+  const entries = [];
+  const byNumber = {};
+  let current = null;
+
+  rows.forEach(row => {
+    const entryNumber = isBlankImportValue(row.values.entryNumber) ? '' : String(row.values.entryNumber).trim();
+
+    if (!entryNumber && current) {
+      current.rows.push(row);
+    } else if (entryNumber && byNumber[entryNumber]) {
+      current = byNumber[entryNumber];
+      current.rows.push(row);
+    } else {
+      current = { entryNumber: entryNumber, rows: [row] };
+      entries.push(current);
+      if (entryNumber) {
+        byNumber[entryNumber] = current;
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Loads the accounts, and the classes and locations when any line uses them.
+ *
+ * @param {Array} entries - The entries about to be posted
+ * @return {Object} {accounts, classes, locations}
+ */
+function getJournalImportLists(entries) {
+  const uses = field => entries.some(entry => entry.rows.some(row => !isBlankImportValue(row.values[field])));
+  const dimensionFields = ['Id', 'Name', 'FullyQualifiedName'];
+
+  return {
+    accounts: getImportRecords('Account', ['Id', 'Name', 'FullyQualifiedName', 'AcctNum', 'AccountType']),
+    classes: uses('class') ? getImportRecords('Class', dimensionFields) : [],
+    locations: uses('location') ? getImportRecords('Department', dimensionFields) : []
+  };
+}
+
+/**
+ * Builds the JournalEntry object for an entry and checks every line and the
+ * balance. An entry is refused when any line has a problem or its debits and
+ * credits differ.
+ *
+ * @param {Object} entry - {entryNumber, rows}
+ * @param {Object} lists - The result of getJournalImportLists
+ * @param {Object} existing - Existing journal entry Id per number
+ * @return {Object} {journalEntry, problems: [{rowNumber, message}]}
+ */
+function buildImportJournalEntry(entry, lists, existing) {
+  const problems = [];
+  const firstRow = entry.rows[0].rowNumber;
+
+  if (entry.entryNumber && existing[entry.entryNumber]) {
+    problems.push({
+      rowNumber: firstRow,
+      message: `Journal entry ${entry.entryNumber} already exists in QuickBooks (Id ${existing[entry.entryNumber]}).`
+    });
+  }
+
+  const header = collectImportHeaderValues(entry.rows, ['date'], QBO_JOURNAL_IMPORT_COLUMNS, 'journal entry', problems);
+
+  const journalEntry = { Line: [] };
+  if (entry.entryNumber) {
+    journalEntry.DocNumber = entry.entryNumber;
+  }
+  if (header.date) {
+    const date = parseImportDate(header.date.value);
+    if (date) {
+      journalEntry.TxnDate = date;
+    } else {
+      problems.push({ rowNumber: header.date.rowNumber, message: `"${header.date.text}" is not a date.` });
+    }
+  }
+
+  let debits = 0;
+  let credits = 0;
+  entry.rows.forEach(row => {
+    const line = buildImportJournalLine(row, lists);
+    if (line.amount) {
+      if (line.postingType === 'Debit') {
+        debits += line.amount;
+      } else {
+        credits += line.amount;
+      }
+    }
+    if (line.problem) {
+      problems.push({ rowNumber: row.rowNumber, message: line.problem });
+    } else {
+      journalEntry.Line.push(line.line);
+    }
+  });
+
+  debits = roundImportAmount(debits);
+  credits = roundImportAmount(credits);
+  if (debits !== credits) {
+    problems.push({
+      rowNumber: firstRow,
+      message: `${entry.entryNumber ? 'Journal entry ' + entry.entryNumber : 'The journal entry'} doesn't balance: ` +
+               `debits ${formatImportCurrency(debits)}, credits ${formatImportCurrency(credits)} ` +
+               `(off by ${formatImportCurrency(roundImportAmount(Math.abs(debits - credits)))}).`
+    });
+  }
+
+  return { journalEntry: journalEntry, problems: problems };
+}
+
+/**
+ * Builds the journal line for one row. A row has either a debit or a credit,
+ * greater than zero.
+ *
+ * @param {Object} row - The row from readImportRows
+ * @param {Object} lists - The result of getJournalImportLists
+ * @return {Object} {line, postingType, amount}, with problem set when the row can't be posted
+ */
+function buildImportJournalLine(row, lists) {
+  const values = row.values;
+  const debit = parseImportNumber(values.debit);
+  const credit = parseImportNumber(values.credit);
+  const hasDebit = !isBlankImportValue(values.debit) && debit !== 0;
+  const hasCredit = !isBlankImportValue(values.credit) && credit !== 0;
+
+  if (hasDebit && hasCredit) {
+    return { problem: 'Has both a debit and a credit. Put them on separate lines.' };
+  }
+  if (!hasDebit && !hasCredit) {
+    return { problem: 'No debit or credit.' };
+  }
+
+  const postingType = hasDebit ? 'Debit' : 'Credit';
+  const raw = hasDebit ? values.debit : values.credit;
+  const amount = hasDebit ? debit : credit;
+  if (amount === null) {
+    return { problem: `${postingType} "${raw}" is not an amount.` };
+  }
+  if (amount < 0) {
+    return { problem: `${postingType} ${formatImportCurrency(amount)} is negative. Enter it as a ${hasDebit ? 'credit' : 'debit'} instead.` };
+  }
+
+  const result = { postingType: postingType, amount: amount };
+  const problems = [];
+
+  const detail = { PostingType: postingType };
+  const account = matchImportRecord(lists.accounts, values.account, ['FullyQualifiedName', 'Name', 'AcctNum']);
+  if (account) {
+    detail.AccountRef = { value: account.Id, name: account.FullyQualifiedName || account.Name };
+  } else {
+    problems.push(isBlankImportValue(values.account) ? 'No account.' :
+      `"${String(values.account).trim()}" is not an account in QuickBooks.`);
+  }
+
+  [['class', 'classes', 'ClassRef', 'a class'], ['location', 'locations', 'DepartmentRef', 'a location']].forEach(spec => {
+    const value = values[spec[0]];
+    if (isBlankImportValue(value)) {
+      return;
+    }
+    const record = matchImportRecord(lists[spec[1]], value, ['FullyQualifiedName', 'Name']);
+    if (record) {
+      detail[spec[2]] = { value: record.Id, name: record.FullyQualifiedName || record.Name };
+    } else {
+      problems.push(`"${String(value).trim()}" is not ${spec[3]} in QuickBooks.`);
+    }
+  });
+
+  if (problems.length > 0) {
+    result.problem = problems.join(' ');
+    return result;
+  }
+
+  result.line = {
+    DetailType: 'JournalEntryLineDetail',
+    Amount: roundImportAmount(amount),
+    JournalEntryLineDetail: detail
+  };
+  if (!isBlankImportValue(values.memo)) {
+    result.line.Description = String(values.memo).trim();
+  }
+
+  return result;
+}
+
+/**
+ * Builds the chat summary of a journal entry import.
+ *
+ * @param {string} sheetName - The imported sheet
+ * @param {Array} created - The created JournalEntry records
+ * @param {Array} problems - Problems as 'Row 5: ...'
+ * @param {number} skipped - Entries skipped because they were already posted
+ * @param {number} remaining - Entries left for the next run
+ * @return {string} The message
+ */
+function formatJournalImportMessage(sheetName, created, problems, skipped, remaining) {
+  const parts = [];
+
+  if (created.length > 0) {
+    parts.push(`Posted ${created.length} journal entr${created.length === 1 ? 'y' : 'ies'} from "${sheetName}": ` +
+               created.map(entry => `#${entry.DocNumber || entry.Id} (${formatImportCurrency(Number(entry.TotalAmt) || 0)})`).join(', ') +
+               `. The Ids and numbers are in the "${QBO_IMPORT_CONFIG.ID_HEADER}" and "${QBO_IMPORT_CONFIG.DOC_NUMBER_HEADER}" columns.`);
+  } else {
+    parts.push(`No journal entries were posted from "${sheetName}".`);
+  }
+
+  if (problems.length > 0) {
+    parts.push(`These entries were refused (see the "${QBO_IMPORT_CONFIG.STATUS_HEADER}" column):\n` +
+               formatImportProblems(problems) + '\nFix them and ask again; entries already posted are skipped.');
+  }
+  if (skipped > 0) {
+    parts.push(`${skipped} entr${skipped === 1 ? 'y was' : 'ies were'} skipped because ${skipped === 1 ? 'it was' : 'they were'} posted on an earlier run.`);
+  }
+  if (remaining > 0) {
+    parts.push(`${remaining} more entr${remaining === 1 ? 'y is' : 'ies are'} waiting. Ask again to post the next ${QBO_IMPORT_CONFIG.MAX_DOCUMENTS}.`);
+  }
+
+  return parts.join('\n\n');
+}
@@ -0,0 +1,309 @@
+/**
+ * Ledger Report Service
+ * General Ledger, Transaction List and Journal reports. These reports are
+ * written one transaction line per row, keeping what the generic report
+ * flattening loses: the account each line belongs to, the running balance,
+ * the transaction type and ID, and a link that opens the transaction in
+ * QuickBooks.
+ */
+
+// Ledger report types. columns is the column list requested from QuickBooks
+// (null keeps the report's own), accountColumn adds the account path from the
+// report's sections, carryTxn fills later lines of a journal entry with its
+// first line's transaction.
+const QBO_LEDGER_REPORTS = {
+  GeneralLedger: {
+    title: 'General Ledger',
+    columns: 'tx_date,txn_type,doc_num,name,memo,split_acc,subt_nat_amount,rbal_nat_amount',
+    accountColumn: true,
+    carryTxn: false
+  },
+  TransactionList: {
+    title: 'Transaction List',
+    columns: 'tx_date,txn_type,doc_num,name,memo,account_name,other_account,subt_nat_amount',
+    accountColumn: false,
+    carryTxn: false
+  },
+  JournalReport: {
+    title: 'Journal',
+    columns: null,
+    accountColumn: false,
+    carryTxn: true
+  }
+};
+
+// QuickBooks transaction types and their page in the QuickBooks web app
+const QBO_TRANSACTION_PAGES = {
+  'Bill': 'bill',
+  'Bill Payment (Check)': 'billpayment',
+  'Bill Payment (Credit Card)': 'billpayment',
+  'Check': 'check',
+  'Credit Card Credit': 'creditcardcredit',
+  'Credit Card Expense': 'expense',
+  'Credit Memo': 'creditmemo',
+  'Deposit': 'deposit',
+  'Estimate': 'estimate',
+  'Expense': 'expense',
+  'Inventory Qty Adjust': 'inventoryadjustment',
+  'Invoice': 'invoice',
+  'Journal Entry': 'journal',
+  'Payment': 'recvpayment',
+  'Purchase Order': 'purchaseorder',
+  'Refund': 'refundreceipt',
+  'Sales Receipt': 'salesreceipt',
+  'Transfer': 'transfer',
+  'Vendor Credit': 'vendorcredit'
+};
+
+/**
+ * Checks whether a report type is a ledger report.
+ *
+ * @param {string} reportType - The report type
+ * @return {boolean} True for GeneralLedger, TransactionList and JournalReport
+ */
+function isLedgerReport(reportType) {
+  return QBO_LEDGER_REPORTS.hasOwnProperty(reportType);
+}
+
+/**
+ * Gets the extra report parameters a ledger report needs.
+ *
+ * @param {string} reportType - The report type
+ * @return {Object} Parameters to add to the report request
+ */
+function getLedgerReportParams(reportType) {
+  const columns = QBO_LEDGER_REPORTS[reportType].columns;
+  return columns ? { columns: columns } : {};
+}
+
+/**
+ * Builds the QuickBooks web app URL for a transaction in the active environment.
+ *
+ * @param {string} txnType - The transaction type as reports show it, e.g. 'Invoice'
+ * @param {string} txnId - The transaction ID
+ * @return {string} The URL, or '' if the type has no known page
+ */
+function getQboTransactionUrl(txnType, txnId) {
+  const page = QBO_TRANSACTION_PAGES[txnType];
+  if (!page || !txnId) {
+    return '';
+  }
+  return `${getQboEnvironmentConfig().appUrl}${page}?txnId=${encodeURIComponent(txnId)}`;
+}
+
+/**
+ * Formats a ledger report, writes it to a sheet and summarizes it.
+ *
+ * @param {Object} reportData - The report from QuickBooks
+ * @param {Object} intent - The report intent
+ * @param {Object} params - The report parameters that were sent
+ * @return {Object} The response object
+ */
+function processLedgerReport(reportData, intent, params) {
+  const reportInfo = QBO_LEDGER_REPORTS[intent.entity];
+  const ledger = formatLedgerReport(reportData, reportInfo);
+
+  const sheetName = intent.destination || `${intent.entity}_${params.start_date}`;
+  const formattedData = [ledger.headers].concat(ledger.rows);
+  const writeResult = writeIntentData(sheetName, formattedData);
+  if (!writeResult.success) {
+    throw new Error(writeResult.message);
+  }
+
+  if (!isCollectingCompanyRows()) {
+    formatLedgerSheet(writeResult.sheetName, formattedData, ledger);
+  }
+
+  let message = `${reportInfo.title} for ${params.start_date} to ${params.end_date} written to sheet ` +
+                `"${writeResult.sheetName}": ${ledger.lineCount} transaction lines`;
+  if (reportInfo.accountColumn) {
+    message += ` across ${ledger.groupCount} accounts`;
+  }
+  message += '. Use the Link column to open a transaction in QuickBooks.';
+
+  return {
+    type: 'success',
+    message: message,
+    data: {
+      rowCount: ledger.rows.length,
+      columnCount: ledger.headers.length,
+      sheetName: writeResult.sheetName,
+      lineCount: ledger.lineCount
+    }
+  };
+}
+
+/**
+ * Flattens a ledger report into rows. Section headers and totals are kept as
+ * their own rows; every transaction line gets the Txn ID after its type and a
+ * HYPERLINK to the transaction in the last column.
+ *
+ * @param {Object} reportData - The report from QuickBooks
+ * @param {Object} reportInfo - The entry from QBO_LEDGER_REPORTS
+ * @return {Object} {headers, rows, numericColumns, sectionRows, totalRows, lineCount, groupCount}
+ */
+function formatLedgerReport(reportData, reportInfo) {
+  const columns = ((reportData.Columns && reportData.Columns.Column) || []).map(column => {
+    const keyMeta = (column.MetaData || []).find(meta => meta.Name === 'ColKey');
+    const key = keyMeta ? keyMeta.Value : '';
+    return {
+      title: column.ColTitle || column.ColType || key,
+      key: key,
+      numeric: /amount|_amt$|^rbal/.test(key) || column.ColType === 'Money'
+    };
+  });
+  const txnTypeIndex = columns.findIndex(column => column.key === 'txn_type');
+
+  // Sheet columns are 1-based
+  const headers = [];
+  const numericColumns = [];
+  if (reportInfo.accountColumn) headers.push('Account');
+  columns.forEach((column, index) => {
+    headers.push(column.title);
+    if (column.numeric) numericColumns.push(headers.length);
+    if (index === txnTypeIndex) headers.push('Txn ID');
+  });
+  headers.push('Link');
+
+  const rows = [];
+  const sectionRows = [];
+  const totalRows = [];
+  let lineCount = 0;
+  let groupCount = 0;
+
+  // Converts one ColData array into a sheet row
+  const toRow = (colData, account, txn) => {
+    const row = [];
+    if (reportInfo.accountColumn) row.push(account);
+    columns.forEach((column, index) => {
+      const cell = colData[index] || {};
+      row.push(column.numeric ? parseLedgerAmount(cell.value) : cell.value || '');
+      if (index === txnTypeIndex) row.push(txn ? txn.id : '');
+    });
+    const url = txn ? getQboTransactionUrl(txn.type, txn.id) : '';
+    row.push(url ? `=HYPERLINK("${url}", "Open")` : '');
+    return row;
+  };
+
+  const walk = (reportRows, accountPath) => {
+    let carried = null;
+
+    (reportRows || []).forEach(row => {
+      if (row.Rows && row.Rows.Row) {
+        const name = row.Header && row.Header.ColData && row.Header.ColData[0] ? row.Header.ColData[0].value : '';
+        const path = reportInfo.accountColumn && name ? (accountPath ? accountPath + ':' + name : name) : accountPath;
+
+        if (row.Header && row.Header.ColData) {
+          const headerRow = reportInfo.accountColumn ?
+            toRow([], path, null) : toRow(row.Header.ColData, '', null);
+          rows.push(headerRow);
+          sectionRows.push(rows.length);
+          if (reportInfo.accountColumn && name) groupCount++;
+        }
+
+        walk(row.Rows.Row, path);
+
+        if (row.Summary && row.Summary.ColData) {
+          rows.push(toLedgerTotalRow(toRow(row.Summary.ColData, '', null), reportInfo));
+          totalRows.push(rows.length);
+        }
+      } else if (row.ColData) {
+        const typeCell = txnTypeIndex >= 0 ? row.ColData[txnTypeIndex] || {} : {};
+        let txn = typeCell.id ? { type: typeCell.value, id: typeCell.id } : null;
+
+        // Journal entries only label their first line
+        if (reportInfo.carryTxn) {
+          txn = txn || carried;
+          carried = txn;
+        }
+
+        rows.push(toRow(row.ColData, accountPath, txn));
+        if (txn) lineCount++;
+      } else if (row.Summary && row.Summary.ColData) {
+        rows.push(toLedgerTotalRow(toRow(row.Summary.ColData, '', null), reportInfo));
+        totalRows.push(rows.length);
+      }
+    });
+  };
+
+  walk(reportData && reportData.Rows ? reportData.Rows.Row : [], '');
+
+  if (rows.length === 0) {
+    const emptyRow = headers.map(() => '');
+    emptyRow[0] = 'No transactions for this period';
+    rows.push(emptyRow);
+  }
+
+  return {
+    headers: headers,
+    rows: rows,
+    numericColumns: numericColumns,
+    sectionRows: sectionRows,
+    totalRows: totalRows,
+    lineCount: lineCount,
+    groupCount: groupCount
+  };
+}
+
+/**
+ * Moves a total row's label ("Total for Checking") into the Account column
+ * when the report has one.
+ *
+ * @param {Array} row - The total row
+ * @param {Object} reportInfo - The entry from QBO_LEDGER_REPORTS
+ * @return {Array} The row
+ */
+function toLedgerTotalRow(row, reportInfo) {
+  if (reportInfo.accountColumn) {
+    row[0] = row[1];
+    row[1] = '';
+  }
+  return row;
+}
+
+/**
+ * Parses a report amount, which QuickBooks sends as a string.
+ *
+ * @param {string} value - The value
+ * @return {number|string} The amount, or '' when blank
+ */
+function parseLedgerAmount(value) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  const amount = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(amount) ? value : amount;
+}
+
+/**
+ * Applies number formats and bolds the header, section and total rows.
+ *
+ * @param {string} sheetName - The sheet the report was written to
+ * @param {Array} formattedData - The rows that were written, header first
+ * @param {Object} ledger - The formatted report
+ */
+function formatLedgerSheet(sheetName, formattedData, ledger) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+    if (!sheet) {
+      return;
+    }
+
+    const width = formattedData[0].length;
+    const height = formattedData.length;
+
+    sheet.getRange(1, 1, 1, width).setFontWeight('bold');
+    if (height > 1) {
+      ledger.numericColumns.forEach(column => {
+        sheet.getRange(2, column, height - 1, 1).setNumberFormat('#,##0.00');
+      });
+    }
+    ledger.sectionRows.concat(ledger.totalRows).forEach(row => {
+      sheet.getRange(row + 1, 1, 1, width).setFontWeight('bold');
+    });
+    sheet.setFrozenRows(1);
+  } catch (error) {
+    // Formatting is cosmetic, so the written data stands either way
+    console.error('Failed to format ledger sheet: ' + error.toString());
+  }
+}
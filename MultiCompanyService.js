@@ -0,0 +1,151 @@
+/**
+ * Multi-Company Service
+ * Runs one fetch intent against several connected companies and writes
+ * their rows to a single sheet with a Company column. The companies come
+ * from the registry in CompanyService.
+ */
+
+// Rows gathered while one intent runs for several companies (null when not collecting)
+let companyRowCollector = null;
+
+/**
+ * Runs a fetch intent for each company named in intent.company.
+ * A single company simply runs against that realm; several companies are
+ * written to one sheet with a Company column so the rows stay attributable.
+ *
+ * @param {Object} intent - The fetch intent with a company field
+ * @return {Object} The response object
+ */
+function executeIntentForCompanies(intent) {
+  let companies;
+  try {
+    companies = resolveCompanies(intent.company);
+  } catch (error) {
+    return {
+      type: 'error',
+      message: error.message
+    };
+  }
+
+  if (companies.length === 0) {
+    return {
+      type: 'error',
+      message: 'No QuickBooks companies are connected yet. Connect one from the sidebar settings.'
+    };
+  }
+
+  // A synced sheet tracks one company's changes, so it can't mix companies
+  if (intent.action === 'sync' && companies.length > 1) {
+    return {
+      type: 'error',
+      message: 'Sync one company per sheet - name a single company or switch companies first.'
+    };
+  }
+
+  const companyIntent = Object.assign({}, intent, { company: null });
+
+  if (companies.length === 1) {
+    const company = companies[0];
+    const response = withQboRealm(company.realmId, () => executeIntent(companyIntent));
+    response.message = `${company.name || company.realmId}: ${response.message}`;
+    return response;
+  }
+
+  const failures = [];
+  const succeeded = [];
+  const collector = { rows: [], sheetName: intent.destination || null, lastHeader: null, companyName: '' };
+  companyRowCollector = collector;
+
+  try {
+    companies.forEach(company => {
+      collector.companyName = company.name || company.realmId;
+      const response = withQboRealm(company.realmId, () => executeIntent(companyIntent));
+
+      if (response.type === 'error') {
+        failures.push(`${collector.companyName}: ${response.message}`);
+      } else {
+        succeeded.push(collector.companyName);
+      }
+    });
+  } finally {
+    companyRowCollector = null;
+  }
+
+  if (collector.rows.length === 0) {
+    return {
+      type: 'error',
+      message: 'No data was returned for any company. ' + failures.join(' ')
+    };
+  }
+
+  // Reports can differ in width between companies, so pad to a rectangle
+  const width = Math.max.apply(null, collector.rows.map(row => row.length));
+  const rows = collector.rows.map(row => row.concat(new Array(width - row.length).fill('')));
+  const sheetName = collector.sheetName || intent.entity;
+  const writeResult = writeToSheet(sheetName, rows, true);
+
+  if (!writeResult.success) {
+    return {
+      type: 'error',
+      message: writeResult.message
+    };
+  }
+
+  let message = `${intent.entity} data for ${succeeded.join(', ')} written to sheet "${sheetName}" with a Company column.`;
+  if (failures.length > 0) {
+    message += ' Some companies failed: ' + failures.join(' ');
+  }
+
+  return {
+    type: failures.length > 0 ? 'warning' : 'success',
+    message: message,
+    data: {
+      rowCount: rows.length,
+      sheetName: sheetName,
+      companies: succeeded,
+      failures: failures
+    }
+  };
+}
+
+/**
+ * Checks whether fetched data is being gathered for a multi-company run.
+ *
+ * @return {boolean} True while a multi-company intent is running
+ */
+function isCollectingCompanyRows() {
+  return !!companyRowCollector;
+}
+
+/**
+ * Adds one company's fetched data to the multi-company collector, tagging
+ * every row with the company name. The header row is only repeated when a
+ * company's columns differ from the previous one's.
+ *
+ * @param {string} sheetName - The sheet the data would have been written to
+ * @param {Array} formattedData - 2D array with a header row
+ * @return {Object} A write result in the same shape as writeToSheet
+ */
+function collectCompanyRows(sheetName, formattedData) {
+  if (!formattedData || formattedData.length === 0) {
+    return { success: false, message: 'No data to write' };
+  }
+
+  const collector = companyRowCollector;
+  const header = JSON.stringify(formattedData[0]);
+  collector.sheetName = collector.sheetName || sheetName;
+
+  if (header !== collector.lastHeader) {
+    collector.rows.push(['Company'].concat(formattedData[0]));
+    collector.lastHeader = header;
+  }
+  formattedData.slice(1).forEach(row => collector.rows.push([collector.companyName].concat(row)));
+
+  return {
+    success: true,
+    message: `Data collected for ${collector.companyName}`,
+    rowCount: formattedData.length,
+    columnCount: formattedData[0].length + 1,
+    sheetName: collector.sheetName
+  };
+}
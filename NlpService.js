@@ -25,6 +25,11 @@ function analyzeQueryIntent(query, conversationHistory = []) {
     return analyzeQueryIntentBasic(query, conversationHistory);
   }
   
+  // Replies to a preview ("confirm", 'use "Acme Corp" for "Acme"') only make sense with the preview
+  if (parseBillImportReply(query) && (getBillImportPreview() || getEditSyncPreview())) {
+    return analyzeQueryIntentBasic(query, conversationHistory);
+  }
+  
   // First try to use OpenAI for advanced intent recognition
   try {
     // Get available API calls for context
@@ -122,6 +127,66 @@ function analyzeQueryIntentBasic(query, conversationHistory = []) {
     return intent;
   }
   
+  // "Push changes" sends the edits on a fetched tab; "confirm" answers whichever preview came last
+  const billReply = parseBillImportReply(query);
+  const pushPreview = billReply && billReply.confirm ? getEditSyncPreview() : null;
+  const billPreview = billReply ? getBillImportPreview() : null;
+  if (pushPreview && (!billPreview || pushPreview.savedAt > billPreview.savedAt)) {
+    intent.type = 'create';
+    intent.action = 'pushChanges';
+    intent.parameters.confirm = true;
+    return intent;
+  }
+  // Only a push command counts - "send me a report of changes in revenue" is still a report
+  const tabName = `("[^"]+"|'[^']+'|\\S+)`;
+  const pushFromTab = `( (from|on|in) (the |this )?((tab|sheet) ${tabName}|${tabName} (tab|sheet)))?`;
+  if (new RegExp(`^(please )?(push|send|save) (the |my |these |all )?(changes|edits)${pushFromTab}[.!]*$`).test(text) ||
+      /\b(push|send|save|write)\b.*\b(changes|edits)\b.*\bto (qbo|quickbooks)\b/.test(text) ||
+      /\b(push|send|save|write)\b.*\bback to (qbo|quickbooks)\b/.test(text)) {
+    intent.type = 'create';
+    intent.action = 'pushChanges';
+    Object.assign(intent.parameters, parseSheetImportSource(query));
+    return intent;
+  }
+  
+  // "Create invoices from the selected rows" writes to QuickBooks, it doesn't make a sheet
+  if (billReply && billPreview) {
+    intent.type = 'create';
+    intent.action = 'importBills';
+    intent.entity = 'Bill';
+    Object.assign(intent.parameters, billReply);
+    return intent;
+  }
+  if (isSheetImportRequest(text) && /\b(bills?|expenses?|purchases?|receipts?)\b/.test(text)) {
+    intent.type = 'create';
+    intent.action = 'importBills';
+    intent.entity = 'Bill';
+    Object.assign(intent.parameters, parseSheetImportSource(query));
+    return intent;
+  }
+  if (isSheetImportRequest(text) && /\b(journal entr(y|ies)|journals?|je'?s|accruals?)\b/.test(text)) {
+    intent.type = 'create';
+    intent.action = 'importJournalEntries';
+    intent.entity = 'JournalEntry';
+    Object.assign(intent.parameters, parseSheetImportSource(query));
+    return intent;
+  }
+  if (isSheetImportRequest(text) && /\binvoices?\b/.test(text)) {
+    intent.type = 'create';
+    intent.action = 'importInvoices';
+    intent.entity = 'Invoice';
+    Object.assign(intent.parameters, parseSheetImportSource(query));
+    return intent;
+  }
+  if ((isSheetImportRequest(text) || (/\b(update|upsert)\b/.test(text) && QBO_IMPORT_SOURCE.test(text))) &&
+      /\b(customers?|vendors?|suppliers?)\b/.test(text)) {
+    intent.type = 'create';
+    intent.action = 'upsertContacts';
+    intent.entity = /\b(vendors?|suppliers?)\b/.test(text) ? 'Vendor' : 'Customer';
+    Object.assign(intent.parameters, parseSheetImportSource(query));
+    return intent;
+  }
+  
   // Check for sheet manipulation intent
   if ((text.includes('create') || text.includes('new') || text.includes('make')) && 
       (text.includes('sheet') || text.includes('tab'))) {
@@ -158,12 +223,39 @@ function analyzeQueryIntentBasic(query, conversationHistory = []) {
   
   // Check for QuickBooks data fetching intent
   if (text.includes('get') || text.includes('fetch') || text.includes('pull') || 
-      text.includes('show') || text.includes('import') || text.includes('download')) {
+      text.includes('show') || text.includes('import') || text.includes('download') ||
+      /\bsync\b/.test(text) || /\bbudgets?\b/.test(text)) {
     
     intent.type = 'fetch';
     
     // Detect reports
-    if (text.includes('profit and loss') || text.includes('p&l') || text.includes('income statement')) {
+    if (/\bbudget\b/.test(text) &&
+        /\b(vs\.?|versus|against|compared?|variance|actuals?|validate|check)\b/.test(text)) {
+      // "Budget vs actuals", "compare the budget in sheet 'Budget 2024' to actuals"
+      intent.action = 'report';
+      intent.entity = 'BudgetVsActuals';
+      
+      const sheetMatch = query.match(/\b(?:sheet|tab)\s+["']([^"']+)["']/i) ||
+                         query.match(/\b(?:sheet|tab)\s+([A-Za-z0-9_]+)/i);
+      if (sheetMatch) {
+        intent.parameters.budgetSheet = sheetMatch[1];
+      }
+      const budgetMatch = query.match(/\bbudget\s+["']([^"']+)["']/i);
+      if (budgetMatch && !sheetMatch) {
+        intent.parameters.budgetName = budgetMatch[1];
+      }
+      if (/\b(validate|check)\b/.test(text) && !/\b(vs\.?|versus|against|compared?|actuals?)\b/.test(text)) {
+        intent.parameters.validateOnly = true;
+      }
+    } else if (/\bbudgets?\b/.test(text)) {
+      intent.action = 'query';
+      intent.entity = 'Budget';
+      
+      const budgetMatch = query.match(/\bbudget\s+["']([^"']+)["']/i);
+      if (budgetMatch) {
+        intent.parameters.budgetName = budgetMatch[1];
+      }
+    } else if (text.includes('profit and loss') || text.includes('p&l') || text.includes('income statement')) {
       intent.action = 'report';
       intent.entity = 'ProfitAndLoss';
     } else if (text.includes('balance sheet')) {
@@ -175,6 +267,39 @@ function analyzeQueryIntentBasic(query, conversationHistory = []) {
     } else if (text.includes('trial balance')) {
       intent.action = 'report';
       intent.entity = 'TrialBalance';
+    } else if (text.includes('general ledger') || /\bgl\b/.test(text)) {
+      intent.action = 'report';
+      intent.entity = 'GeneralLedger';
+    } else if (text.includes('transaction list') || text.includes('transactions list') ||
+               text.includes('list of transactions') || text.includes('transaction report')) {
+      intent.action = 'report';
+      intent.entity = 'TransactionList';
+    } else if (text.includes('journal')) {
+      intent.action = 'report';
+      intent.entity = 'JournalReport';
+    } else if (detectSalesReport(text)) {
+      // "sales by customer by quarter", "expenses by vendor by class"
+      intent.action = 'report';
+      intent.entity = detectSalesReport(text);
+      
+      const summarizeColumnBy = detectSummarizeColumnBy(text, intent.entity);
+      if (summarizeColumnBy) {
+        intent.parameters.summarizeColumnBy = summarizeColumnBy;
+      }
+    } else if (/\b(aging|aged|receivables|payables)\b/.test(text) ||
+               text.includes('accounts receivable') || text.includes('accounts payable')) {
+      // "AR aging", "aged payables detail", "accounts receivable as of 2024-03-31"
+      const payables = /\b(a\/p|ap|payables?|bills?|vendors?)\b/.test(text) || text.includes('accounts payable');
+      const detail = /\b(detail|detailed|by invoice|by bill|transactions)\b/.test(text);
+      intent.action = 'report';
+      intent.entity = payables ?
+        (detail ? 'AgedPayableDetail' : 'AgedPayables') :
+        (detail ? 'AgedReceivableDetail' : 'AgedReceivables');
+
+      const bucketMatch = text.match(/(\d+)[- ]day (?:buckets?|periods?)/);
+      if (bucketMatch) {
+        intent.parameters.agingPeriod = parseInt(bucketMatch[1], 10);
+      }
     } else if (text.includes('report') && text.includes('expense')) {
       intent.action = 'report';
       intent.entity = 'ExpenseReport';
@@ -203,131 +328,59 @@ function analyzeQueryIntentBasic(query, conversationHistory = []) {
       intent.action = 'query';
       intent.entity = 'Account';
     }
-  }
-  
-  // Extract date filters if they weren't already set from a year match
-  if (!intent.filters.startDate && !intent.filters.endDate) {
-    // Create a completely fresh Date object with current timestamp
-    const today = new Date();
-    today.setTime(Date.now());
-    
-    console.log(`🔍 Basic analyzer current date detected as: ${today.toISOString()}`);
-    
-    // Explicitly calculate month and year to avoid timezone issues
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth();
-    
-    // Check for specific month and year patterns like "February 2024" or "Feb 2024"
-    const monthNameMap = {
-      'january': 0, 'jan': 0,
-      'february': 1, 'feb': 1,
-      'march': 2, 'mar': 2,
-      'april': 3, 'apr': 3,
-      'may': 4,
-      'june': 5, 'jun': 5,
-      'july': 6, 'jul': 6,
-      'august': 7, 'aug': 7,
-      'september': 8, 'sep': 8, 'sept': 8,
-      'october': 9, 'oct': 9,
-      'november': 10, 'nov': 10,
-      'december': 11, 'dec': 11
-    };
-    
-    // Pattern for "Month YYYY" like "February 2024" or "Feb 2024"
-    const monthYearPattern = new RegExp(`(${Object.keys(monthNameMap).join('|')})\\s+(20\\d{2})`, 'i');
-    const monthYearMatch = text.match(monthYearPattern);
     
-    if (monthYearMatch) {
-      const monthName = monthYearMatch[1].toLowerCase();
-      const year = parseInt(monthYearMatch[2]);
-      const monthIndex = monthNameMap[monthName];
-      
-      console.log(`🔍 Detected specific month and year: ${monthName} ${year} (month index: ${monthIndex})`);
-      
-      // Set first day of the specified month/year
-      const startDate = new Date(year, monthIndex, 1);
-      // Set last day of the specified month/year
-      const endDate = new Date(year, monthIndex + 1, 0);
-      
-      intent.filters.startDate = startDate.toISOString().split('T')[0];
-      intent.filters.endDate = endDate.toISOString().split('T')[0];
-      
-      console.log(`🔍 Set date range for ${monthName} ${year}: ${intent.filters.startDate} to ${intent.filters.endDate}`);
+    // "Sync invoices" keeps a sheet up to date with only the changes since last time
+    if (intent.action === 'query' && /\bsync\b/.test(text)) {
+      intent.action = 'sync';
     }
-    else if (text.includes('last month')) {
-      console.log('Calculating date range for "last month" in basic intent analyzer');
-      
-      // Calculate first day of last month - handle January specially
-      const lastMonthYear = currentMonth === 0 ? currentYear - 1 : currentYear;
-      const lastMonthIndex = currentMonth === 0 ? 11 : currentMonth - 1;
-      const lastMonth = new Date(lastMonthYear, lastMonthIndex, 1);
-      
-      // Calculate last day of last month
-      const lastMonthEnd = new Date(currentYear, currentMonth, 0);
-      
-      // Format as YYYY-MM-DD
-      const startDate = lastMonth.toISOString().split('T')[0];
-      const endDate = lastMonthEnd.toISOString().split('T')[0];
-      
-      console.log(`🔍 Basic analyzer calculated last month as: ${startDate} to ${endDate}`);
-      
-      intent.filters.startDate = startDate;
-      intent.filters.endDate = endDate;
-    } else if (text.includes('this month')) {
-      // First day of current month
-      const thisMonth = new Date(currentYear, currentMonth, 1);
-      
-      intent.filters.startDate = thisMonth.toISOString().split('T')[0];
-      intent.filters.endDate = today.toISOString().split('T')[0];
-      
-      console.log(`🔍 Basic analyzer calculated this month as: ${intent.filters.startDate} to ${intent.filters.endDate}`);
-    } else if (text.includes('last quarter') || text.includes('last 3 months')) {
-      // Calculate first day of three months ago
-      const threeMonthsAgo = new Date(currentYear, currentMonth - 3, 1);
-      // Calculate last day of last month
-      const lastMonthEnd = new Date(currentYear, currentMonth, 0);
-      
-      intent.filters.startDate = threeMonthsAgo.toISOString().split('T')[0];
-      intent.filters.endDate = lastMonthEnd.toISOString().split('T')[0];
-      
-      console.log(`🔍 Basic analyzer calculated last quarter as: ${intent.filters.startDate} to ${intent.filters.endDate}`);
-    } else if (text.includes('year to date') || text.includes('ytd')) {
-      // January 1st of current year
-      const yearStart = new Date(currentYear, 0, 1);
-      
-      intent.filters.startDate = yearStart.toISOString().split('T')[0];
-      intent.filters.endDate = today.toISOString().split('T')[0];
-      
-      console.log(`🔍 Basic analyzer calculated year to date as: ${intent.filters.startDate} to ${intent.filters.endDate}`);
-    } else if (text.includes('last year')) {
-      // January 1st of previous year
-      const lastYearStart = new Date(currentYear - 1, 0, 1);
-      // December 31st of previous year
-      const lastYearEnd = new Date(currentYear - 1, 11, 31);
-      
-      intent.filters.startDate = lastYearStart.toISOString().split('T')[0];
-      intent.filters.endDate = lastYearEnd.toISOString().split('T')[0];
-      
-      console.log(`🔍 Basic analyzer calculated last year as: ${intent.filters.startDate} to ${intent.filters.endDate}`);
+    
+    // Pick up connected companies named in the query, e.g. "P&L for Acme and Beta"
+    if (text.includes('all companies')) {
+      intent.company = 'all';
     } else {
-      // Check for specific year mention
-      const yearMatch = text.match(/\b(20\d\d)\b/);
-      if (yearMatch) {
-        const year = yearMatch[1];
-        intent.filters.startDate = `${year}-01-01`;
-        intent.filters.endDate = `${year}-12-31`;
-        
-        console.log(`🔍 Basic analyzer found year ${year} and set date range: ${intent.filters.startDate} to ${intent.filters.endDate}`);
-      } else {
-        // Default to current year if no specific time period mentioned
-        const yearStart = new Date(currentYear, 0, 1);
-        
-        intent.filters.startDate = yearStart.toISOString().split('T')[0];
-        intent.filters.endDate = today.toISOString().split('T')[0];
-        
-        console.log(`🔍 Basic analyzer defaulted to current year: ${intent.filters.startDate} to ${intent.filters.endDate}`);
+      const companyNames = findCompaniesInText(text);
+      if (companyNames.length > 0) {
+        intent.company = companyNames.length === 1 ? companyNames[0] : companyNames;
+        console.log(`🔍 Basic analyzer detected companies: ${JSON.stringify(intent.company)}`);
       }
     }
+    
+    // "Refresh", "latest" etc. mean the user wants data straight from QuickBooks, not the cache
+    if (/\b(refresh|refreshed|fresh|latest|reload|up to date|no cache)\b/.test(text)) {
+      intent.forceRefresh = true;
+    }
+    
+    // "P&L for the Brooklyn location", "invoices for class \"Retail\""
+    Object.assign(intent.filters, parseDimensionFilters(text));
+    
+    // "P&L on a cash basis", "balance sheet cash vs accrual"
+    const accountingMethod = detectAccountingMethod(text);
+    if (accountingMethod) {
+      intent.parameters.accountingMethod = accountingMethod;
+    }
+    
+    // "P&L this quarter vs same quarter last year", "balance sheet YoY"
+    if (intent.action === 'report') {
+      Object.assign(intent.parameters, detectReportComparison(text));
+    }
+  }
+  
+  // The period being compared against mustn't be read as the report's own
+  const dateText = intent.parameters.compareTo ?
+    text.replace(/\b(?:vs\.?|versus|compared (?:to|with)|against)\s+.*$/, '') : text;
+  
+  // Extract date filters if they weren't already set, defaulting to the fiscal year to date
+  if (!intent.filters.startDate && !intent.filters.endDate) {
+    const range = parseDateRange(dateText) || getDefaultDateRange();
+    intent.filters.startDate = range.startDate;
+    intent.filters.endDate = range.endDate;
+    
+    // "AR aging as of March 31" ages balances on that date
+    if (range.asOfDate && !intent.filters.reportDate) {
+      intent.filters.reportDate = range.asOfDate;
+    }
+    
+    console.log(`🔍 Basic analyzer resolved date range: ${intent.filters.startDate} to ${intent.filters.endDate}`);
   }
   
   // Extract destination sheet if not already set
@@ -387,55 +440,100 @@ function executeIntent(intent) {
     logRawApiResponseToActionLog(response);
     return response;
   }
+  // "Refresh" requests skip cached QuickBooks responses for the whole intent
+  if (intent.forceRefresh) {
+    return withFreshQboData(() => executeIntent(Object.assign({}, intent, { forceRefresh: false })));
+  }
   // Fix for sheet creation requests mislabeled as fetch
   if (intent.type === 'fetch' && intent.action === 'createSheet') {
     console.log('Correcting intent type from fetch to create for sheet creation');
     intent.type = 'create';
   }
+  // Run QuickBooks fetches against the requested companies
+  if (intent.type === 'fetch' && intent.company && 
+      (intent.action === 'report' || intent.action === 'query' || intent.action === 'entity' || intent.action === 'sync')) {
+    response = executeIntentForCompanies(intent);
+    logRawApiResponseToActionLog(response);
+    return response;
+  }
   // Handle different intent types
-  switch (intent.type) {
-    case 'fetch':
-      // Process different fetch subtypes (reports, entities, etc.)
-      if (intent.action === 'report') {
-        response = fetchReport(intent);
+  try {
+    switch (intent.type) {
+      case 'fetch':
+        // Process different fetch subtypes (reports, entities, etc.)
+        if (intent.action === 'report') {
+          response = fetchReport(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'query' || intent.action === 'entity') {
+          response = fetchEntityData(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'sync') {
+          response = syncEntityToSheet(intent.entity, intent.destination || intent.entity);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'cell') {
+          response = getCellValue(intent.parameters.cellReference);
+          logRawApiResponseToActionLog(response);
+          return response;
+        }
+        break;
+      case 'create':
+        if (intent.action === 'createSheet') {
+          response = createNewSheet(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'importInvoices') {
+          response = importInvoicesFromSheet(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'importJournalEntries') {
+          response = importJournalEntriesFromSheet(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'importBills') {
+          response = importBillsFromSheet(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'upsertContacts') {
+          response = upsertContactsFromSheet(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        } else if (intent.action === 'pushChanges') {
+          response = pushEditSyncChanges(intent);
+          logRawApiResponseToActionLog(response);
+          return response;
+        }
+        break;
+      case 'modify':
+        response = modifySheet(intent);
         logRawApiResponseToActionLog(response);
         return response;
-      } else if (intent.action === 'query' || intent.action === 'entity') {
-        response = fetchEntityData(intent);
+      case 'help':
+        response = {
+          type: 'text',
+          message: generateHelpResponse()
+        };
         logRawApiResponseToActionLog(response);
         return response;
-      } else if (intent.action === 'cell') {
-        response = getCellValue(intent.parameters.cellReference);
+      case 'diagnostic':
+        response = runQuickBooksDiagnostic();
         logRawApiResponseToActionLog(response);
         return response;
-      }
-      break;
-    case 'create':
-      if (intent.action === 'createSheet') {
-        response = createNewSheet(intent);
+      case 'custom':
+        response = executeCustomApiCall(intent);
         logRawApiResponseToActionLog(response);
         return response;
-      }
-      break;
-    case 'modify':
-      response = modifySheet(intent);
-      logRawApiResponseToActionLog(response);
-      return response;
-    case 'help':
-      response = {
-        type: 'text',
-        message: generateHelpResponse()
-      };
-      logRawApiResponseToActionLog(response);
-      return response;
-    case 'diagnostic':
-      response = runQuickBooksDiagnostic();
-      logRawApiResponseToActionLog(response);
-      return response;
-    case 'custom':
-      response = executeCustomApiCall(intent);
-      logRawApiResponseToActionLog(response);
-      return response;
+    }
+  } catch (error) {
+    // Every QuickBooks failure gets the same message shape and remedy
+    if (!(error instanceof QboError)) {
+      throw error;
+    }
+    response = formatQboErrorResponse(error);
+    logRawApiResponseToActionLog(response);
+    return response;
   }
   // If we got here, we didn't handle the intent properly
   response = {
@@ -543,6 +641,9 @@ function executeCustomApiCall(intent) {
     return result;
   } catch (error) {
     console.error('Error executing custom API call: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
     return {
       type: 'error',
       message: 'Failed to execute custom API call: ' + error.message
@@ -778,8 +879,34 @@ function generateHelpResponse() {
       "Get invoices from last quarter into Sheet1",
       "Show me all bills this year",
       "Show me all customers",
+      "Sync invoices (only fetches changes after the first run)",
       "Fetch balance sheet year to date",
+      "Show A/R aging as of last month",
+      "Get aged payables detail",
+      "Get the general ledger for last month",
+      "Show the transaction list for 2024",
+      "Get sales by customer by quarter for 2024",
+      "Show expenses by vendor by class last month",
+      "Get P&L for the Brooklyn location last quarter",
+      "Get invoices for class \"Retail\" this month",
+      "Show budget vs actuals for 2024",
+      "Compare the budget in sheet \"Budget 2025\" to actuals",
+      "Get P&L on a cash basis for last quarter",
+      "Show the P&L cash vs accrual for Q1 2024",
+      "Get P&L this quarter vs same quarter last year",
+      "Show the balance sheet for 2024 compared to 2023",
+      "Get P&L for Q3 FY24",
+      "Show the P&L for this fiscal year",
+      "Get P&L for the trailing 12 months",
+      "Show invoices since March",
+      "Get expenses between Jan 5 and Feb 10",
       "Get expenses for this month",
+      "Create invoices from the selected rows",
+      "Post journal entries from sheet Accruals",
+      "Enter bills from the selected rows",
+      "Update customers from sheet Customers",
+      "Push changes from this tab",
+      "Get P&L for Acme and Beta last quarter",
       "What's in cell A1?",
       "Show me the value of B15",
       "Run QuickBooks diagnostic"
@@ -794,41 +921,25 @@ function generateHelpResponse() {
  * @return {Object} The formatted report data
  */
 function fetchReport(intent) {
+  // Aging reports are as of a single date rather than a range
+  if (isAgingReport(intent.entity)) {
+    return fetchAgingReport(intent);
+  }
+  
+  // QuickBooks has no Budget vs Actuals report, so it's built from a budget and a P&L
+  if (intent.entity === 'BudgetVsActuals') {
+    return fetchBudgetVsActuals(intent);
+  }
+  
   try {
     // Prepare report parameters
     const params = {};
     
-    if (intent.filters.startDate && intent.filters.endDate) {
-      // Ensure the date filters are in the correct format
-      try {
-        const startDate = new Date(intent.filters.startDate);
-        const endDate = new Date(intent.filters.endDate);
-        params.start_date = startDate.toISOString().split('T')[0];
-        params.end_date = endDate.toISOString().split('T')[0];
-        
-        console.log(`🔍 Using date range: ${params.start_date} to ${params.end_date}`);
-      } catch (dateError) {
-        console.error('Error formatting date filters: ' + dateError.message);
-        params.start_date = intent.filters.startDate;
-        params.end_date = intent.filters.endDate;
-      }
-    } else {
-      // Check if the request is for a specific year with more flexible year detection
-      const yearPattern = /\b(20\d\d)\b|for\s+(20\d\d)\b|in\s+(20\d\d)\b/i;
-      const yearMatch = intent.text ? intent.text.match(yearPattern) : null;
-      
-      // Extract the year from whichever group matched
-      const year = yearMatch ? 
-                  (yearMatch[1] || yearMatch[2] || yearMatch[3]) : 
-                  new Date().getFullYear().toString();
-      
-      // Set the date range for the whole year
-      params.start_date = year + '-01-01';
-      params.end_date = year + '-12-31';
-      
-      // Log the determined date range
-      logAction('Date Range', 'Year detection', 'Setting date range for year: ' + year);
-    }
+    // The intent's dates, else the dates in its text, else the fiscal year to date
+    const range = getIntentDateRange(intent);
+    params.start_date = range.startDate;
+    params.end_date = range.endDate;
+    console.log(`🔍 Using date range: ${params.start_date} to ${params.end_date}`);
     
     // Handle P&L with monthly columns based on query content or context
     if (intent.entity === 'ProfitAndLoss') {
@@ -852,11 +963,86 @@ function fetchReport(intent) {
       console.log(`📊 Fetching P&L report with params: ${JSON.stringify(params)}`);
     }
     
+    // Ledger reports ask for the columns the drill-down rows need
+    if (isLedgerReport(intent.entity)) {
+      Object.assign(params, getLedgerReportParams(intent.entity));
+    }
+    
+    // Sales and expense summaries can split their amounts by period, class, ...
+    if (isSalesReport(intent.entity)) {
+      Object.assign(params, getSalesReportParams(intent));
+    }
+    
+    // Class and location names are looked up and sent as IDs
+    if (hasDimensionFilters(intent)) {
+      Object.assign(params, getDimensionReportParams(intent));
+    }
+    
+    // "P&L by class" or "by location" gives each one its own column
+    if (intent.entity === 'ProfitAndLoss') {
+      const splitBy = normalizeSummarizeColumnBy(intent.parameters.summarizeColumnBy) ||
+                      detectSummarizeColumnBy((intent.text || '').toLowerCase(), intent.entity);
+      if (splitBy === 'Classes' || splitBy === 'Departments') {
+        params.summarize_column_by = splitBy;
+      }
+    }
+    
+    // Cash or accrual as asked, otherwise getReport uses the saved default
+    const accountingMethod = getIntentAccountingMethod(intent);
+    if (accountingMethod === 'Both') {
+      if (getIntentComparison(intent)) {
+        return {
+          type: 'warning',
+          message: 'Cash vs accrual and period comparisons can\'t be combined. Ask for one comparison at a time, ' +
+                   'e.g. "P&L this quarter vs last year on a cash basis".'
+        };
+      }
+      return fetchReportOnBothBases(intent, params);
+    }
+    if (accountingMethod) {
+      params.accounting_method = accountingMethod;
+    }
+    
+    // "vs prior period", "YoY" or a custom range: fetch both periods and merge by account
+    if (getIntentComparison(intent)) {
+      return fetchReportWithComparison(intent, params);
+    }
+    
     // Log what we're about to do
     logAction('Fetching Report', intent.entity, JSON.stringify(params));
     
-    // Get report data from QuickBooks - this may throw an error
-    const reportData = QuickBooksService.getReport(intent.entity, params);
+    // Get report data from QuickBooks - failures are thrown as QboErrors
+    let reportData;
+    try {
+      reportData = QuickBooksService.getReport(intent.entity, params);
+    } catch (reportError) {
+      // Querying transactions instead can't get past an authentication,
+      // permission or throttling failure, and can't filter by class or location
+      if (intent.entity !== 'ProfitAndLoss' || reportError instanceof AuthError ||
+          reportError instanceof PermissionError || reportError instanceof ThrottleError ||
+          hasDimensionFilters(intent)) {
+        throw reportError;
+      }
+      
+      // Try to use the basic transaction approach as a last resort
+      try {
+        console.log('Attempting to use basic transaction P&L as last resort');
+        const basicPLData = QuickBooksService.getBasicTransactionPLReport({
+          start_date: params.start_date,
+          end_date: params.end_date
+        });
+        
+        if (basicPLData && basicPLData.Rows && basicPLData.Rows.Row) {
+          console.log('Successfully retrieved basic P&L data with ' + 
+                     (basicPLData.Rows.Row.length) + ' rows');
+          return processReportData(basicPLData, intent, params);
+        }
+      } catch (fallbackError) {
+        console.error('Basic P&L fallback also failed: ' + fallbackError.message);
+      }
+      
+      throw reportError;
+    }
     logRawApiResponseToActionLog(reportData);
     
     // Debug: Write raw API response to a hidden sheet for troubleshooting
@@ -882,44 +1068,6 @@ function fetchReport(intent) {
     console.log('Report data type: ' + typeof reportData);
     console.log('Report data keys: ' + (reportData ? Object.keys(reportData).join(', ') : 'None'));
     
-    // Check if we got an error object instead of report data
-    if (reportData && reportData.type === 'SystemFault') {
-      console.error('QuickBooks API returned a SystemFault: ' + JSON.stringify(reportData));
-      
-      // Special handling for P&L reports
-      if (intent.entity === 'ProfitAndLoss') {
-        const errorMsg = `Failed to retrieve ProfitAndLoss report from QuickBooks for ${params.start_date} to ${params.end_date}. This may be due to API permissions, authentication issues, or QuickBooks service availability.`;
-        
-        // Try to use the basic transaction approach as a last resort
-        try {
-          console.log('Attempting to use basic transaction P&L as last resort');
-          const basicPLData = QuickBooksService.getBasicTransactionPLReport({
-            start_date: params.start_date,
-            end_date: params.end_date
-          });
-          
-          if (basicPLData && basicPLData.Rows && basicPLData.Rows.Row) {
-            console.log('Successfully retrieved basic P&L data with ' + 
-                       (basicPLData.Rows.Row.length) + ' rows');
-            return processReportData(basicPLData, intent, params);
-          }
-        } catch (fallbackError) {
-          console.error('Basic P&L fallback also failed: ' + fallbackError.message);
-        }
-        
-        return {
-          type: 'error',
-          message: errorMsg
-        };
-      }
-      
-      return {
-        type: 'error',
-        message: `Failed to retrieve ${intent.entity} report: ${reportData.message || 'Unknown QuickBooks error'}`,
-        details: reportData
-      };
-    }
-    
     // Check if the report has any data
     if (!reportData || !reportData.Rows || !reportData.Rows.Row || reportData.Rows.Row.length === 0) {
       const sheetName = intent.destination ? 
@@ -928,7 +1076,7 @@ function fetchReport(intent) {
         
       return {
         type: 'warning',
-        message: `No data found for ${intent.entity} report in the specified date range (${params.start_date} to ${params.end_date}). The sheet has been created but is empty.`,
+        message: `No data found for ${intent.entity} report${describeDimensionFilters(intent)} in the specified date range (${params.start_date} to ${params.end_date}). The sheet has been created but is empty.`,
         data: {
           rowCount: 0,
           sheetName: sheetName
@@ -940,20 +1088,9 @@ function fetchReport(intent) {
     return processReportData(reportData, intent, params);
     
   } catch (error) {
-    // Pass through permission errors directly
-    if (error.message && error.message.includes('QuickBooks permission error')) {
-      return {
-        type: 'error',
-        message: error.message + "\n\nAlternative: You can also try to reconnect to QuickBooks by clicking the settings icon and disconnecting/reconnecting with an Admin account."
-      };
-    }
-    
-    // Handle other P&L errors specifically
-    if (intent.entity === 'ProfitAndLoss' && error.message.includes('API error')) {
-      return {
-        type: 'error',
-        message: 'There was an issue fetching the Profit and Loss report. This may be due to limited permissions in QuickBooks. Please make sure your QuickBooks user has rights to access financial reports, or try with a simpler query like "Show me expenses for this month".'
-      };
+    // QuickBooks failures are turned into sidebar messages by executeIntent
+    if (error instanceof QboError) {
+      throw error;
     }
     
     // Generic error handling
@@ -971,6 +1108,11 @@ function fetchReport(intent) {
  * @return {Object} The formatted entity data
  */
 function fetchEntityData(intent) {
+  // Budgets are written accounts down, months across rather than one record per row
+  if (intent.entity === 'Budget') {
+    return fetchBudget(intent);
+  }
+  
   try {
     // Add debug logging right at the start
     console.log('FETCHING ENTITY DATA WITH INTENT: ' + JSON.stringify(intent));
@@ -1016,52 +1158,77 @@ function fetchEntityData(intent) {
     const defaultBillColumns = [
       'TxnDate', 'DueDate', 'DocNumber', 'VendorRef', 'TotalAmt', 'Balance', 'Id'
     ];
+    // Drop columns the entity doesn't have instead of sending them to QuickBooks
+    if (requestedColumns) {
+      const unknownColumns = requestedColumns.filter(col => !isQueryableField(intent.entity, col));
+      if (unknownColumns.length > 0) {
+        console.log(`Ignoring unknown ${intent.entity} columns: ${unknownColumns.join(', ')}`);
+      }
+      requestedColumns = requestedColumns.filter(col => isQueryableField(intent.entity, col));
+      if (requestedColumns.length === 0) {
+        requestedColumns = null;
+      }
+    }
     // Build query - only select mapped fields if user columns specified
-    let query = '';
+    const querySpec = { entity: intent.entity };
     if (intent.entity === 'Bill') {
-      const cols = requestedColumns || defaultBillColumns;
-      query = `SELECT ${cols.join(', ')} FROM ${intent.entity}`;
+      querySpec.select = requestedColumns || defaultBillColumns;
     } else if (intent.entity === 'Invoice') {
-      const cols = requestedColumns || defaultInvoiceColumns;
-      query = `SELECT ${cols.join(', ')} FROM ${intent.entity}`;
-    } else {
-      query = `SELECT * FROM ${intent.entity}`;
+      querySpec.select = requestedColumns || defaultInvoiceColumns;
+      // Edit sync needs every row's Id and SyncToken, shown or not
+      querySpec.select = querySpec.select.concat(['Id', 'SyncToken'].filter(field => !querySpec.select.includes(field)));
     }
-    console.log('QBO QUERY:', query);
+    
+    const isTransaction = intent.entity === 'Invoice' || intent.entity === 'Bill' || intent.entity === 'Purchase';
     
     // Add date filters if applicable
-    if (intent.filters && intent.filters.startDate && intent.filters.endDate) {
-      if (intent.entity === 'Invoice' || intent.entity === 'Bill' || intent.entity === 'Purchase') {
-        // Add strong date filtering with explicit formatting
-        const startDate = intent.filters.startDate;
-        const endDate = intent.filters.endDate;
-        
-        // Using strict date format for the query
-        query += ` WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}'`;
-        
-        // Log the date filter for debugging
-        console.log(`🚨 Date filter applied in SQL query: ${startDate} to ${endDate}`);
-      }
+    if (intent.filters && intent.filters.startDate && intent.filters.endDate && isTransaction) {
+      const startDate = intent.filters.startDate;
+      const endDate = intent.filters.endDate;
+      
+      querySpec.where = [
+        { field: 'TxnDate', op: '>=', value: startDate },
+        { field: 'TxnDate', op: '<=', value: endDate }
+      ];
+      
+      // Log the date filter for debugging
+      console.log(`🚨 Date filter applied in SQL query: ${startDate} to ${endDate}`);
     }
     
     // Add sorting by date - newest first for transactions
-    if (intent.entity === 'Invoice' || intent.entity === 'Bill' || intent.entity === 'Purchase') {
-      query += ` ORDER BY TxnDate DESC`;
+    if (isTransaction) {
+      querySpec.orderBy = 'TxnDate DESC';
     }
     
-    // Add max results limit to avoid overwhelming the API
-    query += ` MAXRESULTS 1000`;
+    // The query language can't filter on class or location, so fetch the
+    // references and filter the results
+    const dimensionFilters = hasDimensionFilters(intent) ? resolveDimensionFilters(intent) : null;
+    if (dimensionFilters) {
+      checkDimensionFilterable(intent.entity, dimensionFilters);
+      if (Array.isArray(querySpec.select)) {
+        const dimensionFields = getDimensionSelectFields(intent.entity);
+        querySpec.select = querySpec.select.concat(dimensionFields.filter(field => !querySpec.select.includes(field)));
+      }
+    }
     
+    const query = buildQboQuery(querySpec);
     console.log('🔄 Executing QuickBooks query: ' + query);
     
-    // Execute query
-    const queryData = queryQuickBooks(query);
+    // Execute query - pages through STARTPOSITION until every record is fetched
+    const queryData = queryAllQuickBooks(query);
     logRawApiResponseToActionLog(queryData);
     
     // Log what we received
     console.log('Received query data. Number of records: ' + 
                (queryData && queryData.QueryResponse ? 
-                Object.keys(queryData.QueryResponse).length : 'No data'));
+                queryData.QueryResponse.totalCount : 'No data'));
+    
+    if (dimensionFilters && queryData && queryData.QueryResponse && queryData.QueryResponse[intent.entity]) {
+      const records = queryData.QueryResponse[intent.entity];
+      queryData.QueryResponse[intent.entity] = filterByDimensions(records, dimensionFilters);
+      console.log(`Kept ${queryData.QueryResponse[intent.entity].length} of ${records.length} records` +
+                  describeDimensionFilters(intent));
+    }
     
     // Double check dates on returned data - IMPORTANT FOR FIXING THE DATE FILTER ISSUE
     if (intent.entity === 'Bill' && queryData && queryData.QueryResponse && queryData.QueryResponse.Bill) {
@@ -1127,7 +1294,7 @@ function fetchEntityData(intent) {
     
     // Write data to sheet
     console.log('Writing to sheet: ' + sheetName + ' with ' + formattedData.length + ' rows of data');
-    const writeResult = writeToSheet(sheetName, formattedData, true);
+    const writeResult = writeIntentData(sheetName, formattedData);
     console.log('Write result: ' + JSON.stringify(writeResult));
     
     // After writing data, try to activate the sheet to make it visible to the user
@@ -1147,23 +1314,31 @@ function fetchEntityData(intent) {
     
     if (writeResult.success) {
       let message;
+      // Count what was actually written - bills can be trimmed by the strict date filter above
+      const recordCount = formattedData.length - 1;
+      
+      // Invoice and Customer tabs can push their edits back to QuickBooks
+      const records = (queryData.QueryResponse && queryData.QueryResponse[intent.entity]) || [];
+      const editSynced = QBO_EDIT_SYNC_ENTITIES.includes(intent.entity) && !isCollectingCompanyRows() &&
+        records.length > 0 && records.length === recordCount;
+      if (editSynced) {
+        enableEditSync(sheetName, intent.entity, records);
+      }
+      const recordCountText = recordCount.toLocaleString('en-US');
       
       if (intent.entity === 'Bill' && intent.filters && intent.filters.startDate && intent.filters.endDate) {
-        const startDate = new Date(intent.filters.startDate);
-        const endDate = new Date(intent.filters.endDate);
-        const startMonth = startDate.toLocaleString('default', { month: 'long' });
-        const endMonth = endDate.toLocaleString('default', { month: 'long' });
-        const startYear = startDate.getFullYear();
-        const endYear = endDate.getFullYear();
-        
-        // Improved message with year information
-        if (startMonth === endMonth && startYear === endYear) {
-          message = `Bills from ${startMonth} ${startYear} fetched and written to sheet "${sheetName}" with ${formattedData.length - 1} rows of data.`;
-        } else {
-          message = `Bills from ${startMonth} ${startYear} to ${endMonth} ${endYear} fetched and written to sheet "${sheetName}" with ${formattedData.length - 1} rows of data.`;
-        }
+        const period = formatDateRangeLabel(intent.filters.startDate, intent.filters.endDate);
+        message = `Bills from ${period} fetched and written to sheet "${sheetName}" with ${recordCountText} rows of data.`;
       } else {
-        message = `${intent.entity} data fetched and written to sheet "${sheetName}" with ${formattedData.length - 1} rows of data.`;
+        message = `${recordCountText} ${intent.entity} records imported to sheet "${sheetName}".`;
+      }
+      
+      if (queryData.QueryResponse && queryData.QueryResponse.truncated) {
+        message += ` The query hit the page limit: QuickBooks has ${queryData.QueryResponse.totalCount.toLocaleString('en-US')} ` +
+                   'matching records, so some are missing - try a narrower date range.';
+      }
+      if (editSynced) {
+        message += ' Edit the cells there and ask to "push changes" to update QuickBooks.';
       }
       
       return {
@@ -1171,6 +1346,7 @@ function fetchEntityData(intent) {
         message: message,
         data: {
           rows: writeResult.rowCount,
+          totalCount: recordCount,
           sheetName: sheetName
         }
       };
@@ -1179,6 +1355,9 @@ function fetchEntityData(intent) {
     }
   } catch (error) {
     console.error('Error in fetchEntityData: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
     return {
       type: 'error',
       message: `Failed to fetch ${intent.entity} data: ${error.message}`
@@ -1427,6 +1606,21 @@ function runQuickBooksDiagnostic() {
   }
 }
 
+/**
+ * Writes fetched QuickBooks data to its sheet, or hands it to the
+ * multi-company collector when the intent is running for several companies.
+ * 
+ * @param {string} sheetName - The destination sheet
+ * @param {Array} formattedData - 2D array with a header row
+ * @return {Object} The write result
+ */
+function writeIntentData(sheetName, formattedData) {
+  if (isCollectingCompanyRows()) {
+    return collectCompanyRows(sheetName, formattedData);
+  }
+  return writeToSheet(sheetName, formattedData, true);
+}
+
 // Helper function to process report data after successful retrieval
 function processReportData(reportData, intent, params) {
   // Check which kind of report format we have
@@ -1437,6 +1631,11 @@ function processReportData(reportData, intent, params) {
     return processProfitAndLossReport(reportData, intent, params);
   }
   
+  // General Ledger, Transaction List and Journal keep one row per transaction line
+  if (isLedgerReport(intent.entity)) {
+    return processLedgerReport(reportData, intent, params);
+  }
+  
   // Format data for Google Sheets
   const formattedData = formatDataForSheet(reportData, 'report');
   
@@ -1447,7 +1646,7 @@ function processReportData(reportData, intent, params) {
   const sheetName = intent.destination || intent.entity;
   
   // Write the data to a sheet
-  const writeResult = writeToSheet(sheetName, formattedData, true);
+  const writeResult = writeIntentData(sheetName, formattedData);
   
   if (writeResult.success) {
     return {
@@ -1494,38 +1693,22 @@ function processProfitAndLossReport(reportData, intent, params) {
       isMonthlyReport = reportData.Columns.Column.length > 2 && 
         reportData.Columns.Column.some(col => col.ColTitle && (col.ColTitle.includes('Jan') || col.ColTitle.includes('Feb') || col.ColTitle.includes('Mar')));
     }
-    // Date range fix: always use first and last day of requested month
-    let startDate = params.start_date;
-    let endDate = params.end_date;
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      // Set to first day of month
-      start.setDate(1);
-      // Set to last day of month
-      end.setMonth(start.getMonth() + 1);
-      end.setDate(0);
-      startDate = start.toISOString().split('T')[0];
-      endDate = end.toISOString().split('T')[0];
-    }
+    // The range that was requested, as sent to QuickBooks
+    const startDate = params.start_date;
+    const endDate = params.end_date;
     // Format data for Google Sheets with special handling for monthly reports
     const formattedData = formatDataForSheet(reportData, 'report');
-    // Add date range as header information
-    if (formattedData.length > 0 && startDate && endDate) {
-      // Format dates for display
-      const displayStart = new Date(startDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-      const displayEnd = new Date(endDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-      formattedData.unshift(['', `Profit & Loss: ${displayStart} to ${displayEnd}`]);
+    // Add date range as header information (multi-company runs add a Company column instead)
+    if (formattedData.length > 0 && startDate && endDate && !isCollectingCompanyRows()) {
+      formattedData.unshift(['', `Profit & Loss: ${formatDisplayDate(startDate)} to ${formatDisplayDate(endDate)}`]);
     }
     // Determine sheet name
     const sheetName = intent.destination || `ProfitAndLoss_${startDate}`;
     // Write the data to a sheet
-    const writeResult = writeToSheet(sheetName, formattedData, true);
+    const writeResult = writeIntentData(sheetName, formattedData);
     if (writeResult.success) {
       // Natural language, finance-style response
-      const monthName = new Date(startDate).toLocaleString('default', { month: 'long' });
-      const year = new Date(startDate).getFullYear();
-      let message = `Here's your ${monthName} ${year} P&L (${startDate}–${endDate}). Let me know if you need a breakdown by department, a comparison to budget, or anything else.`;
+      let message = `Here's your ${formatDateRangeLabel(startDate, endDate)} P&L (${startDate}–${endDate}). Let me know if you need a breakdown by department, a comparison to budget, or anything else.`;
       if (isMonthlyReport) {
         message += ' Monthly breakdown columns included.';
       }
@@ -1566,10 +1749,10 @@ function processWithOpenAI(query, conversationHistory, apiCallList) {
       return null;
     }
     
-    // Get current date in a stable format to avoid timezone issues
-    const now = new Date();
-    now.setTime(Date.now()); // Force refresh current time
-    const currentDate = now.toISOString().split('T')[0];
+    // Today in the script time zone, so the prompt's dates match the keyword parser's
+    const currentDate = getTodayDate();
+    
+    const companyNames = ((apiCallList && apiCallList.companies) || []).join(', ') || 'none';
     
     console.log(`🧠 Processing with OpenAI using current date: ${currentDate}`);
     
@@ -1580,11 +1763,7 @@ Your role is to accurately interpret user queries, determine the best API action
 IMPORTANT: Today's date is ${currentDate}.
 
 When interpreting date expressions, use the following definitions EXACTLY:
-- "last month" means the ENTIRE previous calendar month. For example, if today is ${currentDate}, then "last month" refers to the period from ${new Date(now.getFullYear(), now.getMonth()-1, 1).toISOString().split('T')[0]} to ${new Date(now.getFullYear(), now.getMonth(), 0).toISOString().split('T')[0]}.
-- "this month" means from the first day of the current month to today: ${new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0]} to ${currentDate}.
-- "last quarter" means the previous three complete calendar months from ${new Date(now.getFullYear(), now.getMonth()-3, 1).toISOString().split('T')[0]} to ${new Date(now.getFullYear(), now.getMonth(), 0).toISOString().split('T')[0]}.
-- "year to date" or "ytd" means from January 1 of the current year to today: ${new Date(now.getFullYear(), 0, 1).toISOString().split('T')[0]} to ${currentDate}.
-- "last year" means the entire previous calendar year: ${new Date(now.getFullYear()-1, 0, 1).toISOString().split('T')[0]} to ${new Date(now.getFullYear()-1, 11, 31).toISOString().split('T')[0]}.
+${describeDateRangesForPrompt(currentDate)}
 
 When resolving date expressions, ALWAYS return explicit ISO format date strings (YYYY-MM-DD) in the intent object.
 NEVER use hardcoded dates - calculate them based on the current date (${currentDate}).
@@ -1600,20 +1779,41 @@ Workflow for handling user requests:
 The intent object should have the following structure:
 {
   "type": "fetch" | "create" | "modify" | "diagnostic" | "help" | "unknown",
-  "action": "query" | "report" | "createSheet" | "formatRange" | etc.,
+  "action": "query" | "report" | "sync" | "createSheet" | "importInvoices" | "importJournalEntries" | "importBills" | "upsertContacts" | "pushChanges" | "formatRange" | etc.,
   "entity": "Invoice" | "Bill" | "ProfitAndLoss" | "BalanceSheet" | etc.,
   "filters": {
     "startDate": "YYYY-MM-DD", // Must be an explicit ISO date
     "endDate": "YYYY-MM-DD",   // Must be an explicit ISO date
+    "class": "Class name",     // Only when the user names a class
+    "location": "Location name", // Only when the user names a location or department
     // other filters
   },
   "parameters": {
     // additional parameters
   },
-  "destination": "SheetName" // Optional sheet name where data should be placed
+  "destination": "SheetName", // Optional sheet name where data should be placed
+  "company": "Company name" | ["Company name", ...] | "all", // Optional, only when the user names connected companies
+  "forceRefresh": true // Optional, only when the user asks for fresh/latest/refreshed data
 }
 
+Connected QuickBooks companies: ${companyNames}.
+Set "company" only when the user asks for specific companies (or all of them); otherwise leave it out and the active company is used.
+QuickBooks lists and reports are cached for a few minutes. Set "forceRefresh" to true only when the user asks for fresh, latest or refreshed data.
+
 For ProfitAndLoss reports specifically, set entity to "ProfitAndLoss" and action to "report".
+For A/R or A/P aging use action "report" with entity "AgedReceivables", "AgedReceivableDetail", "AgedPayables" or "AgedPayableDetail" (detail lists each open invoice or bill). Aging is as of one date: put it in filters.reportDate (YYYY-MM-DD, default today) and leave startDate/endDate out. Custom buckets go in parameters.agingPeriod (days per bucket) and parameters.numPeriods.
+For a general ledger, transaction list or journal use action "report" with entity "GeneralLedger", "TransactionList" or "JournalReport" and a startDate/endDate range. These are written one transaction line per row with a link to each transaction.
+When the user names a class or a location (QuickBooks also calls locations departments), put the name in filters.class or filters.location, e.g. "P&L for the Brooklyn location" is {"entity": "ProfitAndLoss", "filters": {"location": "Brooklyn"}}. This works for reports and for transaction queries. To split a P&L into a column per class or location, put "Classes" or "Departments" in parameters.summarizeColumnBy.
+When the user asks for cash or accrual basis put "Cash" or "Accrual" in parameters.accountingMethod; for both side by side ("cash vs accrual") use "Both" (P&L and Balance Sheet only). Leave it out otherwise so the saved default applies.
+When the user compares a P&L or Balance Sheet with another period ("vs", "compared to", "YoY"), put the main period in filters.startDate/endDate and set parameters.compareTo: "PriorPeriod" for the period just before ("vs last quarter"), "PriorYear" for the same dates a year earlier ("vs same quarter last year", "YoY"), or "Custom" with parameters.compareStartDate and parameters.compareEndDate (YYYY-MM-DD) for any other range, e.g. "P&L for 2024 vs 2022".
+For a QuickBooks budget use action "query" with entity "Budget" (parameters.budgetName picks one by name). For budget vs actuals use action "report" with entity "BudgetVsActuals": it compares the QuickBooks budget (parameters.budgetName, optional) to actuals, or a budget laid out in a sheet tab when the user names one (parameters.budgetSheet). Set parameters.validateOnly to true when the user only wants a budget sheet checked. Leave out startDate/endDate to compare the whole budget.
+For sales by customer, sales by product/service, income by customer or expenses by vendor use action "report" with entity "CustomerSales", "ItemSales", "CustomerIncome" or "VendorExpenses". When the user asks to split the amounts ("by quarter", "by class", ...) put "Month", "Quarter", "Year", "Customers", "Vendors", "Classes", "Departments" or "ProductsAndServices" in parameters.summarizeColumnBy.
+When the user asks to create invoices from rows in the spreadsheet ("create invoices from the selected rows", "import invoices from sheet Billing"), use type "create", action "importInvoices" and entity "Invoice". Put a named tab in parameters.sheetName and an A1 range in parameters.range; leave both out to use the selected rows. Don't confuse this with fetching invoices into a sheet.
+When the user asks to post journal entries from rows in the spreadsheet ("post the accruals from the selected rows", "import journal entries from sheet Accruals"), use type "create", action "importJournalEntries" and entity "JournalEntry", with parameters.sheetName or parameters.range the same way.
+When the user asks to enter bills or expenses from rows in the spreadsheet ("enter bills from the selected rows", "import expenses from sheet Receipts"), use type "create", action "importBills" and entity "Bill", with parameters.sheetName or parameters.range the same way. This only previews the records; set parameters.confirm to true when the user confirms a preview, put vendor choices like 'use "Acme Corp" for "Acme"' in parameters.vendorMatches as {"Acme": "Acme Corp"}, and put vendors to create in parameters.createVendors (a list of names, or true for all of them).
+When the user asks to create or update customers or vendors from rows in the spreadsheet ("update customers from sheet Customers", "upsert vendors from the selected rows"), use type "create", action "upsertContacts" and entity "Customer" or "Vendor", with parameters.sheetName or parameters.range the same way.
+When the user asks to push or send their edits on a fetched Invoice or Customer tab back to QuickBooks ("push changes", "send my edits back to QuickBooks"), use type "create" and action "pushChanges", with parameters.sheetName when they name a tab. This only previews the changes; set parameters.confirm to true when the user confirms the preview.
+When the user asks to sync or refresh an entity tab (e.g. "sync invoices"), use type "fetch", action "sync" and the entity name; no dates are needed.
 Include explicit date ranges even for simple queries like "get last month's P&L".
 
 Always prioritize accuracy, clarity, and efficiency when selecting which QuickBooks API methods to use.
@@ -1663,30 +1863,19 @@ If the user's query is ambiguous or lacks necessary information, specify what ad
         if (intent.filters && (intent.filters.startDate || intent.filters.endDate)) {
           console.log(`🔍 OpenAI resolved date filters: startDate=${intent.filters.startDate}, endDate=${intent.filters.endDate}`);
           
-          // Validate date formats
-          if (intent.filters.startDate && !/^\d{4}-\d{2}-\d{2}$/.test(intent.filters.startDate)) {
-            console.warn(`⚠️ Invalid startDate format: ${intent.filters.startDate}, correcting it`);
-            // Try to parse and fix the date
-            try {
-              const fixedDate = new Date(intent.filters.startDate).toISOString().split('T')[0];
-              intent.filters.startDate = fixedDate;
-              console.log(`✓ Corrected to: ${fixedDate}`);
-            } catch (e) {
-              console.error(`Failed to correct startDate: ${e}`);
-            }
-          }
-          
-          if (intent.filters.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(intent.filters.endDate)) {
-            console.warn(`⚠️ Invalid endDate format: ${intent.filters.endDate}, correcting it`);
-            // Try to parse and fix the date
-            try {
-              const fixedDate = new Date(intent.filters.endDate).toISOString().split('T')[0];
-              intent.filters.endDate = fixedDate;
-              console.log(`✓ Corrected to: ${fixedDate}`);
-            } catch (e) {
-              console.error(`Failed to correct endDate: ${e}`);
+          // Dates that aren't YYYY-MM-DD ("March 5, 2024", "3/5/2024") are read like the chat's own
+          ['startDate', 'endDate'].forEach(key => {
+            const value = intent.filters[key];
+            if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+              const fixedDate = normalizeDateValue(value, key === 'startDate' ? 'start' : 'end');
+              console.warn(`⚠️ Invalid ${key} format: ${value}, corrected to: ${fixedDate}`);
+              if (fixedDate) {
+                intent.filters[key] = fixedDate;
+              } else {
+                delete intent.filters[key];
+              }
             }
-          }
+          });
         }
         
         return intent;
@@ -55,6 +55,9 @@ function processWithOpenAI(query, conversationHistory = [], apiCallList = {}) {
     throw new Error('OpenAI API key not configured. Please set it in the settings.');
   }
   
+  // Dates in the prompt are worked out for today in the script time zone
+  const today = getTodayDate();
+  
   // Prepare system message with available API calls
   const systemMessage = {
     role: 'system',
@@ -62,12 +65,18 @@ function processWithOpenAI(query, conversationHistory = [], apiCallList = {}) {
 Your job is to extract the intent and parameters from the user's query and translate it into concrete API actions.
 Your response should be a JSON object only, without any additional text.
 
+Today's date is ${today}. Resolve dates to explicit YYYY-MM-DD ranges in filters.startDate and filters.endDate:
+${describeDateRangesForPrompt(today)}
+
 Available QuickBooks API calls:
 ${JSON.stringify(apiCallList.qbo || {}, null, 2)}
 
 Available Google Sheets API actions:
 ${JSON.stringify(apiCallList.sheets || {}, null, 2)}
 
+Connected QuickBooks companies:
+${JSON.stringify(apiCallList.companies || [], null, 2)}
+
 Based on the user query, determine:
 1. The specific intent type and action
 2. Which API(s) need to be called (QuickBooks, Google Sheets, or both)
@@ -77,14 +86,18 @@ Based on the user query, determine:
 Return ONLY a JSON object with this structure:
 {
   "type": "fetch|create|modify|help|diagnostic|custom|unknown",
-  "action": "report|query|entity|createSheet|addRow|clearRange|etc",
+  "action": "report|query|entity|sync|createSheet|importInvoices|importJournalEntries|importBills|upsertContacts|pushChanges|addRow|clearRange|etc",
   "entity": "ProfitAndLoss|Invoice|Bill|etc", // Only for QuickBooks entities
   "filters": {
     "startDate": "YYYY-MM-DD",
     "endDate": "YYYY-MM-DD",
+    "class": "Class name", // Only when the user names a class
+    "location": "Location name", // Only when the user names a location or department
     "otherFields": "values" // Any filters for queries
   },
   "destination": "SheetName!A1:D10", // Where to put data
+  "company": "Company name" | ["Company name", "Company name"] | "all", // Only when the user names connected companies
+  "forceRefresh": true, // Only when the user asks for fresh, latest or refreshed data
   "parameters": {
     // Any additional parameters needed for the action
     "sheetName": "name",
@@ -100,6 +113,21 @@ Return ONLY a JSON object with this structure:
 }
 
 For the "custom" type, include specific API calls in qboApiCall and/or sheetsApiCall.
+Use action "sync" with an entity (e.g. Invoice) when the user wants to sync or refresh an entity sheet; it only fetches changes since the last sync.
+Only set "company" for fetch intents that name one or more connected companies; leave it out to use the active company.
+For A/R or A/P aging use action "report" with entity AgedReceivables, AgedReceivableDetail, AgedPayables or AgedPayableDetail, put the as-of date in filters.reportDate (YYYY-MM-DD, default today), and put custom buckets in parameters.agingPeriod and parameters.numPeriods.
+For a general ledger, transaction list or journal use action "report" with entity GeneralLedger, TransactionList or JournalReport and a startDate/endDate range.
+When the user names a class or a location (also called a department), put the name in filters.class or filters.location, for reports and transaction queries alike. To split a P&L into a column per class or location, put Classes or Departments in parameters.summarizeColumnBy.
+For cash or accrual basis put Cash or Accrual in parameters.accountingMethod, or Both to write the two side by side with a difference column (P&L and Balance Sheet only); leave it out to use the saved default.
+For comparisons with another period ("vs last year", "compared to the prior quarter", "YoY") on a P&L or Balance Sheet, filters.startDate/endDate are the main period and parameters.compareTo is PriorPeriod (same length, just before), PriorYear (same dates a year earlier) or Custom with parameters.compareStartDate and parameters.compareEndDate (YYYY-MM-DD).
+For a QuickBooks budget use action "query" with entity Budget (parameters.budgetName picks one). For budget vs actuals use action "report" with entity BudgetVsActuals; set parameters.budgetName for a named QuickBooks budget, or parameters.budgetSheet when the budget is laid out in a sheet tab, and parameters.validateOnly to only check a budget sheet. Leave out startDate/endDate to compare the whole budget.
+For sales by customer, sales by product/service, income by customer or expenses by vendor use action "report" with entity CustomerSales, ItemSales, CustomerIncome or VendorExpenses; to split the amounts ("by quarter", "by class", ...) put Month, Quarter, Year, Customers, Vendors, Classes, Departments or ProductsAndServices in parameters.summarizeColumnBy.
+To create invoices from rows in the spreadsheet ("create invoices from the selected rows") use type "create", action "importInvoices", entity Invoice, with parameters.sheetName or parameters.range only when the user names a tab or range; otherwise the selected rows are used.
+To post journal entries from rows in the spreadsheet ("post the accruals from the selected rows") use type "create", action "importJournalEntries", entity JournalEntry, with parameters.sheetName or parameters.range the same way.
+To enter bills or expenses from rows in the spreadsheet ("enter bills from the selected rows") use type "create", action "importBills", entity Bill, with parameters.sheetName or parameters.range the same way. The first request only previews; when the user confirms set parameters.confirm to true, put 'use "Acme Corp" for "Acme"' in parameters.vendorMatches as {"Acme": "Acme Corp"}, and vendors to create in parameters.createVendors (a list of names, or true for all).
+To create or update customers or vendors from rows in the spreadsheet ("update customers from sheet Customers") use type "create", action "upsertContacts", entity Customer or Vendor, with parameters.sheetName or parameters.range the same way.
+To push edits made on a fetched Invoice or Customer tab back to QuickBooks ("push changes") use type "create", action "pushChanges", with parameters.sheetName when the user names a tab. The first request only previews; set parameters.confirm to true when the user confirms.
+QuickBooks lists and reports are cached for a few minutes; set "forceRefresh" to true only when the user asks for fresh or latest data.
 For complex tasks that require multiple steps, break it down into a primary action.
 If you're unsure about specific fields, provide your best estimate or leave them blank.
 Always include the "explanation" field to explain what the intent will do.`
@@ -182,24 +210,37 @@ function validateAndNormalizeIntent(intent, originalQuery) {
   intent.entity = intent.entity || '';
   intent.filters = intent.filters || {};
   intent.parameters = intent.parameters || {};
+  intent.forceRefresh = intent.forceRefresh === true || intent.forceRefresh === 'true';
   
   // Store the original query
   intent.text = originalQuery;
   
-  // Set default values for dates if not provided but needed
-  if ((intent.type === 'fetch' && intent.action === 'report') && 
+  // Dates that aren't YYYY-MM-DD ("March 5, 2024") are read like the chat's own
+  ['startDate', 'endDate', 'reportDate'].forEach(key => {
+    if (intent.filters[key]) {
+      const date = normalizeDateValue(intent.filters[key], key === 'startDate' ? 'start' : 'end');
+      if (date) {
+        intent.filters[key] = date;
+      } else {
+        delete intent.filters[key];
+      }
+    }
+  });
+  
+  // Reports without dates take them from the query, else the fiscal year to date
+  // (aging reports default to today instead)
+  if ((intent.type === 'fetch' && intent.action === 'report') && !isAgingReport(intent.entity) &&
       !intent.filters.startDate && !intent.filters.endDate) {
+    const range = parseDateRange(originalQuery);
+    const defaults = range || getDefaultDateRange();
     
-    // Default to current month if no dates specified
-    const today = new Date();
-    const firstDay = new Date(today.getFullYear(), today.getMonth(), 1);
-    const lastDay = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-    
-    intent.filters.startDate = Utilities.formatDate(firstDay, 'GMT', 'yyyy-MM-dd');
-    intent.filters.endDate = Utilities.formatDate(lastDay, 'GMT', 'yyyy-MM-dd');
+    intent.filters.startDate = defaults.startDate;
+    intent.filters.endDate = defaults.endDate;
     
     // Add a note that default dates were applied
-    intent.parameters.usedDefaultDates = true;
+    if (!range) {
+      intent.parameters.usedDefaultDates = true;
+    }
   }
   
   // Ensure API call fields are properly formatted
@@ -213,7 +254,8 @@ function validateAndNormalizeIntent(intent, originalQuery) {
   }
   
   // If we have a destination but no sheetsApiCall, infer a basic update
-  if (intent.destination && !intent.sheetsApiCall) {
+  // (imports read their range instead of writing one)
+  if (intent.destination && !intent.sheetsApiCall && !isSheetImportAction(intent.action)) {
     intent.sheetsApiCall = 'updateRange';
     intent.parameters.range = intent.destination;
   }
@@ -261,6 +303,26 @@ function generateExplanation(intent) {
         if (intent.action === 'createSheet') {
           const sheetName = intent.parameters.name || 'new sheet';
           return `Create a new sheet named "${sheetName}"`;
+        } else if (intent.action === 'importInvoices') {
+          const source = intent.parameters.range || intent.parameters.sheetName || 'the selected rows';
+          return `Create QuickBooks invoices from ${source}`;
+        } else if (intent.action === 'importJournalEntries') {
+          const source = intent.parameters.range || intent.parameters.sheetName || 'the selected rows';
+          return `Post QuickBooks journal entries from ${source}`;
+        } else if (intent.action === 'importBills') {
+          if (intent.parameters.confirm) {
+            return 'Create the previewed bills and expenses in QuickBooks';
+          }
+          const source = intent.parameters.range || intent.parameters.sheetName || 'the selected rows';
+          return `Preview QuickBooks bills and expenses from ${source}`;
+        } else if (intent.action === 'upsertContacts') {
+          const source = intent.parameters.range || intent.parameters.sheetName || 'the selected rows';
+          return `Create or update QuickBooks ${intent.entity === 'Vendor' ? 'vendors' : 'customers'} from ${source}`;
+        } else if (intent.action === 'pushChanges') {
+          if (intent.parameters.confirm) {
+            return 'Push the previewed edits to QuickBooks';
+          }
+          return `Preview the edits on ${intent.parameters.sheetName || 'this tab'} to push to QuickBooks`;
         }
         break;
         
@@ -347,16 +409,133 @@ function getAvailableApiCalls() {
       },
       generalLedger: {
         endpoint: '/reports/GeneralLedger',
-        description: 'Get a General Ledger report for a specific time period',
+        description: 'Get a General Ledger report: every transaction line grouped by account, with running balances',
         parameters: {
           start_date: 'YYYY-MM-DD',
           end_date: 'YYYY-MM-DD',
-          columns: 'Comma-separated columns to include'
+          columns: 'Comma-separated columns to include, e.g. tx_date,txn_type,doc_num,name,memo,split_acc,subt_nat_amount,rbal_nat_amount'
         },
         example: '/reports/GeneralLedger?start_date=2023-01-01&end_date=2023-03-31'
+      },
+      transactionList: {
+        endpoint: '/reports/TransactionList',
+        description: 'Get a Transaction List report: every transaction in a period with its type, number, name, account and amount',
+        parameters: {
+          start_date: 'YYYY-MM-DD',
+          end_date: 'YYYY-MM-DD',
+          columns: 'Comma-separated columns to include, e.g. tx_date,txn_type,doc_num,name,memo,account_name,other_account,subt_nat_amount'
+        },
+        example: '/reports/TransactionList?start_date=2023-01-01&end_date=2023-03-31'
+      },
+      journalReport: {
+        endpoint: '/reports/JournalReport',
+        description: 'Get a Journal report: the debit and credit lines of every transaction in a period',
+        parameters: {
+          start_date: 'YYYY-MM-DD',
+          end_date: 'YYYY-MM-DD'
+        },
+        example: '/reports/JournalReport?start_date=2023-01-01&end_date=2023-03-31'
+      },
+      customerSales: {
+        endpoint: '/reports/CustomerSales',
+        description: 'Get a Sales by Customer Summary: sales per customer',
+        parameters: {
+          start_date: 'YYYY-MM-DD',
+          end_date: 'YYYY-MM-DD',
+          accounting_method: 'Accrual or Cash',
+          summarize_column_by: 'Total, Month, Quarter, Year, Classes, Departments or ProductsAndServices ("by quarter", "by class")'
+        },
+        example: '/reports/CustomerSales?start_date=2023-01-01&end_date=2023-12-31&summarize_column_by=Quarter'
+      },
+      itemSales: {
+        endpoint: '/reports/ItemSales',
+        description: 'Get a Sales by Product/Service Summary: quantity and amount sold per item',
+        parameters: {
+          start_date: 'YYYY-MM-DD',
+          end_date: 'YYYY-MM-DD',
+          accounting_method: 'Accrual or Cash',
+          summarize_column_by: 'Total, Month, Quarter, Year, Customers, Classes or Departments ("by month", "by customer")'
+        },
+        example: '/reports/ItemSales?start_date=2023-01-01&end_date=2023-12-31&summarize_column_by=Month'
+      },
+      customerIncome: {
+        endpoint: '/reports/CustomerIncome',
+        description: 'Get an Income by Customer Summary: income, expenses and net income per customer',
+        parameters: {
+          start_date: 'YYYY-MM-DD',
+          end_date: 'YYYY-MM-DD',
+          accounting_method: 'Accrual or Cash',
+          summarize_column_by: 'Total, Month, Quarter, Year, Classes or Departments ("by quarter", "by class")'
+        },
+        example: '/reports/CustomerIncome?start_date=2023-01-01&end_date=2023-12-31'
+      },
+      vendorExpenses: {
+        endpoint: '/reports/VendorExpenses',
+        description: 'Get an Expenses by Vendor Summary: spending per vendor',
+        parameters: {
+          start_date: 'YYYY-MM-DD',
+          end_date: 'YYYY-MM-DD',
+          accounting_method: 'Accrual or Cash',
+          summarize_column_by: 'Total, Month, Quarter, Year, Classes or Departments ("by month", "by class")'
+        },
+        example: '/reports/VendorExpenses?start_date=2023-01-01&end_date=2023-12-31&summarize_column_by=Classes'
+      },
+      agedReceivables: {
+        endpoint: '/reports/AgedReceivables',
+        description: 'Get an A/R Aging Summary: open balance per customer in aging buckets (Current, 1-30, 31-60, ...)',
+        parameters: {
+          report_date: 'YYYY-MM-DD, the date balances are aged as of (default today)',
+          aging_method: 'Report_Date or Current',
+          aging_period: 'Days per aging bucket (default 30)',
+          num_periods: 'Number of aging buckets (default 4)'
+        },
+        example: '/reports/AgedReceivables?report_date=2023-03-31'
+      },
+      agedReceivableDetail: {
+        endpoint: '/reports/AgedReceivableDetail',
+        description: 'Get an A/R Aging Detail: each open invoice with its aging bucket, subtotaled per customer',
+        parameters: {
+          report_date: 'YYYY-MM-DD, the date balances are aged as of (default today)',
+          aging_method: 'Report_Date or Current',
+          aging_period: 'Days per aging bucket (default 30)',
+          num_periods: 'Number of aging buckets (default 4)'
+        },
+        example: '/reports/AgedReceivableDetail?report_date=2023-03-31'
+      },
+      agedPayables: {
+        endpoint: '/reports/AgedPayables',
+        description: 'Get an A/P Aging Summary: open balance per vendor in aging buckets',
+        parameters: {
+          report_date: 'YYYY-MM-DD, the date balances are aged as of (default today)',
+          aging_method: 'Report_Date or Current',
+          aging_period: 'Days per aging bucket (default 30)',
+          num_periods: 'Number of aging buckets (default 4)'
+        },
+        example: '/reports/AgedPayables?report_date=2023-03-31'
+      },
+      agedPayableDetail: {
+        endpoint: '/reports/AgedPayableDetail',
+        description: 'Get an A/P Aging Detail: each open bill with its aging bucket, subtotaled per vendor',
+        parameters: {
+          report_date: 'YYYY-MM-DD, the date balances are aged as of (default today)',
+          aging_method: 'Report_Date or Current',
+          aging_period: 'Days per aging bucket (default 30)',
+          num_periods: 'Number of aging buckets (default 4)'
+        },
+        example: '/reports/AgedPayableDetail?report_date=2023-03-31'
       }
     },
     entities: {
+      budget: {
+        endpoint: '/query?query=select * from Budget',
+        description: 'Query P&L budgets: monthly amounts per account in BudgetDetail. Budget vs Actuals compares one to a P&L for the same period',
+        filters: {
+          'Name': 'Filter by budget name',
+          'StartDate': 'Filter by budget start date',
+          'Active': 'Filter by active status'
+        },
+        example: '/query?query=select * from Budget where Active = true'
+      },
       invoice: {
         endpoint: '/query?query=select * from Invoice',
         description: 'Query invoice data',
@@ -502,6 +681,7 @@ function getAvailableApiCalls() {
   
   return {
     qbo: qboApiCalls,
-    sheets: sheetsApiActions
+    sheets: sheetsApiActions,
+    companies: getConnectedCompanies().map(company => company.name).filter(name => name)
   };
 } 
\ No newline at end of file
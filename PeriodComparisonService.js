@@ -0,0 +1,196 @@
+/**
+ * Period Comparison Service
+ * Compares a report against the prior period, the same period last year or a
+ * custom range. The web app's "previous period" and "previous year" columns
+ * aren't offered by the Reports API, so both ranges are fetched and merged by
+ * account through ReportComparisonService.
+ */
+
+// Comparison modes as intents and the chat spell them
+const QBO_COMPARISON_MODES = {
+  priorperiod: 'PriorPeriod',
+  previousperiod: 'PriorPeriod',
+  prioryear: 'PriorYear',
+  previousyear: 'PriorYear',
+  lastyear: 'PriorYear',
+  yoy: 'PriorYear',
+  custom: 'Custom'
+};
+
+/**
+ * Reads the comparison an intent asks for from parameters.compareTo, or
+ * 'Custom' when only parameters.compareStartDate and compareEndDate are set.
+ *
+ * @param {Object} intent - The intent
+ * @return {string} 'PriorPeriod', 'PriorYear', 'Custom', or '' for no comparison
+ */
+function getIntentComparison(intent) {
+  const parameters = intent.parameters || {};
+  const mode = String(parameters.compareTo || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (QBO_COMPARISON_MODES[mode]) {
+    return QBO_COMPARISON_MODES[mode];
+  }
+  return parameters.compareStartDate && parameters.compareEndDate ? 'Custom' : '';
+}
+
+/**
+ * Reads a period comparison from a lower-case query: "vs last year", "YoY",
+ * "compared to the prior period", "vs 2023", "vs March 2024". Comparisons
+ * with cash/accrual or a budget are left to their own parsers.
+ *
+ * @param {string} text - The lower-case query
+ * @return {Object} Intent parameters, e.g. {compareTo: 'PriorYear'}; null if none
+ */
+function detectReportComparison(text) {
+  if (/\b(yoy|year[- ]over[- ]year)\b/.test(text)) {
+    return { compareTo: 'PriorYear' };
+  }
+  if (/\b(mom|qoq|(month|quarter|period)[- ]over[- ](month|quarter|period))\b/.test(text)) {
+    return { compareTo: 'PriorPeriod' };
+  }
+
+  const match = text.match(/\b(?:vs\.?|versus|compared (?:to|with)|against)\s+(.+)$/);
+  if (!match || /\b(cash|accrual|budgets?|actuals?)\b/.test(match[1])) {
+    return null;
+  }
+  const other = match[1];
+
+  if (/\b(same|prior|previous|last) year\b|\blast year's\b/.test(other)) {
+    return { compareTo: 'PriorYear' };
+  }
+  if (/\b(prior|previous|last) (period|month|quarter|week)\b/.test(other)) {
+    return { compareTo: 'PriorPeriod' };
+  }
+
+  // Anything else that reads as dates, e.g. "vs 2023", "vs March 2024", "vs Q1 FY24"
+  const range = parseDateRange(other);
+  if (range) {
+    return { compareTo: 'Custom', compareStartDate: range.startDate, compareEndDate: range.endDate };
+  }
+
+  return null;
+}
+
+/**
+ * Works out the range a period is compared against. The prior period has the
+ * same length and ends the day before; whole months stay whole months (Q2 is
+ * compared to Q1, February to January). The prior year is the same dates a
+ * year earlier, keeping month ends (Feb 29 becomes Feb 28).
+ *
+ * @param {Object} intent - The intent, for the mode and any custom range
+ * @param {string} startDate - The period start as YYYY-MM-DD
+ * @param {string} endDate - The period end as YYYY-MM-DD
+ * @return {Object} The comparison range as {startDate, endDate}
+ * @throws {ValidationError} If a custom comparison has no valid range
+ */
+function getComparisonRange(intent, startDate, endDate) {
+  const mode = getIntentComparison(intent);
+
+  if (mode === 'Custom') {
+    const parameters = intent.parameters || {};
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(parameters.compareStartDate || '') || !datePattern.test(parameters.compareEndDate || '')) {
+      throw new ValidationError('The comparison period needs a start and end date.', {
+        remedy: 'Name the period to compare with, e.g. "P&L for 2024 vs 2023" or "vs March 2024".'
+      });
+    }
+    return { startDate: parameters.compareStartDate, endDate: parameters.compareEndDate };
+  }
+
+  if (mode === 'PriorYear') {
+    return { startDate: shiftMonths(startDate, -12), endDate: shiftMonths(endDate, -12) };
+  }
+
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate);
+  const wholeMonths = start.day === 1 && end.day === getMonthLength(end.year, end.month);
+
+  if (wholeMonths) {
+    const months = (end.year - start.year) * 12 + end.month - start.month + 1;
+    return { startDate: shiftMonths(startDate, -months), endDate: shiftMonths(endDate, -months) };
+  }
+
+  const days = Math.round((Date.UTC(end.year, end.month, end.day) - Date.UTC(start.year, start.month, start.day)) / 86400000) + 1;
+  return { startDate: addDays(startDate, -days), endDate: addDays(startDate, -1) };
+}
+
+/**
+ * Fetches a report for its period and for the period it's compared against,
+ * and writes them next to each other with $ change and % change columns.
+ *
+ * @param {Object} intent - The report intent, with parameters.compareTo
+ * @param {Object} params - The report parameters for the current period
+ * @return {Object} The response object
+ */
+function fetchReportWithComparison(intent, params) {
+  if (!isComparableReport(intent.entity)) {
+    return {
+      type: 'warning',
+      message: `Period comparisons are available for the P&L and Balance Sheet, not ${intent.entity}. ` +
+               'Ask for each period separately instead.'
+    };
+  }
+
+  const comparison = getComparisonRange(intent, params.start_date, params.end_date);
+  const periods = [
+    { startDate: params.start_date, endDate: params.end_date },
+    comparison
+  ];
+
+  const reports = periods.map(period => {
+    const periodParams = Object.assign({}, params, {
+      start_date: period.startDate,
+      end_date: period.endDate,
+      summarize_column_by: 'Total'
+    });
+    delete periodParams.columns;
+    logAction('Fetching Report', `${intent.entity} (${period.startDate} to ${period.endDate})`, JSON.stringify(periodParams));
+    return getReport(intent.entity, periodParams);
+  });
+
+  const labels = periods.map(period => formatDateRangeLabel(period.startDate, period.endDate));
+  const table = buildAccountComparisonTable(mergeReportsByAccount(reports), {
+    titles: labels,
+    differenceTitle: '$ Change',
+    percentTitle: '% Change'
+  });
+
+  const sheetName = intent.destination || `${intent.entity}_${params.start_date}_vs_${comparison.startDate}`;
+  const formattedData = [table.headers].concat(table.rows);
+  const writeResult = writeIntentData(sheetName, formattedData);
+  if (!writeResult.success) {
+    throw new Error(writeResult.message);
+  }
+
+  if (!isCollectingCompanyRows()) {
+    formatAccountComparisonSheet(writeResult.sheetName, formattedData, table);
+  }
+
+  const bottom = table.lastTotal;
+  const reportName = (reports[0].Header && reports[0].Header.ReportName) || intent.entity;
+  let message = `${reportName} for ${labels[0]} compared to ${labels[1]} written to sheet ` +
+                `"${writeResult.sheetName}": ${table.changedCount} ${table.changedCount === 1 ? 'line' : 'lines'} changed.`;
+  if (bottom) {
+    const change = roundComparisonAmount(bottom.values[0] - bottom.values[1]);
+    message += ` ${bottom.label} is ${formatComparisonCurrency(bottom.values[0])} vs ` +
+               `${formatComparisonCurrency(bottom.values[1])} (${change < 0 ? '' : '+'}${formatComparisonCurrency(change)}`;
+    if (bottom.values[1]) {
+      const percent = change / Math.abs(bottom.values[1]) * 100;
+      message += `, ${percent < 0 ? '' : '+'}${percent.toFixed(1)}%`;
+    }
+    message += ').';
+  }
+
+  return {
+    type: 'success',
+    message: message,
+    data: {
+      rowCount: table.rows.length,
+      columnCount: table.headers.length,
+      sheetName: writeResult.sheetName,
+      changedCount: table.changedCount,
+      comparisonStartDate: comparison.startDate,
+      comparisonEndDate: comparison.endDate
+    }
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Query Builder Service
+ * Builds QuickBooks query strings from a spec object instead of string
+ * concatenation. Entities and fields are checked against QBO_QUERY_METADATA
+ * and every literal is escaped, so values coming from the chat intent can't
+ * break (or change) the query.
+ */
+
+// Fields shared by every entity
+const QBO_COMMON_FIELDS = ['Id', 'SyncToken', 'MetaData', 'MetaData.CreateTime', 'MetaData.LastUpdatedTime'];
+const QBO_COMMON_FILTERS = ['Id', 'MetaData.CreateTime', 'MetaData.LastUpdatedTime'];
+
+// Queryable entities: fields that can be selected, and the subset QBO lets you filter/sort on.
+// QBO_SELECT_ALL_ENTITIES lists the other entities, which only get the common fields.
+const QBO_QUERY_METADATA = {
+  Account: {
+    fields: ['Name', 'FullyQualifiedName', 'AcctNum', 'AccountType', 'AccountSubType', 'Classification',
+             'CurrentBalance', 'CurrentBalanceWithSubAccounts', 'Active', 'SubAccount', 'ParentRef',
+             'Description', 'CurrencyRef'],
+    filterable: ['Name', 'FullyQualifiedName', 'AcctNum', 'AccountType', 'AccountSubType', 'Classification',
+                 'CurrentBalance', 'CurrentBalanceWithSubAccounts', 'Active', 'SubAccount']
+  },
+  Bill: {
+    fields: ['DocNumber', 'TxnDate', 'DueDate', 'VendorRef', 'APAccountRef', 'TotalAmt', 'Balance', 'Line',
+             'PrivateNote', 'SalesTermRef', 'DepartmentRef', 'CurrencyRef', 'ExchangeRate', 'LinkedTxn'],
+    filterable: ['DocNumber', 'TxnDate', 'DueDate', 'VendorRef', 'TotalAmt', 'Balance']
+  },
+  BillPayment: {
+    fields: ['DocNumber', 'TxnDate', 'VendorRef', 'PayType', 'TotalAmt', 'Line', 'PrivateNote',
+             'CheckPayment', 'CreditCardPayment', 'DepartmentRef', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate', 'VendorRef', 'TotalAmt']
+  },
+  Budget: {
+    fields: ['Name', 'StartDate', 'EndDate', 'BudgetType', 'BudgetEntryType', 'BudgetDetail', 'Active'],
+    filterable: ['Name', 'StartDate', 'EndDate', 'BudgetType', 'Active']
+  },
+  Class: {
+    fields: ['Name', 'FullyQualifiedName', 'SubClass', 'ParentRef', 'Active'],
+    filterable: ['Name', 'FullyQualifiedName', 'SubClass', 'Active']
+  },
+  CreditMemo: {
+    fields: ['DocNumber', 'TxnDate', 'CustomerRef', 'TotalAmt', 'Balance', 'RemainingCredit', 'Line',
+             'PrivateNote', 'CustomerMemo', 'DepartmentRef', 'ClassRef', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate', 'CustomerRef', 'TotalAmt', 'Balance']
+  },
+  Customer: {
+    fields: ['DisplayName', 'CompanyName', 'GivenName', 'FamilyName', 'FullyQualifiedName', 'PrimaryEmailAddr',
+             'PrimaryPhone', 'BillAddr', 'ShipAddr', 'Balance', 'BalanceWithJobs', 'Active', 'Job', 'ParentRef',
+             'Notes', 'Taxable', 'SalesTermRef', 'CurrencyRef'],
+    filterable: ['DisplayName', 'CompanyName', 'GivenName', 'FamilyName', 'FullyQualifiedName',
+                 'PrimaryEmailAddr', 'Balance', 'Active', 'Job']
+  },
+  Department: {
+    fields: ['Name', 'FullyQualifiedName', 'SubDepartment', 'ParentRef', 'Active'],
+    filterable: ['Name', 'FullyQualifiedName', 'SubDepartment', 'Active']
+  },
+  Deposit: {
+    fields: ['TxnDate', 'DepositToAccountRef', 'TotalAmt', 'Line', 'PrivateNote', 'DepartmentRef', 'CurrencyRef'],
+    filterable: ['TxnDate', 'TotalAmt']
+  },
+  Employee: {
+    fields: ['DisplayName', 'GivenName', 'FamilyName', 'PrimaryEmailAddr', 'PrimaryPhone', 'Active',
+             'EmployeeNumber', 'HiredDate'],
+    filterable: ['DisplayName', 'GivenName', 'FamilyName', 'Active']
+  },
+  Estimate: {
+    fields: ['DocNumber', 'TxnDate', 'ExpirationDate', 'CustomerRef', 'TotalAmt', 'TxnStatus', 'Line',
+             'PrivateNote', 'CustomerMemo', 'DepartmentRef', 'ClassRef', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate', 'ExpirationDate', 'CustomerRef', 'TotalAmt', 'TxnStatus']
+  },
+  Invoice: {
+    fields: ['DocNumber', 'TxnDate', 'DueDate', 'CustomerRef', 'TotalAmt', 'Balance', 'Line', 'PrivateNote',
+             'CustomerMemo', 'EmailStatus', 'BillEmail', 'BillAddr', 'ShipAddr', 'SalesTermRef',
+             'DepartmentRef', 'ClassRef', 'CurrencyRef', 'ExchangeRate', 'LinkedTxn', 'Deposit'],
+    filterable: ['DocNumber', 'TxnDate', 'DueDate', 'CustomerRef', 'TotalAmt', 'Balance', 'EmailStatus']
+  },
+  Item: {
+    fields: ['Name', 'Sku', 'FullyQualifiedName', 'Type', 'Description', 'UnitPrice', 'PurchaseCost',
+             'QtyOnHand', 'IncomeAccountRef', 'ExpenseAccountRef', 'AssetAccountRef', 'Active', 'Taxable'],
+    filterable: ['Name', 'Sku', 'FullyQualifiedName', 'Type', 'Active', 'QtyOnHand']
+  },
+  JournalEntry: {
+    fields: ['DocNumber', 'TxnDate', 'Line', 'PrivateNote', 'Adjustment', 'TotalAmt', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate']
+  },
+  Payment: {
+    fields: ['TxnDate', 'CustomerRef', 'TotalAmt', 'UnappliedAmt', 'Line', 'PaymentMethodRef', 'PaymentRefNum',
+             'DepositToAccountRef', 'PrivateNote', 'CurrencyRef'],
+    filterable: ['TxnDate', 'CustomerRef', 'TotalAmt']
+  },
+  PaymentMethod: {
+    fields: ['Name', 'Type', 'Active'],
+    filterable: ['Name', 'Type', 'Active']
+  },
+  Purchase: {
+    fields: ['DocNumber', 'TxnDate', 'PaymentType', 'AccountRef', 'EntityRef', 'TotalAmt', 'Line',
+             'PrivateNote', 'Credit', 'DepartmentRef', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate', 'PaymentType', 'TotalAmt']
+  },
+  PurchaseOrder: {
+    fields: ['DocNumber', 'TxnDate', 'DueDate', 'VendorRef', 'APAccountRef', 'TotalAmt', 'POStatus', 'POEmail',
+             'Line', 'PrivateNote', 'Memo', 'ShipAddr', 'VendorAddr', 'ClassRef', 'CurrencyRef', 'LinkedTxn'],
+    filterable: ['DocNumber', 'TxnDate', 'VendorRef', 'TotalAmt']
+  },
+  RefundReceipt: {
+    fields: ['DocNumber', 'TxnDate', 'CustomerRef', 'TotalAmt', 'Balance', 'Line', 'PrivateNote', 'CustomerMemo',
+             'PaymentMethodRef', 'DepositToAccountRef', 'DepartmentRef', 'ClassRef', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate', 'CustomerRef', 'TotalAmt']
+  },
+  SalesReceipt: {
+    fields: ['DocNumber', 'TxnDate', 'CustomerRef', 'TotalAmt', 'Balance', 'Line', 'PrivateNote',
+             'CustomerMemo', 'PaymentMethodRef', 'DepositToAccountRef', 'DepartmentRef', 'ClassRef', 'CurrencyRef'],
+    filterable: ['DocNumber', 'TxnDate', 'CustomerRef', 'TotalAmt']
+  },
+  Term: {
+    fields: ['Name', 'Type', 'DueDays', 'DiscountDays', 'DiscountPercent', 'Active'],
+    filterable: ['Name', 'Active']
+  },
+  TimeActivity: {
+    fields: ['TxnDate', 'NameOf', 'EmployeeRef', 'VendorRef', 'CustomerRef', 'ItemRef', 'ClassRef', 'DepartmentRef',
+             'BillableStatus', 'Taxable', 'HourlyRate', 'Hours', 'Minutes', 'StartTime', 'EndTime', 'Description'],
+    filterable: ['TxnDate']
+  },
+  Transfer: {
+    fields: ['TxnDate', 'FromAccountRef', 'ToAccountRef', 'Amount', 'PrivateNote', 'CurrencyRef'],
+    filterable: ['TxnDate']
+  },
+  Vendor: {
+    fields: ['DisplayName', 'CompanyName', 'GivenName', 'FamilyName', 'PrimaryEmailAddr', 'PrimaryPhone',
+             'BillAddr', 'Balance', 'Active', 'AcctNum', 'Vendor1099', 'TermRef', 'CurrencyRef'],
+    filterable: ['DisplayName', 'CompanyName', 'GivenName', 'FamilyName', 'PrimaryEmailAddr', 'Balance', 'Active']
+  },
+  VendorCredit: {
+    fields: ['DocNumber', 'TxnDate', 'VendorRef', 'APAccountRef', 'TotalAmt', 'Balance', 'Line', 'PrivateNote',
+             'DepartmentRef', 'CurrencyRef', 'LinkedTxn'],
+    filterable: ['DocNumber', 'TxnDate', 'VendorRef', 'TotalAmt']
+  }
+};
+
+// Other real QBO entities that can be queried with SELECT *, but whose fields aren't listed above
+const QBO_SELECT_ALL_ENTITIES = ['Attachable', 'CompanyCurrency', 'CompanyInfo', 'CreditCardPayment', 'JournalCode',
+                                 'Preferences', 'RecurringTransaction', 'TaxAgency', 'TaxCode', 'TaxRate'];
+
+// Comparison operators the QBO query language accepts
+const QBO_QUERY_OPERATORS = ['=', '<', '>', '<=', '>=', 'IN', 'LIKE'];
+
+/**
+ * Builds a QuickBooks query string from a spec.
+ *
+ * Example:
+ *   buildQboQuery({
+ *     entity: 'Invoice',
+ *     select: ['DocNumber', 'TotalAmt'],           // or '*' (default) or 'count'
+ *     where: [
+ *       { field: 'TxnDate', op: '>=', value: '2024-01-01' },
+ *       { field: 'DocNumber', op: 'IN', value: ['1001', '1002'] }
+ *     ],                                           // conditions are ANDed - QBO has no OR
+ *     orderBy: [{ field: 'TxnDate', direction: 'DESC' }],
+ *     startPosition: 1,
+ *     maxResults: 100
+ *   })
+ *
+ * @param {Object} spec - The query spec
+ * @return {string} The query string
+ */
+function buildQboQuery(spec) {
+  const entity = spec.entity;
+  if (!isQboEntityName(entity)) {
+    throw new Error(`"${entity}" is not a QuickBooks entity that can be queried.`);
+  }
+
+  let selectClause = '*';
+  if (spec.select === 'count') {
+    selectClause = 'COUNT(*)';
+  } else if (Array.isArray(spec.select) && spec.select.length > 0) {
+    spec.select.forEach(field => validateQboField(entity, field, false));
+    selectClause = spec.select.join(', ');
+  }
+
+  let query = `SELECT ${selectClause} FROM ${entity}`;
+
+  const conditions = (spec.where || []).map(condition => buildQboCondition(entity, condition));
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  const orderBy = normalizeQboOrderBy(spec.orderBy);
+  if (orderBy.length > 0) {
+    query += ' ORDERBY ' + orderBy.map(order => {
+      validateQboField(entity, order.field, true);
+      return order.field + ' ' + order.direction;
+    }).join(', ');
+  }
+
+  if (spec.startPosition !== undefined) {
+    query += ' STARTPOSITION ' + toQboPageNumber(spec.startPosition, 'startPosition');
+  }
+  if (spec.maxResults !== undefined) {
+    query += ' MAXRESULTS ' + toQboPageNumber(spec.maxResults, 'maxResults');
+  }
+
+  return query;
+}
+
+/**
+ * Builds a query for transactions dated within a range (inclusive).
+ *
+ * @param {string} entity - The transaction entity, e.g. 'Invoice'
+ * @param {Array} fields - Fields to select, or null for all
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} extra - Additional spec properties, e.g. orderBy or maxResults
+ * @return {string} The query string
+ */
+function buildTxnDateQuery(entity, fields, startDate, endDate, extra = {}) {
+  return buildQboQuery(Object.assign({
+    entity: entity,
+    select: fields,
+    where: [
+      { field: 'TxnDate', op: '>=', value: startDate },
+      { field: 'TxnDate', op: '<=', value: endDate }
+    ]
+  }, extra));
+}
+
+/**
+ * Checks whether an entity is in the query metadata.
+ *
+ * @param {string} entity - The entity name
+ * @return {boolean} True if it can be queried
+ */
+function isQueryableEntity(entity) {
+  return QBO_QUERY_METADATA.hasOwnProperty(entity);
+}
+
+/**
+ * Checks whether a name can go in a FROM clause: an entity in the metadata,
+ * or one of QBO_SELECT_ALL_ENTITIES.
+ *
+ * @param {string} entity - The entity name
+ * @return {boolean} True if it is a real entity
+ */
+function isQboEntityName(entity) {
+  return isQueryableEntity(entity) || QBO_SELECT_ALL_ENTITIES.includes(entity);
+}
+
+/**
+ * Checks whether a field exists on an entity (and can be filtered on, if asked).
+ * Entities that aren't in the metadata only have the common fields.
+ *
+ * @param {string} entity - The entity name
+ * @param {string} field - The field name
+ * @param {boolean} filterable - True to require a filterable field
+ * @return {boolean} True if the field can be used
+ */
+function isQueryableField(entity, field, filterable = false) {
+  if (!isQboEntityName(entity)) {
+    return false;
+  }
+  const metadata = QBO_QUERY_METADATA[entity] || { fields: [], filterable: [] };
+  return filterable ?
+    QBO_COMMON_FILTERS.includes(field) || metadata.filterable.includes(field) :
+    QBO_COMMON_FIELDS.includes(field) || metadata.fields.includes(field);
+}
+
+/**
+ * Throws if a field can't be used in the given part of a query.
+ *
+ * @param {string} entity - The entity name
+ * @param {string} field - The field name
+ * @param {boolean} filterable - True for WHERE/ORDERBY fields
+ */
+function validateQboField(entity, field, filterable) {
+  if (!isQueryableField(entity, field, filterable)) {
+    throw new Error(`"${field}" is not a ${filterable ? 'filterable ' : ''}field on ${entity}.`);
+  }
+}
+
+/**
+ * Builds one WHERE condition.
+ *
+ * @param {string} entity - The entity name
+ * @param {Object} condition - {field, op, value}
+ * @return {string} The condition
+ */
+function buildQboCondition(entity, condition) {
+  const op = String(condition.op || '=').toUpperCase();
+  if (!QBO_QUERY_OPERATORS.includes(op)) {
+    throw new Error(`Operator "${condition.op}" is not supported by QuickBooks queries.`);
+  }
+  validateQboField(entity, condition.field, true);
+
+  if (op === 'IN') {
+    if (!Array.isArray(condition.value) || condition.value.length === 0) {
+      throw new Error(`IN on ${condition.field} needs a non-empty list of values.`);
+    }
+    return `${condition.field} IN (${condition.value.map(formatQboLiteral).join(', ')})`;
+  }
+
+  if (op === 'LIKE' && typeof condition.value !== 'string') {
+    throw new Error(`LIKE on ${condition.field} needs a text pattern, e.g. 'Acme%'.`);
+  }
+
+  return `${condition.field} ${op} ${formatQboLiteral(condition.value)}`;
+}
+
+/**
+ * Formats a value as a QBO literal. Strings are quoted with backslashes and
+ * apostrophes escaped, numbers and booleans are written as-is.
+ *
+ * @param {*} value - The value
+ * @return {string} The literal
+ */
+function formatQboLiteral(value) {
+  if (typeof value === 'number') {
+    if (!isFinite(value)) {
+      throw new Error('Query values must be finite numbers.');
+    }
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (value instanceof Date) {
+    return `'${Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd')}'`;
+  }
+  if (value === null || value === undefined) {
+    throw new Error('Query values cannot be empty.');
+  }
+  return `'${escapeQboString(String(value))}'`;
+}
+
+/**
+ * Escapes a QBO string literal, e.g. O'Brien -> O\'Brien. Backslashes go
+ * first, so a name ending in one can't escape the closing quote.
+ *
+ * @param {string} value - The raw string
+ * @return {string} The escaped string
+ */
+function escapeQboString(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Normalizes orderBy to a list of {field, direction}. Accepts a string such
+ * as 'TxnDate DESC', an object, or a list of either.
+ *
+ * @param {*} orderBy - The orderBy spec
+ * @return {Array} The sort orders
+ */
+function normalizeQboOrderBy(orderBy) {
+  if (!orderBy) {
+    return [];
+  }
+
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(order => {
+    const parts = typeof order === 'string' ? order.trim().split(/\s+/) : [order.field, order.direction];
+    const direction = String(parts[1] || 'ASC').toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new Error(`Sort direction "${parts[1]}" must be ASC or DESC.`);
+    }
+    return { field: parts[0], direction: direction };
+  });
+}
+
+/**
+ * Validates a paging value.
+ *
+ * @param {*} value - The value
+ * @param {string} name - The spec property, for the error message
+ * @return {number} The value as a positive integer
+ */
+function toQboPageNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive whole number.`);
+  }
+  return number;
+}
@@ -10,27 +10,101 @@ const QBO_CONFIG = {
   CLIENT_SECRET: '',
   // Base URLs
   BASE_URL: 'https://quickbooks.api.intuit.com/v3/company/',
+  SANDBOX_BASE_URL: 'https://sandbox-quickbooks.api.intuit.com/v3/company/',
   AUTH_URL: 'https://appcenter.intuit.com/connect/oauth2',
   TOKEN_URL: 'https://oauth.platform.intuit.com/oauth2/v1/tokens/bearer',
-  ISSUER: 'https://oauth.platform.intuit.com/op/v1'
+  ISSUER: 'https://oauth.platform.intuit.com/op/v1',
+  // QuickBooks web app, for links back to transactions
+  APP_URL: 'https://app.qbo.intuit.com/app/',
+  SANDBOX_APP_URL: 'https://app.sandbox.qbo.intuit.com/app/',
+  // Query paging - QuickBooks returns at most 1000 entities per query
+  MAX_RESULTS_PER_PAGE: 1000,
+  MAX_QUERY_PAGES: 100,
+  // Batch requests - QuickBooks accepts at most 30 operations per batch call
+  MAX_BATCH_SIZE: 30,
+  // Report basis - the saved default applies when a request doesn't name one
+  ACCOUNTING_METHODS: ['Accrual', 'Cash'],
+  DEFAULT_ACCOUNTING_METHOD: 'Accrual',
+  // Environments - each one gets its own API host and OAuth token store
+  DEFAULT_ENVIRONMENT: 'production',
+  ENVIRONMENTS: {
+    production: {
+      label: 'Production',
+      baseUrlKey: 'BASE_URL',
+      appUrlKey: 'APP_URL',
+      serviceName: 'quickbooks'
+    },
+    sandbox: {
+      label: 'Sandbox',
+      baseUrlKey: 'SANDBOX_BASE_URL',
+      appUrlKey: 'SANDBOX_APP_URL',
+      serviceName: 'quickbooks_sandbox'
+    }
+  }
 };
 
 // Create a global QuickBooks object to export functions
 const QuickBooksService = {};
 
+// Realm ID forced for the duration of withQboRealm(), e.g. while checking a freshly authorized company
+let qboScopedRealmId = null;
+
+/**
+ * Gets the QuickBooks environment the add-on is pointed at.
+ * 
+ * @return {string} 'production' or 'sandbox'
+ */
+function getQboEnvironment() {
+  const environment = PropertiesService.getScriptProperties().getProperty('QBO_ENVIRONMENT');
+  return QBO_CONFIG.ENVIRONMENTS[environment] ? environment : QBO_CONFIG.DEFAULT_ENVIRONMENT;
+}
+
+/**
+ * Gets the settings for the active QuickBooks environment.
+ * 
+ * @return {Object} The environment name, label, API base URL, web app URL and OAuth service name
+ */
+function getQboEnvironmentConfig() {
+  const environment = getQboEnvironment();
+  const config = QBO_CONFIG.ENVIRONMENTS[environment];
+  
+  return {
+    environment: environment,
+    label: config.label,
+    baseUrl: QBO_CONFIG[config.baseUrlKey],
+    appUrl: QBO_CONFIG[config.appUrlKey],
+    serviceName: config.serviceName
+  };
+}
+
+/**
+ * Gets the report basis used when a request doesn't ask for cash or accrual.
+ * 
+ * @return {string} 'Accrual' or 'Cash'
+ */
+function getDefaultAccountingMethod() {
+  const method = PropertiesService.getScriptProperties().getProperty('QBO_ACCOUNTING_METHOD');
+  return QBO_CONFIG.ACCOUNTING_METHODS.includes(method) ? method : QBO_CONFIG.DEFAULT_ACCOUNTING_METHOD;
+}
+
 /**
  * Creates and returns the OAuth2 service for QuickBooks.
+ * Tokens are stored per environment so sandbox and production connections never mix.
+ * Without a realm ID this is the service used to Connect; each connected company
+ * then keeps its tokens in its own store, keyed by realm ID.
  * 
+ * @param {string} realmId - Optional realm ID of a connected company
  * @return {OAuth2.Service} The OAuth2 service
  */
-function getOAuthService() {
+function getOAuthService(realmId = null) {
   // Load client credentials from properties
   const scriptProperties = PropertiesService.getScriptProperties();
   const clientId = scriptProperties.getProperty('QBO_CLIENT_ID') || QBO_CONFIG.CLIENT_ID;
   const clientSecret = scriptProperties.getProperty('QBO_CLIENT_SECRET') || QBO_CONFIG.CLIENT_SECRET;
+  const serviceName = getQboEnvironmentConfig().serviceName + (realmId ? '_' + realmId : '');
   
   // Set up the OAuth2 service
-  return OAuth2.createService('quickbooks')
+  return OAuth2.createService(serviceName)
     .setAuthorizationBaseUrl(QBO_CONFIG.AUTH_URL)
     .setTokenUrl(QBO_CONFIG.TOKEN_URL)
     .setClientId(clientId)
@@ -58,9 +132,34 @@ function saveCredentials(credentials) {
     scriptProperties.setProperty('QBO_CLIENT_ID', credentials.clientId);
     scriptProperties.setProperty('QBO_CLIENT_SECRET', credentials.clientSecret);
     
-    // Also save company ID if provided
+    // The company ID is only an override of the realm captured during Connect,
+    // so an empty value clears it
     if (credentials.companyId) {
       scriptProperties.setProperty('QBO_COMPANY_ID', credentials.companyId);
+    } else if (credentials.companyId !== undefined) {
+      scriptProperties.deleteProperty('QBO_COMPANY_ID');
+    }
+    
+    // Save the environment - an unknown value falls back to production
+    if (credentials.environment) {
+      const environment = QBO_CONFIG.ENVIRONMENTS[credentials.environment] ? 
+                          credentials.environment : QBO_CONFIG.DEFAULT_ENVIRONMENT;
+      scriptProperties.setProperty('QBO_ENVIRONMENT', environment);
+    }
+    
+    // Save the default report basis - an unknown value falls back to accrual
+    if (credentials.accountingMethod) {
+      const accountingMethod = QBO_CONFIG.ACCOUNTING_METHODS.includes(credentials.accountingMethod) ?
+                               credentials.accountingMethod : QBO_CONFIG.DEFAULT_ACCOUNTING_METHOD;
+      scriptProperties.setProperty('QBO_ACCOUNTING_METHOD', accountingMethod);
+    }
+    
+    // Webhooks are optional - saving a verifier token also installs the queue worker
+    if (credentials.webhookVerifierToken !== undefined) {
+      const webhookResult = saveWebhookSettings(credentials.webhookVerifierToken);
+      if (!webhookResult.success) {
+        return webhookResult;
+      }
     }
     
     return { success: true };
@@ -82,10 +181,80 @@ function getCredentials() {
   return {
     clientId: scriptProperties.getProperty('QBO_CLIENT_ID') || '',
     clientSecret: scriptProperties.getProperty('QBO_CLIENT_SECRET') || '',
-    companyId: scriptProperties.getProperty('QBO_COMPANY_ID') || ''
+    companyId: scriptProperties.getProperty('QBO_COMPANY_ID') || '',
+    environment: getQboEnvironment(),
+    accountingMethod: getDefaultAccountingMethod(),
+    authorizedRealmId: getAuthorizedRealmId(),
+    companyName: getAuthorizedCompanyName(),
+    webhookVerifierToken: getWebhookVerifierToken()
   };
 }
 
+/**
+ * Gets the OAuth2 service holding the tokens for the company API calls go to.
+ * Falls back to the active company, then to the Connect service, when the
+ * realm has no token store of its own (e.g. a manually entered Company ID).
+ * 
+ * @param {string} realmId - The realm ID, defaults to the company in use
+ * @return {OAuth2.Service} The OAuth2 service
+ */
+function getCompanyOAuthService(realmId = getCompanyId()) {
+  if (realmId && isConnectedCompany(realmId)) {
+    return getOAuthService(realmId);
+  }
+  
+  const activeRealmId = getAuthorizedRealmId();
+  if (activeRealmId && isConnectedCompany(activeRealmId)) {
+    return getOAuthService(activeRealmId);
+  }
+  
+  return getOAuthService();
+}
+
+/**
+ * Gets the company (realm) ID API calls should use.
+ * A manually entered Company ID overrides the realm captured during Connect.
+ * 
+ * @return {string} The company ID, or '' if none is available
+ */
+function getCompanyId() {
+  if (qboScopedRealmId) {
+    return qboScopedRealmId;
+  }
+  
+  const overrideId = PropertiesService.getScriptProperties().getProperty('QBO_COMPANY_ID');
+  return overrideId || getAuthorizedRealmId();
+}
+
+/**
+ * Runs a callback with every API call pinned to the given realm.
+ * 
+ * @param {string} realmId - The realm ID to use
+ * @param {Function} callback - The work to run against that realm
+ * @return {*} Whatever the callback returns
+ */
+function withQboRealm(realmId, callback) {
+  const previousRealmId = qboScopedRealmId;
+  qboScopedRealmId = realmId;
+  
+  try {
+    return callback();
+  } finally {
+    qboScopedRealmId = previousRealmId;
+  }
+}
+
+/**
+ * Fetches the CompanyInfo record for a realm.
+ * 
+ * @param {string} realmId - The realm ID, defaults to the active company
+ * @return {Object} The CompanyInfo entity
+ */
+function getCompanyInfo(realmId = getCompanyId()) {
+  const response = callQuickBooksApi('companyinfo/' + realmId);
+  return response.CompanyInfo || {};
+}
+
 /**
  * Makes a request to the QuickBooks API.
  * 
@@ -96,8 +265,8 @@ function getCredentials() {
  */
 function makeApiCall(endpoint, method = 'GET', data = null) {
   try {
-    // Get the OAuth service
-    const service = getOAuthService();
+    // Get the OAuth service for the company being called
+    const service = getCompanyOAuthService();
     
     // Check for access and try to refresh if necessary
     if (!service.hasAccess()) {
@@ -110,25 +279,28 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
         
         if (!refreshSuccess) {
           logAction('OAuth Refresh', 'Failed', 'Could not refresh token');
-          throw new Error('QuickBooks access token expired and refresh failed. Please reconnect.');
+          throw new AuthError('QuickBooks access token expired and refresh failed.');
         }
         
         logAction('OAuth Refresh', 'Success', 'Token refreshed successfully');
       } else {
         logAction('OAuth Status', 'No refresh token', 'Authentication required');
-        throw new Error('No access to QuickBooks API. Please authenticate in settings.');
+        throw new AuthError('Not connected to QuickBooks.', {
+          remedy: 'Connect to QuickBooks from the sidebar settings.'
+        });
       }
     }
     
-    const scriptProperties = PropertiesService.getScriptProperties();
-    const companyId = scriptProperties.getProperty('QBO_COMPANY_ID');
+    const companyId = getCompanyId();
     
     if (!companyId) {
-      throw new Error('Company ID not set. Please configure in settings.');
+      throw new AuthError('Company ID not set.', {
+        remedy: 'Reconnect to QuickBooks or enter a Company ID in the sidebar settings.'
+      });
     }
     
-    // Construct the full URL
-    const baseUrl = QBO_CONFIG.BASE_URL + companyId + '/';
+    // Construct the full URL for the active environment
+    const baseUrl = getQboEnvironmentConfig().baseUrl + companyId + '/';
     let url = baseUrl + endpoint;
     
     // For GET requests with parameters
@@ -151,6 +323,11 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
       url = basePath + '?' + queryParams.join('&');
     }
     
+    // A requestid makes POSTs idempotent, so the rate limiter can safely retry them
+    if (method === 'POST') {
+      url += (url.includes('?') ? '&' : '?') + 'requestid=' + Utilities.getUuid();
+    }
+    
     // Log the API call details
     logAction('API Call', `${method} ${endpoint}`, 'Initiating request');
     
@@ -169,8 +346,8 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
       options.payload = JSON.stringify(data);
     }
     
-    // Make the API call
-    const response = UrlFetchApp.fetch(url, options);
+    // Make the API call through the shared throttle/retry layer
+    const response = fetchWithRateLimit(companyId, url, options, `${method} ${endpoint}`);
     
     // Log response status
     const responseCode = response.getResponseCode();
@@ -190,11 +367,11 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
           // Update the token in the options and retry
           options.headers['Authorization'] = 'Bearer ' + service.getAccessToken();
           logAction('API Retry', `${method} ${endpoint}`, 'Retrying after token refresh');
-          return UrlFetchApp.fetch(url, options);
+          return fetchWithRateLimit(companyId, url, options, `${method} ${endpoint}`);
         }
       }
       
-      throw new Error('Authentication failed with QuickBooks API. Please reconnect.');
+      throw createQboError(responseCode, response.getContentText(), `${method} ${endpoint}`);
     }
     
     return response;
@@ -204,7 +381,9 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
     
     // Check for network/connectivity errors
     if (error.message && error.message.includes('network')) {
-      throw new Error('Network connectivity issue when connecting to QuickBooks. Please check your internet connection.');
+      throw new ServiceUnavailable('Network connectivity issue when connecting to QuickBooks.', {
+        remedy: 'Check your internet connection and try again.'
+      });
     }
     
     throw error;
@@ -213,6 +392,8 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
 
 /**
  * Makes a request to the QuickBooks API and parses the JSON response.
+ * Reads are served from the response cache when possible, and writes clear
+ * the cache for the company.
  * 
  * @param {string} endpoint - The API endpoint to call
  * @param {string} method - The HTTP method (GET, POST, etc.)
@@ -221,42 +402,47 @@ function makeApiCall(endpoint, method = 'GET', data = null) {
  */
 function callQuickBooksApi(endpoint, method = 'GET', data = null) {
   try {
-    const response = makeApiCall(endpoint, method, data);
-    const responseCode = response.getResponseCode();
+    if (method === 'GET') {
+      return fetchWithQboCache(endpoint, data, () => requestQuickBooksApi(endpoint, method, data));
+    }
     
-    if (responseCode >= 200 && responseCode < 300) {
-      // Success - parse the JSON response
-      const contentText = response.getContentText();
-      return JSON.parse(contentText);
-    } else {
-      // Error handling
-      console.error('QuickBooks API error: ' + responseCode);
-      console.error('Response: ' + response.getContentText());
-      
-      // Create a more detailed error object
-      const error = {
-        statusCode: responseCode,
-        message: 'QuickBooks API error: ' + responseCode
-      };
-      
-      try {
-        const errorResponse = JSON.parse(response.getContentText());
-        if (errorResponse.Fault) {
-          error.fault = errorResponse.Fault;
-          error.message = errorResponse.Fault.Error[0].Message || error.message;
-        }
-      } catch (e) {
-        // Unable to parse error JSON
-      }
-      
-      throw new Error(JSON.stringify(error));
+    const result = requestQuickBooksApi(endpoint, method, data);
+    if (isQboWriteRequest(endpoint, method, data)) {
+      invalidateQboCache();
     }
+    return result;
   } catch (error) {
     console.error('Error in callQuickBooksApi: ' + error.toString());
     throw error;
   }
 }
 
+/**
+ * Makes a request to the QuickBooks API without the cache and parses the
+ * JSON response.
+ * 
+ * @param {string} endpoint - The API endpoint to call
+ * @param {string} method - The HTTP method (GET, POST, etc.)
+ * @param {Object} data - The request payload for POST/PUT requests
+ * @return {Object} The parsed API response
+ */
+function requestQuickBooksApi(endpoint, method, data) {
+  const response = makeApiCall(endpoint, method, data);
+  const responseCode = response.getResponseCode();
+  
+  if (responseCode >= 200 && responseCode < 300) {
+    // Success - parse the JSON response
+    const contentText = response.getContentText();
+    return JSON.parse(contentText);
+  }
+  
+  // Error handling
+  console.error('QuickBooks API error: ' + responseCode);
+  console.error('Response: ' + response.getContentText());
+  
+  throw createQboError(responseCode, response.getContentText(), `${method} ${endpoint}`);
+}
+
 /**
  * Queries QuickBooks entities using the Query endpoint.
  * 
@@ -267,6 +453,179 @@ function queryQuickBooks(query) {
   return callQuickBooksApi('query?query=' + encodeURIComponent(query));
 }
 
+/**
+ * Queries QuickBooks entities and follows STARTPOSITION pages until every
+ * matching record has been fetched.
+ * 
+ * The query must not contain STARTPOSITION or MAXRESULTS - they are appended
+ * for each page. The combined response keeps the QueryResponse shape, with the
+ * entity array holding all pages and totalCount holding the real record count.
+ * When the page limit stops it early, truncated is set and totalCount comes
+ * from a COUNT(*) of the same query.
+ * 
+ * @param {string} query - The SQL-like query string without paging clauses
+ * @param {number} pageSize - Number of records to request per page
+ * @return {Object} The combined query results
+ */
+function queryAllQuickBooks(query, pageSize = QBO_CONFIG.MAX_RESULTS_PER_PAGE) {
+  const combined = {
+    QueryResponse: {
+      startPosition: 1,
+      totalCount: 0
+    }
+  };
+  
+  let entityKey = null;
+  let startPosition = 1;
+  let pageCount = 0;
+  let lastPageFull = false;
+  
+  while (pageCount < QBO_CONFIG.MAX_QUERY_PAGES) {
+    const pageResponse = queryQuickBooks(getQboPageQuery(query, startPosition, pageSize)).QueryResponse || {};
+    pageCount++;
+    
+    // The entity key (Invoice, Bill, etc.) is only present when the page has records
+    if (!entityKey) {
+      entityKey = Object.keys(pageResponse).find(key => Array.isArray(pageResponse[key])) || null;
+      if (entityKey) {
+        combined.QueryResponse[entityKey] = [];
+      }
+    }
+    
+    const records = entityKey && pageResponse[entityKey] ? pageResponse[entityKey] : [];
+    if (records.length > 0) {
+      Array.prototype.push.apply(combined.QueryResponse[entityKey], records);
+    }
+    
+    // A short page means there is nothing left to fetch
+    lastPageFull = records.length >= pageSize;
+    if (!lastPageFull) {
+      break;
+    }
+    
+    startPosition += pageSize;
+  }
+  
+  const fetchedCount = entityKey ? combined.QueryResponse[entityKey].length : 0;
+  combined.QueryResponse.maxResults = fetchedCount;
+  combined.QueryResponse.totalCount = fetchedCount;
+  
+  // Only a full last page can have more records behind it; ask QuickBooks how many there are
+  if (pageCount >= QBO_CONFIG.MAX_QUERY_PAGES && lastPageFull) {
+    combined.QueryResponse.truncated = true;
+    combined.QueryResponse.totalCount = countQuickBooksRecords(query) || fetchedCount;
+    logAction('Query Paging', 'Page limit reached',
+              `Stopped after ${pageCount} pages (${fetchedCount} of ${combined.QueryResponse.totalCount} records): ${query}`);
+  } else if (pageCount > 1) {
+    logAction('Query Paging', `Fetched ${pageCount} pages`, `${fetchedCount} records: ${query}`);
+  }
+  
+  return combined;
+}
+
+/**
+ * Adds the paging clauses for one page to a query.
+ * 
+ * @param {string} query - The query string without paging clauses
+ * @param {number} startPosition - The 1-based position of the first record
+ * @param {number} pageSize - Number of records in the page
+ * @return {string} The query for that page
+ */
+function getQboPageQuery(query, startPosition, pageSize) {
+  return `${query} STARTPOSITION ${startPosition} MAXRESULTS ${pageSize}`;
+}
+
+/**
+ * Counts the records a query matches with SELECT COUNT(*). The sort order
+ * doesn't change the count, so ORDERBY is dropped.
+ * 
+ * @param {string} query - The query string without paging clauses
+ * @return {number} The record count, or null if it couldn't be read
+ */
+function countQuickBooksRecords(query) {
+  const countQuery = query
+    .replace(/^\s*SELECT\s+.+?\s+FROM\s+/i, 'SELECT COUNT(*) FROM ')
+    .replace(/\s+ORDERBY\s+[\w.]+(\s+(ASC|DESC))?(\s*,\s*[\w.]+(\s+(ASC|DESC))?)*\s*$/i, '');
+  
+  try {
+    const count = (queryQuickBooks(countQuery).QueryResponse || {}).totalCount;
+    return typeof count === 'number' ? count : null;
+  } catch (error) {
+    logAction('Query Paging', 'Count failed', error.message + ': ' + countQuery);
+    return null;
+  }
+}
+
+/**
+ * Sends several queries and writes in as few requests as possible using the
+ * batch endpoint (up to MAX_BATCH_SIZE operations per call).
+ * 
+ * Each operation needs a unique id and is either a query:
+ *   { id: 'invoices', query: 'SELECT * FROM Invoice' }
+ * or a write:
+ *   { id: 'new1', operation: 'create'|'update'|'delete', entity: 'Invoice', data: {...} }
+ * 
+ * Operations fail independently, so the results report success per id.
+ * Queries return one page only - use queryAllQuickBooks to follow pages.
+ * 
+ * @param {Array} operations - The operations to run
+ * @return {Object} Results keyed by operation id: {success, data} or {success: false, error, errorType, fault}
+ */
+function batchQuickBooks(operations) {
+  const results = {};
+  
+  operations.forEach(op => {
+    if (!op.id || results.hasOwnProperty(op.id)) {
+      throw new Error('Every batch operation needs a unique id: ' + JSON.stringify(op.id));
+    }
+    results[op.id] = null;
+  });
+  
+  for (let i = 0; i < operations.length; i += QBO_CONFIG.MAX_BATCH_SIZE) {
+    const chunk = operations.slice(i, i + QBO_CONFIG.MAX_BATCH_SIZE);
+    
+    const batchItems = chunk.map(op => {
+      const item = { bId: String(op.id) };
+      if (op.query) {
+        item.Query = op.query;
+      } else {
+        item.operation = op.operation;
+        item[op.entity] = op.data;
+      }
+      return item;
+    });
+    
+    const response = callQuickBooksApi('batch', 'POST', { BatchItemRequest: batchItems });
+    const responseItems = response.BatchItemResponse || [];
+    
+    chunk.forEach(op => {
+      const item = responseItems.find(responseItem => responseItem.bId === String(op.id));
+      
+      if (!item) {
+        results[op.id] = { success: false, error: 'No response returned for this operation' };
+      } else if (item.Fault) {
+        const error = createQboError(400, { Fault: item.Fault }, op.operation || 'query');
+        results[op.id] = {
+          success: false,
+          error: error.message,
+          errorType: error.name,
+          fault: item.Fault
+        };
+      } else if (op.query) {
+        // Same shape queryQuickBooks returns
+        results[op.id] = { success: true, data: { QueryResponse: item.QueryResponse || {} } };
+      } else {
+        results[op.id] = { success: true, data: item[op.entity] };
+      }
+    });
+    
+    logAction('Batch Request', `${chunk.length} operations`, 
+              chunk.filter(op => !results[op.id].success).length + ' failed');
+  }
+  
+  return results;
+}
+
 /**
  * Ultra-basic fallback method for P&L when all other approaches fail.
  * Uses transaction data which nearly all accounts can access.
@@ -300,278 +659,114 @@ function getBasicTransactionPLReport(params) {
     const startDate = params.start_date;
     const endDate = params.end_date;
     
-    // The most reliable entities across all QuickBooks accounts are invoices and bills
-    // Try multiple approaches in sequence for maximum compatibility
-    
-    // == INCOME SECTION ==
-    let totalIncome = 0;
-    let incomeSuccess = false;
-    
-    // Add a section for Income
-    result.Rows.Row.push({
-      type: "Section",
-      Header: { 
-        ColData: [{ value: "Income" }] 
-      }
+    // The most reliable entities across all QuickBooks accounts are invoices and bills.
+    // Each section falls back through the sources in order until one has data;
+    // all five queries go out in a single batch call
+    const incomeSources = [
+      { id: 'invoice', entity: 'Invoice', label: 'Invoice Revenue' },
+      { id: 'salesReceipt', entity: 'SalesReceipt', label: 'Sales Revenue' },
+      { id: 'deposit', entity: 'Deposit', label: 'Deposits' }
+    ];
+    const expenseSources = [
+      { id: 'bill', entity: 'Bill', label: 'Bills' },
+      { id: 'purchase', entity: 'Purchase', label: 'Purchases' }
+    ];
+    const sources = incomeSources.concat(expenseSources);
+    sources.forEach(source => {
+      source.query = buildTxnDateQuery(source.entity, ['TotalAmt'], startDate, endDate);
     });
     
-    // Try different approaches to get income data
-    // 1. First try invoices - most common income source
+    // The batch asks for the same first page queryAllQuickBooks would
+    let batchResults = null;
     try {
-      const invoiceQuery = `SELECT TotalAmt FROM Invoice WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-      const invoiceResponse = queryQuickBooks(invoiceQuery);
-      
-      if (invoiceResponse.QueryResponse && invoiceResponse.QueryResponse.Invoice) {
-        const invoices = invoiceResponse.QueryResponse.Invoice;
-        let invoiceTotal = 0;
-        
-        invoices.forEach(invoice => {
-          if (invoice.TotalAmt) {
-            invoiceTotal += parseFloat(invoice.TotalAmt);
-          }
-        });
-        
-        totalIncome += invoiceTotal;
-        
-        // Add invoice row
-        result.Rows.Row.push({
-          type: "Data",
-          ColData: [
-            { value: "Invoice Revenue" },
-            { value: invoiceTotal.toFixed(2) }
-          ]
-        });
-        
-        incomeSuccess = true;
-      }
-    } catch (invoiceError) {
-      logAction('P&L Income', 'Invoice query failed', invoiceError.message);
-      // Continue to next approach
-    }
-    
-    // 2. Try sales receipts if invoices failed
-    if (!incomeSuccess) {
-      try {
-        const salesQuery = `SELECT TotalAmt FROM SalesReceipt WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-        const salesResponse = queryQuickBooks(salesQuery);
-        
-        if (salesResponse.QueryResponse && salesResponse.QueryResponse.SalesReceipt) {
-          const sales = salesResponse.QueryResponse.SalesReceipt;
-          let salesTotal = 0;
-          
-          sales.forEach(sale => {
-            if (sale.TotalAmt) {
-              salesTotal += parseFloat(sale.TotalAmt);
-            }
-          });
-          
-          totalIncome += salesTotal;
-          
-          // Add sales row
-          result.Rows.Row.push({
-            type: "Data",
-            ColData: [
-              { value: "Sales Revenue" },
-              { value: salesTotal.toFixed(2) }
-            ]
-          });
-          
-          incomeSuccess = true;
-        }
-      } catch (salesError) {
-        logAction('P&L Income', 'Sales query failed', salesError.message);
-        // Continue to next approach
-      }
+      batchResults = batchQuickBooks(sources.map(source => ({
+        id: source.id,
+        query: getQboPageQuery(source.query, 1, QBO_CONFIG.MAX_RESULTS_PER_PAGE)
+      })));
+    } catch (batchError) {
+      logAction('P&L Minimal Fallback', 'Batch query failed', batchError.message + ' - querying one at a time');
     }
     
-    // 3. Try generic Deposit transactions as last resort
-    if (!incomeSuccess) {
+    // Gets a source's records from the batch, following pages when the first one is full
+    const getSourceRecords = (source, logLabel) => {
       try {
-        const depositQuery = `SELECT TotalAmt FROM Deposit WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-        const depositResponse = queryQuickBooks(depositQuery);
-        
-        if (depositResponse.QueryResponse && depositResponse.QueryResponse.Deposit) {
-          const deposits = depositResponse.QueryResponse.Deposit;
-          let depositTotal = 0;
-          
-          deposits.forEach(deposit => {
-            if (deposit.TotalAmt) {
-              depositTotal += parseFloat(deposit.TotalAmt);
-            }
-          });
-          
-          totalIncome += depositTotal;
-          
-          // Add deposit row
-          result.Rows.Row.push({
-            type: "Data",
-            ColData: [
-              { value: "Deposits" },
-              { value: depositTotal.toFixed(2) }
-            ]
-          });
+        let queryResponse;
+        if (batchResults) {
+          const batchResult = batchResults[source.id];
+          if (!batchResult.success) {
+            throw new Error(batchResult.error);
+          }
+          queryResponse = batchResult.data.QueryResponse;
           
-          incomeSuccess = true;
+          const firstPage = queryResponse[source.entity] || [];
+          if (firstPage.length >= QBO_CONFIG.MAX_RESULTS_PER_PAGE) {
+            queryResponse = queryAllQuickBooks(source.query).QueryResponse;
+          }
+        } else {
+          queryResponse = queryAllQuickBooks(source.query).QueryResponse;
         }
-      } catch (depositError) {
-        logAction('P&L Income', 'Deposit query failed', depositError.message);
+        return queryResponse && queryResponse[source.entity] ? queryResponse[source.entity] : null;
+      } catch (queryError) {
+        logAction(logLabel, source.entity + ' query failed', queryError.message);
+        return null;
       }
-    }
+    };
     
-    // If all specific queries failed, add a total row
-    if (!incomeSuccess) {
+    // Adds the first source with data to the report and returns its total
+    const addSection = (sectionName, sectionSources, logLabel) => {
       result.Rows.Row.push({
-        type: "Data",
-        ColData: [
-          { value: "No income data available" },
-          { value: "0.00" }
-        ]
-      });
-    } else {
-      // Add total row
-      result.Rows.Row.push({
-        type: "Data",
-        ColData: [
-          { value: "Total Income" },
-          { value: totalIncome.toFixed(2) }
-        ]
+        type: "Section",
+        Header: { 
+          ColData: [{ value: sectionName }] 
+        }
       });
-    }
-    
-    // == EXPENSES SECTION ==
-    let totalExpenses = 0;
-    let expenseSuccess = false;
-    
-    // Add a section for Expenses
-    result.Rows.Row.push({
-      type: "Section",
-      Header: { 
-        ColData: [{ value: "Expenses" }] 
-      }
-    });
-    
-    // Try different approaches for expenses
-    // 1. First try bills - common expense source
-    try {
-      const billQuery = `SELECT TotalAmt FROM Bill WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-      const billResponse = queryQuickBooks(billQuery);
       
-      if (billResponse.QueryResponse && billResponse.QueryResponse.Bill) {
-        const bills = billResponse.QueryResponse.Bill;
-        let billTotal = 0;
+      for (let i = 0; i < sectionSources.length; i++) {
+        const records = getSourceRecords(sectionSources[i], logLabel);
+        if (!records) {
+          continue;
+        }
         
-        bills.forEach(bill => {
-          if (bill.TotalAmt) {
-            billTotal += parseFloat(bill.TotalAmt);
+        let sourceTotal = 0;
+        records.forEach(record => {
+          if (record.TotalAmt) {
+            sourceTotal += parseFloat(record.TotalAmt);
           }
         });
         
-        totalExpenses += billTotal;
-        
-        // Add bill row
         result.Rows.Row.push({
           type: "Data",
           ColData: [
-            { value: "Bills" },
-            { value: billTotal.toFixed(2) }
+            { value: sectionSources[i].label },
+            { value: sourceTotal.toFixed(2) }
           ]
         });
-        
-        expenseSuccess = true;
-      }
-    } catch (billError) {
-      logAction('P&L Expenses', 'Bill query failed', billError.message);
-      // Continue to next approach
-    }
-    
-    // 2. Try purchase transactions if bills failed
-    if (!expenseSuccess) {
-      try {
-        const purchaseQuery = `SELECT TotalAmt FROM Purchase WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-        const purchaseResponse = queryQuickBooks(purchaseQuery);
-        
-        if (purchaseResponse.QueryResponse && purchaseResponse.QueryResponse.Purchase) {
-          const purchases = purchaseResponse.QueryResponse.Purchase;
-          let purchaseTotal = 0;
-          
-          purchases.forEach(purchase => {
-            if (purchase.TotalAmt) {
-              purchaseTotal += parseFloat(purchase.TotalAmt);
-            }
-          });
-          
-          totalExpenses += purchaseTotal;
-          
-          // Add purchase row
-          result.Rows.Row.push({
-            type: "Data",
-            ColData: [
-              { value: "Purchases" },
-              { value: purchaseTotal.toFixed(2) }
-            ]
-          });
-          
-          expenseSuccess = true;
-        }
-      } catch (purchaseError) {
-        logAction('P&L Expenses', 'Purchase query failed', purchaseError.message);
-        // Continue to next approach
-      }
-    }
-    
-    // 3. Try expense transactions as last resort
-    if (!expenseSuccess) {
-      try {
-        const expenseQuery = `SELECT TotalAmt FROM Expense WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-        const expenseResponse = queryQuickBooks(expenseQuery);
-        
-        if (expenseResponse.QueryResponse && expenseResponse.QueryResponse.Expense) {
-          const expenses = expenseResponse.QueryResponse.Expense;
-          let expenseTotal = 0;
-          
-          expenses.forEach(expense => {
-            if (expense.TotalAmt) {
-              expenseTotal += parseFloat(expense.TotalAmt);
-            }
-          });
-          
-          totalExpenses += expenseTotal;
-          
-          // Add expense row
-          result.Rows.Row.push({
-            type: "Data",
-            ColData: [
-              { value: "Expenses" },
-              { value: expenseTotal.toFixed(2) }
-            ]
-          });
-          
-          expenseSuccess = true;
-        }
-      } catch (expenseError) {
-        logAction('P&L Expenses', 'Expense query failed', expenseError.message);
+        result.Rows.Row.push({
+          type: "Data",
+          ColData: [
+            { value: "Total " + sectionName },
+            { value: sourceTotal.toFixed(2) }
+          ]
+        });
+        return sourceTotal;
       }
-    }
-    
-    // If all expense queries failed, add a message
-    if (!expenseSuccess) {
+      
+      // If all queries failed, add a message
       result.Rows.Row.push({
         type: "Data",
         ColData: [
-          { value: "No expense data available" },
+          { value: `No ${sectionName.toLowerCase()} data available` },
           { value: "0.00" }
         ]
       });
-    } else {
-      // Add total expenses row
-      result.Rows.Row.push({
-        type: "Data",
-        ColData: [
-          { value: "Total Expenses" },
-          { value: totalExpenses.toFixed(2) }
-        ]
-      });
-    }
+      return 0;
+    };
+    
+    // == INCOME SECTION ==
+    const totalIncome = addSection('Income', incomeSources, 'P&L Income');
+    
+    // == EXPENSES SECTION ==
+    const totalExpenses = addSection('Expenses', expenseSources, 'P&L Expenses');
     
     // == NET INCOME SECTION ==
     // Add a section for Net Income
@@ -676,8 +871,8 @@ function getDirectSimplePLReport(params) {
     
     // Try to get invoice totals (most basic income data)
     try {
-      const simpleIncomeQuery = `SELECT Id, TotalAmt FROM Invoice WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-      const invoiceResponse = callQuickBooksApi('query?query=' + encodeURIComponent(simpleIncomeQuery));
+      const simpleIncomeQuery = buildTxnDateQuery('Invoice', ['Id', 'TotalAmt'], startDate, endDate);
+      const invoiceResponse = queryAllQuickBooks(simpleIncomeQuery);
       
       let totalInvoices = 0;
       if (invoiceResponse.QueryResponse && invoiceResponse.QueryResponse.Invoice) {
@@ -742,8 +937,8 @@ function getDirectSimplePLReport(params) {
     let expenseSuccess = false;
     
     try {
-      const simpleBillQuery = `SELECT Id, TotalAmt FROM Bill WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-      const billResponse = callQuickBooksApi('query?query=' + encodeURIComponent(simpleBillQuery));
+      const simpleBillQuery = buildTxnDateQuery('Bill', ['Id', 'TotalAmt'], startDate, endDate);
+      const billResponse = queryAllQuickBooks(simpleBillQuery);
       
       let totalBills = 0;
       if (billResponse.QueryResponse && billResponse.QueryResponse.Bill) {
@@ -766,8 +961,8 @@ function getDirectSimplePLReport(params) {
     } catch (billError) {
       // Try Purchase API instead
       try {
-        const purchaseQuery = `SELECT Id, TotalAmt FROM Purchase WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}' MAXRESULTS 1000`;
-        const purchaseResponse = callQuickBooksApi('query?query=' + encodeURIComponent(purchaseQuery));
+        const purchaseQuery = buildTxnDateQuery('Purchase', ['Id', 'TotalAmt'], startDate, endDate);
+        const purchaseResponse = queryAllQuickBooks(purchaseQuery);
         
         let totalPurchases = 0;
         if (purchaseResponse.QueryResponse && purchaseResponse.QueryResponse.Purchase) {
@@ -909,7 +1104,7 @@ function getReport(reportType, params = {}) {
   try {
     // Make sure we're authenticated
     if (!isAuthenticated()) {
-      throw new Error('Not authenticated with QuickBooks. Please reconnect.');
+      throw new AuthError('Not authenticated with QuickBooks.');
     }
     
     // Log what we're requesting for debugging
@@ -918,197 +1113,162 @@ function getReport(reportType, params = {}) {
     // Set up API call
     const endpoint = 'reports/' + reportType;
     
-    // Add current date params if not provided
-    if (!params.start_date) {
-      const today = new Date();
-      const firstDayOfYear = new Date(today.getFullYear(), 0, 1); // January 1
-      params.start_date = Utilities.formatDate(firstDayOfYear, 'GMT', 'yyyy-MM-dd');
-    }
+    // Aging reports take a report_date instead of a range and have no accounting method
+    const agingReport = isAgingReport(reportType);
     
-    if (!params.end_date) {
-      const today = new Date();
-      params.end_date = Utilities.formatDate(today, 'GMT', 'yyyy-MM-dd');
+    // Default to the fiscal year to date if no range was given
+    if ((!params.start_date || !params.end_date) && !agingReport) {
+      const defaultRange = getDefaultDateRange();
+      params.start_date = params.start_date || defaultRange.startDate;
+      params.end_date = params.end_date || defaultRange.endDate;
     }
     
-    // Add accounting method if not specified
-    if (!params.accounting_method) {
-      params.accounting_method = 'Accrual';
+    // Use the saved report basis if the request didn't ask for one
+    if (!params.accounting_method && !agingReport) {
+      params.accounting_method = getDefaultAccountingMethod();
     }
     
-    // Add other common parameters
-    if (reportType === 'ProfitAndLoss' && !params.columns) {
+    // Add other common parameters - an explicit summarize_column_by picks the columns instead
+    if (reportType === 'ProfitAndLoss' && !params.columns && !params.summarize_column_by) {
       params.columns = 'monthly'; // Default to monthly for P&L
     }
     
-    // Make the API call with retry logic
-    let response;
-    let retries = 0;
-    const maxRetries = 3;
+    // Served from the response cache when the same report was fetched recently
+    return fetchWithQboCache(endpoint, params, () => requestReport(reportType, endpoint, params));
+  } catch (error) {
+    // Log detailed error information
+    console.error('Error in getReport (' + reportType + '): ' + error.message);
+    console.error('Stack trace: ' + error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Requests a report from QuickBooks without the cache.
+ * 
+ * @param {string} reportType - The report type
+ * @param {string} endpoint - The report endpoint
+ * @param {object} params - The complete report parameters
+ * @return {object} The report data
+ */
+function requestReport(reportType, endpoint, params) {
+  // Make the API call - throttling and 429/5xx retries happen in makeApiCall
+  const response = makeApiCall(endpoint, 'GET', params);
+  
+  // Debug response
+  if (response && response.getResponseCode() === 200) {
+    const content = response.getContentText();
     
-    while (retries < maxRetries) {
-      try {
-        response = makeApiCall(endpoint, 'GET', params);
-        break; // If successful, exit the retry loop
-      } catch (apiError) {
-        retries++;
-        console.error('API call attempt ' + retries + ' failed: ' + apiError.message);
-        
-        if (retries >= maxRetries) {
-          throw apiError; // Re-throw if we've hit max retries
-        }
-        
-        // Exponential backoff
-        Utilities.sleep(1000 * Math.pow(2, retries));
-      }
+    let data;
+    try {
+      // Parse the JSON
+      data = JSON.parse(content);
+    } catch (parseError) {
+      console.error('Failed to parse QuickBooks API response: ' + parseError.message);
+      console.error('Raw response: ' + content.substring(0, 500) + '...');
+      throw new ServiceUnavailable('Invalid response format from QuickBooks: ' + parseError.message);
     }
     
-    // Debug response
-    if (response && response.getResponseCode() === 200) {
-      const content = response.getContentText();
-      
-      try {
-        // Parse the JSON
-        const data = JSON.parse(content);
-        
-        // Check for error in the response data itself
-        if (data.fault) {
-          console.error('QuickBooks API fault: ' + JSON.stringify(data.fault));
-          throw new Error('QuickBooks API error: ' + 
-                        (data.fault.error && data.fault.error.length > 0 ? 
-                         data.fault.error[0].message : 'Unknown API error'));
-        }
-        
-        // Validate report data structure
-        if (!data.Header) {
-          console.warn('Unusual report structure - no Header found');
-        }
-        
-        if (!data.Columns || !data.Columns.Column) {
-          console.warn('Unusual report structure - no Columns found');
-        }
-        
-        if (!data.Rows) {
-          console.warn('Unusual report structure - no Rows found');
-        }
-        
-        console.log('Successfully retrieved ' + reportType + ' report with ' + 
-                  (data.Rows && data.Rows.Row ? data.Rows.Row.length : 0) + ' rows');
-        
-        return data;
-      } catch (parseError) {
-        console.error('Failed to parse QuickBooks API response: ' + parseError.message);
-        console.error('Raw response: ' + content.substring(0, 500) + '...');
-        throw new Error('Invalid response format from QuickBooks: ' + parseError.message);
-      }
-    } else if (response && response.getResponseCode() === 400 && 
-               // Special handling for future dates or no data
-               ((params.start_date && new Date(params.start_date) > new Date()) || 
-                (params.end_date && new Date(params.end_date) > new Date()))) {
-        
-      // Create a minimal valid report structure for future dates
-      console.log('Handling request for future date range. Creating empty report structure.');
-      
-      // Extract the year from params
-      const year = params.start_date.substring(0, 4);
+    // Reports can return a fault with a 200 status
+    if (parseQboFault(data)) {
+      console.error('QuickBooks API fault: ' + content);
+      throw createQboError(200, content, endpoint);
+    }
+    
+    // Validate report data structure
+    if (!data.Header) {
+      console.warn('Unusual report structure - no Header found');
+    }
+    
+    if (!data.Columns || !data.Columns.Column) {
+      console.warn('Unusual report structure - no Columns found');
+    }
+    
+    if (!data.Rows) {
+      console.warn('Unusual report structure - no Rows found');
+    }
+    
+    console.log('Successfully retrieved ' + reportType + ' report with ' + 
+              (data.Rows && data.Rows.Row ? data.Rows.Row.length : 0) + ' rows');
+    
+    return data;
+  } else if (response && response.getResponseCode() === 400 && 
+             // Special handling for future dates or no data
+             ((params.start_date && new Date(params.start_date) > new Date()) || 
+              (params.end_date && new Date(params.end_date) > new Date()))) {
       
-      return {
-        Header: {
-          ReportName: reportType,
-          Time: new Date().toISOString(),
-          StartPeriod: params.start_date,
-          EndPeriod: params.end_date,
-          ReportBasis: params.accounting_method || 'Accrual'
-        },
-        Columns: {
-          Column: params.columns === 'monthly' ? 
-            [
-              { ColTitle: 'Account', ColType: 'Account' },
-              { ColTitle: 'Jan ' + year, ColType: 'Money' },
-              { ColTitle: 'Feb ' + year, ColType: 'Money' },
-              { ColTitle: 'Mar ' + year, ColType: 'Money' },
-              { ColTitle: 'Apr ' + year, ColType: 'Money' },
-              { ColTitle: 'May ' + year, ColType: 'Money' },
-              { ColTitle: 'Jun ' + year, ColType: 'Money' },
-              { ColTitle: 'Jul ' + year, ColType: 'Money' },
-              { ColTitle: 'Aug ' + year, ColType: 'Money' },
-              { ColTitle: 'Sep ' + year, ColType: 'Money' },
-              { ColTitle: 'Oct ' + year, ColType: 'Money' },
-              { ColTitle: 'Nov ' + year, ColType: 'Money' },
-              { ColTitle: 'Dec ' + year, ColType: 'Money' },
-              { ColTitle: 'Total', ColType: 'Money' }
-            ] : [
-              { ColTitle: 'Account', ColType: 'Account' },
-              { ColTitle: 'Amount', ColType: 'Amount' }
-            ]
-        },
-        Rows: {
-          Row: [
-            { 
-              type: 'Section',
-              Header: { ColData: [{ value: 'No Data Available' }] },
-              Rows: {
-                Row: [
-                  {
-                    type: 'Data',
-                    ColData: [
-                      { value: `No data is available for ${reportType} in ${year}` },
-                      { value: '' }
-                    ]
-                  },
-                  {
-                    type: 'Data',
-                    ColData: [
-                      { value: 'This report structure has been created to match your request' },
-                      { value: '' }
-                    ]
-                  }
-                ]
-              }
-            }
+    // Create a minimal valid report structure for future dates
+    console.log('Handling request for future date range. Creating empty report structure.');
+    
+    // Extract the year from params
+    const year = params.start_date.substring(0, 4);
+    
+    return {
+      Header: {
+        ReportName: reportType,
+        Time: new Date().toISOString(),
+        StartPeriod: params.start_date,
+        EndPeriod: params.end_date,
+        ReportBasis: params.accounting_method || getDefaultAccountingMethod()
+      },
+      Columns: {
+        Column: params.columns === 'monthly' ? 
+          [
+            { ColTitle: 'Account', ColType: 'Account' },
+            { ColTitle: 'Jan ' + year, ColType: 'Money' },
+            { ColTitle: 'Feb ' + year, ColType: 'Money' },
+            { ColTitle: 'Mar ' + year, ColType: 'Money' },
+            { ColTitle: 'Apr ' + year, ColType: 'Money' },
+            { ColTitle: 'May ' + year, ColType: 'Money' },
+            { ColTitle: 'Jun ' + year, ColType: 'Money' },
+            { ColTitle: 'Jul ' + year, ColType: 'Money' },
+            { ColTitle: 'Aug ' + year, ColType: 'Money' },
+            { ColTitle: 'Sep ' + year, ColType: 'Money' },
+            { ColTitle: 'Oct ' + year, ColType: 'Money' },
+            { ColTitle: 'Nov ' + year, ColType: 'Money' },
+            { ColTitle: 'Dec ' + year, ColType: 'Money' },
+            { ColTitle: 'Total', ColType: 'Money' }
+          ] : [
+            { ColTitle: 'Account', ColType: 'Account' },
+            { ColTitle: 'Amount', ColType: 'Amount' }
           ]
-        }
-      };
-    } else {
-      // Handle non-200 responses
-      const code = response ? response.getResponseCode() : 'No response';
-      const text = response ? response.getContentText() : 'Empty response';
-      
-      console.error('QuickBooks API error: ' + code);
-      console.error('Response content: ' + text);
-      
-      try {
-        // Try to parse error details
-        const errorData = JSON.parse(text);
-        if (errorData.fault) {
-          throw new Error('QuickBooks error: ' + 
-                        (errorData.fault.error && errorData.fault.error.length > 0 ? 
-                         errorData.fault.error[0].message : 'Unknown API error'));
-        }
-      } catch (e) {
-        // If parsing fails, use generic error
+      },
+      Rows: {
+        Row: [
+          { 
+            type: 'Section',
+            Header: { ColData: [{ value: 'No Data Available' }] },
+            Rows: {
+              Row: [
+                {
+                  type: 'Data',
+                  ColData: [
+                    { value: `No data is available for ${reportType} in ${year}` },
+                    { value: '' }
+                  ]
+                },
+                {
+                  type: 'Data',
+                  ColData: [
+                    { value: 'This report structure has been created to match your request' },
+                    { value: '' }
+                  ]
+                }
+              ]
+            }
+          }
+        ]
       }
-      
-      throw new Error('QuickBooks API call failed with status: ' + code);
-    }
-  } catch (error) {
-    // Log detailed error information
-    console.error('Error in getReport (' + reportType + '): ' + error.message);
-    console.error('Stack trace: ' + error.stack);
-    
-    // Create a user-friendly error object
-    const formattedError = {
-      type: 'SystemFault',
-      Error: error.toString(),
-      message: 'Failed to retrieve ' + reportType + ' report from QuickBooks. ' + 
-               'This may be due to API permissions, authentication issues, or QuickBooks service availability.',
-      resolution: 'Please try reconnecting to QuickBooks, check your permissions, or try again later.'
     };
+  } else {
+    // Handle non-200 responses
+    const code = response ? response.getResponseCode() : 'No response';
+    const text = response ? response.getContentText() : 'Empty response';
     
-    // Log this formatted error
-    console.error('Returning formatted error: ' + JSON.stringify(formattedError));
+    console.error('QuickBooks API error: ' + code);
+    console.error('Response content: ' + text);
     
-    // Return a specific error object rather than throwing
-    return formattedError;
+    throw createQboError(code, text, endpoint);
   }
 }
 
@@ -1143,7 +1303,7 @@ function getProfitAndLossReport(params) {
     }
     
     const formattedParams = {
-      'accounting_method': 'Accrual',
+      'accounting_method': params.accounting_method || getDefaultAccountingMethod(),
       'minorversion': '65'
     };
     
@@ -1159,15 +1319,9 @@ function getProfitAndLossReport(params) {
     // Log the final parameters being sent
     console.log('Sending P&L request with params: ' + JSON.stringify(formattedParams));
     
-    // Call the generic report function first
+    // Call the generic report function first - QuickBooks failures are thrown as QboErrors
     const reportResponse = getReport('ProfitAndLoss', formattedParams);
     
-    // Check if we got a SystemFault error object from getReport
-    if (reportResponse && reportResponse.type === 'SystemFault') {
-      logAction('P&L Error', 'Got SystemFault from getReport', reportResponse.message);
-      throw new Error(reportResponse.message);
-    }
-    
     // Log the response structure for debugging
     logAction('P&L Response', 'Structure check', 
               'Has Header: ' + (reportResponse.Header ? 'Yes' : 'No') + 
@@ -1178,14 +1332,6 @@ function getProfitAndLossReport(params) {
       throw new Error('Invalid response format from QuickBooks API');
     }
     
-    // Check for specific QuickBooks API errors in the response
-    if (reportResponse.Fault || reportResponse.fault) {
-      const fault = reportResponse.Fault || reportResponse.fault;
-      throw new Error('QuickBooks API error: ' + 
-                     (fault.Error && fault.Error.length > 0 ? 
-                      fault.Error[0].Message : 'Unknown API error'));
-    }
-    
     // Ensure the response has the expected structure
     if (!reportResponse.Rows || !reportResponse.Rows.Row) {
       logAction('P&L Fallback', 'Missing expected structure', 'Falling back to alternative');
@@ -1197,22 +1343,10 @@ function getProfitAndLossReport(params) {
     // Log the error
     logAction('P&L Error', 'API call failed', error.toString());
     
-    // Check if this is an authentication error
-    if (error.message && (
-        error.message.includes('authentication') || 
-        error.message.includes('authorized') || 
-        error.message.includes('token') ||
-        error.message.includes('OAuth'))) {
-      throw new Error('QuickBooks authentication error. Please reconnect to QuickBooks in settings.');
-    }
-    
-    // Check if this is a permissions error
-    if (error.message && (
-        error.message.includes('permission') || 
-        error.message.includes('access') || 
-        error.message.includes('insufficient') ||
-        error.message.includes('denied'))) {
-      throw new Error('QuickBooks permission error. Your account may not have access to P&L reports.');
+    // The fallbacks go through the same connection, so they can't get past
+    // authentication, permission or throttling failures
+    if (error instanceof AuthError || error instanceof PermissionError || error instanceof ThrottleError) {
+      throw error;
     }
     
     // Fall back to alternative report method
@@ -1227,8 +1361,10 @@ function getProfitAndLossReport(params) {
       } catch (basicError) {
         // If all approaches fail, throw a detailed error
         logAction('P&L All Methods Failed', 'No available methods worked', basicError.message);
-        throw new Error('Failed to retrieve ProfitAndLoss report: All available methods failed. ' +
-                       'Check your QuickBooks permissions and account access.');
+        throw new QboError('Failed to retrieve the ProfitAndLoss report: all available methods failed.', {
+          remedy: 'Make sure your QuickBooks user has rights to financial reports, or try a simpler query ' +
+                  'such as "Show me expenses for this month".'
+        });
       }
     }
   }
@@ -1264,11 +1400,18 @@ function getAlternativeProfitAndLossReport(params) {
   
   try {
     // First, query income accounts
-    const incomeQuery = "SELECT * FROM Account WHERE AccountType = 'Income' OR AccountType = 'Revenue'";
+    // QBO queries have no OR, so the income account types go in one IN list
+    const incomeQuery = buildQboQuery({
+      entity: 'Account',
+      where: [{ field: 'AccountType', op: 'IN', value: ['Income', 'Other Income'] }]
+    });
     const incomeAccounts = queryQuickBooks(incomeQuery);
     
     // Then query expense accounts
-    const expenseQuery = "SELECT * FROM Account WHERE AccountType = 'Expense'";
+    const expenseQuery = buildQboQuery({
+      entity: 'Account',
+      where: [{ field: 'AccountType', op: '=', value: 'Expense' }]
+    });
     const expenseAccounts = queryQuickBooks(expenseQuery);
     
     // Add a section for Income
@@ -1334,32 +1477,54 @@ function runQBDiagnostic() {
   };
   
   try {
+    // Step 0: Record which environment is being tested
+    const environmentConfig = getQboEnvironmentConfig();
+    diagnosticResults.details.environment = {
+      name: environmentConfig.environment,
+      label: environmentConfig.label,
+      baseUrl: environmentConfig.baseUrl
+    };
+    
     // Step 1: Check OAuth status
-    const service = getOAuthService();
+    const service = getCompanyOAuthService();
     const hasAccess = service.hasAccess();
     diagnosticResults.details.oauth = {
       hasAccess: hasAccess
     };
     
     if (!hasAccess) {
-      diagnosticResults.message = "QuickBooks OAuth connection failed. Please reconnect by clicking the settings icon and using the Connect button.";
+      diagnosticResults.message = `QuickBooks OAuth connection failed for the ${environmentConfig.label} environment. Please reconnect by clicking the settings icon and using the Connect button.`;
       return diagnosticResults;
     }
     
-    // Step 2: Check company ID
-    const scriptProperties = PropertiesService.getScriptProperties();
-    const companyId = scriptProperties.getProperty('QBO_COMPANY_ID');
+    // Step 2: Check company ID against the realm authorized during Connect
+    const overrideId = PropertiesService.getScriptProperties().getProperty('QBO_COMPANY_ID') || '';
+    const authorizedRealmId = getAuthorizedRealmId();
+    const companyId = getCompanyId();
     
     if (!companyId) {
-      diagnosticResults.message = "Company ID not set. Please configure in settings.";
+      diagnosticResults.message = "Company ID not set. Please reconnect to QuickBooks or enter a Company ID in settings.";
       return diagnosticResults;
     }
     
     diagnosticResults.details.companyId = companyId;
+    diagnosticResults.details.authorizedRealmId = authorizedRealmId;
+    diagnosticResults.details.companyIdSource = overrideId ? 'override' : 'oauth';
+    // An override pointing at another connected company is fine - it has its own tokens
+    diagnosticResults.details.realmMismatch = !!(overrideId && authorizedRealmId && 
+                                                 overrideId !== authorizedRealmId && 
+                                                 !isConnectedCompany(overrideId));
+    
+    if (diagnosticResults.details.realmMismatch) {
+      diagnosticResults.detailedErrors.push(
+        `Company ID override ${overrideId} does not match the authorized realm ${authorizedRealmId}. ` +
+        'Clear the Company ID in settings to use the connected company.'
+      );
+    }
     
-    // Step 3: Try a simple API call - CompanyInfo
+    // Step 3: Try a simple API call - CompanyInfo (skipping the cache, which would hide connection problems)
     try {
-      const companyInfo = callQuickBooksApi('companyinfo/' + companyId);
+      const companyInfo = withFreshQboData(() => callQuickBooksApi('companyinfo/' + companyId));
       diagnosticResults.details.companyInfo = {
         success: true,
         name: companyInfo.CompanyInfo ? companyInfo.CompanyInfo.CompanyName : "Unknown"
@@ -1374,7 +1539,7 @@ function runQBDiagnostic() {
     
     // Step 4: Try a simple query - Customer
     try {
-      const customerQuery = callQuickBooksApi('query?query=SELECT * FROM Customer MAXRESULTS 1');
+      const customerQuery = withFreshQboData(() => queryQuickBooks(buildQboQuery({ entity: 'Customer', maxResults: 1 })));
       diagnosticResults.details.customerQuery = {
         success: true,
         hasData: customerQuery.QueryResponse && 
@@ -1460,11 +1625,11 @@ function runQBDiagnostic() {
     const reportSuccess = diagnosticResults.details.reportTest && diagnosticResults.details.reportTest.success;
     const plSuccess = diagnosticResults.details.plTest && diagnosticResults.details.plTest.success;
     
-    diagnosticResults.success = companySuccess && querySuccess;
+    diagnosticResults.success = companySuccess && querySuccess && !diagnosticResults.details.realmMismatch;
     
     // Generate message
     if (diagnosticResults.success) {
-      diagnosticResults.message = "QuickBooks connection is working. ";
+      diagnosticResults.message = `QuickBooks connection is working (${environmentConfig.label}). `;
       
       if (companySuccess) {
         diagnosticResults.message += `Connected to company: ${diagnosticResults.details.companyInfo.name}. `;
@@ -1482,7 +1647,11 @@ function runQBDiagnostic() {
         diagnosticResults.message += "WARNING: P&L reports may not work correctly - check user permissions in QuickBooks.";
       }
     } else {
-      diagnosticResults.message = "QuickBooks connection test failed. ";
+      diagnosticResults.message = `QuickBooks connection test failed (${environmentConfig.label}). `;
+      
+      if (diagnosticResults.details.realmMismatch) {
+        diagnosticResults.message += "The Company ID in settings does not match the company you connected to. ";
+      }
       
       if (!companySuccess) {
         diagnosticResults.message += "Could not access company information. ";
@@ -1513,18 +1682,26 @@ function runQBDiagnostic() {
  * @return {boolean} True if authenticated, false otherwise
  */
 function isAuthenticated() {
-  const service = getOAuthService();
+  const service = getCompanyOAuthService();
   return service.hasAccess();
 }
 
 // Export functions for external use
 QuickBooksService.getOAuthService = getOAuthService;
+QuickBooksService.getCompanyOAuthService = getCompanyOAuthService;
+QuickBooksService.getQboEnvironment = getQboEnvironment;
+QuickBooksService.getQboEnvironmentConfig = getQboEnvironmentConfig;
 QuickBooksService.isAuthenticated = isAuthenticated;
 QuickBooksService.makeApiCall = makeApiCall;
 QuickBooksService.callQuickBooksApi = callQuickBooksApi;
 QuickBooksService.getCredentials = getCredentials;
+QuickBooksService.getCompanyId = getCompanyId;
+QuickBooksService.getCompanyInfo = getCompanyInfo;
+QuickBooksService.withQboRealm = withQboRealm;
 QuickBooksService.saveCredentials = saveCredentials;
 QuickBooksService.queryQuickBooks = queryQuickBooks;
+QuickBooksService.queryAllQuickBooks = queryAllQuickBooks;
+QuickBooksService.batchQuickBooks = batchQuickBooks;
 QuickBooksService.getReport = getReport;
 QuickBooksService.getProfitAndLossReport = getProfitAndLossReport;
 QuickBooksService.getBasicTransactionPLReport = getBasicTransactionPLReport;
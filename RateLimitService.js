@@ -0,0 +1,155 @@
+/**
+ * Rate Limit Service
+ * The single request layer every QuickBooks API call goes through. It keeps
+ * each realm under QBO's throttle limits, honors 429 Retry-After, and retries
+ * 5xx responses with jittered backoff. 4xx responses are returned as-is since
+ * repeating a validation error only burns quota.
+ */
+
+// QuickBooks throttle settings
+const QBO_RATE_LIMIT = {
+  REQUESTS_PER_MINUTE: 500,   // QBO allows 500 requests per minute per realm
+  MAX_RETRIES: 4,             // Retries after the first attempt for 429/5xx
+  BASE_BACKOFF_MS: 1000,
+  MAX_BACKOFF_MS: 30000,
+  MAX_WAIT_MS: 60000          // Longest single wait before giving up on a slot
+};
+
+// Requests made by this execution, per realm, for the sliding one-minute window
+const qboRequestTimes = {};
+
+/**
+ * Fetches a QuickBooks URL through the per-realm throttle, retrying 429 and
+ * 5xx responses. Other responses, including 4xx errors, are returned to the
+ * caller unchanged.
+ *
+ * @param {string} realmId - The realm the request is for
+ * @param {string} url - The full request URL
+ * @param {Object} options - UrlFetchApp options (muteHttpExceptions must be true)
+ * @param {string} label - Short description for the Action Log, e.g. 'GET query'
+ * @return {HTTPResponse} The final response
+ */
+function fetchWithRateLimit(realmId, url, options, label) {
+  let attempt = 0;
+
+  while (true) {
+    waitForRealmSlot(realmId);
+
+    let response;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (error) {
+      // Timeouts and dropped connections are as transient as a 5xx
+      if (attempt >= QBO_RATE_LIMIT.MAX_RETRIES) {
+        throw error;
+      }
+      const delay = getBackoffDelayMs(attempt);
+      logAction('API Retry', label, `Network error, retrying in ${delay}ms: ${error.message}`);
+      Utilities.sleep(delay);
+      attempt++;
+      continue;
+    }
+
+    const responseCode = response.getResponseCode();
+    const retryable = responseCode === 429 || responseCode >= 500;
+
+    if (!retryable || attempt >= QBO_RATE_LIMIT.MAX_RETRIES) {
+      return response;
+    }
+
+    if (responseCode === 429) {
+      const delay = getRetryAfterMs(response) || getBackoffDelayMs(attempt);
+      // Make every execution hitting this realm back off, not just this one -
+      // waitForRealmSlot does the waiting before the retry
+      setRealmThrottledUntil(realmId, Date.now() + delay);
+      logAction('API Throttled', label, `429 from QuickBooks, waiting ${delay}ms`);
+    } else {
+      const delay = getBackoffDelayMs(attempt);
+      logAction('API Retry', label, `${responseCode} from QuickBooks, retrying in ${delay}ms`);
+      Utilities.sleep(delay);
+    }
+
+    attempt++;
+  }
+}
+
+/**
+ * Blocks until the realm has room under its per-minute limit and any
+ * Retry-After window from an earlier 429 has passed.
+ *
+ * The window is tracked for this execution and, best effort, across
+ * executions through the script cache (CacheService has no atomic increment,
+ * so concurrent executions can overshoot slightly).
+ *
+ * @param {string} realmId - The realm ID
+ */
+function waitForRealmSlot(realmId) {
+  const cache = CacheService.getScriptCache();
+  const now = Date.now();
+
+  // Honor a Retry-After window set by any execution
+  const throttledUntil = parseInt(cache.get('QBO_THROTTLED_UNTIL_' + realmId) || '0', 10);
+  if (throttledUntil > now) {
+    Utilities.sleep(Math.min(throttledUntil - now, QBO_RATE_LIMIT.MAX_WAIT_MS));
+  }
+
+  // Sliding one-minute window for this execution
+  const times = (qboRequestTimes[realmId] || []).filter(time => Date.now() - time < 60000);
+  if (times.length >= QBO_RATE_LIMIT.REQUESTS_PER_MINUTE) {
+    Utilities.sleep(Math.min(60000 - (Date.now() - times[0]), QBO_RATE_LIMIT.MAX_WAIT_MS));
+  }
+
+  // Per-minute counter shared with other executions
+  let minuteKey = 'QBO_RATE_' + realmId + '_' + Math.floor(Date.now() / 60000);
+  let count = parseInt(cache.get(minuteKey) || '0', 10);
+  if (count >= QBO_RATE_LIMIT.REQUESTS_PER_MINUTE) {
+    Utilities.sleep(Math.min(60000 - (Date.now() % 60000), QBO_RATE_LIMIT.MAX_WAIT_MS));
+    minuteKey = 'QBO_RATE_' + realmId + '_' + Math.floor(Date.now() / 60000);
+    count = parseInt(cache.get(minuteKey) || '0', 10);
+  }
+  cache.put(minuteKey, String(count + 1), 120);
+
+  times.push(Date.now());
+  qboRequestTimes[realmId] = times;
+}
+
+/**
+ * Records that QuickBooks asked for no requests to a realm until a given time.
+ *
+ * @param {string} realmId - The realm ID
+ * @param {number} until - Epoch milliseconds
+ */
+function setRealmThrottledUntil(realmId, until) {
+  const seconds = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  CacheService.getScriptCache().put('QBO_THROTTLED_UNTIL_' + realmId, String(until), Math.min(seconds, 21600));
+}
+
+/**
+ * Reads the Retry-After header, which may be delta-seconds or an HTTP date.
+ *
+ * @param {HTTPResponse} response - The 429 response
+ * @return {number} Milliseconds to wait, or 0 if the header is missing
+ */
+function getRetryAfterMs(response) {
+  const headers = response.getHeaders() || {};
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+  if (!headerName) {
+    return 0;
+  }
+
+  const value = String(headers[headerName]).trim();
+  const waitMs = /^\d+$/.test(value) ? parseInt(value, 10) * 1000 : new Date(value).getTime() - Date.now();
+
+  return isNaN(waitMs) ? 0 : Math.min(Math.max(waitMs, 0), QBO_RATE_LIMIT.MAX_WAIT_MS);
+}
+
+/**
+ * Exponential backoff with jitter, so parallel executions don't retry in lockstep.
+ *
+ * @param {number} attempt - Zero-based retry attempt
+ * @return {number} Milliseconds to wait
+ */
+function getBackoffDelayMs(attempt) {
+  const ceiling = Math.min(QBO_RATE_LIMIT.MAX_BACKOFF_MS, QBO_RATE_LIMIT.BASE_BACKOFF_MS * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
@@ -0,0 +1,101 @@
+/**
+ * Report Basis Service
+ * Cash or accrual basis for reports: reads the basis an intent or query asks
+ * for, and writes the same report on both bases next to each other with the
+ * difference, merged by account through ReportComparisonService.
+ */
+
+/**
+ * Reads the report basis an intent asks for from parameters.accountingMethod.
+ *
+ * @param {Object} intent - The intent
+ * @return {string} 'Accrual', 'Cash', 'Both', or '' to use the saved default
+ */
+function getIntentAccountingMethod(intent) {
+  const method = String((intent.parameters && intent.parameters.accountingMethod) || '').toLowerCase();
+  if (method === 'cash') return 'Cash';
+  if (method === 'accrual') return 'Accrual';
+  if (method === 'both') return 'Both';
+  return '';
+}
+
+/**
+ * Reads the report basis from a lower-case query.
+ *
+ * @param {string} text - The lower-case query
+ * @return {string} 'Accrual', 'Cash', 'Both', or '' if the query doesn't say
+ */
+function detectAccountingMethod(text) {
+  if (/\b(cash|accrual)\s+(and|vs\.?|versus|or)\s+(cash|accrual)\b/.test(text) ||
+      /\bboth (bases|basis|methods)\b/.test(text)) {
+    return 'Both';
+  }
+  if (/\bcash[- ](basis|method)\b|\bon a cash\b/.test(text)) {
+    return 'Cash';
+  }
+  if (/\baccrual[- ](basis|method)\b|\bon an accrual\b/.test(text)) {
+    return 'Accrual';
+  }
+  return '';
+}
+
+/**
+ * Fetches a report on accrual and on cash basis and writes them next to each
+ * other with a difference column (accrual minus cash).
+ *
+ * @param {Object} intent - The report intent
+ * @param {Object} params - The report parameters, without accounting_method
+ * @return {Object} The response object
+ */
+function fetchReportOnBothBases(intent, params) {
+  if (!isComparableReport(intent.entity)) {
+    return {
+      type: 'warning',
+      message: `Cash and accrual side by side is available for the P&L and Balance Sheet, not ${intent.entity}. ` +
+               'Ask for one basis at a time, e.g. "on a cash basis".'
+    };
+  }
+
+  const reports = ['Accrual', 'Cash'].map(method => {
+    const basisParams = Object.assign({}, params, { accounting_method: method, summarize_column_by: 'Total' });
+    delete basisParams.columns;
+    logAction('Fetching Report', `${intent.entity} (${method})`, JSON.stringify(basisParams));
+    return getReport(intent.entity, basisParams);
+  });
+
+  const table = buildAccountComparisonTable(mergeReportsByAccount(reports), {
+    titles: ['Accrual', 'Cash'],
+    differenceTitle: 'Difference'
+  });
+
+  const sheetName = intent.destination || `${intent.entity}_${params.start_date}_CashVsAccrual`;
+  const formattedData = [table.headers].concat(table.rows);
+  const writeResult = writeIntentData(sheetName, formattedData);
+  if (!writeResult.success) {
+    throw new Error(writeResult.message);
+  }
+
+  if (!isCollectingCompanyRows()) {
+    formatAccountComparisonSheet(writeResult.sheetName, formattedData, table);
+  }
+
+  const bottom = table.lastTotal;
+  const reportName = (reports[0].Header && reports[0].Header.ReportName) || intent.entity;
+  let message = `${reportName} for ${params.start_date} to ${params.end_date} on accrual and cash basis written to sheet ` +
+                `"${writeResult.sheetName}": ${table.changedCount} lines differ.`;
+  if (bottom) {
+    message += ` ${bottom.label} is ${formatComparisonCurrency(bottom.values[0])} accrual vs ` +
+               `${formatComparisonCurrency(bottom.values[1])} cash.`;
+  }
+
+  return {
+    type: 'success',
+    message: message,
+    data: {
+      rowCount: table.rows.length,
+      columnCount: table.headers.length,
+      sheetName: writeResult.sheetName,
+      changedCount: table.changedCount
+    }
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Report Comparison Service
+ * Shared by the cash/accrual view (ReportBasisService) and period comparisons
+ * (PeriodComparisonService): both write two versions of a report next to each
+ * other. The reports are flattened and merged by account, so a line that only
+ * one of them has still gets its own row.
+ */
+
+// Reports whose rows are accounts with one amount, so two of them line up
+const QBO_COMPARABLE_REPORTS = ['ProfitAndLoss', 'BalanceSheet'];
+
+/**
+ * Checks whether two versions of a report can be merged by account.
+ *
+ * @param {string} reportType - The report type
+ * @return {boolean} True for P&L and Balance Sheet
+ */
+function isComparableReport(reportType) {
+  return QBO_COMPARABLE_REPORTS.includes(reportType);
+}
+
+/**
+ * Flattens a report into keyed lines. Accounts are keyed by ID, sections and
+ * totals by their group (e.g. 'Income', 'NetIncome') or label path, so the
+ * same line has the same key in another version of the report.
+ *
+ * @param {Object} reportData - The report, with the amount in the last column
+ * @return {Array} Lines as {key, label, kind: 'section'|'account'|'total', amount}
+ */
+function getReportAccountLines(reportData) {
+  const lines = [];
+
+  const amountOf = colData => {
+    const last = colData[colData.length - 1];
+    return colData.length > 1 && last ? parseFloat(String(last.value).replace(/,/g, '')) || 0 : 0;
+  };
+
+  const walk = (rows, path) => {
+    (rows || []).forEach(row => {
+      const header = row.Header && row.Header.ColData ? row.Header.ColData[0] : null;
+      const sectionKey = row.group || (header && header.id ? 'id:' + header.id : path + '/' + (header ? header.value : ''));
+
+      if (header) {
+        lines.push({ key: 'section:' + sectionKey, label: header.value, kind: 'section', amount: 0 });
+      }
+      if (row.Rows && row.Rows.Row) {
+        walk(row.Rows.Row, path + '/' + sectionKey);
+      }
+      if (row.Summary && row.Summary.ColData) {
+        lines.push({
+          key: 'total:' + sectionKey,
+          label: row.Summary.ColData[0].value,
+          kind: 'total',
+          amount: amountOf(row.Summary.ColData)
+        });
+      } else if (row.ColData && row.ColData[0]) {
+        const cell = row.ColData[0];
+        lines.push({
+          key: cell.id ? 'id:' + cell.id : 'line:' + path + '/' + cell.value,
+          label: cell.value,
+          kind: 'account',
+          amount: amountOf(row.ColData)
+        });
+      }
+    });
+  };
+  walk(reportData && reportData.Rows ? reportData.Rows.Row : [], '');
+
+  return lines;
+}
+
+/**
+ * Merges versions of a report by account. Lines keep the first report's order;
+ * a line missing from it is placed after the line it follows in its own report.
+ *
+ * @param {Array} reports - The reports
+ * @return {Array} Lines as {key, label, kind, values: [amount per report]}
+ */
+function mergeReportsByAccount(reports) {
+  const merged = [];
+  const byKey = {};
+
+  reports.forEach((report, reportIndex) => {
+    let previous = null;
+
+    getReportAccountLines(report).forEach(line => {
+      let entry = byKey[line.key];
+      if (!entry) {
+        entry = { key: line.key, label: line.label, kind: line.kind, values: reports.map(() => 0) };
+        merged.splice(previous ? merged.indexOf(previous) + 1 : 0, 0, entry);
+        byKey[line.key] = entry;
+      }
+      entry.values[reportIndex] = line.amount;
+      previous = entry;
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Builds the side-by-side table for two merged reports.
+ *
+ * @param {Array} merged - Lines from mergeReportsByAccount
+ * @param {Object} options - {titles: [first, second], differenceTitle, percentTitle (optional)}
+ * @return {Object} {headers, rows, sectionRows, totalRows, numericColumns, percentColumn, changedCount, lastTotal}
+ */
+function buildAccountComparisonTable(merged, options) {
+  const headers = ['Account', options.titles[0], options.titles[1], options.differenceTitle];
+  if (options.percentTitle) {
+    headers.push(options.percentTitle);
+  }
+
+  const rows = [];
+  const sectionRows = [];
+  const totalRows = [];
+  let changedCount = 0;
+  let lastTotal = null;
+
+  merged.forEach(line => {
+    if (line.kind === 'section') {
+      rows.push(headers.map((header, index) => index === 0 ? line.label : ''));
+      sectionRows.push(rows.length);
+      return;
+    }
+
+    const first = roundComparisonAmount(line.values[0]);
+    const second = roundComparisonAmount(line.values[1]);
+    const difference = roundComparisonAmount(first - second);
+    const row = [line.label, first, second, difference];
+    if (options.percentTitle) {
+      row.push(second ? Math.round(difference / Math.abs(second) * 10000) / 10000 : '');
+    }
+    rows.push(row);
+
+    if (line.kind === 'total') {
+      totalRows.push(rows.length);
+      lastTotal = { label: line.label, values: [first, second] };
+    } else if (difference !== 0) {
+      changedCount++;
+    }
+  });
+
+  return {
+    headers: headers,
+    rows: rows,
+    sectionRows: sectionRows,
+    totalRows: totalRows,
+    numericColumns: [2, 3, 4],
+    percentColumn: options.percentTitle ? 5 : null,
+    changedCount: changedCount,
+    lastTotal: lastTotal
+  };
+}
+
+/**
+ * Applies number formats and bolds the header, section and total rows.
+ *
+ * @param {string} sheetName - The sheet the table was written to
+ * @param {Array} formattedData - The rows that were written, header first
+ * @param {Object} table - The table from buildAccountComparisonTable
+ */
+function formatAccountComparisonSheet(sheetName, formattedData, table) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+    if (!sheet) {
+      return;
+    }
+
+    const width = formattedData[0].length;
+    const height = formattedData.length;
+
+    sheet.getRange(1, 1, 1, width).setFontWeight('bold');
+    if (height > 1) {
+      table.numericColumns.forEach(column => {
+        sheet.getRange(2, column, height - 1, 1).setNumberFormat('#,##0.00');
+      });
+      if (table.percentColumn) {
+        sheet.getRange(2, table.percentColumn, height - 1, 1).setNumberFormat('0.0%');
+      }
+    }
+    table.sectionRows.concat(table.totalRows).forEach(row => {
+      sheet.getRange(row + 1, 1, 1, width).setFontWeight('bold');
+    });
+    sheet.setFrozenRows(1);
+  } catch (error) {
+    // Formatting is cosmetic, so the written data stands either way
+    console.error('Failed to format comparison sheet: ' + error.toString());
+  }
+}
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount
+ * @return {number} The rounded amount
+ */
+function roundComparisonAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats an amount for messages, e.g. -$1,234.50.
+ *
+ * @param {number} amount - The amount
+ * @return {string} The formatted amount
+ */
+function formatComparisonCurrency(amount) {
+  const sign = amount < 0 ? '-' : '';
+  return sign + '$' + Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
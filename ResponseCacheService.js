@@ -0,0 +1,284 @@
+/**
+ * Response Cache Service
+ * Caches QuickBooks reads (queries, reports, company info) so follow-up chat
+ * turns don't re-download the same lists and reports. Entries are keyed by
+ * realm, endpoint and params, expire per entity, and are dropped for a company
+ * whenever we write to it.
+ *
+ * The store defaults to the user cache and can be swapped with setQboCacheStore
+ * for anything with the same get/put/remove methods, e.g. a plain object in tests.
+ */
+
+// Cache settings
+const QBO_CACHE_CONFIG = {
+  DEFAULT_TTL_SECONDS: 300,         // Transactions and anything not listed below
+  REPORT_TTL_SECONDS: 600,
+  ENTITY_TTL_SECONDS: {
+    Account: 3600,
+    Class: 3600,
+    Department: 3600,
+    Term: 3600,
+    Budget: 1800,
+    Customer: 1800,
+    Employee: 1800,
+    Item: 1800,
+    Vendor: 1800,
+    CompanyInfo: 21600,
+    Preferences: 21600
+  },
+  GENERATION_TTL_SECONDS: 21600,    // CacheService maximum; outlives every entry
+  CHUNK_SIZE: 30000,                // Characters per cache value, under the 100KB limit
+  MAX_CHUNKS: 20                    // Larger responses are not cached
+};
+
+// Store override (null uses CacheService)
+let qboCacheStore = null;
+
+// True while withFreshQboData runs: reads skip the cache but still refresh it
+let qboCacheBypass = false;
+
+/**
+ * Replaces the cache store.
+ *
+ * @param {Object} store - An object with get(key), put(key, value, seconds) and remove(key), or null for the default
+ */
+function setQboCacheStore(store) {
+  qboCacheStore = store;
+}
+
+/**
+ * Gets the active cache store.
+ *
+ * @return {Object} The store
+ */
+function getQboCacheStore() {
+  return qboCacheStore || CacheService.getUserCache();
+}
+
+/**
+ * Runs a callback with the cache bypassed for reads. Fresh responses are
+ * still cached for the next request.
+ *
+ * @param {Function} callback - The work to run
+ * @return {*} Whatever the callback returns
+ */
+function withFreshQboData(callback) {
+  const previousBypass = qboCacheBypass;
+  qboCacheBypass = true;
+
+  try {
+    return callback();
+  } finally {
+    qboCacheBypass = previousBypass;
+  }
+}
+
+/**
+ * Returns a cached response for a GET request, or runs the fetcher and caches
+ * what it returns. Endpoints that aren't cacheable go straight to the fetcher.
+ *
+ * @param {string} endpoint - The API endpoint, e.g. 'reports/ProfitAndLoss'
+ * @param {Object} params - The request parameters, or null
+ * @param {Function} fetcher - Fetches and parses the response
+ * @return {Object} The parsed response
+ */
+function fetchWithQboCache(endpoint, params, fetcher) {
+  const ttl = getQboCacheTtl(endpoint);
+  if (!ttl) {
+    return fetcher();
+  }
+
+  const store = getQboCacheStore();
+  const realmId = getCompanyId();
+  const key = buildQboCacheKey(endpoint, params, realmId);
+
+  if (!qboCacheBypass) {
+    const cached = readQboCacheValue(store, key);
+    if (cached !== null) {
+      logAction('API Cache', 'Hit', endpoint);
+      return JSON.parse(cached);
+    }
+  }
+
+  const data = fetcher();
+  writeQboCacheValue(store, key, JSON.stringify(data), ttl);
+  return data;
+}
+
+/**
+ * Drops every cached response for a company by starting a new generation.
+ * Old entries are never read again and expire on their own.
+ *
+ * @param {string} realmId - The realm ID, defaults to the company being called
+ */
+function invalidateQboCache(realmId = getCompanyId()) {
+  try {
+    const store = getQboCacheStore();
+    const generationKey = 'QBO_RESP_GEN_' + realmId;
+    const current = Number(store.get(generationKey)) || 0;
+
+    store.put(generationKey, String(Math.max(current + 1, Date.now())), QBO_CACHE_CONFIG.GENERATION_TTL_SECONDS);
+    logAction('API Cache', 'Invalidated', 'Realm ' + realmId);
+  } catch (error) {
+    console.error('Failed to invalidate the response cache: ' + error.toString());
+  }
+}
+
+/**
+ * Checks whether a request changes data in QuickBooks. A batch made up only
+ * of queries reads, everything else that isn't a GET writes.
+ *
+ * @param {string} endpoint - The API endpoint
+ * @param {string} method - The HTTP method
+ * @param {Object} data - The request payload
+ * @return {boolean} True if the request writes
+ */
+function isQboWriteRequest(endpoint, method, data) {
+  if (method === 'GET') {
+    return false;
+  }
+  if (endpoint === 'batch' && data && data.BatchItemRequest) {
+    return !data.BatchItemRequest.every(item => item.Query);
+  }
+  return true;
+}
+
+/**
+ * Gets how long a GET endpoint's response may be cached.
+ *
+ * @param {string} endpoint - The API endpoint
+ * @return {number} TTL in seconds, or 0 if the endpoint isn't cached
+ */
+function getQboCacheTtl(endpoint) {
+  if (/^reports\//i.test(endpoint)) {
+    return QBO_CACHE_CONFIG.REPORT_TTL_SECONDS;
+  }
+
+  if (/^query\?query=/i.test(endpoint)) {
+    const query = decodeURIComponent(endpoint.substring('query?query='.length));
+    const match = query.match(/\bFROM\s+(\w+)/i);
+    const entity = match ? match[1] : '';
+    return QBO_CACHE_CONFIG.ENTITY_TTL_SECONDS[entity] || QBO_CACHE_CONFIG.DEFAULT_TTL_SECONDS;
+  }
+
+  if (/^companyinfo\//i.test(endpoint)) {
+    return QBO_CACHE_CONFIG.ENTITY_TTL_SECONDS.CompanyInfo;
+  }
+
+  if (/^preferences/i.test(endpoint)) {
+    return QBO_CACHE_CONFIG.ENTITY_TTL_SECONDS.Preferences;
+  }
+
+  // Single-record reads and cdc must always be current
+  return 0;
+}
+
+/**
+ * Builds the cache key for a request. Params are sorted so the same request
+ * always gets the same key, and the key is hashed to stay under the 250
+ * character key limit.
+ *
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The request parameters, or null
+ * @param {string} realmId - The realm ID
+ * @return {string} The cache key
+ */
+function buildQboCacheKey(endpoint, params, realmId) {
+  const sortedParams = {};
+  Object.keys(params || {}).sort().forEach(key => {
+    sortedParams[key] = params[key];
+  });
+
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+                                         endpoint + '|' + JSON.stringify(sortedParams),
+                                         Utilities.Charset.UTF_8);
+
+  return 'QBO_RESP_' + realmId + '_' + getQboCacheGeneration(realmId) + '_' +
+         Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Gets the current cache generation for a realm, starting a new one if the
+ * generation marker has expired or been evicted.
+ *
+ * @param {string} realmId - The realm ID
+ * @return {string} The generation
+ */
+function getQboCacheGeneration(realmId) {
+  const store = getQboCacheStore();
+  const generationKey = 'QBO_RESP_GEN_' + realmId;
+
+  let generation = store.get(generationKey);
+  if (!generation) {
+    generation = String(Date.now());
+    store.put(generationKey, generation, QBO_CACHE_CONFIG.GENERATION_TTL_SECONDS);
+  }
+  return generation;
+}
+
+/**
+ * Reads a cached value, reassembling it if it was stored in chunks.
+ *
+ * @param {Object} store - The cache store
+ * @param {string} key - The cache key
+ * @return {string} The value, or null on a miss
+ */
+function readQboCacheValue(store, key) {
+  try {
+    const value = store.get(key);
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const chunked = value.match(/^QBO_CHUNKS:(\d+)$/);
+    if (!chunked) {
+      return value;
+    }
+
+    const parts = [];
+    for (let i = 0; i < Number(chunked[1]); i++) {
+      const part = store.get(key + '_' + i);
+      // A chunk was evicted on its own, so the value is incomplete
+      if (part === null || part === undefined) {
+        return null;
+      }
+      parts.push(part);
+    }
+    return parts.join('');
+  } catch (error) {
+    console.error('Failed to read the response cache: ' + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Writes a value, splitting it into chunks when it is larger than one cache
+ * entry can hold. Failures are logged and ignored - the cache is optional.
+ *
+ * @param {Object} store - The cache store
+ * @param {string} key - The cache key
+ * @param {string} value - The value
+ * @param {number} ttl - TTL in seconds
+ */
+function writeQboCacheValue(store, key, value, ttl) {
+  try {
+    if (value.length <= QBO_CACHE_CONFIG.CHUNK_SIZE) {
+      store.put(key, value, ttl);
+      return;
+    }
+
+    const chunkCount = Math.ceil(value.length / QBO_CACHE_CONFIG.CHUNK_SIZE);
+    if (chunkCount > QBO_CACHE_CONFIG.MAX_CHUNKS) {
+      console.log(`Response for ${key} is too large to cache (${value.length} characters)`);
+      return;
+    }
+
+    for (let i = 0; i < chunkCount; i++) {
+      const start = i * QBO_CACHE_CONFIG.CHUNK_SIZE;
+      store.put(key + '_' + i, value.substring(start, start + QBO_CACHE_CONFIG.CHUNK_SIZE), ttl);
+    }
+    store.put(key, 'QBO_CHUNKS:' + chunkCount, ttl);
+  } catch (error) {
+    console.error('Failed to write the response cache: ' + error.toString());
+  }
+}
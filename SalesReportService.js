@@ -0,0 +1,111 @@
+/**
+ * Sales Report Service
+ * Sales by Customer, Sales by Product/Service, Income by Customer and Expenses
+ * by Vendor. These summary reports can split their amounts into columns
+ * (summarize_column_by), which users ask for with phrases like "by quarter"
+ * or "by class".
+ */
+
+// Summary reports and the dimension their rows are already grouped by, so
+// "sales by customer" isn't read as a request for customer columns
+const QBO_SALES_REPORTS = {
+  CustomerSales: { title: 'Sales by Customer', rowDimension: 'Customers' },
+  ItemSales: { title: 'Sales by Product/Service', rowDimension: 'ProductsAndServices' },
+  CustomerIncome: { title: 'Income by Customer', rowDimension: 'Customers' },
+  VendorExpenses: { title: 'Expenses by Vendor', rowDimension: 'Vendors' }
+};
+
+// Phrases that pick the report, checked in order
+const QBO_SALES_REPORT_PHRASES = [
+  { entity: 'CustomerIncome', pattern: /\bincome (by|per) customers?\b|\bcustomer income\b/ },
+  { entity: 'CustomerSales', pattern: /\bsales (by|per) customers?\b|\bcustomer sales\b/ },
+  { entity: 'ItemSales', pattern: /\bsales (by|per) (products?|items?|services?)\b|\b(product|item) sales\b/ },
+  { entity: 'VendorExpenses', pattern: /\b(expenses?|spend(ing)?) (by|per) vendors?\b|\bvendor (expenses|spend(ing)?)\b/ }
+];
+
+// summarize_column_by values and the phrases that ask for them, checked in order
+const QBO_SUMMARIZE_COLUMN_PHRASES = [
+  { value: 'Month', pattern: /\b(by|per|each) month\b|\bmonthly\b|\bmonth by month\b/ },
+  { value: 'Quarter', pattern: /\b(by|per|each) quarter\b|\bquarterly\b/ },
+  { value: 'Year', pattern: /\b(by|per|each) year\b|\byearly\b|\bannual(ly)?\b/ },
+  { value: 'Customers', pattern: /\b(by|per|each) customers?\b/ },
+  { value: 'Vendors', pattern: /\b(by|per|each) vendors?\b/ },
+  { value: 'Classes', pattern: /\b(by|per|each) class(es)?\b/ },
+  { value: 'Departments', pattern: /\b(by|per|each) (departments?|locations?)\b/ },
+  { value: 'ProductsAndServices', pattern: /\b(by|per|each) (products?|items?|services?)\b/ }
+];
+
+/**
+ * Checks whether a report type is one of the sales and expense summary reports.
+ *
+ * @param {string} reportType - The report type
+ * @return {boolean} True for CustomerSales, ItemSales, CustomerIncome and VendorExpenses
+ */
+function isSalesReport(reportType) {
+  return QBO_SALES_REPORTS.hasOwnProperty(reportType);
+}
+
+/**
+ * Finds the summary report a query asks for.
+ *
+ * @param {string} text - The lower-case query
+ * @return {string} The report type, or '' if none matches
+ */
+function detectSalesReport(text) {
+  const match = QBO_SALES_REPORT_PHRASES.find(phrase => phrase.pattern.test(text));
+  return match ? match.entity : '';
+}
+
+/**
+ * Finds the column split a query asks for, ignoring the report's own row
+ * dimension ("sales by customer by quarter" splits by quarter).
+ *
+ * @param {string} text - The lower-case query
+ * @param {string} reportType - The report type
+ * @return {string} The summarize_column_by value, or '' for the default total column
+ */
+function detectSummarizeColumnBy(text, reportType) {
+  const rowDimension = isSalesReport(reportType) ? QBO_SALES_REPORTS[reportType].rowDimension : '';
+  const match = QBO_SUMMARIZE_COLUMN_PHRASES.find(phrase =>
+    phrase.value !== rowDimension && phrase.pattern.test(text));
+  return match ? match.value : '';
+}
+
+/**
+ * Normalizes a summarize_column_by value from an intent, e.g. 'quarter' or 'class'.
+ *
+ * @param {string} value - The requested value
+ * @return {string} The QuickBooks value, or '' if it isn't one
+ */
+function normalizeSummarizeColumnBy(value) {
+  if (!value) {
+    return '';
+  }
+
+  const requested = String(value).toLowerCase().replace(/[^a-z]/g, '');
+  if (requested === 'total') {
+    return 'Total';
+  }
+
+  const match = QBO_SUMMARIZE_COLUMN_PHRASES.find(phrase => {
+    const known = phrase.value.toLowerCase();
+    return known === requested || known === requested + 's' || known === requested + 'es' ||
+           (phrase.value === 'ProductsAndServices' && /^(products?|items?|services?)$/.test(requested)) ||
+           (phrase.value === 'Departments' && /^locations?$/.test(requested));
+  });
+  return match ? match.value : '';
+}
+
+/**
+ * Gets the extra report parameters for a sales or expense summary report.
+ * An explicit parameters.summarizeColumnBy wins over phrases in the query.
+ *
+ * @param {Object} intent - The report intent
+ * @return {Object} Parameters to add to the report request
+ */
+function getSalesReportParams(intent) {
+  const summarizeColumnBy = normalizeSummarizeColumnBy(intent.parameters && intent.parameters.summarizeColumnBy) ||
+                            detectSummarizeColumnBy((intent.text || '').toLowerCase(), intent.entity);
+
+  return summarizeColumnBy ? { summarize_column_by: summarizeColumnBy } : {};
+}
@@ -0,0 +1,146 @@
+/**
+ * Sheet Import Row Service
+ * Reads the rows an import works on: the selection, a named sheet or an A1
+ * range, with columns found by their header in row 1 whatever the case,
+ * spacing or punctuation.
+ */
+
+// Words after "sheet" that are not a sheet name
+const QBO_IMPORT_SHEET_STOPWORDS = ['and', 'as', 'for', 'in', 'into', 'now', 'on', 'please', 'rows', 'to', 'using', 'with'];
+
+/**
+ * Reads the sheet and range an import query names: sheet "Billing", tab
+ * Billing, or an A1 range such as A2:F20 or 'Billing'!A2:F20.
+ *
+ * @param {string} query - The query as typed
+ * @return {Object} {sheetName, range}, each only when named
+ */
+function parseSheetImportSource(query) {
+  const source = {};
+
+  const rangeMatch = query.match(/((?:'[^']+'|[A-Za-z0-9_]+)!)?\$?[A-Z]{1,3}\$?\d+:\$?[A-Z]{1,3}\$?\d+\b/);
+  if (rangeMatch) {
+    source.range = rangeMatch[0];
+  }
+
+  const sheetMatch = query.match(/\b(?:sheet|tab)\s+["']([^"']+)["']/i) ||
+                     query.match(/\b(?:sheet|tab)\s+([A-Za-z0-9_]+)/i);
+  if (sheetMatch && !QBO_IMPORT_SHEET_STOPWORDS.includes(sheetMatch[1].toLowerCase())) {
+    source.sheetName = sheetMatch[1];
+  }
+
+  return source;
+}
+
+/**
+ * Reads the rows to import. Headers come from row 1 of the sheet. The rows
+ * are the selected ones when the selection covers more than one cell,
+ * otherwise every row below the header. parameters.sheetName and
+ * parameters.range (A1 notation) pick a sheet or range instead.
+ *
+ * @param {Object} intent - The import intent
+ * @param {Object} columns - Field names and the headers they accept, e.g. {customer: ['Customer', 'Client']}
+ * @param {Array} required - The fields that must have a column
+ * @return {Object} {sheet, headers, fieldColumns: {field: index}, rows: [{rowNumber, values: {field: value}}], firstRow, endRow}
+ * @throws {ValidationError} If the sheet is missing, empty or lacks a required column
+ */
+function readImportRows(intent, columns, required) {
+  const parameters = intent.parameters || {};
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  let sheet = parameters.sheetName ? spreadsheet.getSheetByName(parameters.sheetName) : spreadsheet.getActiveSheet();
+  if (!sheet) {
+    throw new ValidationError(`There is no sheet named "${parameters.sheetName}".`, {
+      remedy: 'Check the tab name, or select the rows to import and ask again without naming a sheet.'
+    });
+  }
+
+  let range = null;
+  if (parameters.range) {
+    range = String(parameters.range).includes('!') ? spreadsheet.getRange(parameters.range) : sheet.getRange(parameters.range);
+    sheet = range.getSheet();
+  } else if (!parameters.sheetName) {
+    const selection = spreadsheet.getActiveRange();
+    if (selection && selection.getNumRows() * selection.getNumColumns() > 1) {
+      range = selection;
+    }
+  }
+
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow < 2 || lastColumn < 1) {
+    throw new ValidationError(`Sheet "${sheet.getName()}" has no rows to import.`, {
+      remedy: 'Put the column headers in row 1 and one line per row below them.'
+    });
+  }
+
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(header => String(header).trim());
+  const fieldColumns = findImportColumns(headers, columns);
+
+  const missing = required.filter(field => fieldColumns[field] === undefined);
+  if (missing.length > 0) {
+    throw new ValidationError(`Sheet "${sheet.getName()}" has no ${missing.map(field => `"${columns[field][0]}"`).join(', ')} column.`, {
+      remedy: 'Name the columns in row 1: ' + Object.keys(columns).map(field => columns[field][0]).join(', ') +
+              '. Columns not listed there are ignored.'
+    });
+  }
+
+  // The header row is never data, even when it is part of the selection
+  const firstRow = Math.max(range ? range.getRow() : 2, 2);
+  const endRow = range ? Math.min(range.getLastRow(), lastRow) : lastRow;
+  const values = endRow >= firstRow ? sheet.getRange(firstRow, 1, endRow - firstRow + 1, lastColumn).getValues() : [];
+
+  const rows = [];
+  values.forEach((row, index) => {
+    const rowValues = {};
+    Object.keys(fieldColumns).forEach(field => {
+      rowValues[field] = row[fieldColumns[field]];
+    });
+    if (Object.keys(rowValues).some(field => !isBlankImportValue(rowValues[field]))) {
+      rows.push({ rowNumber: firstRow + index, values: rowValues });
+    }
+  });
+
+  return {
+    sheet: sheet,
+    headers: headers,
+    fieldColumns: fieldColumns,
+    rows: rows,
+    firstRow: firstRow,
+    endRow: endRow
+  };
+}
+
+/**
+ * Finds the column of each field by header, ignoring case, spaces and
+ * punctuation ("Invoice No." matches "invoice no").
+ *
+ * @param {Array} headers - The header row
+ * @param {Object} columns - Field names and the headers they accept
+ * @return {Object} The 0-based column per field found
+ */
+function findImportColumns(headers, columns) {
+  const normalized = headers.map(normalizeImportHeader);
+  const result = {};
+
+  Object.keys(columns).forEach(field => {
+    const index = columns[field].map(normalizeImportHeader)
+      .map(name => normalized.indexOf(name))
+      .find(position => position >= 0);
+    if (index !== undefined) {
+      result[field] = index;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Normalizes a header for matching.
+ *
+ * @param {string} header - The header
+ * @return {string} Lower-case letters, digits and '#'
+ */
+function normalizeImportHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
@@ -0,0 +1,268 @@
+/**
+ * Sheet Import Service
+ * Shared plumbing for creating QuickBooks records from rows in a sheet. The
+ * rows come from the selection (or a named sheet or range), columns are found
+ * by their header in row 1, names are looked up in QuickBooks lists, and each
+ * row gets its result written to status columns at the right of the sheet.
+ *
+ * Rows that already have a QuickBooks Id in the status columns are skipped,
+ * so an import can be run again after fixing the rows that failed.
+ *
+ * Reading rows is in SheetImportRowService, the status columns in
+ * SheetImportStatusService and cell values in SheetImportValueService.
+ */
+
+const QBO_IMPORT_CONFIG = {
+  ID_HEADER: 'QBO Id',
+  DOC_NUMBER_HEADER: 'QBO DocNumber',
+  STATUS_HEADER: 'Import Status',
+  MAX_PROBLEMS: 10,            // Problems listed in chat; every row still gets its own status
+  MAX_DOCUMENTS: 50            // Records posted per run, to stay inside the Apps Script time limit
+};
+
+// Intent actions that write sheet rows to QuickBooks
+const QBO_IMPORT_ACTIONS = ['importInvoices', 'importJournalEntries', 'importBills', 'upsertContacts', 'pushChanges'];
+
+// Words that say the rows come from the spreadsheet ("from the selected rows", "from sheet Billing")
+const QBO_IMPORT_SOURCE = /\bfrom (?:the |this |my )?(?:selected |highlighted )?(?:sheet|tab|selection|rows?|range|lines)\b|\b(?:selected|highlighted|these) rows\b|\bfrom \S*[a-z]{1,3}\d+:[a-z]{1,3}\d+/;
+
+/**
+ * Checks whether an intent action imports sheet rows into QuickBooks.
+ *
+ * @param {string} action - The intent action
+ * @return {boolean} True for the import actions
+ */
+function isSheetImportAction(action) {
+  return QBO_IMPORT_ACTIONS.includes(action);
+}
+
+/**
+ * Checks whether a lower-case query asks to create records from sheet rows
+ * rather than to fetch them into a sheet.
+ *
+ * @param {string} text - The lower-case query
+ * @return {boolean} True for e.g. "create invoices from the selected rows"
+ */
+function isSheetImportRequest(text) {
+  return /\b(create|import|post|upload|push|enter|book|add)\b/.test(text) && QBO_IMPORT_SOURCE.test(text);
+}
+
+/**
+ * Loads a QuickBooks list for matching the names in imported rows.
+ *
+ * @param {string} entity - The entity, e.g. 'Customer'
+ * @param {Array} select - The fields to fetch
+ * @return {Array} The active records
+ */
+function getImportRecords(entity, select) {
+  const queryData = queryAllQuickBooks(buildQboQuery({ entity: entity, select: select }));
+  return (queryData && queryData.QueryResponse && queryData.QueryResponse[entity]) || [];
+}
+
+/**
+ * Finds the record a cell names: an Id, then each name field in turn
+ * (e.g. FullyQualifiedName, then Name), without regard to case or extra
+ * spaces. A name that matches more than one record matches none.
+ *
+ * @param {Array} records - Records from getImportRecords
+ * @param {*} value - The cell value
+ * @param {Array} nameFields - The name fields to try, most specific first
+ * @return {Object} The record, or null
+ */
+function matchImportRecord(records, value, nameFields) {
+  const wanted = normalizeImportName(value);
+  if (!wanted) {
+    return null;
+  }
+
+  const byId = records.find(record => String(record.Id) === String(value).trim());
+  if (byId) {
+    return byId;
+  }
+
+  for (let i = 0; i < nameFields.length; i++) {
+    const matches = records.filter(record => normalizeImportName(record[nameFields[i]]) === wanted);
+    if (matches.length === 1) {
+      return matches[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes a name for matching.
+ *
+ * @param {*} value - The name
+ * @return {string} Lower case with runs of spaces collapsed
+ */
+function normalizeImportName(value) {
+  return String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reads the fields that belong to a whole record (customer, date, ...) from
+ * its rows. Each comes from the first row that has it; other rows must leave
+ * it blank or repeat it.
+ *
+ * @param {Array} rows - The record's rows
+ * @param {Array} fields - The record-level fields
+ * @param {Object} columns - The column definitions, for the names in messages
+ * @param {string} noun - What the rows make, e.g. 'invoice'
+ * @param {Array} problems - [{rowNumber, message}] to add conflicts to
+ * @return {Object} {value, text, rowNumber} per field that has a value
+ */
+function collectImportHeaderValues(rows, fields, columns, noun, problems) {
+  const header = {};
+
+  fields.forEach(field => {
+    rows.forEach(row => {
+      const value = row.values[field];
+      if (isBlankImportValue(value)) {
+        return;
+      }
+      const text = value instanceof Date ? parseImportDate(value) : String(value).trim();
+      if (header[field] === undefined) {
+        header[field] = { value: value, text: text, rowNumber: row.rowNumber };
+      } else if (normalizeImportName(header[field].text) !== normalizeImportName(text)) {
+        problems.push({
+          rowNumber: row.rowNumber,
+          message: `${columns[field][0]} "${text}" differs from "${header[field].text}" on row ${header[field].rowNumber} of the same ${noun}.`
+        });
+      }
+    });
+  });
+
+  return header;
+}
+
+/**
+ * Finds which document numbers are already used in QuickBooks, so rows whose
+ * status columns were cleared don't create a second copy.
+ *
+ * @param {string} entity - The transaction entity, e.g. 'Invoice'
+ * @param {Array} docNumbers - The numbers about to be created
+ * @return {Object} Existing Id per number
+ */
+function findExistingDocNumbers(entity, docNumbers) {
+  const existing = {};
+
+  for (let i = 0; i < docNumbers.length; i += 100) {
+    const query = buildQboQuery({
+      entity: entity,
+      select: ['Id', 'DocNumber'],
+      where: [{ field: 'DocNumber', op: 'IN', value: docNumbers.slice(i, i + 100) }]
+    });
+    const queryData = queryAllQuickBooks(query);
+    ((queryData && queryData.QueryResponse && queryData.QueryResponse[entity]) || []).forEach(record => {
+      existing[record.DocNumber] = record.Id;
+    });
+  }
+
+  return existing;
+}
+
+/**
+ * Posts built records one at a time and writes every row's result to the
+ * status columns. Records with problems aren't posted. A failure that would
+ * hit every record stops the run; the rows posted so far keep their Ids and
+ * the error is returned for the caller to raise.
+ *
+ * @param {Object} importData - The result of readImportRows
+ * @param {Object} statusColumns - The result of ensureImportStatusColumns
+ * @param {string} entity - The entity to create, e.g. 'Invoice', unless a document names its own
+ * @param {Array} documents - [{label, rows, record, problems: [{rowNumber, message}], entity}]
+ * @return {Object} {created: [records], failed, problems: ['Row 5: ...'], stopError}
+ */
+function postImportDocuments(importData, statusColumns, entity, documents) {
+  const results = [];
+  const problems = [];
+  const created = [];
+  let stopError = null;
+
+  for (let i = 0; i < documents.length; i++) {
+    const document = documents[i];
+
+    if (document.problems.length > 0) {
+      addImportErrors(document, document.problems, results, problems);
+      continue;
+    }
+
+    try {
+      const documentEntity = document.entity || entity;
+      const record = callQuickBooksApi(documentEntity.toLowerCase(), 'POST', document.record)[documentEntity] || {};
+      created.push(record);
+      document.rows.forEach(row => results.push({
+        rowNumber: row.rowNumber,
+        values: {
+          [QBO_IMPORT_CONFIG.ID_HEADER]: record.Id || '',
+          [QBO_IMPORT_CONFIG.DOC_NUMBER_HEADER]: record.DocNumber || '',
+          [QBO_IMPORT_CONFIG.STATUS_HEADER]: 'Created ' + getTodayDate()
+        }
+      }));
+    } catch (error) {
+      if (!isImportRecordError(error)) {
+        stopError = error;
+        break;
+      }
+      addImportErrors(document, [{ rowNumber: document.rows[0].rowNumber, message: error.message }], results, problems);
+    }
+  }
+
+  writeImportResults(importData.sheet, statusColumns, results);
+
+  return {
+    created: created,
+    failed: documents.length - created.length,
+    problems: problems,
+    stopError: stopError
+  };
+}
+
+/**
+ * Records the problems of a record that wasn't created. Rows without a
+ * problem of their own point at the row that has one.
+ *
+ * @param {Object} document - {label, rows}
+ * @param {Array} rowProblems - [{rowNumber, message}]
+ * @param {Array} results - Row results to add to
+ * @param {Array} problems - Chat problem list to add to
+ */
+function addImportErrors(document, rowProblems, results, problems) {
+  document.rows.forEach(row => {
+    const own = rowProblems.filter(problem => problem.rowNumber === row.rowNumber).map(problem => problem.message);
+    results.push({
+      rowNumber: row.rowNumber,
+      values: {
+        [QBO_IMPORT_CONFIG.STATUS_HEADER]: formatImportError(own.length > 0 ?
+          own.join(' ') :
+          `Not created, ${document.label} has a problem on row ${rowProblems[0].rowNumber}.`)
+      }
+    });
+  });
+
+  rowProblems.forEach(problem => problems.push(`Row ${problem.rowNumber}: ${problem.message}`));
+}
+
+/**
+ * Tells whether a failed write only affects the record being posted. Other
+ * failures (connection, permissions, throttling, outages) would fail every
+ * record, so they stop the import.
+ *
+ * @param {Error} error - The error from callQuickBooksApi
+ * @return {boolean} True if the import can go on with the next record
+ */
+function isImportRecordError(error) {
+  return error instanceof ValidationError || error instanceof NotFound;
+}
+
+/**
+ * Lists import problems for chat, capped at MAX_PROBLEMS.
+ *
+ * @param {Array} problems - Problems as 'Row 5: ...'
+ * @return {string} The list, one problem per line
+ */
+function formatImportProblems(problems) {
+  const shown = problems.slice(0, QBO_IMPORT_CONFIG.MAX_PROBLEMS);
+  const more = problems.length - shown.length;
+  return '- ' + shown.join('\n- ') + (more > 0 ? `\n...and ${more} more.` : '');
+}
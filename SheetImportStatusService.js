@@ -0,0 +1,92 @@
+/**
+ * Sheet Import Status Service
+ * Writes each imported row's result to status columns at the right of the
+ * sheet: the QuickBooks Id and DocNumber it was created as, and a status
+ * message. Rows that already have an Id are skipped by the next run.
+ */
+
+/**
+ * Makes sure the sheet has the given status columns, adding any that are
+ * missing to the right of the last header. Also notes the Id already on each
+ * row (row.existingId).
+ *
+ * @param {Object} importData - The result of readImportRows
+ * @param {Array} statusHeaders - The status headers, e.g. [QBO_IMPORT_CONFIG.ID_HEADER, ...]
+ * @param {boolean} addMissing - False to leave the sheet untouched (previews), so missing columns are left out
+ * @return {Object} The 0-based column per status header
+ */
+function ensureImportStatusColumns(importData, statusHeaders, addMissing = true) {
+  const headers = importData.headers;
+  const columns = {};
+
+  statusHeaders.forEach(header => {
+    let index = headers.indexOf(header);
+    if (index < 0 && !addMissing) {
+      return;
+    }
+    if (index < 0) {
+      index = headers.length;
+      headers.push(header);
+      importData.sheet.getRange(1, index + 1).setValue(header).setFontWeight('bold');
+    }
+    columns[header] = index;
+  });
+
+  // Existing Ids tell us which rows were imported on an earlier run
+  const idColumn = columns[QBO_IMPORT_CONFIG.ID_HEADER];
+  if (idColumn !== undefined && importData.rows.length > 0) {
+    const first = importData.rows[0].rowNumber;
+    const last = importData.rows[importData.rows.length - 1].rowNumber;
+    const ids = importData.sheet.getRange(first, idColumn + 1, last - first + 1, 1).getValues();
+    importData.rows.forEach(row => {
+      row.existingId = String(ids[row.rowNumber - first][0]).trim();
+    });
+  } else {
+    importData.rows.forEach(row => {
+      row.existingId = '';
+    });
+  }
+
+  return columns;
+}
+
+/**
+ * Writes each row's result to the status columns.
+ *
+ * @param {Sheet} sheet - The imported sheet
+ * @param {Object} statusColumns - The result of ensureImportStatusColumns
+ * @param {Array} results - [{rowNumber, values: {header: value}}]
+ */
+function writeImportResults(sheet, statusColumns, results) {
+  if (results.length === 0) {
+    return;
+  }
+
+  const rowNumbers = results.map(result => result.rowNumber);
+  const first = Math.min.apply(null, rowNumbers);
+  const last = Math.max.apply(null, rowNumbers);
+
+  Object.keys(statusColumns).forEach(header => {
+    if (!results.some(result => result.values.hasOwnProperty(header))) {
+      return;
+    }
+    const range = sheet.getRange(first, statusColumns[header] + 1, last - first + 1, 1);
+    const values = range.getValues();
+    results.forEach(result => {
+      if (result.values.hasOwnProperty(header)) {
+        values[result.rowNumber - first][0] = result.values[header];
+      }
+    });
+    range.setValues(values);
+  });
+}
+
+/**
+ * Formats the status of a row that failed.
+ *
+ * @param {string} message - What went wrong
+ * @return {string} e.g. 'Error: "Acme" is not a customer in QuickBooks'
+ */
+function formatImportError(message) {
+  return 'Error: ' + message;
+}
@@ -0,0 +1,163 @@
+/**
+ * Sheet Import Value Service
+ * Reads cell values the way people type them - amounts like "$1,200" or
+ * "(300)", dates as dates or text, true/false as yes/no - and works out which
+ * fields of an existing QuickBooks record a row changes.
+ */
+
+/**
+ * Checks whether a cell is empty.
+ *
+ * @param {*} value - The cell value
+ * @return {boolean} True for '', null, undefined and whitespace
+ */
+function isBlankImportValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Reads a number from a cell: a number, or text like "$1,200.50" or "(300)".
+ *
+ * @param {*} value - The cell value
+ * @return {number} The number, or null if the cell is blank or isn't one
+ */
+function parseImportNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (isBlankImportValue(value)) {
+    return null;
+  }
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[()$,\s]/g, '');
+  if (!/^-?\d*\.?\d+$/.test(text)) {
+    return null;
+  }
+  return negative ? -Number(text) : Number(text);
+}
+
+/**
+ * Reads a date from a cell: a date value, or text like "2024-03-05",
+ * "3/5/2024" or "March 5, 2024".
+ *
+ * @param {*} value - The cell value
+ * @return {string} The date as YYYY-MM-DD, or null if the cell is blank or isn't one
+ */
+function parseImportDate(value) {
+  try {
+    return normalizeDateValue(value, 'start');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads one editable cell. Synced and fetched tabs hold objects such as
+ * PrimaryEmailAddr as JSON, so the part the field edits is taken from those.
+ *
+ * @param {*} value - The cell value
+ * @param {Object} spec - The field, see readImportChanges
+ * @return {*} The value, or null for a boolean or date that isn't one
+ */
+function parseImportFieldValue(value, spec) {
+  let text = String(value).trim();
+
+  if (spec.path.length > 1 && text.charAt(0) === '{') {
+    try {
+      const parsed = JSON.parse(text);
+      text = String(parsed[spec.path[1]] === undefined ? '' : parsed[spec.path[1]]).trim();
+    } catch (error) {
+      // Not JSON after all, use the text as typed
+    }
+  }
+
+  if (spec.type === 'date') {
+    return parseImportDate(value instanceof Date ? value : text);
+  }
+  if (spec.type === 'boolean') {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const lower = text.toLowerCase();
+    if (['true', 'yes', 'y', 'active', '1'].includes(lower)) return true;
+    if (['false', 'no', 'n', 'inactive', '0'].includes(lower)) return false;
+    return null;
+  }
+
+  return text;
+}
+
+/**
+ * Reads the editable cells of a row and keeps the ones that differ from the
+ * record, for a create or a sparse update. Parts of an object field (e.g.
+ * BillAddr.City) are merged into the record's object, so the parts without
+ * a column keep their values. Blank cells are left out.
+ *
+ * @param {Object} values - The row values per field
+ * @param {Object} current - The record, or null for a new one
+ * @param {Object} fields - {field: {path: ['BillAddr', 'City'], type: 'boolean'|'date', entities: ['Customer']}}
+ * @param {string} entity - The entity, for fields only some entities have
+ * @param {Object} labels - The sheet's header per field, for messages
+ * @return {Object} {changes: {QuickBooks field: value}, changed: [sheet headers], problems: [messages]}
+ */
+function readImportChanges(values, current, fields, entity, labels) {
+  const changes = {};
+  const changed = [];
+  const problems = [];
+
+  Object.keys(fields).forEach(field => {
+    const spec = fields[field];
+    if (isBlankImportValue(values[field]) || (spec.entities && !spec.entities.includes(entity))) {
+      return;
+    }
+
+    const value = parseImportFieldValue(values[field], spec);
+    if (value === null) {
+      problems.push(`${labels[field]} "${values[field]}" is not ${spec.type === 'date' ? 'a date' : 'true or false'}.`);
+      return;
+    }
+
+    const path = spec.path;
+    const currentParent = current && path.length > 1 ? current[path[0]] : current;
+    const currentValue = currentParent ? currentParent[path[path.length - 1]] : undefined;
+    if (currentValue !== undefined && currentValue !== null && String(currentValue).trim() === String(value)) {
+      return;
+    }
+
+    if (path.length > 1) {
+      if (!changes[path[0]]) {
+        changes[path[0]] = Object.assign({}, current && current[path[0]]);
+        delete changes[path[0]].Id;
+      }
+      changes[path[0]][path[1]] = value;
+    } else {
+      changes[path[0]] = value;
+    }
+    changed.push(labels[field]);
+  });
+
+  return { changes: changes, changed: changed, problems: problems };
+}
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount
+ * @return {number} The rounded amount
+ */
+function roundImportAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats an amount for messages, e.g. -$1,234.50.
+ *
+ * @param {number} amount - The amount
+ * @return {string} The formatted amount
+ */
+function formatImportCurrency(amount) {
+  const sign = amount < 0 ? '-' : '';
+  return sign + '$' + Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
@@ -0,0 +1,329 @@
+/**
+ * Sync Service
+ * Incremental entity sync into sheets using the QuickBooks Change Data Capture
+ * (cdc) endpoint. The first sync downloads everything; later syncs fetch only
+ * records changed since the last run, upsert them by Id and mark deleted ones.
+ */
+
+// CDC settings
+const QBO_SYNC_CONFIG = {
+  STATUS_HEADER: 'Sync Status',
+  MAX_CDC_AGE_DAYS: 30,        // QBO only keeps change data for 30 days
+  MAX_CDC_RESULTS: 1000,       // CDC returns at most 1000 records per entity
+  CLOCK_SKEW_MS: 60000         // Look back a little further than the last sync
+};
+
+/**
+ * Gets the saved sync state for a sheet.
+ *
+ * @param {string} sheetName - The synced sheet
+ * @return {Object} The state {entity, realmId, lastSyncedAt}, or null if never synced
+ */
+function getSyncState(sheetName) {
+  const stored = PropertiesService.getDocumentProperties().getProperty('QBO_SYNC_' + sheetName);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Saves the sync state for a sheet.
+ *
+ * @param {string} sheetName - The synced sheet
+ * @param {Object} state - The state {entity, realmId, lastSyncedAt}
+ */
+function saveSyncState(sheetName, state) {
+  PropertiesService.getDocumentProperties().setProperty('QBO_SYNC_' + sheetName, JSON.stringify(state));
+}
+
+/**
+ * Syncs a QuickBooks entity into a sheet. Runs a full download the first time
+ * (or when the change data has expired) and an incremental CDC sync after that.
+ *
+ * @param {string} entity - The entity name, e.g. 'Invoice'
+ * @param {string} sheetName - The destination sheet, defaults to the entity name
+ * @return {Object} The response object
+ */
+function syncEntityToSheet(entity, sheetName = entity) {
+  try {
+    const state = getSyncState(sheetName);
+    const realmId = getCompanyId();
+    let reason = '';
+
+    if (!state) {
+      reason = 'first sync';
+    } else if (state.entity !== entity || state.realmId !== realmId) {
+      reason = `sheet was last synced with ${state.entity} from company ${state.realmId}`;
+    } else if (Date.now() - new Date(state.lastSyncedAt).getTime() > QBO_SYNC_CONFIG.MAX_CDC_AGE_DAYS * 86400000) {
+      reason = `last sync is older than ${QBO_SYNC_CONFIG.MAX_CDC_AGE_DAYS} days`;
+    }
+
+    const result = reason ?
+      fullSyncEntity(entity, sheetName, reason) :
+      incrementalSyncEntity(entity, sheetName, state);
+
+    logAction('Entity Sync', `${entity} -> ${sheetName}`, result.message);
+    return result;
+  } catch (error) {
+    console.error('Error in syncEntityToSheet: ' + error.toString());
+    if (error instanceof QboError) {
+      throw error;
+    }
+    return {
+      type: 'error',
+      message: `Failed to sync ${entity} data: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Downloads every record of an entity, rewrites the sheet and starts the
+ * sync clock.
+ *
+ * @param {string} entity - The entity name
+ * @param {string} sheetName - The destination sheet
+ * @param {string} reason - Why a full sync was needed, for the message
+ * @return {Object} The response object
+ */
+function fullSyncEntity(entity, sheetName, reason) {
+  // Take the timestamp before querying so nothing changed mid-download is missed
+  const startedAt = new Date(Date.now() - QBO_SYNC_CONFIG.CLOCK_SKEW_MS);
+  // A cached download could be older than startedAt and miss changes
+  const queryData = withFreshQboData(() => queryAllQuickBooks(buildQboQuery({ entity: entity })));
+  const records = queryData.QueryResponse[entity] || [];
+
+  const headers = [];
+  records.forEach(record => Object.keys(record).forEach(key => {
+    if (!headers.includes(key)) headers.push(key);
+  }));
+  if (!headers.includes('Id')) headers.unshift('Id');
+  headers.push(QBO_SYNC_CONFIG.STATUS_HEADER);
+
+  const rows = records.map(record => recordToSyncRow(record, headers, ''));
+  const writeResult = writeToSheet(sheetName, [headers, ...rows], true);
+  if (!writeResult.success) {
+    throw new Error(writeResult.message);
+  }
+
+  saveSyncState(sheetName, {
+    entity: entity,
+    realmId: getCompanyId(),
+    lastSyncedAt: formatCdcTimestamp(startedAt)
+  });
+
+  let message = `Full sync (${reason}): ${records.length.toLocaleString('en-US')} ${entity} records written to sheet "${sheetName}". ` +
+                'Later syncs will only fetch changes.';
+  if (queryData.QueryResponse.truncated) {
+    message += ` The query hit the page limit: QuickBooks has ${queryData.QueryResponse.totalCount.toLocaleString('en-US')} ` +
+               `${entity} records, so some are missing.`;
+  }
+
+  return {
+    type: 'success',
+    message: message,
+    data: {
+      sheetName: sheetName,
+      totalCount: records.length,
+      mode: 'full'
+    }
+  };
+}
+
+/**
+ * Fetches records changed since the last sync, upserts them by Id and marks
+ * deleted ones. Falls back to a full sync when the sheet no longer has the
+ * synced layout or CDC reports more changes than it can return.
+ *
+ * @param {string} entity - The entity name
+ * @param {string} sheetName - The synced sheet
+ * @param {Object} state - The saved sync state
+ * @return {Object} The response object
+ */
+function incrementalSyncEntity(entity, sheetName, state) {
+  const sheet = getSyncedSheet(sheetName);
+  if (!sheet) {
+    return fullSyncEntity(entity, sheetName, 'sheet is missing or no longer has the synced columns');
+  }
+
+  const startedAt = new Date(Date.now() - QBO_SYNC_CONFIG.CLOCK_SKEW_MS);
+  const changes = getChangedEntities(entity, state.lastSyncedAt);
+  if (changes.length >= QBO_SYNC_CONFIG.MAX_CDC_RESULTS) {
+    return fullSyncEntity(entity, sheetName, `${changes.length} or more changes since the last sync`);
+  }
+
+  const counts = applySyncChanges(sheet, changes);
+
+  saveSyncState(sheetName, {
+    entity: entity,
+    realmId: state.realmId,
+    lastSyncedAt: formatCdcTimestamp(startedAt)
+  });
+
+  return {
+    type: 'success',
+    message: `${entity} sync for sheet "${sheetName}": ${counts.added} added, ${counts.updated} updated, ` +
+             `${counts.deleted} marked deleted since ${state.lastSyncedAt}.`,
+    data: {
+      sheetName: sheetName,
+      added: counts.added,
+      updated: counts.updated,
+      deleted: counts.deleted,
+      mode: 'incremental'
+    }
+  };
+}
+
+/**
+ * Gets a synced sheet if it still has the synced layout (an Id column and
+ * the status column).
+ *
+ * @param {string} sheetName - The synced sheet
+ * @return {Sheet} The sheet, or null if it is missing or was overwritten
+ */
+function getSyncedSheet(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 1) {
+    return null;
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+  return headers.includes('Id') && headers.includes(QBO_SYNC_CONFIG.STATUS_HEADER) ? sheet : null;
+}
+
+/**
+ * Gets every sheet in this spreadsheet that is synced from QuickBooks.
+ *
+ * @return {Array} The synced sheets as {sheetName, entity, realmId, lastSyncedAt}
+ */
+function getSyncedSheets() {
+  const properties = PropertiesService.getDocumentProperties().getProperties();
+
+  return Object.keys(properties)
+    .filter(key => key.indexOf('QBO_SYNC_') === 0)
+    .map(key => Object.assign({ sheetName: key.substring('QBO_SYNC_'.length) }, JSON.parse(properties[key])));
+}
+
+/**
+ * Upserts changed records into a synced sheet by Id and marks deleted ones.
+ *
+ * @param {Sheet} sheet - A sheet with the synced layout
+ * @param {Array} changes - Changed records; deleted ones have status 'Deleted'
+ * @return {Object} Counts of added, updated and deleted rows
+ */
+function applySyncChanges(sheet, changes) {
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0].map(String);
+  const idColumn = headers.indexOf('Id');
+
+  // Changed records can carry fields no earlier record had
+  changes.filter(record => record.status !== 'Deleted').forEach(record => Object.keys(record).forEach(key => {
+    if (!headers.includes(key)) {
+      headers.splice(headers.length - 1, 0, key);
+      values.forEach((row, index) => row.splice(headers.length - 2, 0, index === 0 ? key : ''));
+    }
+  }));
+
+  const statusColumn = headers.indexOf(QBO_SYNC_CONFIG.STATUS_HEADER);
+  const rowById = {};
+  values.forEach((row, index) => {
+    if (index > 0) rowById[String(row[idColumn])] = index;
+  });
+
+  let updated = 0;
+  let added = 0;
+  const deletedRows = [];
+
+  changes.forEach(record => {
+    const rowIndex = rowById[String(record.Id)];
+
+    if (record.status === 'Deleted') {
+      if (rowIndex !== undefined) {
+        values[rowIndex][statusColumn] = getSyncStatus('Deleted', record);
+        deletedRows.push(rowIndex + 1);
+      }
+    } else if (rowIndex !== undefined) {
+      values[rowIndex] = recordToSyncRow(record, headers, getSyncStatus('Updated', record));
+      updated++;
+    } else {
+      rowById[String(record.Id)] = values.length;
+      values.push(recordToSyncRow(record, headers, getSyncStatus('Added', record)));
+      added++;
+    }
+  });
+
+  if (updated + added + deletedRows.length > 0) {
+    sheet.getRange(1, 1, values.length, headers.length).setValues(values);
+
+    // Grey out deleted records instead of leaving them looking current
+    deletedRows.forEach(row => {
+      sheet.getRange(row, 1, 1, headers.length).setFontLine('line-through').setFontColor('#999999');
+    });
+  }
+
+  return {
+    added: added,
+    updated: updated,
+    deleted: deletedRows.length
+  };
+}
+
+/**
+ * Calls the cdc endpoint for one entity.
+ *
+ * @param {string} entity - The entity name
+ * @param {string} changedSince - ISO timestamp of the last sync
+ * @return {Array} Changed records; deleted ones have status 'Deleted'
+ */
+function getChangedEntities(entity, changedSince) {
+  const data = callQuickBooksApi('cdc', 'GET', {
+    entities: entity,
+    changedSince: changedSince
+  });
+
+  const changes = [];
+  (data.CDCResponse || []).forEach(cdcResponse => {
+    (cdcResponse.QueryResponse || []).forEach(queryResponse => {
+      (queryResponse[entity] || []).forEach(record => changes.push(record));
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Flattens a record into a sheet row in header order, the same way
+ * formatDataForSheet renders query results.
+ *
+ * @param {Object} record - The QuickBooks record
+ * @param {Array} headers - The sheet headers, ending with the status column
+ * @param {string} status - Value for the status column
+ * @return {Array} The row
+ */
+function recordToSyncRow(record, headers, status) {
+  return headers.map(header => {
+    if (header === QBO_SYNC_CONFIG.STATUS_HEADER) return status;
+    const value = record[header];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+}
+
+/**
+ * Builds the status column value for a changed record.
+ *
+ * @param {string} change - 'Added', 'Updated' or 'Deleted'
+ * @param {Object} record - The changed record
+ * @return {string} The status, e.g. 'Updated 2024-05-01T06:45:00-07:00'
+ */
+function getSyncStatus(change, record) {
+  const changedAt = record.MetaData && record.MetaData.LastUpdatedTime;
+  return change + ' ' + (changedAt || formatCdcTimestamp(new Date()));
+}
+
+/**
+ * Formats a date the way the cdc changedSince parameter expects.
+ *
+ * @param {Date} date - The date
+ * @return {string} The UTC timestamp, e.g. 2024-05-01T13:45:00Z
+ */
+function formatCdcTimestamp(date) {
+  return Utilities.formatDate(date, 'UTC', "yyyy-MM-dd'T'HH:mm:ss'Z'");
+}
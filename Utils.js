@@ -943,4 +943,17 @@ function formatDataForSheet(data, options = {}) {
   
   // Fall back to simple JSON representation
   return [['Data'], [JSON.stringify(data)]];
-} 
\ No newline at end of file
+} 
+/**
+ * Escapes text for use inside HTML built by hand (&, <, > and ").
+ * 
+ * @param {*} value - The text to escape
+ * @return {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,396 @@
+/**
+ * Webhook Service
+ * Receives Intuit webhook notifications through the web app, verifies their
+ * signature, queues the changed entity IDs, and refreshes the affected rows
+ * in synced sheets from a time-driven worker.
+ *
+ * Apps Script web apps can't read request headers, so the intuit-signature
+ * header has to be forwarded as the "intuit-signature" URL parameter by a
+ * small relay in front of the web app. The relay also answers Intuit with a
+ * plain 200, since web app responses come back as a redirect.
+ */
+
+// Webhook settings
+const QBO_WEBHOOK_CONFIG = {
+  QUEUE_KEY: 'QBO_WEBHOOK_QUEUE',
+  RESYNC_KEY: 'QBO_WEBHOOK_RESYNC', // Realms whose dropped changes need a CDC sync
+  MAX_QUEUE_SIZE: 80,           // ~100 bytes per change keeps the queue under the 9KB property limit
+  MAX_DIRECT_FETCHES: 30,       // More IDs than this per entity use a CDC sync instead
+  MAX_ATTEMPTS: 3,              // Worker runs a failed change is retried for
+  WORKER_FUNCTION: 'processWebhookQueue',
+  WORKER_INTERVAL_MINUTES: 5
+};
+
+/**
+ * Web app entry point for Intuit webhook notifications.
+ *
+ * @param {Object} e - The web app event
+ * @return {TextOutput} JSON status
+ */
+function doPost(e) {
+  const payload = e && e.postData ? e.postData.contents : '';
+  const signature = e && e.parameter ? (e.parameter['intuit-signature'] || e.parameter.signature) : '';
+
+  if (!verifyWebhookSignature(payload, signature)) {
+    logAction('Webhook', 'Rejected notification', 'Signature missing or invalid');
+    return createWebhookResponse({ status: 'rejected' });
+  }
+
+  try {
+    const events = parseWebhookPayload(payload);
+    queueWebhookEvents(events);
+    logAction('Webhook', 'Queued notification', events.length + ' entity changes');
+    return createWebhookResponse({ status: 'queued', count: events.length });
+  } catch (error) {
+    logAction('Webhook', 'Failed to queue notification', error.toString());
+    return createWebhookResponse({ status: 'error' });
+  }
+}
+
+/**
+ * Builds the JSON response for the webhook relay.
+ *
+ * @param {Object} body - The response body
+ * @return {TextOutput} The JSON output
+ */
+function createWebhookResponse(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Verifies the intuit-signature of a webhook payload: the base64 encoded
+ * HMAC-SHA256 of the raw body, keyed with the app's verifier token.
+ *
+ * @param {string} payload - The raw request body
+ * @param {string} signature - The intuit-signature value
+ * @param {string} verifierToken - The verifier token, defaults to the saved one
+ * @return {boolean} True if the signature matches
+ */
+function verifyWebhookSignature(payload, signature, verifierToken = getWebhookVerifierToken()) {
+  if (!payload || !signature || !verifierToken) {
+    return false;
+  }
+
+  const expected = Utilities.base64Encode(Utilities.computeHmacSha256Signature(payload, verifierToken));
+  const actual = String(signature).trim();
+
+  // Compare every character so timing doesn't reveal how much matched
+  if (expected.length !== actual.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Gets the webhook verifier token from script properties.
+ *
+ * @return {string} The verifier token, or '' if not set
+ */
+function getWebhookVerifierToken() {
+  return PropertiesService.getScriptProperties().getProperty('QBO_WEBHOOK_VERIFIER_TOKEN') || '';
+}
+
+/**
+ * Extracts the changed entities from a webhook payload. Handles the classic
+ * eventNotifications format and the CloudEvents array format.
+ *
+ * @param {string} payload - The raw request body
+ * @return {Array} Changes as {realmId, entity, id, operation}
+ */
+function parseWebhookPayload(payload) {
+  const data = JSON.parse(payload);
+  const events = [];
+
+  if (Array.isArray(data)) {
+    // CloudEvents: type looks like "qbo.invoice.updated.v1"
+    data.forEach(event => {
+      const typeParts = String(event.type || '').split('.');
+      if (typeParts.length >= 3 && event.intuitentityid) {
+        events.push({
+          realmId: String(event.intuitaccountid),
+          entity: normalizeWebhookEntityName(typeParts[1]),
+          id: String(event.intuitentityid),
+          operation: normalizeWebhookOperation(typeParts[2])
+        });
+      }
+    });
+    return events;
+  }
+
+  (data.eventNotifications || []).forEach(notification => {
+    const entities = notification.dataChangeEvent ? notification.dataChangeEvent.entities || [] : [];
+    entities.forEach(entity => {
+      events.push({
+        realmId: String(notification.realmId),
+        entity: normalizeWebhookEntityName(entity.name),
+        id: String(entity.id),
+        operation: entity.operation
+      });
+
+      // A merge removes the record that was merged away
+      if (entity.operation === 'Merge' && entity.deletedId) {
+        events.push({
+          realmId: String(notification.realmId),
+          entity: normalizeWebhookEntityName(entity.name),
+          id: String(entity.deletedId),
+          operation: 'Delete'
+        });
+      }
+    });
+  });
+
+  return events;
+}
+
+/**
+ * Maps a webhook entity name to the name used by the API and synced sheets,
+ * e.g. 'invoice' or 'journalentry' to 'Invoice' or 'JournalEntry'.
+ *
+ * @param {string} name - The entity name from the notification
+ * @return {string} The API entity name
+ */
+function normalizeWebhookEntityName(name) {
+  const knownEntities = ['Account', 'Bill', 'BillPayment', 'Budget', 'Class', 'CreditMemo', 'Customer',
+                         'Department', 'Deposit', 'Employee', 'Estimate', 'Invoice', 'Item', 'JournalEntry',
+                         'Payment', 'PaymentMethod', 'Purchase', 'PurchaseOrder', 'RefundReceipt',
+                         'SalesReceipt', 'TimeActivity', 'Transfer', 'Vendor', 'VendorCredit'];
+  const match = knownEntities.find(entity => entity.toLowerCase() === String(name).toLowerCase());
+  return match || name;
+}
+
+/**
+ * Maps a CloudEvents operation ('created', 'deleted', ...) to the classic
+ * operation names ('Create', 'Delete', ...).
+ *
+ * @param {string} operation - The operation from the event type
+ * @return {string} The classic operation name
+ */
+function normalizeWebhookOperation(operation) {
+  const operations = {
+    created: 'Create',
+    updated: 'Update',
+    deleted: 'Delete',
+    merged: 'Merge',
+    voided: 'Void',
+    emailed: 'Emailed'
+  };
+  return operations[String(operation).toLowerCase()] || operation;
+}
+
+/**
+ * Adds changes to the webhook queue. Only the latest operation per record is
+ * kept, and the queue is capped so it fits in a script property. When changes
+ * are dropped, their realms are marked so the worker runs a CDC sync for them.
+ *
+ * @param {Array} events - Changes as {realmId, entity, id, operation}
+ */
+function queueWebhookEvents(events) {
+  if (events.length === 0) {
+    return;
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const queue = JSON.parse(scriptProperties.getProperty(QBO_WEBHOOK_CONFIG.QUEUE_KEY) || '[]');
+
+    events.forEach(event => {
+      const existing = queue.findIndex(item => item.realmId === event.realmId &&
+                                               item.entity === event.entity && item.id === event.id);
+      if (existing !== -1) {
+        queue.splice(existing, 1);
+      }
+      queue.push(event);
+    });
+
+    if (queue.length > QBO_WEBHOOK_CONFIG.MAX_QUEUE_SIZE) {
+      const dropped = queue.splice(0, queue.length - QBO_WEBHOOK_CONFIG.MAX_QUEUE_SIZE);
+      const realmIds = addWebhookResyncRealms(dropped.map(event => event.realmId));
+      logAction('Webhook', 'Queue full', `${dropped.length} oldest changes dropped; resyncing ${realmIds.join(', ')}`);
+    }
+
+    scriptProperties.setProperty(QBO_WEBHOOK_CONFIG.QUEUE_KEY, JSON.stringify(queue));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Takes every queued change, and the realms marked for a resync, off the queue.
+ *
+ * @return {Object} {queue: changes as {realmId, entity, id, operation}, resyncRealms: realm IDs}
+ */
+function takeWebhookQueue() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const queue = JSON.parse(scriptProperties.getProperty(QBO_WEBHOOK_CONFIG.QUEUE_KEY) || '[]');
+    const resyncRealms = JSON.parse(scriptProperties.getProperty(QBO_WEBHOOK_CONFIG.RESYNC_KEY) || '[]');
+    scriptProperties.deleteProperty(QBO_WEBHOOK_CONFIG.QUEUE_KEY);
+    scriptProperties.deleteProperty(QBO_WEBHOOK_CONFIG.RESYNC_KEY);
+    return { queue: queue, resyncRealms: resyncRealms };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Marks realms for a CDC sync on the next worker run. The caller holds the
+ * script lock.
+ *
+ * @param {Array} realmIds - The realm IDs
+ * @return {Array} Every realm now marked
+ */
+function addWebhookResyncRealms(realmIds) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const resyncRealms = JSON.parse(scriptProperties.getProperty(QBO_WEBHOOK_CONFIG.RESYNC_KEY) || '[]');
+  realmIds.forEach(realmId => {
+    if (!resyncRealms.includes(realmId)) resyncRealms.push(realmId);
+  });
+  scriptProperties.setProperty(QBO_WEBHOOK_CONFIG.RESYNC_KEY, JSON.stringify(resyncRealms));
+  return resyncRealms;
+}
+
+/**
+ * Time-driven worker: runs a CDC sync of every synced sheet in realms that
+ * dropped changes, then refreshes the rows of queued changes in every synced
+ * sheet for the same company and entity.
+ */
+function processWebhookQueue() {
+  const { queue, resyncRealms } = takeWebhookQueue();
+  if (queue.length === 0 && resyncRealms.length === 0) {
+    return;
+  }
+
+  const syncedSheets = getSyncedSheets();
+
+  // A CDC sync picks up the queued changes too, so those realms are done after it
+  resyncRealms.forEach(realmId => {
+    try {
+      withQboRealm(realmId, () => {
+        syncedSheets
+          .filter(state => state.realmId === realmId)
+          .forEach(state => syncEntityToSheet(state.entity, state.sheetName));
+      });
+      logAction('Webhook Refresh', `Realm ${realmId}`, 'Resynced after dropped changes');
+    } catch (error) {
+      logAction('Webhook Refresh', `Resync of realm ${realmId}`, 'Failed: ' + error.toString());
+      const lock = LockService.getScriptLock();
+      lock.waitLock(10000);
+      try {
+        addWebhookResyncRealms([realmId]);
+      } finally {
+        lock.releaseLock();
+      }
+    }
+  });
+
+  // Group the changed IDs by company and entity
+  const groups = {};
+  queue.filter(event => !resyncRealms.includes(event.realmId)).forEach(event => {
+    const key = event.realmId + '|' + event.entity;
+    groups[key] = groups[key] || { realmId: event.realmId, entity: event.entity, events: [] };
+    groups[key].events.push(event);
+  });
+
+  Object.keys(groups).forEach(key => {
+    const group = groups[key];
+    const sheets = syncedSheets.filter(state => state.realmId === group.realmId && state.entity === group.entity);
+    if (sheets.length === 0) {
+      return;
+    }
+
+    try {
+      withQboRealm(group.realmId, () => {
+        // Lots of changes are cheaper to pick up with one CDC call
+        if (group.events.length > QBO_WEBHOOK_CONFIG.MAX_DIRECT_FETCHES) {
+          sheets.forEach(state => syncEntityToSheet(state.entity, state.sheetName));
+          return;
+        }
+
+        const changes = group.events.map(event => fetchWebhookChange(event));
+        sheets.forEach(state => {
+          const sheet = getSyncedSheet(state.sheetName);
+          if (sheet) {
+            const counts = applySyncChanges(sheet, changes);
+            logAction('Webhook Refresh', `${group.entity} -> ${state.sheetName}`,
+                      `${counts.added} added, ${counts.updated} updated, ${counts.deleted} marked deleted`);
+          }
+        });
+      });
+    } catch (error) {
+      // Put the changes back so the next run tries again, up to a limit
+      logAction('Webhook Refresh', `${group.entity} for realm ${group.realmId}`, 'Failed: ' + error.toString());
+      queueWebhookEvents(group.events
+        .map(event => Object.assign({}, event, { attempts: (event.attempts || 0) + 1 }))
+        .filter(event => event.attempts < QBO_WEBHOOK_CONFIG.MAX_ATTEMPTS));
+    }
+  });
+}
+
+/**
+ * Reads the current version of a changed record, or builds a deletion marker.
+ *
+ * @param {Object} event - A queued change
+ * @return {Object} The record, with status 'Deleted' for deleted records
+ */
+function fetchWebhookChange(event) {
+  if (event.operation === 'Delete') {
+    return { Id: event.id, status: 'Deleted' };
+  }
+
+  const data = callQuickBooksApi(event.entity.toLowerCase() + '/' + event.id);
+  return data[event.entity];
+}
+
+/**
+ * Saves the webhook verifier token and installs the queue worker trigger.
+ *
+ * @param {string} verifierToken - The verifier token from the Intuit developer portal
+ * @return {Object} Success status
+ */
+function saveWebhookSettings(verifierToken) {
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+
+    if (!verifierToken) {
+      scriptProperties.deleteProperty('QBO_WEBHOOK_VERIFIER_TOKEN');
+      return { success: true };
+    }
+
+    scriptProperties.setProperty('QBO_WEBHOOK_VERIFIER_TOKEN', verifierToken);
+    installWebhookWorker();
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Installs the time-driven trigger for the queue worker if it isn't installed yet.
+ * The trigger runs as the user who installs it, so install it from the account
+ * that connected QuickBooks.
+ */
+function installWebhookWorker() {
+  const installed = ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getHandlerFunction() === QBO_WEBHOOK_CONFIG.WORKER_FUNCTION);
+
+  if (!installed) {
+    ScriptApp.newTrigger(QBO_WEBHOOK_CONFIG.WORKER_FUNCTION)
+      .timeBased()
+      .everyMinutes(QBO_WEBHOOK_CONFIG.WORKER_INTERVAL_MINUTES)
+      .create();
+    logAction('Webhook', 'Worker installed', `Runs every ${QBO_WEBHOOK_CONFIG.WORKER_INTERVAL_MINUTES} minutes`);
+  }
+}
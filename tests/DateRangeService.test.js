@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript, plain } = require('./helpers/loadAppsScript');
+
+// A Wednesday; the week around it runs Sunday 2024-10-13 to Saturday 2024-10-19
+const TODAY = '2024-10-16';
+
+/**
+ * Loads the date services for a company whose fiscal year starts in the given month.
+ *
+ * @param {string} fiscalStartMonth - The FiscalYearStartMonth CompanyInfo sends, e.g. 'July'
+ * @return {Object} The script context
+ */
+function loadDateServices(fiscalStartMonth = 'January') {
+  return loadAppsScript(['DateRangeService.js', 'CalendarService.js', 'FiscalYearService.js'], {
+    // Noon in New York on TODAY, so getTodayDate() agrees with the pinned date
+    now: Date.parse(TODAY + 'T16:00:00Z'),
+    globals: {
+      getCompanyId: () => '4620816365272049',
+      getCompanyInfo: () => ({ FiscalYearStartMonth: fiscalStartMonth })
+    }
+  });
+}
+
+/**
+ * Runs parseDateRange for each case and compares the whole result.
+ *
+ * @param {Object} gs - The script context
+ * @param {Array} cases - [query, expected range or null]
+ */
+function assertRanges(gs, cases) {
+  cases.forEach(([query, expected]) => {
+    assert.deepStrictEqual(plain(gs.parseDateRange(query, TODAY)), expected, query);
+  });
+}
+
+test('getTodayDate reads the pinned clock in the script time zone', () => {
+  assert.strictEqual(loadDateServices().getTodayDate(), TODAY);
+});
+
+test('quarters with a year', () => {
+  assertRanges(loadDateServices(), [
+    ['P&L for Q2 2024', { startDate: '2024-04-01', endDate: '2024-06-30' }],
+    ['sales in Q4 2023', { startDate: '2023-10-01', endDate: '2023-12-31' }],
+    ['q1 2024 balance sheet', { startDate: '2024-01-01', endDate: '2024-03-31' }]
+  ]);
+});
+
+test('quarters follow the fiscal year start', () => {
+  // With a July start, FY24 runs 2023-07-01 to 2024-06-30
+  assertRanges(loadDateServices('July'), [
+    ['P&L for Q2 2024', { startDate: '2023-10-01', endDate: '2023-12-31' }],
+    ['P&L for Q4 2024', { startDate: '2024-04-01', endDate: '2024-06-30' }]
+  ]);
+});
+
+test('trailing months are whole months ending with the last complete one', () => {
+  assertRanges(loadDateServices(), [
+    ['trailing 12 months', { startDate: '2023-10-01', endDate: '2024-09-30' }],
+    ['P&L TTM', { startDate: '2023-10-01', endDate: '2024-09-30' }],
+    ['trailing twelve months of expenses', { startDate: '2023-10-01', endDate: '2024-09-30' }],
+    ['last three months', { startDate: '2024-07-01', endDate: '2024-09-30' }],
+    ['past 2 years', { startDate: '2022-01-01', endDate: '2023-12-31' }]
+  ]);
+});
+
+test('last N days and weeks end today', () => {
+  assertRanges(loadDateServices(), [
+    ['last 90 days', { startDate: '2024-07-19', endDate: TODAY }],
+    ['invoices from the past 7 days', { startDate: '2024-10-10', endDate: TODAY }],
+    ['last 1 day', { startDate: TODAY, endDate: TODAY }],
+    ['last 2 weeks', { startDate: '2024-10-03', endDate: TODAY }]
+  ]);
+});
+
+test('since runs to today, and a date later this year means last year\'s', () => {
+  assertRanges(loadDateServices(), [
+    ['since March', { startDate: '2024-03-01', endDate: TODAY }],
+    ['sales since Oct 1', { startDate: '2024-10-01', endDate: TODAY }],
+    ['since November', { startDate: '2023-11-01', endDate: TODAY }],
+    ['since Dec 5', { startDate: '2023-12-05', endDate: TODAY }],
+    ['since March 2022', { startDate: '2022-03-01', endDate: TODAY }]
+  ]);
+});
+
+test('between and from ... to', () => {
+  assertRanges(loadDateServices(), [
+    ['between Jan 5 and Feb 10', { startDate: '2024-01-05', endDate: '2024-02-10' }],
+    ['between Jan 5 and Feb 10 for class Retail', { startDate: '2024-01-05', endDate: '2024-02-10' }],
+    ['between Dec 5 and Jan 10', { startDate: '2023-12-05', endDate: '2024-01-10' }],
+    ['from March to May 2023', { startDate: '2023-03-01', endDate: '2023-05-31' }],
+    ['between 2/10/2024 and 1/5/2024', { startDate: '2024-01-05', endDate: '2024-02-10' }],
+    ['2024-01-01 to 2024-03-31', { startDate: '2024-01-01', endDate: '2024-03-31' }]
+  ]);
+});
+
+test('week ranges run Sunday to Saturday', () => {
+  assertRanges(loadDateServices(), [
+    ['this week', { startDate: '2024-10-13', endDate: TODAY }],
+    ['week to date', { startDate: '2024-10-13', endDate: TODAY }],
+    ['last week', { startDate: '2024-10-06', endDate: '2024-10-12' }],
+    ['week of March 5 2024', { startDate: '2024-03-03', endDate: '2024-03-09' }],
+    ['week of Oct 13', { startDate: '2024-10-13', endDate: '2024-10-19' }]
+  ]);
+});
+
+test('as of ends on the date and starts with its fiscal year', () => {
+  assertRanges(loadDateServices(), [
+    ['balance sheet as of March 31', { startDate: '2024-01-01', endDate: '2024-03-31', asOfDate: '2024-03-31' }],
+    ['as of 2023-06-30', { startDate: '2023-01-01', endDate: '2023-06-30', asOfDate: '2023-06-30' }],
+    ['as of today', { startDate: '2024-01-01', endDate: TODAY, asOfDate: TODAY }]
+  ]);
+  assertRanges(loadDateServices('July'), [
+    ['balance sheet as of March 31', { startDate: '2023-07-01', endDate: '2024-03-31', asOfDate: '2024-03-31' }],
+    ['as of Sept 30, 2024', { startDate: '2024-07-01', endDate: '2024-09-30', asOfDate: '2024-09-30' }]
+  ]);
+});
+
+test('months, years and single days', () => {
+  assertRanges(loadDateServices(), [
+    ['March 2024', { startDate: '2024-03-01', endDate: '2024-03-31' }],
+    ['P&L for February 2024', { startDate: '2024-02-01', endDate: '2024-02-29' }],
+    ['for November', { startDate: '2023-11-01', endDate: '2023-11-30' }],
+    ['last month', { startDate: '2024-09-01', endDate: '2024-09-30' }],
+    ['2023', { startDate: '2023-01-01', endDate: '2023-12-31' }],
+    ['yesterday', { startDate: '2024-10-15', endDate: '2024-10-15' }],
+    ['invoices', null]
+  ]);
+});
+
+test('getRelativeDateRange', () => {
+  const gs = loadDateServices();
+  const cases = [
+    [[90, 'day', TODAY], { startDate: '2024-07-19', endDate: TODAY }],
+    [[1, 'week', TODAY], { startDate: '2024-10-10', endDate: TODAY }],
+    [[12, 'month', TODAY], { startDate: '2023-10-01', endDate: '2024-09-30' }],
+    [[12, 'month', '2024-01-15'], { startDate: '2023-01-01', endDate: '2023-12-31' }],
+    [[3, 'month', '2024-03-31'], { startDate: '2023-12-01', endDate: '2024-02-29' }],
+    [[1, 'year', TODAY], { startDate: '2023-01-01', endDate: '2023-12-31' }]
+  ];
+
+  cases.forEach(([args, expected]) => {
+    assert.deepStrictEqual(plain(gs.getRelativeDateRange(...args)), expected, args.join(' '));
+  });
+});
+
+test('matchDatePrefix reads the longest date at the start of the text', () => {
+  const gs = loadDateServices();
+  const cases = [
+    [['Feb 10 for class Retail', 'end'], '2024-02-10'],
+    [['March for Acme', 'start'], '2024-03-01'],
+    [['March for Acme', 'end'], '2024-03-31'],
+    [['5 March 2023 and after', 'start'], '2023-03-05'],
+    [['2024 by month', 'end'], '2024-12-31'],
+    [['today please', 'end'], TODAY],
+    [['30 Feb', 'start'], null],
+    [['the end of the quarter', 'end'], null]
+  ];
+
+  cases.forEach(([[text, edge], expected]) => {
+    assert.strictEqual(gs.matchDatePrefix(text, TODAY, edge), expected, `${text} (${edge})`);
+  });
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript, plain } = require('./helpers/loadAppsScript');
+
+const LISTS = {
+  accounts: [
+    { Id: '35', Name: 'Checking', FullyQualifiedName: 'Checking', AcctNum: '1000' },
+    { Id: '7', Name: 'Rent', FullyQualifiedName: 'Expenses:Rent', AcctNum: '6100' },
+    { Id: '8', Name: 'Utilities', FullyQualifiedName: 'Expenses:Utilities' }
+  ],
+  classes: [],
+  locations: []
+};
+
+/**
+ * Loads the journal import with the sheet import helpers it uses.
+ *
+ * @return {Object} The script context
+ */
+function loadJournalImport() {
+  return loadAppsScript(['JournalImportService.js', 'SheetImportService.js', 'SheetImportValueService.js',
+                         'DateRangeService.js', 'CalendarService.js'], {
+    now: Date.parse('2024-10-16T16:00:00Z')
+  });
+}
+
+/**
+ * Builds sheet rows as readImportRows returns them, starting at row 2.
+ *
+ * @param {Array} lines - [entryNumber, account, debit, credit]
+ * @return {Array} [{rowNumber, values}]
+ */
+function journalRows(lines) {
+  return lines.map(([entryNumber, account, debit, credit], i) => ({
+    rowNumber: i + 2,
+    values: { entryNumber: entryNumber, date: i === 0 ? '2024-03-31' : '', account: account, debit: debit, credit: credit }
+  }));
+}
+
+/**
+ * Groups the rows and builds every entry.
+ *
+ * @param {Object} gs - The script context
+ * @param {Array} lines - [entryNumber, account, debit, credit]
+ * @return {Array} {entryNumber, rows, journalEntry, problems} per entry
+ */
+function buildEntries(gs, lines) {
+  return gs.groupJournalImportRows(journalRows(lines)).map(entry =>
+    Object.assign({ entryNumber: entry.entryNumber, rows: entry.rows.map(row => row.rowNumber) },
+                  plain(gs.buildImportJournalEntry(entry, LISTS, {}))));
+}
+
+test('a balanced entry builds one line per row', () => {
+  const gs = loadJournalImport();
+  const [entry] = buildEntries(gs, [
+    ['JE-1', 'Rent', 1200, ''],
+    ['JE-1', '1000', '', '1,200.00']
+  ]);
+
+  assert.deepStrictEqual(entry.problems, []);
+  assert.deepStrictEqual(entry.journalEntry, {
+    Line: [
+      { DetailType: 'JournalEntryLineDetail', Amount: 1200,
+        JournalEntryLineDetail: { PostingType: 'Debit', AccountRef: { value: '7', name: 'Expenses:Rent' } } },
+      { DetailType: 'JournalEntryLineDetail', Amount: 1200,
+        JournalEntryLineDetail: { PostingType: 'Credit', AccountRef: { value: '35', name: 'Checking' } } }
+    ],
+    DocNumber: 'JE-1',
+    TxnDate: '2024-03-31'
+  });
+});
+
+test('an entry whose debits and credits differ is refused', () => {
+  const gs = loadJournalImport();
+  const [entry] = buildEntries(gs, [
+    ['JE-2', 'Rent', 1200, ''],
+    ['JE-2', 'Utilities', 80, ''],
+    ['JE-2', 'Checking', '', 1250]
+  ]);
+
+  assert.deepStrictEqual(entry.problems, [{
+    rowNumber: 2,
+    message: 'Journal entry JE-2 doesn\'t balance: debits $1,280.00, credits $1,250.00 (off by $30.00).'
+  }]);
+});
+
+test('totals are compared in cents', () => {
+  const gs = loadJournalImport();
+  const [balanced, offByACent] = buildEntries(gs, [
+    // 0.1 + 0.2 is 0.30000000000000004 in floating point
+    ['JE-3', 'Rent', 0.1, ''],
+    ['JE-3', 'Utilities', 0.2, ''],
+    ['JE-3', 'Checking', '', 0.3],
+    ['JE-4', 'Rent', 10.01, ''],
+    ['JE-4', 'Checking', '', 10]
+  ]);
+
+  assert.deepStrictEqual(balanced.problems, []);
+  assert.deepStrictEqual(offByACent.problems.map(problem => problem.message),
+                         ['Journal entry JE-4 doesn\'t balance: debits $10.01, credits $10.00 (off by $0.01).']);
+});
+
+test('rows without a number continue the entry above, and a repeated number rejoins its entry', () => {
+  const gs = loadJournalImport();
+  const entries = buildEntries(gs, [
+    ['JE-5', 'Rent', 500, ''],
+    ['', 'Checking', '', 500],
+    ['JE-6', 'Utilities', 75, ''],
+    ['JE-5', 'Utilities', 20, ''],
+    ['', 'Checking', '', 20],
+    ['JE-6', 'Checking', '', 75]
+  ]);
+
+  assert.deepStrictEqual(plain(entries.map(entry => [entry.entryNumber, entry.rows])), [
+    ['JE-5', [2, 3, 5, 6]],
+    ['JE-6', [4, 7]]
+  ]);
+  entries.forEach(entry => assert.deepStrictEqual(entry.problems, [], entry.entryNumber));
+});
+
+test('rows before any number make an unnumbered entry', () => {
+  const gs = loadJournalImport();
+  const [entry] = buildEntries(gs, [
+    ['', 'Rent', 40, ''],
+    ['', 'Checking', '', 45]
+  ]);
+
+  assert.strictEqual(entry.entryNumber, '');
+  assert.strictEqual(entry.journalEntry.DocNumber, undefined);
+  assert.deepStrictEqual(entry.problems.map(problem => problem.message),
+                         ['The journal entry doesn\'t balance: debits $40.00, credits $45.00 (off by $5.00).']);
+});
+
+test('a row with both a debit and a credit, or neither, is refused', () => {
+  const gs = loadJournalImport();
+  const [entry] = buildEntries(gs, [
+    ['JE-7', 'Rent', 100, 100],
+    ['JE-7', 'Utilities', '', ''],
+    ['JE-7', 'Checking', 0, '']
+  ]);
+
+  assert.deepStrictEqual(entry.problems, [
+    { rowNumber: 2, message: 'Has both a debit and a credit. Put them on separate lines.' },
+    { rowNumber: 3, message: 'No debit or credit.' },
+    { rowNumber: 4, message: 'No debit or credit.' }
+  ]);
+  assert.deepStrictEqual(entry.journalEntry.Line, []);
+});
+
+test('negative amounts are refused with the side to use instead', () => {
+  const gs = loadJournalImport();
+  const [entry] = buildEntries(gs, [
+    ['JE-8', 'Rent', -250, ''],
+    ['JE-8', 'Checking', '', '(250.00)']
+  ]);
+
+  assert.deepStrictEqual(entry.problems.map(problem => problem.rowNumber + ': ' + problem.message), [
+    '2: Debit -$250.00 is negative. Enter it as a credit instead.',
+    '3: Credit -$250.00 is negative. Enter it as a debit instead.'
+  ]);
+});
+
+test('unknown accounts and amounts that aren\'t numbers are refused', () => {
+  const gs = loadJournalImport();
+  const [entry] = buildEntries(gs, [
+    ['JE-9', 'Office Supplies', 60, ''],
+    ['JE-9', 'Checking', '', 'sixty']
+  ]);
+
+  assert.deepStrictEqual(entry.problems.map(problem => problem.rowNumber + ': ' + problem.message), [
+    '2: "Office Supplies" is not an account in QuickBooks.',
+    '3: Credit "sixty" is not an amount.',
+    '2: Journal entry JE-9 doesn\'t balance: debits $60.00, credits $0.00 (off by $60.00).'
+  ]);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript } = require('./helpers/loadAppsScript');
+
+/**
+ * Loads the query builder.
+ *
+ * @return {Object} The script context
+ */
+function loadQueryBuilder() {
+  return loadAppsScript(['QueryBuilderService.js']);
+}
+
+/**
+ * Builds a Customer query filtered on DisplayName.
+ *
+ * @param {Object} gs - The script context
+ * @param {string} op - The operator
+ * @param {*} value - The value
+ * @return {string} The query string
+ */
+function customerQuery(gs, op, value) {
+  return gs.buildQboQuery({ entity: 'Customer', where: [{ field: 'DisplayName', op: op, value: value }] });
+}
+
+test('string literals escape apostrophes and backslashes', () => {
+  const gs = loadQueryBuilder();
+  const cases = [
+    ["O'Brien Supply", "'O\\'Brien Supply'"],
+    ['Acme \\', "'Acme \\\\'"],
+    ["C:\\Jobs\\O'Neil's", "'C:\\\\Jobs\\\\O\\'Neil\\'s'"],
+    ["\\'", "'\\\\\\''"],
+    ['Plain Name', "'Plain Name'"]
+  ];
+
+  cases.forEach(([value, literal]) => {
+    assert.strictEqual(customerQuery(gs, '=', value), 'SELECT * FROM Customer WHERE DisplayName = ' + literal, value);
+  });
+});
+
+test('numbers, booleans and dates are written as literals', () => {
+  const gs = loadQueryBuilder();
+
+  assert.strictEqual(gs.buildQboQuery({ entity: 'Invoice', where: [
+    { field: 'TotalAmt', op: '>', value: 1250.5 },
+    { field: 'TxnDate', op: '>=', value: new gs.Date(2024, 0, 15, 12) }
+  ] }), "SELECT * FROM Invoice WHERE TotalAmt > 1250.5 AND TxnDate >= '2024-01-15'");
+  assert.strictEqual(gs.buildQboQuery({ entity: 'Customer', where: [{ field: 'Active', value: false }] }),
+                     'SELECT * FROM Customer WHERE Active = false');
+
+  assert.throws(() => customerQuery(gs, '=', null), /cannot be empty/);
+  assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', where: [{ field: 'TotalAmt', op: '>', value: NaN }] }),
+                /finite numbers/);
+});
+
+test('IN lists and LIKE patterns', () => {
+  const gs = loadQueryBuilder();
+
+  assert.strictEqual(gs.buildQboQuery({ entity: 'Invoice', where: [{ field: 'DocNumber', op: 'in', value: ['1001', "10'02"] }] }),
+                     "SELECT * FROM Invoice WHERE DocNumber IN ('1001', '10\\'02')");
+  assert.strictEqual(gs.buildQboQuery({ entity: 'Invoice', where: [{ field: 'Id', op: 'IN', value: [146, 148] }] }),
+                     'SELECT * FROM Invoice WHERE Id IN (146, 148)');
+  assert.strictEqual(customerQuery(gs, 'LIKE', "O'Br%"), "SELECT * FROM Customer WHERE DisplayName LIKE 'O\\'Br%'");
+
+  assert.throws(() => customerQuery(gs, 'IN', []), /non-empty list/);
+  assert.throws(() => customerQuery(gs, 'IN', 'Acme'), /non-empty list/);
+  assert.throws(() => customerQuery(gs, 'LIKE', 5), /text pattern/);
+  assert.throws(() => customerQuery(gs, '!=', 'Acme'), /not supported/);
+});
+
+test('fields must exist on the entity, and be filterable in WHERE and ORDERBY', () => {
+  const gs = loadQueryBuilder();
+
+  assert.strictEqual(gs.buildQboQuery({ entity: 'Invoice', select: ['Id', 'DocNumber', 'TotalAmt'] }),
+                     'SELECT Id, DocNumber, TotalAmt FROM Invoice');
+  assert.strictEqual(gs.buildQboQuery({ entity: 'Invoice', select: 'count' }), 'SELECT COUNT(*) FROM Invoice');
+
+  assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', select: ['Revenue'] }), /"Revenue" is not a field on Invoice/);
+  assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', select: ['DocNumber FROM Bill --'] }), /is not a field/);
+  // Line can be selected but not filtered on
+  assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', where: [{ field: 'Line', value: 'x' }] }),
+                /"Line" is not a filterable field on Invoice/);
+  assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', orderBy: 'PrivateNote' }), /not a filterable field/);
+});
+
+test('entities must be real QuickBooks entities', () => {
+  const gs = loadQueryBuilder();
+
+  assert.strictEqual(gs.buildQboQuery({ entity: 'TaxCode' }), 'SELECT * FROM TaxCode');
+  assert.strictEqual(gs.buildQboQuery({ entity: 'TaxCode', where: [{ field: 'Id', value: '3' }] }),
+                     "SELECT * FROM TaxCode WHERE Id = '3'");
+  assert.throws(() => gs.buildQboQuery({ entity: 'TaxCode', select: ['Name'] }), /not a field on TaxCode/);
+
+  ['Revenue', 'Invoices', 'invoice', 'Invoice; DELETE', 'hasOwnProperty', '', undefined].forEach(entity => {
+    assert.throws(() => gs.buildQboQuery({ entity: entity }), /is not a QuickBooks entity/, String(entity));
+  });
+});
+
+test('ORDERBY and paging', () => {
+  const gs = loadQueryBuilder();
+
+  assert.strictEqual(gs.buildQboQuery({
+    entity: 'Invoice',
+    select: ['Id', 'TxnDate'],
+    orderBy: [{ field: 'TxnDate', direction: 'desc' }, 'DocNumber'],
+    startPosition: 101,
+    maxResults: 100
+  }), 'SELECT Id, TxnDate FROM Invoice ORDERBY TxnDate DESC, DocNumber ASC STARTPOSITION 101 MAXRESULTS 100');
+  assert.strictEqual(gs.buildTxnDateQuery('Bill', null, '2024-01-01', '2024-03-31', { orderBy: 'TxnDate DESC' }),
+                     "SELECT * FROM Bill WHERE TxnDate >= '2024-01-01' AND TxnDate <= '2024-03-31' ORDERBY TxnDate DESC");
+
+  assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', orderBy: 'TxnDate SIDEWAYS' }), /must be ASC or DESC/);
+  [0, -1, 1.5, '10 MAXRESULTS 1'].forEach(value => {
+    assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', startPosition: value }), /startPosition must be/, String(value));
+    assert.throws(() => gs.buildQboQuery({ entity: 'Invoice', maxResults: value }), /maxResults must be/, String(value));
+  });
+});
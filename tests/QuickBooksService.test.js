@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript } = require('./helpers/loadAppsScript');
+
+/**
+ * Loads the API service with queryQuickBooks answering from a fixed number of
+ * matching invoices.
+ *
+ * @param {number} matching - How many invoices the query matches
+ * @return {Object} {gs, queries} - queries lists every query that was sent
+ */
+function loadPagedApi(matching) {
+  const gs = loadAppsScript(['QuickBooksService.js']);
+  const queries = [];
+
+  gs.queryQuickBooks = query => {
+    queries.push(query);
+    if (/^SELECT COUNT\(\*\)/.test(query)) {
+      return { QueryResponse: { totalCount: matching } };
+    }
+    const [, start, size] = query.match(/STARTPOSITION (\d+) MAXRESULTS (\d+)$/).map(Number);
+    const count = Math.max(0, Math.min(size, matching - start + 1));
+    return { QueryResponse: count === 0 ? {} : {
+      Invoice: Array.from({ length: count }, (_, i) => ({ Id: String(start + i) }))
+    } };
+  };
+
+  return { gs: gs, queries: queries };
+}
+
+test('queryAllQuickBooks follows pages until a short one', () => {
+  const { gs, queries } = loadPagedApi(25);
+  const result = gs.queryAllQuickBooks('SELECT * FROM Invoice', 10);
+
+  assert.deepStrictEqual(queries, [
+    'SELECT * FROM Invoice STARTPOSITION 1 MAXRESULTS 10',
+    'SELECT * FROM Invoice STARTPOSITION 11 MAXRESULTS 10',
+    'SELECT * FROM Invoice STARTPOSITION 21 MAXRESULTS 10'
+  ]);
+  assert.strictEqual(result.QueryResponse.Invoice.length, 25);
+  assert.strictEqual(result.QueryResponse.totalCount, 25);
+  assert.strictEqual(result.QueryResponse.truncated, undefined);
+});
+
+test('a full last page at the page limit marks the result truncated and counts every match', () => {
+  const { gs, queries } = loadPagedApi(1234);
+  gs.run('QBO_CONFIG.MAX_QUERY_PAGES = 3');
+  const result = gs.queryAllQuickBooks(
+    "SELECT Id, TotalAmt FROM Invoice WHERE TxnDate >= '2024-01-01' ORDERBY TxnDate DESC, DocNumber", 10);
+
+  assert.strictEqual(result.QueryResponse.Invoice.length, 30);
+  assert.strictEqual(result.QueryResponse.truncated, true);
+  assert.strictEqual(result.QueryResponse.totalCount, 1234);
+  assert.strictEqual(queries[queries.length - 1], "SELECT COUNT(*) FROM Invoice WHERE TxnDate >= '2024-01-01'");
+});
+
+test('a result that ends exactly at the page limit is not truncated', () => {
+  const { gs, queries } = loadPagedApi(25);
+  gs.run('QBO_CONFIG.MAX_QUERY_PAGES = 3');
+  const result = gs.queryAllQuickBooks('SELECT * FROM Invoice', 10);
+
+  assert.strictEqual(result.QueryResponse.truncated, undefined);
+  assert.strictEqual(result.QueryResponse.totalCount, 25);
+  assert.ok(queries.every(query => !query.includes('COUNT')));
+});
+
+test('a failed count keeps the fetched count', () => {
+  const { gs } = loadPagedApi(1234);
+  const pageQuery = gs.queryQuickBooks;
+  gs.queryQuickBooks = query => {
+    if (query.includes('COUNT')) {
+      throw new Error('Service unavailable');
+    }
+    return pageQuery(query);
+  };
+  gs.run('QBO_CONFIG.MAX_QUERY_PAGES = 2');
+
+  const result = gs.queryAllQuickBooks('SELECT * FROM Invoice', 10);
+  assert.strictEqual(result.QueryResponse.truncated, true);
+  assert.strictEqual(result.QueryResponse.totalCount, 20);
+});
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript, createCache, plain } = require('./helpers/loadAppsScript');
+
+const REALM_ID = '4620816365272049';
+const START = Date.UTC(2024, 5, 3, 14, 0, 0);
+
+/**
+ * Loads the API and cache services with an in-memory cache store and a fake
+ * QuickBooks API that counts its calls.
+ *
+ * @return {Object} {gs, store, calls, respond} - respond(endpoint, body) sets what the API returns
+ */
+function loadCachedApi() {
+  const gs = loadAppsScript(['QuickBooksService.js', 'ResponseCacheService.js'], { now: START });
+  gs.PropertiesService.getScriptProperties().setProperty('QBO_COMPANY_ID', REALM_ID);
+
+  const store = createCache(gs.clock);
+  gs.setQboCacheStore(store);
+
+  const calls = [];
+  const responses = {};
+  gs.makeApiCall = (endpoint, method = 'GET') => {
+    calls.push(method + ' ' + endpoint);
+    const body = responses[endpoint] !== undefined ? responses[endpoint] : { calls: calls.length };
+    return {
+      getResponseCode: () => 200,
+      getContentText: () => JSON.stringify(body)
+    };
+  };
+
+  return {
+    gs: gs,
+    store: store,
+    calls: calls,
+    respond: (endpoint, body) => { responses[endpoint] = body; }
+  };
+}
+
+/**
+ * Moves the context's clock forward.
+ *
+ * @param {Object} gs - The script context
+ * @param {number} seconds - Seconds to advance
+ */
+function advance(gs, seconds) {
+  gs.clock.now += seconds * 1000;
+}
+
+const queryEndpoint = query => 'query?query=' + encodeURIComponent(query);
+
+test('entity TTLs: lists stay cached longer than transactions', () => {
+  const cases = [
+    { endpoint: queryEndpoint('SELECT * FROM Account'), ttl: 3600 },
+    { endpoint: queryEndpoint('SELECT * FROM Customer WHERE Active = true'), ttl: 1800 },
+    { endpoint: queryEndpoint('SELECT * FROM Invoice'), ttl: 300 },
+    { endpoint: queryEndpoint('SELECT * FROM PurchaseOrder'), ttl: 300 },
+    { endpoint: 'reports/ProfitAndLoss', ttl: 600 },
+    { endpoint: 'companyinfo/' + REALM_ID, ttl: 21600 }
+  ];
+
+  cases.forEach(({ endpoint, ttl }) => {
+    const { gs, calls } = loadCachedApi();
+    assert.strictEqual(gs.getQboCacheTtl(endpoint), ttl, endpoint);
+
+    gs.callQuickBooksApi(endpoint);
+    advance(gs, ttl - 1);
+    gs.callQuickBooksApi(endpoint);
+    assert.strictEqual(calls.length, 1, `${endpoint} is still cached just before ${ttl}s`);
+
+    advance(gs, 2);
+    gs.callQuickBooksApi(endpoint);
+    assert.strictEqual(calls.length, 2, `${endpoint} expires after ${ttl}s`);
+  });
+});
+
+test('single-record reads and CDC are never cached', () => {
+  const { gs, calls } = loadCachedApi();
+
+  ['invoice/146', 'cdc?entities=Invoice&changedSince=2024-06-01T00:00:00Z'].forEach(endpoint => {
+    assert.strictEqual(gs.getQboCacheTtl(endpoint), 0, endpoint);
+    gs.callQuickBooksApi(endpoint);
+    gs.callQuickBooksApi(endpoint);
+  });
+  assert.strictEqual(calls.length, 4);
+});
+
+test('a cached response is returned as it was fetched', () => {
+  const { gs, calls, respond } = loadCachedApi();
+  const endpoint = queryEndpoint('SELECT * FROM Vendor');
+  respond(endpoint, { QueryResponse: { Vendor: [{ Id: '27', DisplayName: "O'Brien Supply" }] } });
+
+  const first = gs.callQuickBooksApi(endpoint);
+  const second = gs.callQuickBooksApi(endpoint);
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(plain(second), plain(first));
+  assert.strictEqual(second.QueryResponse.Vendor[0].DisplayName, "O'Brien Supply");
+});
+
+test('a write starts a new generation so earlier reads are fetched again', () => {
+  const { gs, store, calls } = loadCachedApi();
+  const accounts = queryEndpoint('SELECT * FROM Account');
+  const generationKey = 'QBO_RESP_GEN_' + REALM_ID;
+
+  gs.callQuickBooksApi(accounts);
+  const generation = store.get(generationKey);
+  gs.callQuickBooksApi('invoice', 'POST', { CustomerRef: { value: '58' } });
+
+  assert.notStrictEqual(store.get(generationKey), generation);
+  gs.callQuickBooksApi(accounts);
+  assert.deepStrictEqual(plain(calls), ['GET ' + accounts, 'POST invoice', 'GET ' + accounts]);
+});
+
+test('a batch of only queries counts as a read and keeps the cache', () => {
+  const { gs, store, calls } = loadCachedApi();
+  const accounts = queryEndpoint('SELECT * FROM Account');
+  const generationKey = 'QBO_RESP_GEN_' + REALM_ID;
+  const queries = { BatchItemRequest: [
+    { bId: 'accounts', Query: 'SELECT * FROM Account' },
+    { bId: 'vendors', Query: 'SELECT * FROM Vendor' }
+  ] };
+  const mixed = { BatchItemRequest: [
+    { bId: 'accounts', Query: 'SELECT * FROM Account' },
+    { bId: 'new1', operation: 'create', Invoice: { CustomerRef: { value: '58' } } }
+  ] };
+
+  assert.strictEqual(gs.isQboWriteRequest('batch', 'POST', queries), false);
+  assert.strictEqual(gs.isQboWriteRequest('batch', 'POST', mixed), true);
+
+  gs.callQuickBooksApi(accounts);
+  const generation = store.get(generationKey);
+  gs.callQuickBooksApi('batch', 'POST', queries);
+  assert.strictEqual(store.get(generationKey), generation);
+  gs.callQuickBooksApi(accounts);
+  assert.strictEqual(calls.filter(call => call === 'GET ' + accounts).length, 1);
+
+  gs.callQuickBooksApi('batch', 'POST', mixed);
+  assert.notStrictEqual(store.get(generationKey), generation);
+  gs.callQuickBooksApi(accounts);
+  assert.strictEqual(calls.filter(call => call === 'GET ' + accounts).length, 2);
+});
+
+test('generations are per company', () => {
+  const { gs, calls } = loadCachedApi();
+  const accounts = queryEndpoint('SELECT * FROM Account');
+
+  gs.callQuickBooksApi(accounts);
+  gs.invalidateQboCache('9130355377389836');
+  gs.callQuickBooksApi(accounts);
+
+  assert.strictEqual(calls.length, 1);
+});
+
+test('large responses are stored in chunks and read back whole', () => {
+  const { gs, store, calls, respond } = loadCachedApi();
+  const endpoint = queryEndpoint('SELECT * FROM Item');
+  const chunkSize = gs.run('QBO_CACHE_CONFIG.CHUNK_SIZE');
+  const items = [];
+  for (let i = 0; items.length === 0 || JSON.stringify(items).length < chunkSize * 2.5; i++) {
+    items.push({ Id: String(i), Name: 'Item ' + i, Description: 'x'.repeat(200) });
+  }
+  respond(endpoint, { QueryResponse: { Item: items } });
+
+  gs.callQuickBooksApi(endpoint);
+  const keys = Object.keys(store.entries).filter(key => key.startsWith('QBO_RESP_' + REALM_ID));
+  const markerKey = keys.find(key => /^QBO_CHUNKS:\d+$/.test(store.get(key)));
+  assert.ok(markerKey, 'a chunk marker is stored');
+  assert.strictEqual(store.get(markerKey), 'QBO_CHUNKS:3');
+  assert.strictEqual(keys.length, 4);
+
+  const cached = gs.callQuickBooksApi(endpoint);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(cached.QueryResponse.Item.length, items.length);
+  assert.deepStrictEqual(plain(cached.QueryResponse.Item[items.length - 1]), items[items.length - 1]);
+
+  // Losing one chunk makes the whole value a miss
+  store.remove(markerKey + '_1');
+  gs.callQuickBooksApi(endpoint);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('responses over the chunk limit are not cached', () => {
+  const { gs, store, calls, respond } = loadCachedApi();
+  const endpoint = queryEndpoint('SELECT * FROM Item');
+  const limit = gs.run('QBO_CACHE_CONFIG.CHUNK_SIZE * QBO_CACHE_CONFIG.MAX_CHUNKS');
+  respond(endpoint, { text: 'x'.repeat(limit + 1) });
+
+  gs.callQuickBooksApi(endpoint);
+  gs.callQuickBooksApi(endpoint);
+
+  assert.strictEqual(calls.length, 2);
+  assert.deepStrictEqual(Object.keys(store.entries), ['QBO_RESP_GEN_' + REALM_ID]);
+});
+
+test('withFreshQboData skips cached reads but refreshes the cache', () => {
+  const { gs, calls, respond } = loadCachedApi();
+  const endpoint = queryEndpoint('SELECT * FROM Customer');
+
+  respond(endpoint, { version: 1 });
+  gs.callQuickBooksApi(endpoint);
+
+  respond(endpoint, { version: 2 });
+  assert.strictEqual(gs.callQuickBooksApi(endpoint).version, 1);
+  assert.strictEqual(gs.withFreshQboData(() => gs.callQuickBooksApi(endpoint)).version, 2);
+  assert.strictEqual(calls.length, 2);
+
+  // The fresh response replaced the cached one, and the bypass ended with the callback
+  assert.strictEqual(gs.callQuickBooksApi(endpoint).version, 2);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('withFreshQboData ends the bypass when the callback throws', () => {
+  const { gs, calls } = loadCachedApi();
+  const endpoint = queryEndpoint('SELECT * FROM Customer');
+
+  gs.callQuickBooksApi(endpoint);
+  assert.throws(() => gs.withFreshQboData(() => {
+    gs.callQuickBooksApi(endpoint);
+    throw new Error('stop');
+  }), /stop/);
+  gs.callQuickBooksApi(endpoint);
+
+  assert.strictEqual(calls.length, 2);
+});
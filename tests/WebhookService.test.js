@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript, plain } = require('./helpers/loadAppsScript');
+const payloads = require('./fixtures/webhookPayloads.json');
+
+const REALM_ID = '9130355377389836';
+
+/**
+ * Loads the webhook service with the fixture verifier token saved.
+ *
+ * @return {Object} The script context
+ */
+function loadWebhookService() {
+  const gs = loadAppsScript(['WebhookService.js']);
+  gs.PropertiesService.getScriptProperties().setProperty('QBO_WEBHOOK_VERIFIER_TOKEN', payloads.verifierToken);
+  return gs;
+}
+
+test('verifyWebhookSignature accepts the recorded signatures', () => {
+  const gs = loadWebhookService();
+
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body, payloads.classic.signature), true);
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.cloudEvents.body, payloads.cloudEvents.signature), true);
+});
+
+test('verifyWebhookSignature ignores whitespace around the signature', () => {
+  const gs = loadWebhookService();
+
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body, ' ' + payloads.classic.signature + '\n'), true);
+});
+
+test('verifyWebhookSignature rejects a tampered body', () => {
+  const gs = loadWebhookService();
+  const tamperedClassic = payloads.classic.body.replace('"id":"146"', '"id":"147"');
+  const tamperedCloudEvents = payloads.cloudEvents.body.replace('qbo.journalentry.deleted.v1', 'qbo.journalentry.created.v1');
+
+  assert.notStrictEqual(tamperedClassic, payloads.classic.body);
+  assert.notStrictEqual(tamperedCloudEvents, payloads.cloudEvents.body);
+  assert.strictEqual(gs.verifyWebhookSignature(tamperedClassic, payloads.classic.signature), false);
+  assert.strictEqual(gs.verifyWebhookSignature(tamperedCloudEvents, payloads.cloudEvents.signature), false);
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body + ' ', payloads.classic.signature), false);
+});
+
+test('verifyWebhookSignature rejects the wrong token, another payload\'s signature and missing values', () => {
+  const gs = loadWebhookService();
+
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body, payloads.classic.signature, 'another-token'), false);
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body, payloads.cloudEvents.signature), false);
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body, ''), false);
+  assert.strictEqual(gs.verifyWebhookSignature('', payloads.classic.signature), false);
+
+  gs.PropertiesService.getScriptProperties().deleteProperty('QBO_WEBHOOK_VERIFIER_TOKEN');
+  assert.strictEqual(gs.verifyWebhookSignature(payloads.classic.body, payloads.classic.signature), false);
+});
+
+test('parseWebhookPayload reads the classic format, including the record a merge removed', () => {
+  const gs = loadWebhookService();
+
+  assert.deepStrictEqual(plain(gs.parseWebhookPayload(payloads.classic.body)), [
+    { realmId: REALM_ID, entity: 'Invoice', id: '146', operation: 'Update' },
+    { realmId: REALM_ID, entity: 'Customer', id: '58', operation: 'Merge' },
+    { realmId: REALM_ID, entity: 'Customer', id: '61', operation: 'Delete' },
+    { realmId: REALM_ID, entity: 'Vendor', id: '27', operation: 'Delete' }
+  ]);
+});
+
+test('parseWebhookPayload reads the CloudEvents format with API entity and operation names', () => {
+  const gs = loadWebhookService();
+
+  assert.deepStrictEqual(plain(gs.parseWebhookPayload(payloads.cloudEvents.body)), [
+    { realmId: REALM_ID, entity: 'Invoice', id: '212', operation: 'Create' },
+    { realmId: REALM_ID, entity: 'JournalEntry', id: '87', operation: 'Delete' }
+  ]);
+});
+
+test('doPost queues a signed notification and rejects a tampered one', () => {
+  const gs = loadWebhookService();
+  const post = (body, signature) => JSON.parse(gs.doPost({
+    postData: { contents: body },
+    parameter: { 'intuit-signature': signature }
+  }).getContent());
+
+  assert.deepStrictEqual(post(payloads.classic.body.replace('"146"', '"148"'), payloads.classic.signature),
+                         { status: 'rejected' });
+  assert.strictEqual(gs.PropertiesService.getScriptProperties().getProperty('QBO_WEBHOOK_QUEUE'), null);
+
+  assert.deepStrictEqual(post(payloads.classic.body, payloads.classic.signature), { status: 'queued', count: 4 });
+  const queue = JSON.parse(gs.PropertiesService.getScriptProperties().getProperty('QBO_WEBHOOK_QUEUE'));
+  assert.deepStrictEqual(queue.map(event => event.entity + ' ' + event.id), ['Invoice 146', 'Customer 58', 'Customer 61', 'Vendor 27']);
+});
+
+test('a full queue marks the dropped realms, and the worker resyncs them instead of fetching', () => {
+  const otherRealm = '4620816365272049';
+  const synced = [];
+  const fetched = [];
+  const gs = loadAppsScript(['WebhookService.js'], {
+    globals: {
+      getSyncedSheets: () => [
+        { sheetName: 'Invoices', realmId: REALM_ID, entity: 'Invoice' },
+        { sheetName: 'Vendors', realmId: REALM_ID, entity: 'Vendor' },
+        { sheetName: 'Other Invoices', realmId: otherRealm, entity: 'Invoice' }
+      ],
+      withQboRealm: (realmId, callback) => callback(),
+      syncEntityToSheet: (entity, sheetName) => synced.push(sheetName),
+      callQuickBooksApi: endpoint => {
+        fetched.push(endpoint);
+        return { Invoice: { Id: endpoint.split('/')[1] } };
+      },
+      getSyncedSheet: sheetName => ({ sheetName: sheetName }),
+      applySyncChanges: (sheet, changes) => ({ added: 0, updated: changes.length, deleted: 0 })
+    }
+  });
+  const max = gs.run('QBO_WEBHOOK_CONFIG.MAX_QUEUE_SIZE');
+  const scriptProperties = gs.PropertiesService.getScriptProperties();
+
+  gs.queueWebhookEvents(Array.from({ length: max }, (_, i) =>
+    ({ realmId: REALM_ID, entity: 'Invoice', id: String(100 + i), operation: 'Update' })));
+  assert.strictEqual(scriptProperties.getProperty('QBO_WEBHOOK_RESYNC'), null);
+  gs.queueWebhookEvents([{ realmId: otherRealm, entity: 'Invoice', id: '7', operation: 'Update' }]);
+
+  assert.strictEqual(JSON.parse(scriptProperties.getProperty('QBO_WEBHOOK_QUEUE')).length, max);
+  assert.deepStrictEqual(JSON.parse(scriptProperties.getProperty('QBO_WEBHOOK_RESYNC')), [REALM_ID]);
+
+  gs.processWebhookQueue();
+
+  // The marked realm gets a CDC sync of every synced sheet instead of its queued fetches
+  assert.deepStrictEqual(synced, ['Invoices', 'Vendors']);
+  assert.deepStrictEqual(fetched, ['invoice/7']);
+  assert.strictEqual(scriptProperties.getProperty('QBO_WEBHOOK_RESYNC'), null);
+  assert.strictEqual(scriptProperties.getProperty('QBO_WEBHOOK_QUEUE'), null);
+});
@@ -0,0 +1,214 @@
+/**
+ * Loads Apps Script files into a Node vm context with in-memory stand-ins for
+ * the Apps Script services they use, so they can be tested without deploying.
+ * Files share one global scope, as they do in Apps Script.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Builds an in-memory PropertiesService store.
+ *
+ * @return {Object} The store
+ */
+function createPropertyStore() {
+  const values = {};
+  return {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    setProperty: (key, value) => { values[key] = String(value); },
+    deleteProperty: key => { delete values[key]; },
+    getProperties: () => Object.assign({}, values),
+    setProperties: properties => {
+      Object.keys(properties).forEach(key => { values[key] = String(properties[key]); });
+    },
+    deleteAllProperties: () => {
+      Object.keys(values).forEach(key => { delete values[key]; });
+    }
+  };
+}
+
+/**
+ * Builds an in-memory CacheService cache whose clock can be moved.
+ *
+ * @param {Object} clock - {now} in milliseconds, read on every call
+ * @return {Object} The cache
+ */
+function createCache(clock) {
+  const entries = {};
+  const read = key => {
+    const entry = entries[key];
+    if (!entry || entry.expires <= clock.now) {
+      delete entries[key];
+      return null;
+    }
+    return entry.value;
+  };
+  const write = (key, value, seconds = 600) => {
+    entries[key] = { value: String(value), expires: clock.now + seconds * 1000 };
+  };
+
+  return {
+    entries: entries,
+    get: read,
+    put: write,
+    remove: key => { delete entries[key]; },
+    getAll: keys => {
+      const found = {};
+      keys.forEach(key => {
+        const value = read(key);
+        if (value !== null) {
+          found[key] = value;
+        }
+      });
+      return found;
+    },
+    putAll: (values, seconds) => {
+      Object.keys(values).forEach(key => write(key, values[key], seconds));
+    },
+    removeAll: keys => keys.forEach(key => { delete entries[key]; })
+  };
+}
+
+/**
+ * Converts a Node Buffer to the signed byte array Apps Script returns.
+ *
+ * @param {Buffer} buffer - The bytes
+ * @return {Array} Bytes from -128 to 127
+ */
+function toSignedBytes(buffer) {
+  return Array.from(buffer, byte => (byte > 127 ? byte - 256 : byte));
+}
+
+/**
+ * Converts a string or an Apps Script byte array to a Buffer.
+ *
+ * @param {string|Array} value - The value
+ * @return {Buffer} The bytes
+ */
+function toBuffer(value) {
+  return typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.map(byte => byte & 255));
+}
+
+/**
+ * Formats a date in a time zone, for the patterns the scripts use.
+ *
+ * @param {Date} date - The date
+ * @param {string} timeZone - The IANA time zone
+ * @param {string} pattern - 'yyyy-MM-dd' or 'yyyy-MM'
+ * @return {string} The formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .forEach(part => { parts[part.type] = part.value; });
+  return pattern.replace('yyyy', parts.year).replace('MM', parts.month).replace('dd', parts.day);
+}
+
+/**
+ * Loads script files from the project root into a fresh context.
+ *
+ * Options:
+ * - timeZone: the script time zone (default 'America/New_York')
+ * - now: the time Date.now() and new Date() start from, in milliseconds or as a Date
+ * - globals: extra globals or overrides, e.g. stubs for functions from files that aren't loaded
+ *
+ * @param {Array} files - File names relative to the project root
+ * @param {Object} options - The options
+ * @return {Object} The context; call run(code) to evaluate code inside it
+ */
+function loadAppsScript(files, options = {}) {
+  const clock = { now: options.now !== undefined ? Number(options.now) : Date.now() };
+  const scriptProperties = createPropertyStore();
+  const userProperties = createPropertyStore();
+  const documentProperties = createPropertyStore();
+  const userCache = createCache(clock);
+  const scriptCache = createCache(clock);
+
+  // Date without arguments reads the context's clock so "today" can be pinned
+  const RealDate = Date;
+  class ClockDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length === 0 ? [clock.now] : args));
+    }
+
+    static now() {
+      return clock.now;
+    }
+  }
+
+  const context = {
+    console: { log() {}, info() {}, warn() {}, error() {} },
+    Logger: { log() {} },
+    Date: ClockDate,
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+      getDocumentProperties: () => documentProperties
+    },
+    CacheService: {
+      getUserCache: () => userCache,
+      getScriptCache: () => scriptCache
+    },
+    LockService: {
+      getScriptLock: () => ({ waitLock() {}, tryLock: () => true, releaseLock() {} }),
+      getUserLock: () => ({ waitLock() {}, tryLock: () => true, releaseLock() {} })
+    },
+    ContentService: {
+      MimeType: { JSON: 'JSON', TEXT: 'TEXT' },
+      createTextOutput: content => ({
+        content: content,
+        getContent: () => content,
+        setMimeType() { return this; }
+      })
+    },
+    Session: {
+      getScriptTimeZone: () => options.timeZone || 'America/New_York'
+    },
+    Utilities: {
+      DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+      Charset: { UTF_8: 'utf8' },
+      sleep() {},
+      formatDate: formatDate,
+      computeHmacSha256Signature: (value, key) =>
+        toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+      computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+      base64Encode: value => toBuffer(value).toString('base64'),
+      base64EncodeWebSafe: value => toBuffer(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+      newBlob: value => ({ getDataAsString: () => String(value) })
+    },
+    logAction() {}
+  };
+  Object.assign(context, options.globals || {});
+
+  vm.createContext(context);
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  context.clock = clock;
+  context.userCache = userCache;
+  // Top-level const and let aren't properties of the context, so read them through run()
+  context.run = code => vm.runInContext(code, context);
+  return context;
+}
+
+module.exports = { loadAppsScript, createCache };
+
+/**
+ * Copies a value made inside a context into plain objects of this realm, so
+ * deepStrictEqual doesn't trip over the context's own Object and Array.
+ *
+ * @param {*} value - The value
+ * @return {*} The copy
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports.plain = plain;